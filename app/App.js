@@ -16,7 +16,8 @@ import AppNavigator from '../navigation/AppNavigator';
 import { navigationRef } from '../navigation/navigationRef';
 import theme from '../config/theme';
 
-// Import utilities
+// Import services and utilities
+import syncService from '../services/sync/syncService';
 import logger from '../utils/logger';
 
 const AppContent = ({ isAuthenticated, isFirstLaunch }) => {
@@ -60,6 +61,9 @@ export default function App({ navigationState }) {
   const initializeApp = async () => {
     try {
       logger.info('App started');
+
+      // Push activities recorded offline and pull remote changes
+      await syncService.start();
       // const firstLaunch = await checkFirstLaunch();
       // setIsFirstLaunch(firstLaunch);
       // const authStatus = await checkAuthStatus();
@@ -76,6 +80,7 @@ export default function App({ navigationState }) {
       nextAppState === 'active'
     ) {
       logger.info('App has come to the foreground');
+      syncService.requestSync(0);
     } else if (
       appState.current === 'active' &&
       nextAppState.match(/inactive|background/)
@@ -9,6 +9,7 @@ import {
   YAxis
 } from 'react-native-chart-kit';
 import { formatValue } from '../../../utils/formatters';
+import { lttb } from '../../../utils/downsampling';
 import theme from '../../../config/theme';
 
 /**
@@ -186,25 +187,10 @@ function formatDataForChart(rawData, metricKey) {
     return (a.timestamp || 0) - (b.timestamp || 0);
   });
 
-  // Limit number of data points if too many
+  // Limit number of data points if too many, keeping peaks and dips
   const MAX_DATA_POINTS = parseInt(process.env.CHART_DATA_POINTS) || 60;
   
-  if (sortedData.length > MAX_DATA_POINTS) {
-    // Sample data points evenly
-    const result = [];
-    const step = Math.floor(sortedData.length / MAX_DATA_POINTS);
-    
-    for (let i = 0; i < MAX_DATA_POINTS - 1; i++) {
-      result.push(sortedData[i * step]);
-    }
-    
-    // Always include the last point
-    result.push(sortedData[sortedData.length - 1]);
-    
-    return result;
-  }
-
-  return sortedData;
+  return lttb(sortedData, MAX_DATA_POINTS, item => item[metricKey]);
 }
 
 /**
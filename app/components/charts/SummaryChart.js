@@ -11,8 +11,12 @@ import {
 } from 'react-native-chart-kit';
 import { calculatePowerZones, calculateHeartRateZones } from '../../../utils/calculations';
 import { formatValue } from '../../../utils/formatters';
+import { lttb } from '../../../utils/downsampling';
 import theme from '../../../config/theme';
 
+// Most points drawn for a time series
+const MAX_TIME_SERIES_POINTS = parseInt(process.env.CHART_DATA_POINTS) || 60;
+
 /**
  * Component for displaying activity summary metrics in chart form.
  * Provides performance summary visualization, multiple chart type support,
@@ -433,7 +437,12 @@ function formatContributionData(data) {
  */
 function formatBarLineData(data, metrics, colors) {
   // Handle array or single object
-  const dataArray = Array.isArray(data) ? data : [data];
+  let dataArray = Array.isArray(data) ? data : [data];
+  
+  // Reduce long time series, keeping the shape of the first metric
+  if (dataArray.length > MAX_TIME_SERIES_POINTS && dataArray[0]?.timestamp) {
+    dataArray = lttb(dataArray, MAX_TIME_SERIES_POINTS, item => item[metrics[0]]);
+  }
   
   // For time-series data, we can use timestamps as labels
   const labels = dataArray.map((item, index) => 
@@ -0,0 +1,469 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import Button from '../common/Button';
+import filterPresets from '../../../services/activity/filterPresets';
+import { parseActivityFilter } from '../../../utils/activityFilter';
+import { ACTIVITY_TYPES } from '../../../config/constants';
+import logger from '../../../utils/logger';
+
+// Relative date ranges offered for the start date
+const DATE_RANGES = [
+  { label: 'Any time', days: null },
+  { label: '7 days', days: 7 },
+  { label: '30 days', days: 30 },
+  { label: '90 days', days: 90 },
+  { label: '1 year', days: 365 },
+];
+
+// Choices for the has heart rate / has power filters
+const PRESENCE_OPTIONS = [
+  { label: 'Any', value: undefined },
+  { label: 'With', value: true },
+  { label: 'Without', value: false },
+];
+
+/**
+ * Converts a filter to form values, distances in km and durations in minutes
+ * @param {Object} filter - Parsed filter
+ * @returns {Object} Form values
+ */
+const toForm = (filter = {}) => {
+  const toText = (value, divisor) => (value === undefined ? '' : `${value / divisor}`);
+  
+  return {
+    withinDays: filter.withinDays || null,
+    type: filter.type || null,
+    minDistance: toText(filter.minDistance, 1000),
+    maxDistance: toText(filter.maxDistance, 1000),
+    minDuration: toText(filter.minDuration, 60),
+    maxDuration: toText(filter.maxDuration, 60),
+    hasHeartRate: filter.hasHeartRate,
+    hasPower: filter.hasPower,
+    deviceId: filter.deviceId || null,
+    tag: filter.tag || '',
+    search: filter.search || '',
+  };
+};
+
+/**
+ * Converts form values to a filter
+ * @param {Object} form - Form values
+ * @returns {Object} { filter, errors }
+ */
+const toFilter = (form) => {
+  const scale = (text, multiplier) => (text.trim() === '' ? undefined : Number(text) * multiplier);
+  
+  return parseActivityFilter({
+    withinDays: form.withinDays,
+    type: form.type,
+    minDistance: scale(form.minDistance, 1000),
+    maxDistance: scale(form.maxDistance, 1000),
+    minDuration: scale(form.minDuration, 60),
+    maxDuration: scale(form.maxDuration, 60),
+    hasHeartRate: form.hasHeartRate,
+    hasPower: form.hasPower,
+    deviceId: form.deviceId,
+    tag: form.tag,
+    search: form.search,
+  });
+};
+
+/**
+ * Bottom sheet for filtering the activity history, with saved presets
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the sheet is shown
+ * @param {Object} props.filter - Current filter, see utils/activityFilter
+ * @param {Array} props.devices - Devices to filter by, as { id, name }
+ * @param {function} props.onApply - Called with the new filter
+ * @param {function} props.onClose - Called when the sheet is dismissed
+ */
+const FilterSheet = ({
+  visible,
+  filter,
+  devices = [],
+  onApply,
+  onClose,
+}) => {
+  const [form, setForm] = useState(toForm(filter));
+  const [presets, setPresets] = useState([]);
+  const [presetName, setPresetName] = useState('');
+  
+  // Start from the applied filter each time the sheet opens
+  useEffect(() => {
+    if (visible) {
+      setForm(toForm(filter));
+      setPresetName('');
+      loadPresets();
+    }
+  }, [visible]);
+  
+  /**
+   * Loads the saved presets
+   */
+  const loadPresets = async () => {
+    try {
+      setPresets(await filterPresets.getPresets());
+    } catch (error) {
+      logger.error('Error loading filter presets', error);
+    }
+  };
+  
+  /**
+   * Updates form values
+   * @param {Object} values - Changed values
+   */
+  const updateForm = (values) => {
+    setForm(prevForm => ({ ...prevForm, ...values }));
+  };
+  
+  /**
+   * Applies the form, or tells what is wrong with it
+   */
+  const handleApply = () => {
+    const { filter: newFilter, errors } = toFilter(form);
+    
+    if (errors.length > 0) {
+      Alert.alert('Invalid Filter', errors.join('\n'));
+      return;
+    }
+    
+    onApply(newFilter);
+  };
+  
+  /**
+   * Saves the form as a preset
+   */
+  const handleSavePreset = async () => {
+    const { filter: newFilter, errors } = toFilter(form);
+    
+    if (errors.length > 0) {
+      Alert.alert('Invalid Filter', errors.join('\n'));
+      return;
+    }
+    
+    try {
+      await filterPresets.savePreset(presetName, newFilter);
+      setPresetName('');
+      loadPresets();
+    } catch (error) {
+      Alert.alert('Preset Not Saved', error.message);
+    }
+  };
+  
+  /**
+   * Asks before deleting a preset
+   * @param {Object} preset - Preset to delete
+   */
+  const handleDeletePreset = (preset) => {
+    Alert.alert('Delete Preset', `Delete the "${preset.name}" filter?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          await filterPresets.deletePreset(preset.id);
+          loadPresets();
+        }
+      }
+    ]);
+  };
+  
+  // Render a row of selectable chips
+  const renderChips = (options, selected, onSelect) => (
+    <View style={styles.chips}>
+      {options.map(option => {
+        const isSelected = option.value === selected;
+        
+        return (
+          <TouchableOpacity
+            key={option.label}
+            style={[styles.chip, isSelected && styles.chipSelected]}
+            onPress={() => onSelect(option.value)}
+          >
+            <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+  
+  // Render a pair of min/max inputs
+  const renderRange = (label, unit, minKey, maxKey) => (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>{label} ({unit})</Text>
+      <View style={styles.rangeRow}>
+        <TextInput
+          style={[styles.input, styles.rangeInput]}
+          value={form[minKey]}
+          onChangeText={text => updateForm({ [minKey]: text })}
+          placeholder="Min"
+          keyboardType="decimal-pad"
+        />
+        <Text style={styles.rangeSeparator}>to</Text>
+        <TextInput
+          style={[styles.input, styles.rangeInput]}
+          value={form[maxKey]}
+          onChangeText={text => updateForm({ [maxKey]: text })}
+          placeholder="Max"
+          keyboardType="decimal-pad"
+        />
+      </View>
+    </View>
+  );
+  
+  const typeOptions = [
+    { label: 'All', value: null },
+    ...Object.values(ACTIVITY_TYPES).map(type => ({
+      label: type.replace('_', ' '),
+      value: type,
+    })),
+  ];
+  
+  const deviceOptions = [
+    { label: 'Any', value: null },
+    ...devices.map(device => ({ label: device.name || device.id, value: device.id })),
+  ];
+  
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <View style={styles.header}>
+            <Text style={styles.title}>Filter Activities</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color="#64748B" />
+            </TouchableOpacity>
+          </View>
+          
+          <ScrollView contentContainerStyle={styles.content}>
+            {/* Saved presets, long press to delete */}
+            {presets.length > 0 && (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Presets</Text>
+                <View style={styles.chips}>
+                  {presets.map(preset => (
+                    <TouchableOpacity
+                      key={preset.id}
+                      style={styles.chip}
+                      onPress={() => updateForm(toForm(preset.filter))}
+                      onLongPress={() => handleDeletePreset(preset)}
+                    >
+                      <Text style={styles.chipText}>{preset.name}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+            )}
+            
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Search</Text>
+              <TextInput
+                style={styles.input}
+                value={form.search}
+                onChangeText={search => updateForm({ search })}
+                placeholder="Name or notes"
+              />
+            </View>
+            
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Date</Text>
+              {renderChips(
+                DATE_RANGES.map(range => ({ label: range.label, value: range.days })),
+                form.withinDays,
+                withinDays => updateForm({ withinDays })
+              )}
+            </View>
+            
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Activity Type</Text>
+              {renderChips(typeOptions, form.type, type => updateForm({ type }))}
+            </View>
+            
+            {renderRange('Distance', 'km', 'minDistance', 'maxDistance')}
+            {renderRange('Duration', 'min', 'minDuration', 'maxDuration')}
+            
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Heart Rate</Text>
+              {renderChips(PRESENCE_OPTIONS, form.hasHeartRate, hasHeartRate => updateForm({ hasHeartRate }))}
+            </View>
+            
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Power</Text>
+              {renderChips(PRESENCE_OPTIONS, form.hasPower, hasPower => updateForm({ hasPower }))}
+            </View>
+            
+            {devices.length > 0 && (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Device</Text>
+                {renderChips(deviceOptions, form.deviceId, deviceId => updateForm({ deviceId }))}
+              </View>
+            )}
+            
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Tag</Text>
+              <TextInput
+                style={styles.input}
+                value={form.tag}
+                onChangeText={tag => updateForm({ tag })}
+                placeholder="e.g. long run"
+                autoCapitalize="none"
+              />
+            </View>
+            
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Save as Preset</Text>
+              <View style={styles.rangeRow}>
+                <TextInput
+                  style={[styles.input, styles.presetInput]}
+                  value={presetName}
+                  onChangeText={setPresetName}
+                  placeholder="Preset name"
+                />
+                <Button
+                  label="Save"
+                  variant="outline"
+                  onPress={handleSavePreset}
+                  disabled={!presetName.trim()}
+                />
+              </View>
+            </View>
+          </ScrollView>
+          
+          <View style={styles.footer}>
+            <Button
+              label="Clear"
+              variant="outline"
+              onPress={() => setForm(toForm({}))}
+              style={styles.footerButton}
+            />
+            <Button
+              label="Apply"
+              variant="primary"
+              onPress={handleApply}
+              style={styles.footerButton}
+            />
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(15, 23, 42, 0.4)',
+  },
+  sheet: {
+    maxHeight: '90%',
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E2E8F0',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#0F172A',
+  },
+  content: {
+    padding: 16,
+  },
+  section: {
+    marginBottom: 20,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#64748B',
+    marginBottom: 8,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#CBD5E1',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipSelected: {
+    backgroundColor: '#2563EB',
+    borderColor: '#2563EB',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#334155',
+    textTransform: 'capitalize',
+  },
+  chipTextSelected: {
+    color: '#fff',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#CBD5E1',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 16,
+    color: '#0F172A',
+  },
+  rangeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  rangeInput: {
+    flex: 1,
+  },
+  rangeSeparator: {
+    marginHorizontal: 12,
+    color: '#64748B',
+  },
+  presetInput: {
+    flex: 1,
+    marginRight: 12,
+  },
+  footer: {
+    flexDirection: 'row',
+    padding: 16,
+    borderTopWidth: 1,
+    borderTopColor: '#E2E8F0',
+  },
+  footerButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+});
+
+export default FilterSheet;
@@ -0,0 +1,235 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TextInput,
+  TouchableOpacity,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import Button from '../common/Button';
+import ErrorMessage from '../common/ErrorMessage';
+import authService from '../../../services/auth/authService';
+import logger from '../../../utils/logger';
+
+const EMPTY_FORM = { name: '', email: '', password: '' };
+
+/**
+ * Bottom sheet for signing in or creating an account, activities sync once
+ * signed in
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.visible - Whether the sheet is shown
+ * @param {function} props.onSignedIn - Called with the signed in user
+ * @param {function} props.onClose - Called when the sheet is dismissed
+ */
+const SignInSheet = ({
+  visible,
+  onSignedIn,
+  onClose,
+}) => {
+  const [isRegistering, setIsRegistering] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  
+  // Start empty each time the sheet opens
+  useEffect(() => {
+    if (visible) {
+      setIsRegistering(false);
+      setForm(EMPTY_FORM);
+      setError(null);
+    }
+  }, [visible]);
+  
+  /**
+   * Updates form values
+   * @param {Object} values - Changed values
+   */
+  const updateForm = (values) => {
+    setForm(prevForm => ({ ...prevForm, ...values }));
+  };
+  
+  /**
+   * Signs in or registers with the form values
+   * @returns {Promise<void>} Resolves when done
+   */
+  const handleSubmit = async () => {
+    const email = form.email.trim();
+    
+    try {
+      setSubmitting(true);
+      setError(null);
+      
+      const user = isRegistering
+        ? await authService.register(email, form.password, form.name.trim())
+        : await authService.login(email, form.password);
+      
+      onSignedIn(user);
+    } catch (submitError) {
+      logger.error('Error signing in', submitError);
+      
+      // The server explains rejected credentials and invalid data
+      setError(submitError.status
+        ? submitError.message
+        : 'Could not reach the server. Please check your connection and try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+  
+  const canSubmit = form.email.trim() !== '' && form.password !== ''
+    && (!isRegistering || form.name.trim() !== '');
+  
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <View style={styles.header}>
+            <Text style={styles.title}>{isRegistering ? 'Create Account' : 'Sign In'}</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color="#64748B" />
+            </TouchableOpacity>
+          </View>
+          
+          <View style={styles.content}>
+            {error && (
+              <ErrorMessage message={error} style={styles.error} />
+            )}
+            
+            {isRegistering && (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Name</Text>
+                <TextInput
+                  style={styles.input}
+                  value={form.name}
+                  onChangeText={name => updateForm({ name })}
+                  placeholder="Your name"
+                  autoComplete="name"
+                />
+              </View>
+            )}
+            
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Email</Text>
+              <TextInput
+                style={styles.input}
+                value={form.email}
+                onChangeText={email => updateForm({ email })}
+                placeholder="you@example.com"
+                autoCapitalize="none"
+                autoComplete="email"
+                keyboardType="email-address"
+              />
+            </View>
+            
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Password</Text>
+              <TextInput
+                style={styles.input}
+                value={form.password}
+                onChangeText={password => updateForm({ password })}
+                placeholder={isRegistering ? 'At least 8 characters' : 'Password'}
+                autoCapitalize="none"
+                autoComplete={isRegistering ? 'password-new' : 'password'}
+                secureTextEntry={true}
+              />
+            </View>
+            
+            <TouchableOpacity onPress={() => setIsRegistering(!isRegistering)}>
+              <Text style={styles.switchMode}>
+                {isRegistering ? 'Already have an account? Sign in' : 'New here? Create an account'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+          
+          <View style={styles.footer}>
+            <Button
+              label={isRegistering ? 'Create Account' : 'Sign In'}
+              variant="primary"
+              onPress={handleSubmit}
+              disabled={!canSubmit}
+              loading={submitting}
+              style={styles.footerButton}
+            />
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(15, 23, 42, 0.4)',
+  },
+  sheet: {
+    maxHeight: '90%',
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E2E8F0',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#0F172A',
+  },
+  content: {
+    padding: 16,
+  },
+  error: {
+    marginBottom: 16,
+  },
+  section: {
+    marginBottom: 20,
+  },
+  sectionTitle: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#64748B',
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#CBD5E1',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 16,
+    color: '#0F172A',
+  },
+  switchMode: {
+    fontSize: 14,
+    color: '#2563EB',
+    textAlign: 'center',
+  },
+  footer: {
+    flexDirection: 'row',
+    padding: 16,
+    borderTopWidth: 1,
+    borderTopColor: '#E2E8F0',
+  },
+  footerButton: {
+    flex: 1,
+    marginHorizontal: 4,
+  },
+});
+
+export default SignInSheet;
@@ -20,6 +20,7 @@ const SCREENS = {
     ACTIVITY_SUMMARY: 'ActivitySummary',
     HISTORY: 'History',
     HISTORY_LIST: 'HistoryList',
+    READINESS: 'Readiness',
     SETTINGS: 'Settings',
     SETTINGS_MAIN: 'SettingsMain',
   };
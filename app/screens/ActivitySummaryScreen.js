@@ -24,8 +24,13 @@ import MetricCard from '../components/metrics/MetricCard';
 
 // Import hooks, services and utilities
 import { useActivity } from '../../hooks/useActivity';
+import activityExporter from '../../services/export/activityExporter';
+import { EXPORT_FORMATS } from '../../services/export/exportFormats';
+import sensorRepository from '../../database/repositories/sensorRepository';
+import { SENSOR_DATA_TYPES } from '../../database/schemas/sensorDataSchema';
 import ROUTES from '../../navigation/routes';
 import logger from '../../utils/logger';
+import { calculateRollingHRV } from '../../utils/hrv';
 import { formatDate, formatDuration, formatDistance, formatPace } from '../../utils/formatters';
 
 const SCREEN_WIDTH = Dimensions.get('window').width;
@@ -47,6 +52,7 @@ const ActivitySummaryScreen = ({ route, navigation }) => {
   const [error, setError] = useState(null);
   const [activityData, setActivityData] = useState(null);
   const [summaryMetrics, setSummaryMetrics] = useState({});
+  const [chartSeries, setChartSeries] = useState({});
   const [selectedTab, setSelectedTab] = useState(SUMMARY_TABS.OVERVIEW);
   const [mapVisible, setMapVisible] = useState(true);
   
@@ -85,6 +91,8 @@ const ActivitySummaryScreen = ({ route, navigation }) => {
       const metrics = calculateSummaryMetrics(activity);
       setSummaryMetrics(metrics);
       
+      setChartSeries(await loadChartSeries(activityId));
+      
       logger.info('Activity data loaded', { activityId });
     } catch (error) {
       logger.error('Error loading activity data', error);
@@ -94,6 +102,30 @@ const ActivitySummaryScreen = ({ route, navigation }) => {
     }
   };
   
+  /**
+   * Loads downsampled sensor series for the performance charts
+   * @param {string} activityId - ID of the completed activity
+   * @returns {Promise<Object>} Chart points by data type
+   */
+  const loadChartSeries = async (activityId) => {
+    const types = [SENSOR_DATA_TYPES.HEART_RATE, SENSOR_DATA_TYPES.POWER, SENSOR_DATA_TYPES.PACE];
+    const series = await Promise.all(
+      types.map(type => sensorRepository.getSeries(activityId, type))
+    );
+    
+    // Rolling HRV from beat-to-beat intervals, only recorded with a chest strap
+    const rrSamples = await sensorRepository.getSensorDataByActivity(activityId, SENSOR_DATA_TYPES.RR_INTERVAL);
+    const hrv = calculateRollingHRV(rrSamples)
+      .filter(window => window.rmssd !== null)
+      .map(window => ({ timestamp: window.timestamp, rmssd: window.rmssd }));
+    
+    // Charts read each value under its metric name
+    return types.reduce((result, type, index) => ({
+      ...result,
+      [type]: series[index].map(point => ({ timestamp: point.timestamp, [type]: point.value })),
+    }), { [SENSOR_DATA_TYPES.RR_INTERVAL]: hrv });
+  };
+  
   /**
    * Calculates summary metrics from raw activity data
    * @param {Object} activityData - Complete activity data
@@ -103,7 +135,10 @@ const ActivitySummaryScreen = ({ route, navigation }) => {
     // This would be implemented fully in the activitySummary service
     // Here we're using the data directly from the activity object
     
-    const duration = activity.duration || 0; // seconds
+    const duration = activity.duration || 0; // seconds, same as timer time
+    const elapsedTime = activity.elapsedTime || duration; // seconds, wall time including pauses
+    const timerTime = activity.timerTime || duration; // seconds, excludes manual pauses
+    const movingTime = activity.movingTime || timerTime; // seconds, excludes stops
     const distance = activity.distance || 0; // meters
     const avgHeartRate = activity.avgHeartRate || 0; // bpm
     const maxHeartRate = activity.maxHeartRate || 0; // bpm
@@ -113,11 +148,14 @@ const ActivitySummaryScreen = ({ route, navigation }) => {
     const elevGain = activity.elevationGain || 0; // meters
     const elevLoss = activity.elevationLoss || 0; // meters
     
-    // Calculate pace (min/km) from duration and distance
-    const pace = distance > 0 ? (duration / 60) / (distance / 1000) : 0;
+    // Calculate pace (min/km) from moving time and distance
+    const pace = distance > 0 ? (movingTime / 60) / (distance / 1000) : 0;
     
     return {
       duration,
+      elapsedTime,
+      timerTime,
+      movingTime,
       distance,
       pace,
       avgHeartRate,
@@ -167,13 +205,30 @@ const ActivitySummaryScreen = ({ route, navigation }) => {
   };
   
   /**
-   * Shares activity summary with external apps
+   * Offers the ways an activity can be shared with external apps
+   */
+  const handleShareActivity = () => {
+    if (!activityData) return;
+    
+    Alert.alert(
+      'Share Activity',
+      'How would you like to share this activity?',
+      [
+        { text: 'Summary', onPress: shareActivitySummary },
+        { text: 'GPX File', onPress: () => shareActivityFile(EXPORT_FORMATS.GPX) },
+        { text: 'TCX File', onPress: () => shareActivityFile(EXPORT_FORMATS.TCX) },
+        { text: 'FIT File', onPress: () => shareActivityFile(EXPORT_FORMATS.FIT) },
+        { text: 'Cancel', style: 'cancel' }
+      ]
+    );
+  };
+  
+  /**
+   * Shares a text summary of the activity
    * @returns {Promise<void>} Resolves when sharing complete
    */
-  const handleShareActivity = async () => {
+  const shareActivitySummary = async () => {
     try {
-      if (!activityData) return;
-      
       const duration = formatDuration(summaryMetrics.duration || 0);
       const distance = formatDistance(summaryMetrics.distance || 0);
       const pace = formatPace(summaryMetrics.pace || 0);
@@ -198,6 +253,19 @@ const ActivitySummaryScreen = ({ route, navigation }) => {
     }
   };
   
+  /**
+   * Exports the activity to a file and opens the share sheet
+   * @param {string} format - Export format
+   */
+  const shareActivityFile = async (format) => {
+    try {
+      await activityExporter.shareActivity(activityData, format);
+    } catch (error) {
+      logger.error('Error exporting activity', error);
+      Alert.alert('Error', 'Failed to export activity. Please try again.');
+    }
+  };
+  
   // Render loading state
   if (loading) {
     return (
@@ -296,9 +364,9 @@ const ActivitySummaryScreen = ({ route, navigation }) => {
             <View style={styles.metricDivider} />
             <View style={styles.metricItem}>
               <Text style={styles.metricValue}>
-                {formatDuration(summaryMetrics.duration || 0, false)}
+                {formatDuration(summaryMetrics.elapsedTime || 0, false)}
               </Text>
-              <Text style={styles.metricLabel}>Duration</Text>
+              <Text style={styles.metricLabel}>Elapsed Time</Text>
             </View>
             <View style={styles.metricDivider} />
             <View style={styles.metricItem}>
@@ -308,6 +376,23 @@ const ActivitySummaryScreen = ({ route, navigation }) => {
               <Text style={styles.metricLabel}>Avg Pace</Text>
             </View>
           </View>
+          
+          {/* Timer time leaves out manual pauses, moving time leaves out stops too */}
+          <View style={[styles.metricRow, styles.metricRowSpaced]}>
+            <View style={styles.metricItem}>
+              <Text style={styles.metricValue}>
+                {formatDuration(summaryMetrics.timerTime || 0, false)}
+              </Text>
+              <Text style={styles.metricLabel}>Timer Time</Text>
+            </View>
+            <View style={styles.metricDivider} />
+            <View style={styles.metricItem}>
+              <Text style={styles.metricValue}>
+                {formatDuration(summaryMetrics.movingTime || 0, false)}
+              </Text>
+              <Text style={styles.metricLabel}>Moving Time</Text>
+            </View>
+          </View>
         </View>
         
         {/* Tab Navigation */}
@@ -481,7 +566,7 @@ const ActivitySummaryScreen = ({ route, navigation }) => {
             <View style={styles.metricDetailRow}>
               <Text style={styles.metricDetailLabel}>Average Speed</Text>
                               <Text style={styles.metricDetailValue}>
-                {Math.round((summaryMetrics.distance / 1000) / (summaryMetrics.duration / 3600) * 10) / 10} km/h
+                {Math.round((summaryMetrics.distance / 1000) / (summaryMetrics.movingTime / 3600) * 10) / 10} km/h
               </Text>
             </View>
           </View>
@@ -534,7 +619,7 @@ const ActivitySummaryScreen = ({ route, navigation }) => {
         <View style={styles.chartCard}>
           <Text style={styles.chartTitle}>Heart Rate</Text>
           <SummaryChart 
-            data={activityData?.heartRateData || []}
+            data={chartSeries[SENSOR_DATA_TYPES.HEART_RATE] || []}
             chartType="area"
             metrics={['heart_rate']}
             style={styles.chart}
@@ -545,7 +630,7 @@ const ActivitySummaryScreen = ({ route, navigation }) => {
         <View style={styles.chartCard}>
           <Text style={styles.chartTitle}>Power</Text>
           <SummaryChart 
-            data={activityData?.powerData || []}
+            data={chartSeries[SENSOR_DATA_TYPES.POWER] || []}
             chartType="area"
             metrics={['power']}
             style={styles.chart}
@@ -556,13 +641,26 @@ const ActivitySummaryScreen = ({ route, navigation }) => {
         <View style={styles.chartCard}>
           <Text style={styles.chartTitle}>Pace</Text>
           <SummaryChart 
-            data={activityData?.paceData || []}
+            data={chartSeries[SENSOR_DATA_TYPES.PACE] || []}
             chartType="line"
             metrics={['pace']}
             style={styles.chart}
           />
         </View>
         
+        {/* Rolling HRV Chart */}
+        {chartSeries[SENSOR_DATA_TYPES.RR_INTERVAL]?.length > 0 && (
+          <View style={styles.chartCard}>
+            <Text style={styles.chartTitle}>Heart Rate Variability (RMSSD, ms)</Text>
+            <SummaryChart 
+              data={chartSeries[SENSOR_DATA_TYPES.RR_INTERVAL]}
+              chartType="line"
+              metrics={['rmssd']}
+              style={styles.chart}
+            />
+          </View>
+        )}
+        
         {/* Elevation Chart */}
         <View style={styles.chartCard}>
           <Text style={styles.chartTitle}>Elevation</Text>
@@ -629,7 +727,7 @@ const ActivitySummaryScreen = ({ route, navigation }) => {
     // Generate mock splits for demo purposes
     const mockSplits = [];
     const totalDistance = summaryMetrics.distance || 0;
-    const totalDuration = summaryMetrics.duration || 0;
+    const totalDuration = summaryMetrics.movingTime || 0;
     
     if (totalDistance > 0 && totalDuration > 0) {
       const avgPacePerKm = totalDuration / (totalDistance / 1000);
@@ -773,6 +871,9 @@ const styles = StyleSheet.create({
     justifyContent: 'space-between',
     alignItems: 'center',
   },
+  metricRowSpaced: {
+    marginTop: 16,
+  },
   metricItem: {
     flex: 1,
     alignItems: 'center',
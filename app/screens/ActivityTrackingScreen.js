@@ -21,14 +21,35 @@ import ErrorMessage from '../components/common/ErrorMessage';
 
 // Import hooks, services and utilities
 import { useActivity } from '../../hooks/useActivity';
+import { useActivity as useActivityContext } from '../../context/ActivityContext';
 import { useSensorData } from '../../hooks/useSensorData';
 import { useLocationTracking } from '../../hooks/useLocationTracking';
+import { useWorkout } from '../../hooks/useWorkout';
+import { WORKOUT_TARGET_TYPES, TARGET_STATUS } from '../../services/workout/workoutModel';
 import { ACTIVITY_STATES, SENSOR_TYPES } from '../../config/constants';
 import ROUTES from '../../navigation/routes';
 import logger from '../../utils/logger';
-import { formatDuration } from '../../utils/formatters';
+import { formatDuration, formatDistance, formatPace } from '../../utils/formatters';
 
-const ActivityTrackingScreen = ({ navigation }) => {
+// Colors for live target compliance
+const TARGET_STATUS_COLORS = {
+  [TARGET_STATUS.NONE]: '#64748B',
+  [TARGET_STATUS.TOO_EASY]: '#2563EB',
+  [TARGET_STATUS.ON_TARGET]: '#16A34A',
+  [TARGET_STATUS.TOO_HARD]: '#DC2626',
+};
+
+const TARGET_STATUS_LABELS = {
+  [TARGET_STATUS.NONE]: '',
+  [TARGET_STATUS.TOO_EASY]: 'Speed up',
+  [TARGET_STATUS.ON_TARGET]: 'On target',
+  [TARGET_STATUS.TOO_HARD]: 'Ease off',
+};
+
+const ActivityTrackingScreen = ({ navigation, route }) => {
+  // Workout planned for this session, if any
+  const plannedWorkout = route?.params?.workout || null;
+  
   // Activity hook
   const { 
     activityState, 
@@ -39,8 +60,20 @@ const ActivityTrackingScreen = ({ navigation }) => {
     stopActivity 
   } = useActivity();
   
+  // Crash recovery
+  const {
+    state: { recoverableActivity, isAutoPaused },
+    resumeRecoveredActivity,
+    finalizeRecoveredActivity,
+  } = useActivityContext();
+  
   // Sensor data hook
-  const { sensorData, derivedMetrics, isLoading: sensorsLoading } = useSensorData({
+  const {
+    sensorData,
+    derivedMetrics,
+    isLoading: sensorsLoading,
+    hasContactLoss,
+  } = useSensorData({
     types: [
       SENSOR_TYPES.HEART_RATE,
       SENSOR_TYPES.POWER,
@@ -51,6 +84,15 @@ const ActivityTrackingScreen = ({ navigation }) => {
     derived: true,
   });
   
+  // Structured workout hook
+  const {
+    currentStep,
+    nextStepPreview,
+    isRunning: isWorkoutRunning,
+    startWorkout,
+    nextStep,
+  } = useWorkout();
+  
   // Location tracking hook
   const { 
     isTracking: isLocationTracking,
@@ -81,6 +123,48 @@ const ActivityTrackingScreen = ({ navigation }) => {
     };
   }, [activityState]);
   
+  // Offer to resume or save an activity interrupted by a crash
+  useEffect(() => {
+    if (!recoverableActivity || activityState !== ACTIVITY_STATES.IDLE) {
+      return;
+    }
+    
+    const { activity, timerTime: recordedTime } = recoverableActivity;
+    
+    Alert.alert(
+      'Unfinished Activity',
+      `An activity from ${new Date(activity.startTime).toLocaleString()} ` +
+        `(${formatDuration(recordedTime)}) was not stopped. Resume it or save what was recorded?`,
+      [
+        {
+          text: 'Save',
+          onPress: async () => {
+            const savedActivity = await finalizeRecoveredActivity();
+            
+            if (savedActivity) {
+              navigation.navigate(ROUTES.SCREENS.ACTIVITY_SUMMARY, {
+                activityId: savedActivity.id,
+              });
+            } else {
+              setError('Failed to save unfinished activity.');
+            }
+          },
+        },
+        {
+          text: 'Resume',
+          onPress: async () => {
+            const resumedActivity = await resumeRecoveredActivity();
+            
+            if (!resumedActivity) {
+              setError('Failed to resume unfinished activity.');
+            }
+          },
+        },
+      ],
+      { cancelable: false },
+    );
+  }, [recoverableActivity, activityState]);
+  
   // Set up periodic sensor data recording
   useEffect(() => {
     if (activityState === ACTIVITY_STATES.ACTIVE) {
@@ -207,6 +291,8 @@ const ActivityTrackingScreen = ({ navigation }) => {
       // Start or resume activity
       if (activityState === ACTIVITY_STATES.PAUSED) {
         await resumeActivity();
+      } else if (plannedWorkout) {
+        await startWorkout(plannedWorkout);
       } else {
         await startNewActivity();
       }
@@ -369,6 +455,15 @@ const ActivityTrackingScreen = ({ navigation }) => {
               icon="pause"
               style={[styles.actionButton, styles.buttonRowItem]}
             />
+            {isWorkoutRunning && (
+              <Button
+                label="Lap"
+                onPress={nextStep}
+                variant="secondary"
+                icon="flag"
+                style={[styles.actionButton, styles.buttonRowItem]}
+              />
+            )}
             <Button
               label="Stop"
               onPress={handleStopActivity}
@@ -404,6 +499,55 @@ const ActivityTrackingScreen = ({ navigation }) => {
     }
   };
   
+  // Render the current workout step with its target
+  const renderWorkoutStep = () => {
+    if (!isWorkoutRunning || !currentStep) {
+      return null;
+    }
+    
+    const { target, targetRange, targetStatus, remainingTime, remainingDistance } = currentStep;
+    
+    let remaining = 'Press Lap when done';
+    if (remainingTime !== null) {
+      remaining = formatDuration(remainingTime, false);
+    } else if (remainingDistance !== null) {
+      remaining = formatDistance(remainingDistance);
+    }
+    
+    let targetText = null;
+    if (targetRange) {
+      if (target.type === WORKOUT_TARGET_TYPES.PACE) {
+        targetText = `${formatPace(targetRange.min * 60)} - ${formatPace(targetRange.max * 60)}`;
+      } else if (target.type === WORKOUT_TARGET_TYPES.POWER) {
+        targetText = `${targetRange.min} - ${isFinite(targetRange.max) ? targetRange.max : '+'} W`;
+      } else {
+        targetText = `${targetRange.min} - ${isFinite(targetRange.max) ? targetRange.max : '+'} bpm`;
+      }
+    }
+    
+    return (
+      <View style={styles.workoutContainer}>
+        <View style={styles.workoutHeader}>
+          <Text style={styles.workoutStepLabel}>{currentStep.label}</Text>
+          <Text style={styles.workoutRemaining}>{remaining}</Text>
+        </View>
+        
+        {targetText && (
+          <View style={styles.workoutHeader}>
+            <Text style={styles.workoutTarget}>{targetText}</Text>
+            <Text style={[styles.workoutStatus, { color: TARGET_STATUS_COLORS[targetStatus] }]}>
+              {TARGET_STATUS_LABELS[targetStatus]}
+            </Text>
+          </View>
+        )}
+        
+        {nextStepPreview && (
+          <Text style={styles.workoutNext}>Next: {nextStepPreview.label}</Text>
+        )}
+      </View>
+    );
+  };
+  
   // Render elapsed time
   const renderElapsedTime = () => {
     const timeString = formatDuration(elapsedTime, true);
@@ -418,6 +562,12 @@ const ActivityTrackingScreen = ({ navigation }) => {
             <Text style={styles.pausedText}>PAUSED</Text>
           </View>
         )}
+        
+        {activityState === ACTIVITY_STATES.ACTIVE && isAutoPaused && (
+          <View style={styles.pausedBadge}>
+            <Text style={styles.pausedText}>AUTO-PAUSED</Text>
+          </View>
+        )}
       </View>
     );
   };
@@ -437,6 +587,19 @@ const ActivityTrackingScreen = ({ navigation }) => {
     );
   };
 
+  // Render readiness test button
+  const renderReadinessButton = () => {
+    return (
+      <TouchableOpacity
+        style={[styles.deviceButton, styles.readinessButton]}
+        onPress={() => navigation.navigate(ROUTES.SCREENS.READINESS)}
+      >
+        <Ionicons name="heart-outline" size={18} color="#2563EB" />
+        <Text style={styles.deviceButtonText}>Readiness</Text>
+      </TouchableOpacity>
+    );
+  };
+
   return (
     <SafeAreaView style={styles.container}>
       <StatusBar style="dark-content" />
@@ -459,6 +622,9 @@ const ActivityTrackingScreen = ({ navigation }) => {
         {/* Elapsed time */}
         {renderElapsedTime()}
         
+        {/* Current workout step */}
+        {renderWorkoutStep()}
+        
         {/* Error message */}
         {error && (
           <ErrorMessage 
@@ -475,13 +641,26 @@ const ActivityTrackingScreen = ({ navigation }) => {
           />
         )}
         
+        {/* Heart rate strap contact warning */}
+        {hasContactLoss && (
+          <ErrorMessage 
+            message="Heart rate strap lost skin contact. Moisten the electrodes and check the fit." 
+            style={styles.errorContainer} 
+          />
+        )}
+        
         {/* Metrics grid */}
         <View style={styles.metricsContainer}>
           {renderMetricsGrid()}
         </View>
         
-        {/* Connect devices button */}
-        {activityState === ACTIVITY_STATES.IDLE && renderDeviceButton()}
+        {/* Connect devices and readiness test buttons */}
+        {activityState === ACTIVITY_STATES.IDLE && (
+          <View style={styles.idleActions}>
+            {renderDeviceButton()}
+            {renderReadinessButton()}
+          </View>
+        )}
       </ScrollView>
       
       {/* Action buttons */}
@@ -534,6 +713,44 @@ const styles = StyleSheet.create({
   errorContainer: {
     marginBottom: 16,
   },
+  workoutContainer: {
+    padding: 12,
+    marginBottom: 16,
+    backgroundColor: '#F8FAFC',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+  },
+  workoutHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  workoutStepLabel: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#0F172A',
+  },
+  workoutRemaining: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#0F172A',
+    fontVariant: ['tabular-nums'],
+  },
+  workoutTarget: {
+    fontSize: 14,
+    color: '#334155',
+  },
+  workoutStatus: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  workoutNext: {
+    fontSize: 12,
+    color: '#64748B',
+    marginTop: 4,
+  },
   metricsContainer: {
     flex: 1,
     marginBottom: 16,
@@ -548,6 +765,13 @@ const styles = StyleSheet.create({
     borderRadius: 20,
     marginBottom: 16,
   },
+  idleActions: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+  },
+  readinessButton: {
+    marginLeft: 8,
+  },
   deviceButtonText: {
     color: '#2563EB',
     fontWeight: '500',
@@ -7,6 +7,7 @@ import {
   TouchableOpacity, 
   SafeAreaView,
   Alert,
+  TextInput,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useFocusEffect } from '@react-navigation/native';
@@ -17,13 +18,24 @@ import Card from '../components/common/Card';
 import Button from '../components/common/Button';
 import LoadingIndicator from '../components/common/LoadingIndicator';
 import ErrorMessage from '../components/common/ErrorMessage';
+import FilterSheet from '../components/history/FilterSheet';
 
 // Import hooks, services and utilities
 import { useActivity } from '../../hooks/useActivity';
+import { useBle } from '../../context/BleContext';
+import activityImporter from '../../services/import/activityImporter';
+import syncService, { SYNC_STATES } from '../../services/sync/syncService';
+import { CONFLICT_RESOLUTIONS } from '../../services/sync/conflictResolver';
+import { SYNC_STATUS } from '../../database/schemas/syncSchema';
 import ROUTES from '../../navigation/routes';
+import { countActiveFilters } from '../../utils/activityFilter';
+import { splitHighlights } from '../../utils/activitySearch';
 import logger from '../../utils/logger';
 import { formatDate, formatDuration, formatDistance, formatPace } from '../../utils/formatters';
 
+// Wait for a pause in typing before searching
+const SEARCH_DELAY_MS = 300;
+
 const HistoryScreen = ({ navigation }) => {
   // State
   const [activities, setActivities] = useState([]);
@@ -32,35 +44,62 @@ const HistoryScreen = ({ navigation }) => {
   const [filterCriteria, setFilterCriteria] = useState({});
   const [sortOrder, setSortOrder] = useState('desc'); // 'asc' or 'desc'
   const [refreshing, setRefreshing] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [conflicts, setConflicts] = useState([]);
+  const [filterVisible, setFilterVisible] = useState(false);
+  const [searchText, setSearchText] = useState('');
+  const [searchQuery, setSearchQuery] = useState('');
   
   // Activity hook for accessing stored activities
-  const { getAllActivities, deleteActivity } = useActivity();
+  const { getAllActivities, searchActivities, deleteActivity } = useActivity();
+  
+  // Paired devices can be filtered by
+  const { state: bleState } = useBle();
+  const activeFilterCount = countActiveFilters(filterCriteria);
+  const searching = searchQuery.length > 0;
+  
+  // Search once typing pauses
+  useEffect(() => {
+    const timer = setTimeout(() => setSearchQuery(searchText.trim()), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [searchText]);
   
   // Load activities when screen is focused
   useFocusEffect(
     useCallback(() => {
       loadActivities();
-    }, [filterCriteria, sortOrder])
+    }, [filterCriteria, sortOrder, searchQuery])
+  );
+  
+  // Reload after each sync so status icons and pulled activities show up
+  useFocusEffect(
+    useCallback(() => {
+      return syncService.subscribeToStatusChanges(({ state }) => {
+        if (state !== SYNC_STATES.SYNCING) {
+          loadActivities(false);
+        }
+      });
+    }, [filterCriteria, sortOrder, searchQuery])
   );
   
   /**
    * Loads activity history from storage
-   * @param {Object} filters - Optional filter criteria
+   * @param {boolean} showLoading - Show the loading indicator, off for background reloads
    * @returns {Promise<Array>} List of activity records
    * @throws {Error} If loading fails
    */
-  const loadActivities = async () => {
+  const loadActivities = async (showLoading = true) => {
     try {
-      setLoading(true);
+      setLoading(showLoading !== false);
       setError(null);
       
-      // Get activities from storage
-      const activityList = await getAllActivities(filterCriteria);
-      
-      // Sort activities
-      const sortedActivities = sortActivities(activityList, sortOrder);
+      // Search results stay in order of relevance
+      const sortedActivities = searchQuery
+        ? await searchActivities(searchQuery, filterCriteria)
+        : sortActivities(await getAllActivities(filterCriteria), sortOrder);
       
       setActivities(sortedActivities);
+      setConflicts(await syncService.getConflicts());
       logger.info('Activities loaded', { count: sortedActivities.length });
     } catch (error) {
       logger.error('Error loading activities', error);
@@ -79,8 +118,8 @@ const HistoryScreen = ({ navigation }) => {
    */
   const sortActivities = (activities, order) => {
     return [...activities].sort((a, b) => {
-      const dateA = new Date(a.startTime);
-      const dateB = new Date(b.startTime);
+      const dateA = new Date(a.start_time);
+      const dateB = new Date(b.start_time);
       
       return order === 'desc' 
         ? dateB.getTime() - dateA.getTime() 
@@ -89,10 +128,18 @@ const HistoryScreen = ({ navigation }) => {
   };
   
   /**
-   * Handle pull-to-refresh
+   * Handle pull-to-refresh, syncs with the server first when sync is enabled
    */
-  const handleRefresh = () => {
+  const handleRefresh = async () => {
     setRefreshing(true);
+    
+    try {
+      await syncService.syncNow();
+    } catch (error) {
+      // Local history is still shown, the status icons tell what is missing
+      logger.warn('Sync on refresh failed', { error: error.message });
+    }
+    
     loadActivities();
   };
   
@@ -138,6 +185,77 @@ const HistoryScreen = ({ navigation }) => {
     );
   };
   
+  /**
+   * Picks a GPX, TCX or FIT file and imports it into the history
+   */
+  const handleImportActivity = async () => {
+    try {
+      setImporting(true);
+      
+      const result = await activityImporter.pickAndImport();
+      if (!result) {
+        return;
+      }
+      
+      if (result.duplicate) {
+        Alert.alert(
+          'Already Imported',
+          `This activity matches "${result.activity.name || 'Unnamed Activity'}" ` +
+            `from ${formatDate(result.activity.start_time)} and was not imported again.`
+        );
+        return;
+      }
+      
+      await loadActivities();
+      Alert.alert('Activity Imported', `"${result.activity.name}" was added to your history.`);
+    } catch (error) {
+      logger.error('Error importing activity', error);
+      Alert.alert('Import Failed', error.message || 'The file could not be imported.');
+    } finally {
+      setImporting(false);
+    }
+  };
+  
+  /**
+   * Shows the edits that were merged with changes made on the server
+   */
+  const showConflicts = () => {
+    const fieldLabels = { name: 'Name', type: 'Type', notes: 'Notes' };
+    const lines = conflicts.map(conflict => {
+      const activityName = conflict.activity_name || 'Deleted activity';
+      const label = fieldLabels[conflict.field] || conflict.field;
+      
+      if (conflict.resolution === CONFLICT_RESOLUTIONS.CONCATENATED) {
+        return `${activityName}: ${label} from both edits were combined`;
+      }
+      
+      // The latest edit won, show the value that was replaced
+      const replaced = conflict.resolved_value === conflict.local_value
+        ? conflict.remote_value
+        : conflict.local_value;
+      return `${activityName}: ${label} set to "${conflict.resolved_value}" instead of "${replaced}"`;
+    });
+    
+    Alert.alert(
+      'Edits Merged',
+      `These activities were also edited on the server:\n\n${lines.join('\n')}`,
+      [
+        { text: 'Later', style: 'cancel' },
+        {
+          text: 'Dismiss',
+          onPress: async () => {
+            try {
+              await syncService.dismissConflicts(conflicts.map(conflict => conflict.id));
+              setConflicts([]);
+            } catch (error) {
+              logger.error('Error dismissing sync conflicts', error);
+            }
+          }
+        }
+      ]
+    );
+  };
+  
   /**
    * Updates filter criteria for activity list
    * @param {Object} newFilters - Updated filter settings
@@ -156,16 +274,28 @@ const HistoryScreen = ({ navigation }) => {
     setSortOrder(sortOrder === 'desc' ? 'asc' : 'desc');
   };
   
+  /**
+   * Clears the search and shows the whole history again
+   */
+  const clearSearch = () => {
+    setSearchText('');
+    setSearchQuery('');
+  };
+  
   /**
    * Opens filter modal
    */
   const openFilterModal = () => {
-    // This would open a modal with filter options
-    Alert.alert(
-      'Filters',
-      'Filter functionality will be implemented in a future update.',
-      [{ text: 'OK' }]
-    );
+    setFilterVisible(true);
+  };
+  
+  /**
+   * Replaces the filter with the one chosen in the filter sheet
+   * @param {Object} newFilter - Filter, see utils/activityFilter
+   */
+  const applyFilter = (newFilter) => {
+    setFilterVisible(false);
+    setFilterCriteria(newFilter);
   };
   
   // Render activity item
@@ -174,6 +304,7 @@ const HistoryScreen = ({ navigation }) => {
     const distance = item.distance || 0;
     const duration = item.duration || 0;
     const pace = distance > 0 ? duration / (distance / 1000) : 0;
+    const syncIcon = getSyncIcon(item.sync_status);
     
     return (
       <Card style={styles.activityCard}>
@@ -193,11 +324,29 @@ const HistoryScreen = ({ navigation }) => {
           {/* Activity Details */}
           <View style={styles.activityDetails}>
             <Text style={styles.activityName}>
-              {item.name || 'Unnamed Activity'}
-            </Text>
-            <Text style={styles.activityDate}>
-              {formatDate(item.startTime)}
+              {item.name_highlight
+                ? renderHighlights(item.name_highlight)
+                : item.name || 'Unnamed Activity'}
             </Text>
+            {/* Matched notes or tags, the name already shows its matches */}
+            {item.search_snippet && item.search_snippet !== item.name_highlight && (
+              <Text style={styles.searchSnippet} numberOfLines={2}>
+                {renderHighlights(item.search_snippet)}
+              </Text>
+            )}
+            <View style={styles.activityMeta}>
+              <Text style={styles.activityDate}>
+                {formatDate(item.start_time)}
+              </Text>
+              {syncIcon && (
+                <Ionicons
+                  name={syncIcon.name}
+                  size={14}
+                  color={syncIcon.color}
+                  style={styles.syncIcon}
+                />
+              )}
+            </View>
             
             {/* Activity Stats */}
             <View style={styles.activityStats}>
@@ -236,6 +385,15 @@ const HistoryScreen = ({ navigation }) => {
     );
   };
   
+  // Helper to render search matches in bold
+  const renderHighlights = (text) => {
+    return splitHighlights(text).map((part, index) => (
+      <Text key={index} style={part.highlighted ? styles.searchMatch : null}>
+        {part.text}
+      </Text>
+    ));
+  };
+  
   // Helper to get activity icon based on type
   const getActivityIcon = (type) => {
     switch(type?.toLowerCase()) {
@@ -254,8 +412,60 @@ const HistoryScreen = ({ navigation }) => {
     }
   };
   
+  // Helper to get the sync status icon, nothing is shown while sync is off
+  const getSyncIcon = (status) => {
+    if (syncService.getStatus().state === SYNC_STATES.DISABLED) {
+      return null;
+    }
+    
+    switch(status) {
+      case SYNC_STATUS.SYNCED:
+        return { name: 'cloud-done-outline', color: '#16A34A' };
+      case SYNC_STATUS.FAILED:
+        return { name: 'cloud-offline-outline', color: '#DC2626' };
+      default:
+        return { name: 'cloud-upload-outline', color: '#94A3B8' };
+    }
+  };
+  
   // Render empty state
   const renderEmptyState = () => {
+    if (searching) {
+      return (
+        <View style={styles.emptyContainer}>
+          <Ionicons name="search-outline" size={64} color="#94A3B8" />
+          <Text style={styles.emptyTitle}>No Results</Text>
+          <Text style={styles.emptyText}>
+            No activity names, notes or tags match "{searchQuery}"
+          </Text>
+          <Button
+            label="Clear Search"
+            onPress={clearSearch}
+            variant="outline"
+            style={styles.emptyButton}
+          />
+        </View>
+      );
+    }
+    
+    if (activeFilterCount > 0) {
+      return (
+        <View style={styles.emptyContainer}>
+          <Ionicons name="filter-outline" size={64} color="#94A3B8" />
+          <Text style={styles.emptyTitle}>No Matching Activities</Text>
+          <Text style={styles.emptyText}>
+            Try changing or clearing the filters
+          </Text>
+          <Button
+            label="Clear Filters"
+            onPress={() => setFilterCriteria({})}
+            variant="outline"
+            style={styles.emptyButton}
+          />
+        </View>
+      );
+    }
+    
     return (
       <View style={styles.emptyContainer}>
         <Ionicons name="fitness-outline" size={64} color="#94A3B8" />
@@ -269,41 +479,59 @@ const HistoryScreen = ({ navigation }) => {
           variant="primary"
           style={styles.emptyButton}
         />
+        <Button
+          label="Import Activity"
+          onPress={handleImportActivity}
+          variant="outline"
+          loading={importing}
+          style={[styles.emptyButton, styles.importButton]}
+        />
       </View>
     );
   };
   
   // Render header with filter/sort options
   const renderListHeader = () => {
-    if (activities.length === 0) return null;
+    if (activities.length === 0 && activeFilterCount === 0 && !searching) return null;
     
     return (
       <View style={styles.listHeader}>
         <Text style={styles.listCount}>
-          {activities.length} {activities.length === 1 ? 'Activity' : 'Activities'}
+          {activities.length} {searching
+            ? (activities.length === 1 ? 'Result' : 'Results')
+            : (activities.length === 1 ? 'Activity' : 'Activities')}
         </Text>
         
         <View style={styles.listActions}>
-          <TouchableOpacity
-            style={styles.listAction}
-            onPress={toggleSortOrder}
-          >
-            <Ionicons 
-              name={sortOrder === 'desc' ? 'arrow-down' : 'arrow-up'} 
-              size={16} 
-              color="#64748B" 
-            />
-            <Text style={styles.listActionText}>
-              {sortOrder === 'desc' ? 'Newest' : 'Oldest'}
-            </Text>
-          </TouchableOpacity>
+          {/* Results are ordered by relevance while searching */}
+          {!searching && (
+            <TouchableOpacity
+              style={styles.listAction}
+              onPress={toggleSortOrder}
+            >
+              <Ionicons 
+                name={sortOrder === 'desc' ? 'arrow-down' : 'arrow-up'} 
+                size={16} 
+                color="#64748B" 
+              />
+              <Text style={styles.listActionText}>
+                {sortOrder === 'desc' ? 'Newest' : 'Oldest'}
+              </Text>
+            </TouchableOpacity>
+          )}
           
           <TouchableOpacity
             style={styles.listAction}
             onPress={openFilterModal}
           >
-            <Ionicons name="filter-outline" size={16} color="#64748B" />
-            <Text style={styles.listActionText}>Filter</Text>
+            <Ionicons
+              name={activeFilterCount > 0 ? 'filter' : 'filter-outline'}
+              size={16}
+              color={activeFilterCount > 0 ? '#2563EB' : '#64748B'}
+            />
+            <Text style={[styles.listActionText, activeFilterCount > 0 && styles.listActionActive]}>
+              {activeFilterCount > 0 ? `Filter (${activeFilterCount})` : 'Filter'}
+            </Text>
           </TouchableOpacity>
         </View>
       </View>
@@ -315,8 +543,43 @@ const HistoryScreen = ({ navigation }) => {
       <Header 
         title="Activity History" 
         showBack={false}
+        rightActions={[
+          {
+            icon: 'cloud-upload-outline',
+            onPress: handleImportActivity,
+            disabled: importing
+          }
+        ]}
       />
       
+      {conflicts.length > 0 && (
+        <TouchableOpacity style={styles.conflictBanner} onPress={showConflicts}>
+          <Ionicons name="git-merge-outline" size={18} color="#B45309" />
+          <Text style={styles.conflictText}>
+            {conflicts.length} {conflicts.length === 1 ? 'edit was' : 'edits were'} merged with changes from the server
+          </Text>
+        </TouchableOpacity>
+      )}
+      
+      <View style={styles.searchBar}>
+        <Ionicons name="search-outline" size={18} color="#64748B" />
+        <TextInput
+          style={styles.searchInput}
+          value={searchText}
+          onChangeText={setSearchText}
+          placeholder="Search names, notes and tags"
+          placeholderTextColor="#94A3B8"
+          autoCorrect={false}
+          returnKeyType="search"
+          onSubmitEditing={() => setSearchQuery(searchText.trim())}
+        />
+        {searchText.length > 0 && (
+          <TouchableOpacity onPress={clearSearch}>
+            <Ionicons name="close-circle" size={18} color="#94A3B8" />
+          </TouchableOpacity>
+        )}
+      </View>
+      
       {loading && !refreshing ? (
         <View style={styles.loadingContainer}>
           <LoadingIndicator size="large" message="Loading activities..." />
@@ -341,6 +604,14 @@ const HistoryScreen = ({ navigation }) => {
           showsVerticalScrollIndicator={false}
         />
       )}
+      
+      <FilterSheet
+        visible={filterVisible}
+        filter={filterCriteria}
+        devices={bleState.pairedDevices}
+        onApply={applyFilter}
+        onClose={() => setFilterVisible(false)}
+      />
     </SafeAreaView>
   );
 };
@@ -361,6 +632,37 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     padding: 20,
   },
+  conflictBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FEF3C7',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  conflictText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#92400E',
+    marginLeft: 8,
+  },
+  searchBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderWidth: 1,
+    borderColor: '#E2E8F0',
+    borderRadius: 8,
+    marginHorizontal: 16,
+    marginTop: 12,
+    paddingHorizontal: 12,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 16,
+    color: '#0F172A',
+    paddingVertical: 10,
+    marginLeft: 8,
+  },
   listContent: {
     padding: 16,
     flexGrow: 1,
@@ -389,6 +691,9 @@ const styles = StyleSheet.create({
     color: '#64748B',
     marginLeft: 4,
   },
+  listActionActive: {
+    color: '#2563EB',
+  },
   activityCard: {
     marginBottom: 12,
   },
@@ -415,10 +720,26 @@ const styles = StyleSheet.create({
     color: '#0F172A',
     marginBottom: 2,
   },
+  searchSnippet: {
+    fontSize: 14,
+    color: '#475569',
+    marginBottom: 4,
+  },
+  searchMatch: {
+    fontWeight: 'bold',
+    color: '#0F172A',
+  },
+  activityMeta: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
   activityDate: {
     fontSize: 14,
     color: '#64748B',
-    marginBottom: 8,
+  },
+  syncIcon: {
+    marginLeft: 6,
   },
   activityStats: {
     flexDirection: 'row',
@@ -460,6 +781,9 @@ const styles = StyleSheet.create({
   emptyButton: {
     minWidth: 140,
   },
+  importButton: {
+    marginTop: 12,
+  },
 });
 
 export default HistoryScreen;
\ No newline at end of file
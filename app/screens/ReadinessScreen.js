@@ -0,0 +1,293 @@
+import React from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  SafeAreaView,
+} from 'react-native';
+
+// Import components
+import Header from '../components/common/Header';
+import Card from '../components/common/Card';
+import Button from '../components/common/Button';
+import ErrorMessage from '../components/common/ErrorMessage';
+
+// Import hooks and utilities
+import { useReadiness } from '../../hooks/useReadiness';
+import { formatDuration } from '../../utils/formatters';
+
+// Score bands for picking the day's training
+const SCORE_BANDS = [
+  { min: 60, label: 'Ready for a hard session', color: '#16A34A' },
+  { min: 40, label: 'Train as planned', color: '#2563EB' },
+  { min: 0, label: 'Keep it easy today', color: '#F97316' },
+];
+
+/**
+ * Gets the score band of a readiness score
+ * @param {number} score - Readiness score from 0 to 100
+ * @returns {Object} Band with label and color
+ */
+const getScoreBand = (score) => SCORE_BANDS.find(band => score >= band.min) || SCORE_BANDS[SCORE_BANDS.length - 1];
+
+const ReadinessScreen = ({ navigation }) => {
+  // Guided test and daily scores
+  const {
+    progress,
+    result,
+    history,
+    isRunning,
+    error,
+    startTest,
+    cancelTest,
+  } = useReadiness();
+  
+  // Render the running test
+  const renderProgress = () => {
+    const remaining = progress ? progress.remaining / 1000 : null;
+    
+    return (
+      <Card style={styles.card}>
+        <Text style={styles.cardTitle}>Lie still and breathe normally</Text>
+        <Text style={styles.countdown}>
+          {remaining === null ? '--:--' : formatDuration(Math.ceil(remaining), false)}
+        </Text>
+        
+        <View style={styles.statsRow}>
+          <View style={styles.stat}>
+            <Text style={styles.statValue}>{progress ? progress.beatCount : 0}</Text>
+            <Text style={styles.statLabel}>Beats</Text>
+          </View>
+          <View style={styles.stat}>
+            <Text style={styles.statValue}>
+              {progress?.rmssd ? Math.round(progress.rmssd) : '--'}
+            </Text>
+            <Text style={styles.statLabel}>RMSSD (ms)</Text>
+          </View>
+        </View>
+      </Card>
+    );
+  };
+  
+  // Render the instructions before a test
+  const renderInstructions = () => {
+    return (
+      <Card style={styles.card}>
+        <Text style={styles.cardTitle}>Morning readiness test</Text>
+        <Text style={styles.instructionText}>
+          Right after waking up, put on your heart rate strap, lie on your back and
+          stay still for two minutes. Your heart rate variability is compared with
+          your recent mornings to suggest a hard or easy day.
+        </Text>
+      </Card>
+    );
+  };
+  
+  // Render the score of the test just taken
+  const renderResult = () => {
+    const band = getScoreBand(result.score);
+    
+    return (
+      <Card style={styles.card}>
+        <Text style={styles.cardTitle}>Today's readiness</Text>
+        <Text style={[styles.score, { color: band.color }]}>{result.score}</Text>
+        <Text style={[styles.scoreLabel, { color: band.color }]}>{band.label}</Text>
+        
+        <View style={styles.statsRow}>
+          <View style={styles.stat}>
+            <Text style={styles.statValue}>{Math.round(result.rmssd)}</Text>
+            <Text style={styles.statLabel}>RMSSD (ms)</Text>
+          </View>
+          <View style={styles.stat}>
+            <Text style={styles.statValue}>
+              {result.mean_heart_rate ? Math.round(result.mean_heart_rate) : '--'}
+            </Text>
+            <Text style={styles.statLabel}>Resting HR</Text>
+          </View>
+          <View style={styles.stat}>
+            <Text style={styles.statValue}>{Math.round((result.artifact_ratio || 0) * 100)}%</Text>
+            <Text style={styles.statLabel}>Artifacts</Text>
+          </View>
+        </View>
+        
+        {/* Scores need a few days of history before they move */}
+        {result.baseline === null && (
+          <Text style={styles.baselineNote}>
+            Take the test on a few more mornings to build your baseline.
+          </Text>
+        )}
+      </Card>
+    );
+  };
+  
+  // Render recent daily scores
+  const renderHistory = () => {
+    if (history.length === 0) {
+      return null;
+    }
+    
+    return (
+      <Card style={styles.card}>
+        <Text style={styles.cardTitle}>Recent mornings</Text>
+        {history.map(day => (
+          <View key={day.date} style={styles.historyRow}>
+            <Text style={styles.historyDate}>{day.date}</Text>
+            <Text style={styles.historyValue}>{Math.round(day.rmssd)} ms</Text>
+            <Text style={[styles.historyScore, { color: getScoreBand(day.score).color }]}>
+              {day.score}
+            </Text>
+          </View>
+        ))}
+      </Card>
+    );
+  };
+  
+  return (
+    <SafeAreaView style={styles.container}>
+      <Header
+        title="Readiness"
+        showBack={true}
+        onBackPress={() => navigation.goBack()}
+      />
+      
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        {error && (
+          <ErrorMessage
+            message={error}
+            style={styles.errorContainer}
+          />
+        )}
+        
+        {isRunning ? renderProgress() : renderInstructions()}
+        
+        {!isRunning && result && renderResult()}
+        
+        {!isRunning && renderHistory()}
+      </ScrollView>
+      
+      <View style={styles.actionContainer}>
+        {isRunning ? (
+          <Button
+            label="Cancel Test"
+            onPress={cancelTest}
+            variant="outline"
+            style={styles.actionButton}
+          />
+        ) : (
+          <Button
+            label={result ? 'Retake Test' : 'Start Test'}
+            onPress={startTest}
+            variant="primary"
+            icon="heart-outline"
+            style={styles.actionButton}
+          />
+        )}
+      </View>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8FAFC',
+  },
+  scrollContent: {
+    padding: 16,
+  },
+  errorContainer: {
+    marginBottom: 16,
+  },
+  card: {
+    padding: 16,
+    marginBottom: 16,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#0F172A',
+    marginBottom: 8,
+  },
+  instructionText: {
+    fontSize: 14,
+    color: '#334155',
+    lineHeight: 20,
+  },
+  countdown: {
+    fontSize: 48,
+    fontWeight: 'bold',
+    color: '#0F172A',
+    textAlign: 'center',
+    fontVariant: ['tabular-nums'],
+    marginVertical: 12,
+  },
+  score: {
+    fontSize: 56,
+    fontWeight: 'bold',
+    textAlign: 'center',
+  },
+  scoreLabel: {
+    fontSize: 16,
+    fontWeight: '500',
+    textAlign: 'center',
+    marginBottom: 12,
+  },
+  statsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+  },
+  stat: {
+    alignItems: 'center',
+  },
+  statValue: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#0F172A',
+  },
+  statLabel: {
+    fontSize: 12,
+    color: '#64748B',
+    marginTop: 2,
+  },
+  baselineNote: {
+    fontSize: 12,
+    color: '#64748B',
+    textAlign: 'center',
+    marginTop: 12,
+  },
+  historyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderTopWidth: 1,
+    borderTopColor: '#F1F5F9',
+  },
+  historyDate: {
+    flex: 1,
+    fontSize: 14,
+    color: '#334155',
+  },
+  historyValue: {
+    fontSize: 14,
+    color: '#64748B',
+    marginRight: 16,
+  },
+  historyScore: {
+    width: 32,
+    fontSize: 16,
+    fontWeight: '600',
+    textAlign: 'right',
+  },
+  actionContainer: {
+    padding: 16,
+    backgroundColor: '#fff',
+    borderTopWidth: 1,
+    borderTopColor: '#E2E8F0',
+  },
+  actionButton: {
+    height: 50,
+  },
+});
+
+export default ReadinessScreen;
@@ -17,14 +17,35 @@ import Header from '../components/common/Header';
 import Button from '../components/common/Button';
 import LoadingIndicator from '../components/common/LoadingIndicator';
 import ErrorMessage from '../components/common/ErrorMessage';
+import SignInSheet from '../components/settings/SignInSheet';
 
 // Import hooks, services and utilities
 import { useSettings } from '../../hooks/useSettings';
 import { useBleConnection } from '../../hooks/useBleConnection';
-import { UNITS } from '../../config/constants';
+import locationTracker from '../../services/location/locationTracker';
+import authService from '../../services/auth/authService';
+import syncService from '../../services/sync/syncService';
+import { UNITS, AUTO_LAP_MODES } from '../../config/constants';
 import ROUTES from '../../navigation/routes';
 import logger from '../../utils/logger';
 
+// Values offered when cycling the auto-lap settings
+const AUTO_LAP_DISTANCES = [0.5, 1, 2, 5]; // in km or miles
+const AUTO_LAP_TIMES = [1, 5, 10, 15, 30]; // in minutes
+const AUTO_LAP_RADII = [10, 20, 50]; // in meters
+const AUTO_PAUSE_SPEEDS = [1, 1.8, 3, 5, 8]; // in km/h or mph
+
+/**
+ * Returns the option after the current value, wrapping around
+ * @param {Array} options - Available values
+ * @param {any} current - Current value
+ * @returns {any} Next value
+ */
+const getNextOption = (options, current) => {
+  const index = options.indexOf(current);
+  return options[(index + 1) % options.length];
+};
+
 const SettingsScreen = ({ navigation }) => {
   // Settings hook
   const { 
@@ -44,10 +65,13 @@ const SettingsScreen = ({ navigation }) => {
     activitiesCount: 0,
     storageUsed: '0 MB',
   });
+  const [user, setUser] = useState(null);
+  const [signInVisible, setSignInVisible] = useState(false);
   
   // Load settings when component mounts
   useEffect(() => {
     loadStorageInfo();
+    loadUser();
   }, []);
   
   // Update loading state based on settings loading
@@ -90,6 +114,59 @@ const SettingsScreen = ({ navigation }) => {
     }
   };
   
+  /**
+   * Loads the signed in user
+   */
+  const loadUser = async () => {
+    try {
+      setUser(await authService.getUser());
+    } catch (error) {
+      logger.error('Error loading signed in user', error);
+    }
+  };
+  
+  /**
+   * Closes the sign in sheet once signed in, syncing starts on its own
+   * @param {Object} signedInUser - Signed in user
+   */
+  const handleSignedIn = (signedInUser) => {
+    setUser(signedInUser);
+    setSignInVisible(false);
+  };
+  
+  /**
+   * Signs out with confirmation, the activities on this phone are removed
+   */
+  const handleSignOut = () => {
+    const { pendingCount } = syncService.getStatus();
+    
+    Alert.alert(
+      'Sign Out',
+      pendingCount > 0
+        ? `${pendingCount} ${pendingCount === 1 ? 'activity has' : 'activities have'} changes that haven't synced yet and will be lost. Activities are removed from this phone when you sign out.`
+        : 'Activities are removed from this phone when you sign out. They stay in your account.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { 
+          text: 'Sign Out', 
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setLoading(true);
+              await authService.logout();
+              setUser(null);
+            } catch (error) {
+              logger.error('Error signing out', error);
+              setError('Failed to sign out. Please try again.');
+            } finally {
+              setLoading(false);
+            }
+          }
+        }
+      ]
+    );
+  };
+  
   /**
    * Navigates to device management screen
    */
@@ -164,6 +241,22 @@ const SettingsScreen = ({ navigation }) => {
     updateSetting('theme', nextTheme);
   };
   
+  /**
+   * Saves the current GPS position as the auto-lap point
+   * @returns {Promise<void>} Resolves when the point is saved
+   */
+  const saveAutoLapPosition = async () => {
+    try {
+      const { latitude, longitude } = await locationTracker.getCurrentLocation();
+      
+      updateSetting('autoLapPosition', { latitude, longitude });
+      updateSetting('autoLapMode', AUTO_LAP_MODES.POSITION);
+    } catch (error) {
+      logger.error('Error saving auto-lap position', error);
+      Alert.alert('Location Unavailable', 'Could not get your current position. Please try again outdoors.');
+    }
+  };
+  
   /**
    * Handles disconnecting from a BLE device
    * @param {string} deviceId - Device identifier
@@ -190,10 +283,39 @@ const SettingsScreen = ({ navigation }) => {
   };
   
   // Render settings groups
+  const renderAccountSettings = () => {
+    return (
+      <View style={styles.settingGroup}>
+        <Text style={styles.settingGroupTitle}>Account</Text>
+        
+        {user ? (
+          <View style={styles.settingItem}>
+            <View style={styles.settingLabelContainer}>
+              <Ionicons name="person-circle-outline" size={20} color="#64748B" />
+              <Text style={styles.settingLabel}>{user.name || 'Signed in'}</Text>
+            </View>
+            
+            <Text style={styles.settingValue}>{user.email}</Text>
+          </View>
+        ) : (
+          <Text style={styles.noDevicesText}>Sign in to back up and sync your activities</Text>
+        )}
+        
+        <Button
+          label={user ? 'Sign Out' : 'Sign In'}
+          onPress={user ? handleSignOut : () => setSignInVisible(true)}
+          variant={user ? 'outline' : 'primary'}
+          style={styles.deviceButton}
+        />
+      </View>
+    );
+  };
+  
   const renderGeneralSettings = () => {
     const isMetric = settings.useMetricUnits !== false; // Default to metric
     const is24Hour = settings.use24HourTime !== false; // Default to 24-hour
     const currentTheme = settings.theme || 'system';
+    const autoPauseSpeed = settings.autoPauseSpeed || 1.8;
     
     return (
       <View style={styles.settingGroup}>
@@ -268,6 +390,26 @@ const SettingsScreen = ({ navigation }) => {
           />
         </View>
         
+        {/* Auto-Pause Speed Setting */}
+        {settings.enableAutoPause !== false && (
+          <View style={styles.settingItem}>
+            <View style={styles.settingLabelContainer}>
+              <Ionicons name="speedometer-outline" size={20} color="#64748B" />
+              <Text style={styles.settingLabel}>Pause Below</Text>
+            </View>
+            
+            <TouchableOpacity
+              style={styles.settingToggle}
+              onPress={() => updateSetting('autoPauseSpeed', getNextOption(AUTO_PAUSE_SPEEDS, autoPauseSpeed))}
+            >
+              <Text style={styles.settingValue}>
+                {`${autoPauseSpeed} ${settings.metricUnits !== false ? 'km/h' : 'mph'}`}
+              </Text>
+              <Ionicons name="chevron-forward" size={16} color="#94A3B8" />
+            </TouchableOpacity>
+          </View>
+        )}
+        
         {/* Voice Feedback Setting */}
         <View style={styles.settingItem}>
           <View style={styles.settingLabelContainer}>
@@ -286,6 +428,124 @@ const SettingsScreen = ({ navigation }) => {
     );
   };
   
+  const renderAutoLapSettings = () => {
+    const mode = settings.autoLapMode || AUTO_LAP_MODES.DISTANCE;
+    const isMetric = settings.metricUnits !== false; // Default to metric
+    const distance = settings.autoLapDistance || 1;
+    const time = settings.autoLapTime || 5;
+    const radius = settings.autoLapRadius || 20;
+    const modeOrder = Object.values(AUTO_LAP_MODES);
+    
+    return (
+      <View style={styles.settingGroup}>
+        <Text style={styles.settingGroupTitle}>Auto-Lap</Text>
+        
+        {/* Mode Setting */}
+        <View style={styles.settingItem}>
+          <View style={styles.settingLabelContainer}>
+            <Ionicons name="flag-outline" size={20} color="#64748B" />
+            <Text style={styles.settingLabel}>Lap By</Text>
+          </View>
+          
+          <TouchableOpacity
+            style={styles.settingToggle}
+            onPress={() => updateSetting('autoLapMode', getNextOption(modeOrder, mode))}
+          >
+            <Text style={styles.settingValue}>
+              {mode.charAt(0).toUpperCase() + mode.slice(1)}
+            </Text>
+            <Ionicons name="chevron-forward" size={16} color="#94A3B8" />
+          </TouchableOpacity>
+        </View>
+        
+        {/* Distance Setting */}
+        {mode === AUTO_LAP_MODES.DISTANCE && (
+          <View style={styles.settingItem}>
+            <View style={styles.settingLabelContainer}>
+              <Ionicons name="resize-outline" size={20} color="#64748B" />
+              <Text style={styles.settingLabel}>Lap Distance</Text>
+            </View>
+            
+            <TouchableOpacity
+              style={styles.settingToggle}
+              onPress={() => updateSetting('autoLapDistance', getNextOption(AUTO_LAP_DISTANCES, distance))}
+            >
+              <Text style={styles.settingValue}>
+                {`${distance} ${isMetric ? 'km' : 'mi'}`}
+              </Text>
+              <Ionicons name="chevron-forward" size={16} color="#94A3B8" />
+            </TouchableOpacity>
+          </View>
+        )}
+        
+        {/* Time Setting */}
+        {mode === AUTO_LAP_MODES.TIME && (
+          <View style={styles.settingItem}>
+            <View style={styles.settingLabelContainer}>
+              <Ionicons name="timer-outline" size={20} color="#64748B" />
+              <Text style={styles.settingLabel}>Lap Time</Text>
+            </View>
+            
+            <TouchableOpacity
+              style={styles.settingToggle}
+              onPress={() => updateSetting('autoLapTime', getNextOption(AUTO_LAP_TIMES, time))}
+            >
+              <Text style={styles.settingValue}>{`${time} min`}</Text>
+              <Ionicons name="chevron-forward" size={16} color="#94A3B8" />
+            </TouchableOpacity>
+          </View>
+        )}
+        
+        {/* Position Settings */}
+        {mode === AUTO_LAP_MODES.POSITION && (
+          <>
+            <View style={styles.settingItem}>
+              <View style={styles.settingLabelContainer}>
+                <Ionicons name="location-outline" size={20} color="#64748B" />
+                <Text style={styles.settingLabel}>Lap Point</Text>
+              </View>
+              
+              <TouchableOpacity
+                style={styles.settingToggle}
+                onPress={() => updateSetting('autoLapPosition', null)}
+              >
+                <Text style={styles.settingValue}>
+                  {settings.autoLapPosition ? 'Saved point' : 'Start point'}
+                </Text>
+                {settings.autoLapPosition && (
+                  <Ionicons name="close-circle-outline" size={16} color="#94A3B8" />
+                )}
+              </TouchableOpacity>
+            </View>
+            
+            <View style={styles.settingItem}>
+              <View style={styles.settingLabelContainer}>
+                <Ionicons name="radio-button-on-outline" size={20} color="#64748B" />
+                <Text style={styles.settingLabel}>Lap Radius</Text>
+              </View>
+              
+              <TouchableOpacity
+                style={styles.settingToggle}
+                onPress={() => updateSetting('autoLapRadius', getNextOption(AUTO_LAP_RADII, radius))}
+              >
+                <Text style={styles.settingValue}>{`${radius} m`}</Text>
+                <Ionicons name="chevron-forward" size={16} color="#94A3B8" />
+              </TouchableOpacity>
+            </View>
+          </>
+        )}
+        
+        {/* Saves a fixed point such as a track start line */}
+        <Button
+          label="Save Current Position as Lap Point"
+          onPress={saveAutoLapPosition}
+          variant="secondary"
+          style={styles.deviceButton}
+        />
+      </View>
+    );
+  };
+  
   const renderDeviceSettings = () => {
     return (
       <View style={styles.settingGroup}>
@@ -436,9 +696,15 @@ const SettingsScreen = ({ navigation }) => {
           />
         )}
         
+        {/* Account */}
+        {renderAccountSettings()}
+        
         {/* General Settings */}
         {renderGeneralSettings()}
         
+        {/* Auto-Lap Settings */}
+        {renderAutoLapSettings()}
+        
         {/* Device Settings */}
         {renderDeviceSettings()}
         
@@ -448,6 +714,12 @@ const SettingsScreen = ({ navigation }) => {
         {/* About Section */}
         {renderAboutSection()}
       </ScrollView>
+      
+      <SignInSheet
+        visible={signInVisible}
+        onSignedIn={handleSignedIn}
+        onClose={() => setSignInVisible(false)}
+      />
     </SafeAreaView>
   );
 };
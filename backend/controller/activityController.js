@@ -1,7 +1,10 @@
 import activityService from '../services/activityService';
+import coachingService from '../services/coachingService';
 import { formatResponse } from '../utils/responseFormatter';
 import { AppError, NotFoundError, ValidationError } from '../utils/errorTypes';
 import logger from '../../utils/logger';
+import { EXPORT_FORMATS } from '../../services/export/exportFormats';
+import { parseActivityFilter } from '../../utils/activityFilter';
 
 // Create logger instance for this module
 const controllerLogger = logger.createContextLogger('ActivityController');
@@ -10,8 +13,27 @@ const controllerLogger = logger.createContextLogger('ActivityController');
  * Controller for handling activity API requests.
  * Handles request processing, input validation,
  * response formatting, and error handling.
+ * Coaches can read the activities of their athletes, only owners can change them.
  */
 
+/**
+ * Gets an activity the user may read, their own or one of their athletes'
+ * @param {string} id - Activity identifier
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Activity data
+ * @throws {NotFoundError} If activity not found or not readable by the user
+ * @private
+ */
+async function getReadableActivity(id, user) {
+  const activity = await activityService.getActivityById(id);
+  
+  if (activity.userId !== user.id && !(await coachingService.isCoachOf(user.id, activity.userId))) {
+    throw new NotFoundError(`Activity with ID ${id} not found`);
+  }
+  
+  return activity;
+}
+
 /**
  * Gets all activities with optional filtering
  * @param {Object} req - Express request
@@ -21,11 +43,28 @@ const controllerLogger = logger.createContextLogger('ActivityController');
  */
 export async function getActivities(req, res, next) {
   try {
-    // Extract filter parameters from query
+    const { athleteId } = req.query;
+    
+    // Coaches list an athlete's activities with athleteId
+    if (athleteId && athleteId !== req.user.id && !(await coachingService.isCoachOf(req.user.id, athleteId))) {
+      return formatResponse(res, 403, { 
+        error: 'You do not have permission to access this athlete\'s activities' 
+      });
+    }
+    
+    // Same history filters as the app, see utils/activityFilter
+    const { filter, errors } = parseActivityFilter(req.query);
+    if (errors.length > 0) {
+      return formatResponse(res, 400, { 
+        error: 'Invalid filter',
+        validationErrors: errors
+      });
+    }
+    
     const filters = {
-      startDate: req.query.startDate,
-      endDate: req.query.endDate,
-      type: req.query.type
+      ...filter,
+      userId: athleteId || req.user.id,
+      updatedSince: req.query.updatedSince
     };
     
     // Extract pagination and sorting options
@@ -42,7 +81,8 @@ export async function getActivities(req, res, next) {
       activities,
       count: activities.length,
       filters,
-      options
+      options,
+      serverTime: Date.now()
     });
   } catch (error) {
     controllerLogger.error('Error getting activities', error);
@@ -50,6 +90,56 @@ export async function getActivities(req, res, next) {
   }
 }
 
+/**
+ * Searches activity names, notes and tags, best matches first
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @returns {Promise<void>} Resolves with response
+ */
+export async function searchActivities(req, res, next) {
+  try {
+    const { q, athleteId } = req.query;
+    
+    // Coaches search an athlete's activities with athleteId
+    if (athleteId && athleteId !== req.user.id && !(await coachingService.isCoachOf(req.user.id, athleteId))) {
+      return formatResponse(res, 403, { 
+        error: 'You do not have permission to access this athlete\'s activities' 
+      });
+    }
+    
+    // Results can be narrowed with the history filters
+    const { filter, errors } = parseActivityFilter(req.query);
+    if (errors.length > 0) {
+      return formatResponse(res, 400, { 
+        error: 'Invalid filter',
+        validationErrors: errors
+      });
+    }
+    
+    const options = {
+      limit: req.query.limit ? parseInt(req.query.limit) : 20,
+      offset: req.query.offset ? parseInt(req.query.offset) : 0
+    };
+    
+    const activities = await activityService.searchActivities(athleteId || req.user.id, q, filter, options);
+    
+    return formatResponse(res, 200, {
+      activities,
+      count: activities.length,
+      query: q,
+      options
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return formatResponse(res, 400, { error: error.message });
+    }
+    
+    controllerLogger.error('Error searching activities', error);
+    next(error);
+  }
+}
+
 /**
  * Gets activity by ID
  * @param {Object} req - Express request
@@ -60,7 +150,7 @@ export async function getActivities(req, res, next) {
 export async function getActivityById(req, res, next) {
   try {
     const { id } = req.params;
-    const activity = await activityService.getActivityById(id);
+    const activity = await getReadableActivity(id, req.user);
     
     return formatResponse(res, 200, { activity });
   } catch (error) {
@@ -107,7 +197,9 @@ export async function createActivity(req, res, next) {
 }
 
 /**
- * Updates existing activity
+ * Updates existing activity. When the body carries baseVersion, the
+ * version the client last saw, an activity changed since then is not
+ * updated and 409 is returned with the current activity to merge with.
  * @param {Object} req - Express request
  * @param {Object} res - Express response
  * @param {Function} next - Express next function
@@ -116,14 +208,25 @@ export async function createActivity(req, res, next) {
 export async function updateActivity(req, res, next) {
   try {
     const { id } = req.params;
-    const updates = req.body;
-    
-    // Validate user can update this activity
-    const existingActivity = await activityService.getActivityById(id);
-    
-    if (existingActivity.userId !== req.user.id) {
-      return formatResponse(res, 403, { 
-        error: 'You do not have permission to update this activity' 
+    const { baseVersion, ...updates } = req.body;
+    
+    // Activities of other users are not found
+    await activityService.getActivityById(id, req.user.id);
+    
+    if (baseVersion !== undefined) {
+      const result = await activityService.updateActivityIfUnchanged(id, updates, Number(baseVersion));
+      
+      if (result.conflict) {
+        return formatResponse(res, 409, {
+          conflict: true,
+          activity: result.activity,
+          error: 'Activity was changed since it was last synced'
+        });
+      }
+      
+      return formatResponse(res, 200, { 
+        activity: result.activity,
+        message: 'Activity updated successfully' 
       });
     }
     
@@ -161,14 +264,8 @@ export async function deleteActivity(req, res, next) {
   try {
     const { id } = req.params;
     
-    // Validate user can delete this activity
-    const existingActivity = await activityService.getActivityById(id);
-    
-    if (existingActivity.userId !== req.user.id) {
-      return formatResponse(res, 403, { 
-        error: 'You do not have permission to delete this activity' 
-      });
-    }
+    // Activities of other users are not found
+    await activityService.getActivityById(id, req.user.id);
     
     await activityService.deleteActivity(id);
     
@@ -201,17 +298,13 @@ export async function getSensorData(req, res, next) {
       type: req.query.type,
       startTime: req.query.startTime ? parseInt(req.query.startTime) : undefined,
       endTime: req.query.endTime ? parseInt(req.query.endTime) : undefined,
-      limit: req.query.limit ? parseInt(req.query.limit) : undefined
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined,
+      points: req.query.points ? Number(req.query.points) : undefined,
+      resolution: req.query.resolution ? Number(req.query.resolution) : undefined
     };
     
-    // Validate user can access this activity
-    const existingActivity = await activityService.getActivityById(id);
-    
-    if (existingActivity.userId !== req.user.id) {
-      return formatResponse(res, 403, { 
-        error: 'You do not have permission to access this activity data' 
-      });
-    }
+    // Own activities and those of coached athletes can be read
+    await getReadableActivity(id, req.user);
     
     const sensorData = await activityService.getSensorData(id, options);
     
@@ -221,6 +314,10 @@ export async function getSensorData(req, res, next) {
       return formatResponse(res, 404, { error: error.message });
     }
     
+    if (error instanceof ValidationError) {
+      return formatResponse(res, 400, { error: error.message });
+    }
+    
     controllerLogger.error('Error getting sensor data', error);
     next(error);
   }
@@ -237,14 +334,8 @@ export async function getActivityRoute(req, res, next) {
   try {
     const { id } = req.params;
     
-    // Validate user can access this activity
-    const existingActivity = await activityService.getActivityById(id);
-    
-    if (existingActivity.userId !== req.user.id) {
-      return formatResponse(res, 403, { 
-        error: 'You do not have permission to access this activity data' 
-      });
-    }
+    // Own activities and those of coached athletes can be read
+    await getReadableActivity(id, req.user);
     
     const routeData = await activityService.getActivityRoute(id);
     
@@ -259,6 +350,75 @@ export async function getActivityRoute(req, res, next) {
   }
 }
 
+/**
+ * Sends an activity export file
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @param {string} format - Export format
+ * @returns {Promise<void>} Resolves with response
+ * @private
+ */
+async function sendActivityExport(req, res, next, format) {
+  try {
+    const { id } = req.params;
+    
+    // Own activities and those of coached athletes can be read
+    await getReadableActivity(id, req.user);
+    
+    const { content, mimeType, fileName } = await activityService.exportActivity(id, format);
+    
+    // Text formats carry a charset, FIT is sent as raw bytes
+    const isText = typeof content === 'string';
+    
+    res.set({
+      'Content-Type': isText ? `${mimeType}; charset=utf-8` : mimeType,
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+    return res.status(200).send(isText ? content : Buffer.from(content));
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return formatResponse(res, 404, { error: error.message });
+    }
+    
+    controllerLogger.error(`Error exporting activity as ${format}`, error);
+    next(error);
+  }
+}
+
+/**
+ * Exports activity as a GPX 1.1 file
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @returns {Promise<void>} Resolves with response
+ */
+export async function exportActivityGpx(req, res, next) {
+  return sendActivityExport(req, res, next, EXPORT_FORMATS.GPX);
+}
+
+/**
+ * Exports activity as a TCX file with its laps
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @returns {Promise<void>} Resolves with response
+ */
+export async function exportActivityTcx(req, res, next) {
+  return sendActivityExport(req, res, next, EXPORT_FORMATS.TCX);
+}
+
+/**
+ * Exports activity as a FIT activity file
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @returns {Promise<void>} Resolves with response
+ */
+export async function exportActivityFit(req, res, next) {
+  return sendActivityExport(req, res, next, EXPORT_FORMATS.FIT);
+}
+
 /**
  * Adds sensor data to an activity
  * @param {Object} req - Express request
@@ -271,14 +431,8 @@ export async function addSensorData(req, res, next) {
     const { id } = req.params;
     const sensorData = req.body.data;
     
-    // Validate user can update this activity
-    const existingActivity = await activityService.getActivityById(id);
-    
-    if (existingActivity.userId !== req.user.id) {
-      return formatResponse(res, 403, { 
-        error: 'You do not have permission to update this activity' 
-      });
-    }
+    // Activities of other users are not found
+    await activityService.getActivityById(id, req.user.id);
     
     const result = await activityService.addSensorData(id, sensorData);
     
@@ -303,6 +457,82 @@ export async function addSensorData(req, res, next) {
   }
 }
 
+/**
+ * Adds route points to an activity
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @returns {Promise<void>} Resolves with response
+ */
+export async function addActivityRoute(req, res, next) {
+  try {
+    const { id } = req.params;
+    const locations = req.body.locations;
+    
+    // Activities of other users are not found
+    await activityService.getActivityById(id, req.user.id);
+    
+    const result = await activityService.addLocations(id, locations);
+    
+    return formatResponse(res, 200, { 
+      recordsAdded: result.count,
+      message: 'Route points added successfully' 
+    });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return formatResponse(res, 404, { error: error.message });
+    }
+    
+    if (error instanceof ValidationError) {
+      return formatResponse(res, 400, { 
+        error: error.message,
+        validationErrors: error.details
+      });
+    }
+    
+    controllerLogger.error('Error adding route points', error);
+    next(error);
+  }
+}
+
+/**
+ * Imports an activity from an uploaded GPX, TCX or FIT file
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @returns {Promise<void>} Resolves with response
+ */
+export async function importActivity(req, res, next) {
+  try {
+    const result = await activityService.importActivity(req.file, req.user.id);
+    
+    // Duplicates are reported with the activity that already exists
+    if (result.duplicate) {
+      return formatResponse(res, 409, {
+        duplicate: true,
+        activity: result.activity,
+        error: 'An activity with the same start time already exists'
+      });
+    }
+    
+    return formatResponse(res, 201, {
+      duplicate: false,
+      activity: result.activity,
+      message: 'Activity imported successfully'
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return formatResponse(res, 400, {
+        error: error.message,
+        validationErrors: error.details
+      });
+    }
+    
+    controllerLogger.error('Error importing activity', error);
+    next(error);
+  }
+}
+
 /**
  * Gets activity summary metrics
  * @param {Object} req - Express request
@@ -0,0 +1,118 @@
+import authService from '../services/authService';
+import { formatResponse } from '../utils/responseFormatter';
+import { ValidationError } from '../utils/errorTypes';
+import logger from '../../utils/logger';
+
+// Create logger instance for this module
+const controllerLogger = logger.createContextLogger('AuthController');
+
+/**
+ * Controller for handling authentication API requests.
+ * Responses carry the user with an accessToken for the Authorization
+ * header and a refreshToken to get the next pair.
+ */
+
+/**
+ * Registers a new account
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @returns {Promise<void>} Resolves with response
+ */
+export async function register(req, res, next) {
+  try {
+    const result = await authService.register(req.body);
+    
+    if (result.duplicate) {
+      return formatResponse(res, 409, {
+        error: 'An account with this email already exists'
+      });
+    }
+    
+    return formatResponse(res, 201, {
+      user: result.user,
+      ...result.tokens,
+      message: 'Account created successfully'
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return formatResponse(res, 400, {
+        error: error.message,
+        validationErrors: error.details
+      });
+    }
+    
+    controllerLogger.error('Error registering user', error);
+    next(error);
+  }
+}
+
+/**
+ * Signs in with email and password
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @returns {Promise<void>} Resolves with response
+ */
+export async function login(req, res, next) {
+  try {
+    const { email, password } = req.body;
+    const result = await authService.login(email, password);
+    
+    // Same answer for unknown emails and wrong passwords
+    if (!result) {
+      return formatResponse(res, 401, { error: 'Invalid email or password' });
+    }
+    
+    return formatResponse(res, 200, {
+      user: result.user,
+      ...result.tokens
+    });
+  } catch (error) {
+    controllerLogger.error('Error signing in', error);
+    next(error);
+  }
+}
+
+/**
+ * Exchanges a refresh token for a new token pair
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @returns {Promise<void>} Resolves with response
+ */
+export async function refresh(req, res, next) {
+  try {
+    const result = await authService.refresh(req.body.refreshToken);
+    
+    if (!result) {
+      return formatResponse(res, 401, { error: 'Refresh token is invalid or expired' });
+    }
+    
+    return formatResponse(res, 200, {
+      user: result.user,
+      ...result.tokens
+    });
+  } catch (error) {
+    controllerLogger.error('Error refreshing tokens', error);
+    next(error);
+  }
+}
+
+/**
+ * Ends the session of a refresh token
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @returns {Promise<void>} Resolves with response
+ */
+export async function logout(req, res, next) {
+  try {
+    await authService.logout(req.body.refreshToken);
+    
+    return formatResponse(res, 200, { message: 'Signed out successfully' });
+  } catch (error) {
+    controllerLogger.error('Error signing out', error);
+    next(error);
+  }
+}
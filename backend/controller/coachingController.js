@@ -0,0 +1,164 @@
+import coachingService from '../services/coachingService';
+import { formatResponse } from '../utils/responseFormatter';
+import { NotFoundError, ValidationError } from '../utils/errorTypes';
+import logger from '../../utils/logger';
+
+// Create logger instance for this module
+const controllerLogger = logger.createContextLogger('CoachingController');
+
+/**
+ * Controller for handling coach/athlete API requests.
+ * /athletes is the coach's side of a relationship, /coaches the athlete's.
+ */
+
+/**
+ * Gets the coach's athletes with their activity summary
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @returns {Promise<void>} Resolves with response
+ */
+export async function getAthletes(req, res, next) {
+  try {
+    const period = req.query.period || 'week';
+    const { athletes, invitations } = await coachingService.getRoster(req.user.id, period);
+    
+    return formatResponse(res, 200, {
+      athletes,
+      invitations,
+      count: athletes.length,
+      period
+    });
+  } catch (error) {
+    controllerLogger.error('Error getting athletes', error);
+    next(error);
+  }
+}
+
+/**
+ * Invites an athlete by email
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @returns {Promise<void>} Resolves with response
+ */
+export async function inviteAthlete(req, res, next) {
+  try {
+    const result = await coachingService.inviteAthlete(req.user.id, req.body.email);
+    
+    if (result.duplicate) {
+      return formatResponse(res, 409, {
+        duplicate: true,
+        relationship: result.relationship,
+        error: 'This athlete was already invited'
+      });
+    }
+    
+    return formatResponse(res, 201, {
+      duplicate: false,
+      relationship: result.relationship,
+      message: 'Athlete invited successfully'
+    });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return formatResponse(res, 404, { error: error.message });
+    }
+    
+    if (error instanceof ValidationError) {
+      return formatResponse(res, 400, {
+        error: error.message,
+        validationErrors: error.details
+      });
+    }
+    
+    controllerLogger.error('Error inviting athlete', error);
+    next(error);
+  }
+}
+
+/**
+ * Removes an athlete or cancels their invitation
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @returns {Promise<void>} Resolves with response
+ */
+export async function removeAthlete(req, res, next) {
+  try {
+    await coachingService.removeRelationship(req.user.id, req.params.id);
+    
+    return formatResponse(res, 200, { message: 'Athlete removed successfully' });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return formatResponse(res, 404, { error: error.message });
+    }
+    
+    controllerLogger.error('Error removing athlete', error);
+    next(error);
+  }
+}
+
+/**
+ * Gets the athlete's coaches and pending invitations
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @returns {Promise<void>} Resolves with response
+ */
+export async function getCoaches(req, res, next) {
+  try {
+    const { coaches, invitations } = await coachingService.getCoaches(req.user.id);
+    
+    return formatResponse(res, 200, { coaches, invitations });
+  } catch (error) {
+    controllerLogger.error('Error getting coaches', error);
+    next(error);
+  }
+}
+
+/**
+ * Accepts a coach's invitation
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @returns {Promise<void>} Resolves with response
+ */
+export async function acceptCoach(req, res, next) {
+  try {
+    const relationship = await coachingService.acceptInvitation(req.user.id, req.params.id);
+    
+    return formatResponse(res, 200, {
+      relationship,
+      message: 'Invitation accepted successfully'
+    });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return formatResponse(res, 404, { error: error.message });
+    }
+    
+    controllerLogger.error('Error accepting coach invitation', error);
+    next(error);
+  }
+}
+
+/**
+ * Leaves a coach or declines their invitation
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @returns {Promise<void>} Resolves with response
+ */
+export async function removeCoach(req, res, next) {
+  try {
+    await coachingService.removeRelationship(req.params.id, req.user.id);
+    
+    return formatResponse(res, 200, { message: 'Coach removed successfully' });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return formatResponse(res, 404, { error: error.message });
+    }
+    
+    controllerLogger.error('Error removing coach', error);
+    next(error);
+  }
+}
@@ -0,0 +1,242 @@
+import workoutService from '../services/workoutService';
+import coachingService from '../services/coachingService';
+import { formatResponse } from '../utils/responseFormatter';
+import { NotFoundError, ValidationError } from '../utils/errorTypes';
+import logger from '../../utils/logger';
+
+// Create logger instance for this module
+const controllerLogger = logger.createContextLogger('WorkoutController');
+
+/**
+ * Controller for handling workout library API requests.
+ * Handles request processing, ownership checks,
+ * response formatting, and error handling.
+ */
+
+/**
+ * Checks whether a user may read a workout, their own or one written by
+ * one of their coaches
+ * @param {Object} workout - Workout
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<boolean>} True if the workout is readable
+ */
+async function canReadWorkout(workout, user) {
+  return workout.userId === user.id || coachingService.isCoachOf(workout.userId, user.id);
+}
+
+/**
+ * Gets the workouts of the authenticated user, or with coachId the workouts
+ * written by one of their coaches
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @returns {Promise<void>} Resolves with response
+ */
+export async function getWorkouts(req, res, next) {
+  try {
+    const { coachId } = req.query;
+    
+    // Athletes list the workouts their coach wrote with coachId
+    if (coachId && coachId !== req.user.id && !(await coachingService.isCoachOf(coachId, req.user.id))) {
+      return formatResponse(res, 403, {
+        error: 'You do not have permission to access this coach\'s workouts'
+      });
+    }
+    
+    const filters = {
+      userId: coachId || req.user.id,
+      type: req.query.type,
+      tag: req.query.tag,
+      updatedSince: req.query.updatedSince
+    };
+    
+    const options = {
+      limit: req.query.limit ? parseInt(req.query.limit) : 50,
+      offset: req.query.offset ? parseInt(req.query.offset) : 0,
+      sortBy: req.query.sortBy || 'updatedAt',
+      sortOrder: req.query.sortOrder || 'desc'
+    };
+    
+    const workouts = await workoutService.getWorkouts(filters, options);
+    
+    return formatResponse(res, 200, {
+      workouts,
+      count: workouts.length,
+      serverTime: Date.now()
+    });
+  } catch (error) {
+    controllerLogger.error('Error getting workouts', error);
+    next(error);
+  }
+}
+
+/**
+ * Gets workout by ID, athletes can read the workouts of their coaches
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @returns {Promise<void>} Resolves with response
+ */
+export async function getWorkoutById(req, res, next) {
+  try {
+    const { id } = req.params;
+    const workout = await workoutService.getWorkoutById(id);
+    
+    if (!(await canReadWorkout(workout, req.user))) {
+      return formatResponse(res, 403, {
+        error: 'You do not have permission to access this workout'
+      });
+    }
+    
+    return formatResponse(res, 200, { workout });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return formatResponse(res, 404, { error: error.message });
+    }
+    
+    controllerLogger.error('Error getting workout by ID', error);
+    next(error);
+  }
+}
+
+/**
+ * Creates new workout
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @returns {Promise<void>} Resolves with response
+ */
+export async function createWorkout(req, res, next) {
+  try {
+    const workout = await workoutService.createWorkout({
+      ...req.body,
+      userId: req.user.id
+    });
+    
+    return formatResponse(res, 201, {
+      workout,
+      message: 'Workout created successfully'
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return formatResponse(res, 400, {
+        error: error.message,
+        validationErrors: error.details
+      });
+    }
+    
+    controllerLogger.error('Error creating workout', error);
+    next(error);
+  }
+}
+
+/**
+ * Updates existing workout
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @returns {Promise<void>} Resolves with response
+ */
+export async function updateWorkout(req, res, next) {
+  try {
+    const { id } = req.params;
+    
+    const existingWorkout = await workoutService.getWorkoutById(id);
+    
+    if (existingWorkout.userId !== req.user.id) {
+      return formatResponse(res, 403, {
+        error: 'You do not have permission to update this workout'
+      });
+    }
+    
+    const workout = await workoutService.updateWorkout(id, req.body);
+    
+    return formatResponse(res, 200, {
+      workout,
+      message: 'Workout updated successfully'
+    });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return formatResponse(res, 404, { error: error.message });
+    }
+    
+    if (error instanceof ValidationError) {
+      return formatResponse(res, 400, {
+        error: error.message,
+        validationErrors: error.details
+      });
+    }
+    
+    controllerLogger.error('Error updating workout', error);
+    next(error);
+  }
+}
+
+/**
+ * Deletes workout by ID
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @returns {Promise<void>} Resolves with response
+ */
+export async function deleteWorkout(req, res, next) {
+  try {
+    const { id } = req.params;
+    
+    const existingWorkout = await workoutService.getWorkoutById(id);
+    
+    if (existingWorkout.userId !== req.user.id) {
+      return formatResponse(res, 403, {
+        error: 'You do not have permission to delete this workout'
+      });
+    }
+    
+    await workoutService.deleteWorkout(id);
+    
+    return formatResponse(res, 200, {
+      message: 'Workout deleted successfully'
+    });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return formatResponse(res, 404, { error: error.message });
+    }
+    
+    controllerLogger.error('Error deleting workout', error);
+    next(error);
+  }
+}
+
+/**
+ * Copies a workout into the authenticated user's library
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @returns {Promise<void>} Resolves with response
+ */
+export async function duplicateWorkout(req, res, next) {
+  try {
+    const { id } = req.params;
+    
+    const existingWorkout = await workoutService.getWorkoutById(id);
+    
+    if (existingWorkout.userId !== req.user.id) {
+      return formatResponse(res, 403, {
+        error: 'You do not have permission to copy this workout'
+      });
+    }
+    
+    const workout = await workoutService.duplicateWorkout(id, req.user.id, req.body?.name);
+    
+    return formatResponse(res, 201, {
+      workout,
+      message: 'Workout duplicated successfully'
+    });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return formatResponse(res, 404, { error: error.message });
+    }
+    
+    controllerLogger.error('Error duplicating workout', error);
+    next(error);
+  }
+}
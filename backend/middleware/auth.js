@@ -0,0 +1,35 @@
+import authService from '../services/authService';
+import { formatResponse } from '../utils/responseFormatter';
+
+/**
+ * Authentication middleware.
+ * Requests must carry an access token as "Authorization: Bearer <token>".
+ */
+
+/**
+ * Verifies the access token and sets req.user to { id, email }
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @returns {void}
+ */
+export function authenticate(req, res, next) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  
+  if (scheme !== 'Bearer' || !token) {
+    return formatResponse(res, 401, { error: 'Authentication required' });
+  }
+  
+  try {
+    const user = authService.verifyAccessToken(token);
+    
+    if (!user) {
+      return formatResponse(res, 401, { error: 'Access token is invalid or expired' });
+    }
+    
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
@@ -2,6 +2,13 @@ import dbManager from '../database/dbManager';
 import logger from '../../utils/logger';
 import { NotFoundError, DatabaseError, ValidationError } from '../utils/errorTypes';
 import { v4 as uuidv4 } from 'uuid';
+import { buildActivityFilterQuery } from '../../utils/activityFilter';
+import {
+  CREATE_ACTIVITIES_FTS_TABLE,
+  CREATE_ACTIVITIES_FTS_TRIGGERS,
+  REBUILD_ACTIVITIES_FTS,
+  buildActivitySearchQuery
+} from '../../utils/activitySearch';
 
 // Create logger instance for this module
 const modelLogger = logger.createContextLogger('ActivityModel');
@@ -18,6 +25,9 @@ class Activity {
   // Database connection
   static db = null;
   
+  // Whether the full-text index exists
+  static searchIndexReady = false;
+  
   /**
    * Initializes the database connection
    * @private
@@ -56,6 +66,9 @@ class Activity {
         start_time: data.startTime,
         end_time: data.endTime,
         duration: data.duration,
+        elapsed_time: data.elapsedTime,
+        timer_time: data.timerTime,
+        moving_time: data.movingTime,
         distance: data.distance,
         avg_heart_rate: data.avgHeartRate,
         avg_power: data.avgPower,
@@ -63,9 +76,12 @@ class Activity {
         elevation_gain: data.elevationGain,
         device_ids: data.deviceIds ? JSON.stringify(data.deviceIds) : null,
         notes: data.notes,
+        tags: data.tags ? JSON.stringify(data.tags) : null,
+        laps: data.laps ? JSON.stringify(data.laps) : null,
         user_id: data.userId,
         created_at: data.createdAt || Date.now(),
-        updated_at: data.updatedAt || Date.now()
+        updated_at: data.updatedAt || Date.now(),
+        version: 1
       };
       
       // Convert fields to SQLite format
@@ -90,15 +106,24 @@ class Activity {
   /**
    * Finds activity by ID
    * @param {string} id - Activity identifier
+   * @param {string} userId - Owner, activities of other users aren't found
+   *   when given
    * @returns {Promise<Object>} Activity record
    * @throws {NotFoundError} If activity not found
    */
-  static async findById(id) {
+  static async findById(id, userId) {
     try {
       await this._initDb();
       
-      const query = `SELECT * FROM ${this.tableName} WHERE id = ?`;
-      const [results] = await this.db.executeSql(query, [id]);
+      let query = `SELECT * FROM ${this.tableName} WHERE id = ?`;
+      const queryParams = [id];
+      
+      if (userId) {
+        query += ' AND user_id = ?';
+        queryParams.push(userId);
+      }
+      
+      const [results] = await this.db.executeSql(query, queryParams);
       
       if (results.rows.length === 0) {
         throw new NotFoundError(`Activity with ID ${id} not found`);
@@ -137,19 +162,17 @@ class Activity {
         queryParams.push(filters.userId);
       }
       
-      if (filters.type) {
-        query += ' AND type = ?';
-        queryParams.push(filters.type);
-      }
-      
-      if (filters.startDate) {
-        query += ' AND start_time >= ?';
-        queryParams.push(filters.startDate);
-      }
+      // History filters shared with the app, see utils/activityFilter
+      const { conditions, params } = buildActivityFilterQuery(filters);
+      conditions.forEach(condition => {
+        query += ` AND ${condition}`;
+      });
+      queryParams.push(...params);
       
-      if (filters.endDate) {
-        query += ' AND start_time <= ?';
-        queryParams.push(filters.endDate);
+      // Lets clients pull only what changed since their last sync
+      if (filters.updatedSince) {
+        query += ' AND updated_at > ?';
+        queryParams.push(filters.updatedSince);
       }
       
       // Apply sorting
@@ -157,9 +180,13 @@ class Activity {
         'startTime': 'start_time',
         'endTime': 'end_time',
         'duration': 'duration',
+        'elapsedTime': 'elapsed_time',
+        'timerTime': 'timer_time',
+        'movingTime': 'moving_time',
         'distance': 'distance',
         'type': 'type',
-        'createdAt': 'created_at'
+        'createdAt': 'created_at',
+        'updatedAt': 'updated_at'
       };
       
       const sortBy = validSortFields[options.sortBy] || 'start_time';
@@ -194,15 +221,96 @@ class Activity {
     }
   }
   
+  /**
+   * Searches activity names, notes and tags, best matches first
+   * @param {string} userId - Owner of the activities
+   * @param {string} text - Search input
+   * @param {Object} filters - History filters, see utils/activityFilter
+   * @param {Object} options - Pagination
+   * @returns {Promise<Array>} Matching activities with search rank, name
+   *   highlight and snippet
+   * @throws {DatabaseError} If query fails
+   */
+  static async search(userId, text, filters = {}, options = {}) {
+    try {
+      await this._initDb();
+      await this._ensureSearchIndex();
+      
+      // Search replaces the LIKE filter on name and notes
+      const { conditions, params } = buildActivityFilterQuery({ ...filters, search: undefined });
+      
+      const searchQuery = buildActivitySearchQuery(text, {
+        conditions: ['user_id = ?', ...conditions],
+        params: [userId, ...params],
+        limit: options.limit || 20,
+        offset: options.offset || 0
+      });
+      
+      if (!searchQuery) {
+        return [];
+      }
+      
+      const [results] = await this.db.executeSql(searchQuery.sql, searchQuery.params);
+      
+      const activities = [];
+      for (let i = 0; i < results.rows.length; i++) {
+        const row = results.rows.item(i);
+        activities.push({
+          ...this._formatActivityData(row),
+          search: {
+            rank: row.search_rank,
+            nameHighlight: row.name_highlight,
+            snippet: row.search_snippet
+          }
+        });
+      }
+      
+      return activities;
+    } catch (error) {
+      modelLogger.error('Failed to search activities', error);
+      throw new DatabaseError('Database query failed', { cause: error });
+    }
+  }
+  
+  /**
+   * Creates the full-text index and its triggers on first use, indexing
+   * the activities stored before
+   * @private
+   */
+  static async _ensureSearchIndex() {
+    if (this.searchIndexReady) {
+      return;
+    }
+    
+    const [results] = await this.db.executeSql(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'activities_fts'"
+    );
+    
+    if (results.rows.length === 0) {
+      await this.db.executeSql(CREATE_ACTIVITIES_FTS_TABLE);
+      for (const trigger of CREATE_ACTIVITIES_FTS_TRIGGERS) {
+        await this.db.executeSql(trigger);
+      }
+      await this.db.executeSql(REBUILD_ACTIVITIES_FTS);
+      modelLogger.info('Activity search index created');
+    }
+    
+    this.searchIndexReady = true;
+  }
+  
   /**
    * Updates activity record
    * @param {string} id - Activity identifier
    * @param {Object} updates - Fields to update
-   * @returns {Promise<Object>} Updated activity
+   * @param {Object} options - Update options
+   * @param {number} options.baseVersion - Only update if the record is
+   *   still at this version
+   * @returns {Promise<Object|null>} Updated activity, null if the record
+   *   is no longer at baseVersion
    * @throws {NotFoundError} If activity not found
    * @throws {DatabaseError} If update fails
    */
-  static async update(id, updates) {
+  static async update(id, updates, options = {}) {
     try {
       await this._initDb();
       
@@ -219,6 +327,9 @@ class Activity {
         startTime: 'start_time',
         endTime: 'end_time',
         duration: 'duration',
+        elapsedTime: 'elapsed_time',
+        timerTime: 'timer_time',
+        movingTime: 'moving_time',
         distance: 'distance',
         avgHeartRate: 'avg_heart_rate',
         avgPower: 'avg_power',
@@ -226,6 +337,8 @@ class Activity {
         elevationGain: 'elevation_gain',
         deviceIds: 'device_ids',
         notes: 'notes',
+        tags: 'tags',
+        laps: 'laps',
         updatedAt: 'updated_at'
       };
       
@@ -235,7 +348,7 @@ class Activity {
         
         if (dbField) {
           // Handle special cases
-          if (key === 'deviceIds' && value !== null) {
+          if ((key === 'deviceIds' || key === 'tags' || key === 'laps') && value !== null) {
             updateData[dbField] = JSON.stringify(value);
           } else {
             updateData[dbField] = value;
@@ -248,16 +361,29 @@ class Activity {
         return this.findById(id);
       }
       
-      // Convert to SQL format
-      const setClauses = Object.keys(updateData)
-        .map(column => `${column} = ?`)
-        .join(', ');
+      // Convert to SQL format, every write moves the record to a new version.
+      // Records stored before versioning count as version 1.
+      const setClauses = [
+        ...Object.keys(updateData).map(column => `${column} = ?`),
+        'version = COALESCE(version, 1) + 1'
+      ].join(', ');
       
       const values = [...Object.values(updateData), id];
       
       // Construct and execute query
-      const query = `UPDATE ${this.tableName} SET ${setClauses} WHERE id = ?`;
-      await this.db.executeSql(query, values);
+      let query = `UPDATE ${this.tableName} SET ${setClauses} WHERE id = ?`;
+      
+      // Checked in the same statement so a concurrent write can't slip in
+      if (options.baseVersion !== undefined) {
+        query += ' AND COALESCE(version, 1) = ?';
+        values.push(options.baseVersion);
+      }
+      
+      const [results] = await this.db.executeSql(query, values);
+      
+      if (options.baseVersion !== undefined && results.rowsAffected === 0) {
+        return null;
+      }
       
       // Return the updated activity
       return this.findById(id);
@@ -411,7 +537,8 @@ class Activity {
   }
   
   /**
-   * Adds sensor data to activity
+   * Adds sensor data to activity, readings with an id that is already
+   * stored are skipped so uploads can be repeated
    * @param {string} activityId - Activity identifier
    * @param {Array} sensorData - Sensor readings
    * @returns {Promise<boolean>} Success state
@@ -425,16 +552,15 @@ class Activity {
       await this.db.transaction(async (tx) => {
         // Prepare insertion statement
         const query = `
-          INSERT INTO sensor_data (
+          INSERT OR IGNORE INTO sensor_data (
             id, activity_id, timestamp, data_type, value, device_id
           ) VALUES (?, ?, ?, ?, ?, ?)
         `;
         
         // Insert each sensor data point
         for (const data of sensorData) {
-          const id = uuidv4();
           await tx.executeSql(query, [
-            id,
+            data.id || uuidv4(),
             activityId,
             data.timestamp,
             data.dataType,
@@ -451,6 +577,47 @@ class Activity {
     }
   }
   
+  /**
+   * Adds route points to activity, points with an id that is already
+   * stored are skipped so uploads can be repeated
+   * @param {string} activityId - Activity identifier
+   * @param {Array} locations - Location points
+   * @returns {Promise<boolean>} Success state
+   * @throws {DatabaseError} If insertion fails
+   */
+  static async addLocations(activityId, locations) {
+    try {
+      await this._initDb();
+      
+      // Begin transaction
+      await this.db.transaction(async (tx) => {
+        const query = `
+          INSERT OR IGNORE INTO locations (
+            id, activity_id, timestamp, latitude, longitude, altitude, accuracy
+          ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `;
+        
+        // Insert each route point
+        for (const location of locations) {
+          await tx.executeSql(query, [
+            location.id || uuidv4(),
+            activityId,
+            location.timestamp,
+            location.latitude,
+            location.longitude,
+            location.altitude,
+            location.accuracy
+          ]);
+        }
+      });
+      
+      return true;
+    } catch (error) {
+      modelLogger.error(`Failed to add locations for activity ID ${activityId}`, error);
+      throw new DatabaseError('Failed to insert route data', { cause: error });
+    }
+  }
+  
   /**
    * Formats database row to activity object
    * @param {Object} row - Database result row
@@ -465,6 +632,10 @@ class Activity {
       startTime: row.start_time,
       endTime: row.end_time || null,
       duration: row.duration || null,
+      // Activities uploaded before the split only have duration
+      elapsedTime: row.elapsed_time || row.duration || null,
+      timerTime: row.timer_time || row.duration || null,
+      movingTime: row.moving_time || row.duration || null,
       distance: row.distance || null,
       avgHeartRate: row.avg_heart_rate || null,
       avgPower: row.avg_power || null,
@@ -472,9 +643,12 @@ class Activity {
       elevationGain: row.elevation_gain || null,
       deviceIds: row.device_ids ? JSON.parse(row.device_ids) : null,
       notes: row.notes || null,
+      tags: row.tags ? JSON.parse(row.tags) : [],
+      laps: row.laps ? JSON.parse(row.laps) : [],
       userId: row.user_id,
       createdAt: row.created_at,
-      updatedAt: row.updated_at
+      updatedAt: row.updated_at,
+      version: row.version || 1
     };
   }
 }
@@ -0,0 +1,237 @@
+import dbManager from '../database/dbManager';
+import logger from '../../utils/logger';
+import { DatabaseError } from '../utils/errorTypes';
+import { v4 as uuidv4 } from 'uuid';
+
+// Create logger instance for this module
+const modelLogger = logger.createContextLogger('CoachAthleteModel');
+
+// Relationship states, an invitation becomes active once the athlete accepts it
+export const RELATIONSHIP_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted'
+};
+
+/**
+ * Coach/athlete relationship data model for database operations.
+ * One record per coach and athlete pair, lists are joined with the
+ * users table so they carry the other side's account.
+ */
+class CoachAthlete {
+  // Database table name
+  static tableName = 'coach_athletes';
+  
+  // Database connection
+  static db = null;
+  
+  /**
+   * Initializes the database connection
+   * @private
+   */
+  static async _initDb() {
+    if (!this.db) {
+      try {
+        this.db = await dbManager.getConnection();
+        modelLogger.info('Database connection initialized for CoachAthlete model');
+      } catch (error) {
+        modelLogger.error('Failed to initialize database connection', error);
+        throw new DatabaseError('Database connection failed', { cause: error });
+      }
+    }
+    return this.db;
+  }
+  
+  /**
+   * Creates a pending invitation
+   * @param {string} coachId - Inviting coach
+   * @param {string} athleteId - Invited athlete
+   * @returns {Promise<Object>} Created relationship
+   * @throws {DatabaseError} If creation fails
+   */
+  static async create(coachId, athleteId) {
+    try {
+      await this._initDb();
+      
+      const query = `
+        INSERT INTO ${this.tableName} (
+          id, coach_id, athlete_id, status, invited_at, accepted_at
+        ) VALUES (?, ?, ?, ?, ?, NULL)
+      `;
+      await this.db.executeSql(query, [
+        uuidv4(),
+        coachId,
+        athleteId,
+        RELATIONSHIP_STATUS.PENDING,
+        Date.now()
+      ]);
+      
+      return this.find(coachId, athleteId);
+    } catch (error) {
+      modelLogger.error('Failed to create coach relationship', error);
+      throw new DatabaseError('Failed to create coach relationship record', { cause: error });
+    }
+  }
+  
+  /**
+   * Finds the relationship of a coach and athlete
+   * @param {string} coachId - Coach identifier
+   * @param {string} athleteId - Athlete identifier
+   * @returns {Promise<Object|null>} Relationship, null if there is none
+   * @throws {DatabaseError} If query fails
+   */
+  static async find(coachId, athleteId) {
+    try {
+      await this._initDb();
+      
+      const query = `SELECT * FROM ${this.tableName} WHERE coach_id = ? AND athlete_id = ?`;
+      const [results] = await this.db.executeSql(query, [coachId, athleteId]);
+      
+      if (results.rows.length === 0) {
+        return null;
+      }
+      
+      return this._formatRelationshipData(results.rows.item(0));
+    } catch (error) {
+      modelLogger.error('Failed to find coach relationship', error);
+      throw new DatabaseError('Database query failed', { cause: error });
+    }
+  }
+  
+  /**
+   * Finds the athletes of a coach
+   * @param {string} coachId - Coach identifier
+   * @param {string} status - Only relationships in this state when given
+   * @returns {Promise<Array>} Relationships with the athlete as user
+   * @throws {DatabaseError} If query fails
+   */
+  static async findByCoach(coachId, status) {
+    return this._findWithUsers('coach_id', 'athlete_id', coachId, status);
+  }
+  
+  /**
+   * Finds the coaches of an athlete
+   * @param {string} athleteId - Athlete identifier
+   * @param {string} status - Only relationships in this state when given
+   * @returns {Promise<Array>} Relationships with the coach as user
+   * @throws {DatabaseError} If query fails
+   */
+  static async findByAthlete(athleteId, status) {
+    return this._findWithUsers('athlete_id', 'coach_id', athleteId, status);
+  }
+  
+  /**
+   * Accepts a pending invitation
+   * @param {string} coachId - Coach identifier
+   * @param {string} athleteId - Athlete identifier
+   * @returns {Promise<boolean>} False if there was no pending invitation
+   * @throws {DatabaseError} If update fails
+   */
+  static async accept(coachId, athleteId) {
+    try {
+      await this._initDb();
+      
+      const query = `UPDATE ${this.tableName} SET status = ?, accepted_at = ?
+        WHERE coach_id = ? AND athlete_id = ? AND status = ?`;
+      const [results] = await this.db.executeSql(query, [
+        RELATIONSHIP_STATUS.ACCEPTED,
+        Date.now(),
+        coachId,
+        athleteId,
+        RELATIONSHIP_STATUS.PENDING
+      ]);
+      
+      return results.rowsAffected > 0;
+    } catch (error) {
+      modelLogger.error('Failed to accept coach invitation', error);
+      throw new DatabaseError('Failed to update coach relationship record', { cause: error });
+    }
+  }
+  
+  /**
+   * Deletes the relationship of a coach and athlete, accepted or not
+   * @param {string} coachId - Coach identifier
+   * @param {string} athleteId - Athlete identifier
+   * @returns {Promise<boolean>} False if there was no relationship
+   * @throws {DatabaseError} If deletion fails
+   */
+  static async delete(coachId, athleteId) {
+    try {
+      await this._initDb();
+      
+      const query = `DELETE FROM ${this.tableName} WHERE coach_id = ? AND athlete_id = ?`;
+      const [results] = await this.db.executeSql(query, [coachId, athleteId]);
+      
+      return results.rowsAffected > 0;
+    } catch (error) {
+      modelLogger.error('Failed to delete coach relationship', error);
+      throw new DatabaseError('Failed to delete coach relationship record', { cause: error });
+    }
+  }
+  
+  /**
+   * Finds relationships of one side joined with the account of the other
+   * @param {string} ownColumn - Column holding the given user
+   * @param {string} otherColumn - Column joined with the users table
+   * @param {string} userId - User identifier
+   * @param {string} status - Only relationships in this state when given
+   * @returns {Promise<Array>} Relationships with the other side as user
+   * @private
+   */
+  static async _findWithUsers(ownColumn, otherColumn, userId, status) {
+    try {
+      await this._initDb();
+      
+      let query = `SELECT r.*, u.email AS user_email, u.name AS user_name
+        FROM ${this.tableName} r
+        JOIN users u ON u.id = r.${otherColumn}
+        WHERE r.${ownColumn} = ?`;
+      const queryParams = [userId];
+      
+      if (status) {
+        query += ' AND r.status = ?';
+        queryParams.push(status);
+      }
+      
+      query += ' ORDER BY u.name ASC, u.email ASC';
+      
+      const [results] = await this.db.executeSql(query, queryParams);
+      
+      const relationships = [];
+      for (let i = 0; i < results.rows.length; i++) {
+        const row = results.rows.item(i);
+        relationships.push({
+          ...this._formatRelationshipData(row),
+          user: {
+            id: row[otherColumn],
+            email: row.user_email,
+            name: row.user_name || null
+          }
+        });
+      }
+      
+      return relationships;
+    } catch (error) {
+      modelLogger.error(`Failed to find coach relationships for user ID ${userId}`, error);
+      throw new DatabaseError('Database query failed', { cause: error });
+    }
+  }
+  
+  /**
+   * Formats database row to relationship object
+   * @param {Object} row - Database result row
+   * @returns {Object} Formatted relationship object
+   * @private
+   */
+  static _formatRelationshipData(row) {
+    return {
+      id: row.id,
+      coachId: row.coach_id,
+      athleteId: row.athlete_id,
+      status: row.status,
+      invitedAt: row.invited_at,
+      acceptedAt: row.accepted_at || null
+    };
+  }
+}
+
+export default CoachAthlete;
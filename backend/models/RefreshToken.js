@@ -0,0 +1,147 @@
+import dbManager from '../database/dbManager';
+import logger from '../../utils/logger';
+import { DatabaseError } from '../utils/errorTypes';
+import { v4 as uuidv4 } from 'uuid';
+
+// Create logger instance for this module
+const modelLogger = logger.createContextLogger('RefreshTokenModel');
+
+/**
+ * Refresh token data model for database operations.
+ * Only a hash of each token is stored, a token is revoked when it is
+ * exchanged for a new one or its session is logged out.
+ */
+class RefreshToken {
+  // Database table name
+  static tableName = 'refresh_tokens';
+  
+  // Database connection
+  static db = null;
+  
+  /**
+   * Initializes the database connection
+   * @private
+   */
+  static async _initDb() {
+    if (!this.db) {
+      try {
+        this.db = await dbManager.getConnection();
+        modelLogger.info('Database connection initialized for RefreshToken model');
+      } catch (error) {
+        modelLogger.error('Failed to initialize database connection', error);
+        throw new DatabaseError('Database connection failed', { cause: error });
+      }
+    }
+    return this.db;
+  }
+  
+  /**
+   * Creates new refresh token record
+   * @param {Object} data - { userId, tokenHash, expiresAt }
+   * @returns {Promise<string>} Record identifier
+   * @throws {DatabaseError} If creation fails
+   */
+  static async create(data) {
+    try {
+      await this._initDb();
+      
+      const id = uuidv4();
+      
+      const query = `
+        INSERT INTO ${this.tableName} (
+          id, user_id, token_hash, expires_at, revoked_at, created_at
+        ) VALUES (?, ?, ?, ?, NULL, ?)
+      `;
+      await this.db.executeSql(query, [id, data.userId, data.tokenHash, data.expiresAt, Date.now()]);
+      
+      return id;
+    } catch (error) {
+      modelLogger.error('Failed to create refresh token', error);
+      throw new DatabaseError('Failed to create refresh token record', { cause: error });
+    }
+  }
+  
+  /**
+   * Finds refresh token by hash, revoked and expired tokens included
+   * @param {string} tokenHash - Hash of the token
+   * @returns {Promise<Object|null>} Token record, null if unknown
+   * @throws {DatabaseError} If query fails
+   */
+  static async findByHash(tokenHash) {
+    try {
+      await this._initDb();
+      
+      const query = `SELECT * FROM ${this.tableName} WHERE token_hash = ?`;
+      const [results] = await this.db.executeSql(query, [tokenHash]);
+      
+      if (results.rows.length === 0) {
+        return null;
+      }
+      
+      return this._formatTokenData(results.rows.item(0));
+    } catch (error) {
+      modelLogger.error('Failed to find refresh token', error);
+      throw new DatabaseError('Database query failed', { cause: error });
+    }
+  }
+  
+  /**
+   * Revokes refresh token
+   * @param {string} id - Record identifier
+   * @returns {Promise<boolean>} False if the token was already revoked
+   * @throws {DatabaseError} If update fails
+   */
+  static async revoke(id) {
+    try {
+      await this._initDb();
+      
+      // Checked in the same statement so a token can only be used once
+      const query = `UPDATE ${this.tableName} SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL`;
+      const [results] = await this.db.executeSql(query, [Date.now(), id]);
+      
+      return results.rowsAffected > 0;
+    } catch (error) {
+      modelLogger.error(`Failed to revoke refresh token with ID ${id}`, error);
+      throw new DatabaseError('Failed to revoke refresh token', { cause: error });
+    }
+  }
+  
+  /**
+   * Revokes all refresh tokens of a user
+   * @param {string} userId - User identifier
+   * @returns {Promise<boolean>} Success state
+   * @throws {DatabaseError} If update fails
+   */
+  static async revokeAllForUser(userId) {
+    try {
+      await this._initDb();
+      
+      const query = `UPDATE ${this.tableName} SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL`;
+      await this.db.executeSql(query, [Date.now(), userId]);
+      
+      return true;
+    } catch (error) {
+      modelLogger.error(`Failed to revoke refresh tokens for user ID ${userId}`, error);
+      throw new DatabaseError('Failed to revoke refresh tokens', { cause: error });
+    }
+  }
+  
+  /**
+   * Formats database row to refresh token object
+   * @param {Object} row - Database result row
+   * @returns {Object} Formatted refresh token object
+   * @private
+   */
+  static _formatTokenData(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      tokenHash: row.token_hash,
+      expiresAt: row.expires_at,
+      revokedAt: row.revoked_at || null,
+      createdAt: row.created_at
+    };
+  }
+}
+
+export default RefreshToken;
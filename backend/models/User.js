@@ -0,0 +1,148 @@
+import dbManager from '../database/dbManager';
+import logger from '../../utils/logger';
+import { NotFoundError, DatabaseError } from '../utils/errorTypes';
+import { v4 as uuidv4 } from 'uuid';
+
+// Create logger instance for this module
+const modelLogger = logger.createContextLogger('UserModel');
+
+/**
+ * User data model for database operations.
+ * Stores accounts with their password hash, which never leaves the service layer.
+ */
+class User {
+  // Database table name
+  static tableName = 'users';
+  
+  // Database connection
+  static db = null;
+  
+  /**
+   * Initializes the database connection
+   * @private
+   */
+  static async _initDb() {
+    if (!this.db) {
+      try {
+        this.db = await dbManager.getConnection();
+        modelLogger.info('Database connection initialized for User model');
+      } catch (error) {
+        modelLogger.error('Failed to initialize database connection', error);
+        throw new DatabaseError('Database connection failed', { cause: error });
+      }
+    }
+    return this.db;
+  }
+  
+  /**
+   * Creates new user record
+   * @param {Object} data - User information with passwordHash
+   * @returns {Promise<Object>} Created user
+   * @throws {DatabaseError} If creation fails
+   */
+  static async create(data) {
+    try {
+      await this._initDb();
+      
+      const id = uuidv4();
+      
+      // Prepare data for insertion
+      const insertData = {
+        id,
+        email: data.email,
+        password_hash: data.passwordHash,
+        name: data.name,
+        created_at: Date.now(),
+        updated_at: Date.now()
+      };
+      
+      // Convert fields to SQLite format
+      const columns = Object.keys(insertData).join(', ');
+      const placeholders = Object.keys(insertData)
+        .map(() => '?')
+        .join(', ');
+      const values = Object.values(insertData);
+      
+      // Construct and execute query
+      const query = `INSERT INTO ${this.tableName} (${columns}) VALUES (${placeholders})`;
+      await this.db.executeSql(query, values);
+      
+      // Return the created user
+      return this.findById(id);
+    } catch (error) {
+      modelLogger.error('Failed to create user', error);
+      throw new DatabaseError('Failed to create user record', { cause: error });
+    }
+  }
+  
+  /**
+   * Finds user by ID
+   * @param {string} id - User identifier
+   * @returns {Promise<Object>} User record
+   * @throws {NotFoundError} If user not found
+   */
+  static async findById(id) {
+    try {
+      await this._initDb();
+      
+      const query = `SELECT * FROM ${this.tableName} WHERE id = ?`;
+      const [results] = await this.db.executeSql(query, [id]);
+      
+      if (results.rows.length === 0) {
+        throw new NotFoundError(`User with ID ${id} not found`);
+      }
+      
+      return this._formatUserData(results.rows.item(0));
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      
+      modelLogger.error(`Failed to find user with ID ${id}`, error);
+      throw new DatabaseError('Database query failed', { cause: error });
+    }
+  }
+  
+  /**
+   * Finds user by email address
+   * @param {string} email - Normalized email address
+   * @returns {Promise<Object|null>} User record, null if no account uses the address
+   * @throws {DatabaseError} If query fails
+   */
+  static async findByEmail(email) {
+    try {
+      await this._initDb();
+      
+      const query = `SELECT * FROM ${this.tableName} WHERE email = ?`;
+      const [results] = await this.db.executeSql(query, [email]);
+      
+      if (results.rows.length === 0) {
+        return null;
+      }
+      
+      return this._formatUserData(results.rows.item(0));
+    } catch (error) {
+      modelLogger.error('Failed to find user by email', error);
+      throw new DatabaseError('Database query failed', { cause: error });
+    }
+  }
+  
+  /**
+   * Formats database row to user object
+   * @param {Object} row - Database result row
+   * @returns {Object} Formatted user object
+   * @private
+   */
+  static _formatUserData(row) {
+    return {
+      id: row.id,
+      email: row.email,
+      passwordHash: row.password_hash,
+      name: row.name || null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+export default User;
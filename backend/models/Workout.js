@@ -0,0 +1,295 @@
+import dbManager from '../database/dbManager';
+import logger from '../../utils/logger';
+import { NotFoundError, DatabaseError } from '../utils/errorTypes';
+import { v4 as uuidv4 } from 'uuid';
+
+// Create logger instance for this module
+const modelLogger = logger.createContextLogger('WorkoutModel');
+
+/**
+ * Workout data model for database operations.
+ * Stores planned sessions with their step tree and tags as JSON.
+ */
+class Workout {
+  // Database table name
+  static tableName = 'workouts';
+  
+  // Database connection
+  static db = null;
+  
+  /**
+   * Initializes the database connection
+   * @private
+   */
+  static async _initDb() {
+    if (!this.db) {
+      try {
+        this.db = await dbManager.getConnection();
+        modelLogger.info('Database connection initialized for Workout model');
+      } catch (error) {
+        modelLogger.error('Failed to initialize database connection', error);
+        throw new DatabaseError('Database connection failed', { cause: error });
+      }
+    }
+    return this.db;
+  }
+  
+  /**
+   * Creates new workout record
+   * @param {Object} data - Workout information
+   * @returns {Promise<Object>} Created workout
+   * @throws {DatabaseError} If creation fails
+   */
+  static async create(data) {
+    try {
+      await this._initDb();
+      
+      // Generate ID if not provided
+      const id = data.id || uuidv4();
+      
+      // Prepare data for insertion
+      const insertData = {
+        id,
+        name: data.name,
+        type: data.type,
+        description: data.description,
+        steps: JSON.stringify(data.steps || []),
+        tags: JSON.stringify(data.tags || []),
+        user_id: data.userId,
+        created_at: data.createdAt || Date.now(),
+        updated_at: data.updatedAt || Date.now()
+      };
+      
+      // Convert fields to SQLite format
+      const columns = Object.keys(insertData).join(', ');
+      const placeholders = Object.keys(insertData)
+        .map(() => '?')
+        .join(', ');
+      const values = Object.values(insertData);
+      
+      // Construct and execute query
+      const query = `INSERT INTO ${this.tableName} (${columns}) VALUES (${placeholders})`;
+      await this.db.executeSql(query, values);
+      
+      // Return the created workout
+      return this.findById(id);
+    } catch (error) {
+      modelLogger.error('Failed to create workout', error);
+      throw new DatabaseError('Failed to create workout record', { cause: error });
+    }
+  }
+  
+  /**
+   * Finds workout by ID
+   * @param {string} id - Workout identifier
+   * @returns {Promise<Object>} Workout record
+   * @throws {NotFoundError} If workout not found
+   */
+  static async findById(id) {
+    try {
+      await this._initDb();
+      
+      const query = `SELECT * FROM ${this.tableName} WHERE id = ?`;
+      const [results] = await this.db.executeSql(query, [id]);
+      
+      if (results.rows.length === 0) {
+        throw new NotFoundError(`Workout with ID ${id} not found`);
+      }
+      
+      return this._formatWorkoutData(results.rows.item(0));
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      
+      modelLogger.error(`Failed to find workout with ID ${id}`, error);
+      throw new DatabaseError('Database query failed', { cause: error });
+    }
+  }
+  
+  /**
+   * Finds workouts by criteria
+   * @param {Object} filters - Search criteria
+   * @param {Object} options - Sort and pagination
+   * @returns {Promise<Array>} Matching workouts
+   * @throws {DatabaseError} If query fails
+   */
+  static async findByFilters(filters = {}, options = {}) {
+    try {
+      await this._initDb();
+      
+      // Build query parts
+      let query = `SELECT * FROM ${this.tableName} WHERE 1=1`;
+      const queryParams = [];
+      
+      // Apply filters
+      if (filters.userId) {
+        query += ' AND user_id = ?';
+        queryParams.push(filters.userId);
+      }
+      
+      if (filters.type) {
+        query += ' AND type = ?';
+        queryParams.push(filters.type);
+      }
+      
+      // Tags are a JSON array, match the quoted tag
+      if (filters.tag) {
+        query += ' AND tags LIKE ?';
+        queryParams.push(`%${JSON.stringify(filters.tag)}%`);
+      }
+      
+      // Lets clients pull only what changed since their last sync
+      if (filters.updatedSince) {
+        query += ' AND updated_at > ?';
+        queryParams.push(filters.updatedSince);
+      }
+      
+      // Apply sorting
+      const validSortFields = {
+        'name': 'name',
+        'type': 'type',
+        'createdAt': 'created_at',
+        'updatedAt': 'updated_at'
+      };
+      
+      const sortBy = validSortFields[options.sortBy] || 'updated_at';
+      const sortOrder = options.sortOrder === 'asc' ? 'ASC' : 'DESC';
+      
+      query += ` ORDER BY ${sortBy} ${sortOrder}`;
+      
+      // Apply pagination
+      if (options.limit) {
+        query += ' LIMIT ?';
+        queryParams.push(options.limit);
+        
+        if (options.offset) {
+          query += ' OFFSET ?';
+          queryParams.push(options.offset);
+        }
+      }
+      
+      // Execute query
+      const [results] = await this.db.executeSql(query, queryParams);
+      
+      const workouts = [];
+      for (let i = 0; i < results.rows.length; i++) {
+        workouts.push(this._formatWorkoutData(results.rows.item(i)));
+      }
+      
+      return workouts;
+    } catch (error) {
+      modelLogger.error('Failed to find workouts by filters', error);
+      throw new DatabaseError('Database query failed', { cause: error });
+    }
+  }
+  
+  /**
+   * Updates workout record
+   * @param {string} id - Workout identifier
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated workout
+   * @throws {NotFoundError} If workout not found
+   * @throws {DatabaseError} If update fails
+   */
+  static async update(id, updates) {
+    try {
+      await this._initDb();
+      
+      // Check if workout exists
+      await this.findById(id);
+      
+      // Map JavaScript property names to database column names
+      const fieldMapping = {
+        name: 'name',
+        type: 'type',
+        description: 'description',
+        steps: 'steps',
+        tags: 'tags',
+        updatedAt: 'updated_at'
+      };
+      
+      const updateData = {};
+      for (const [key, value] of Object.entries(updates)) {
+        const dbField = fieldMapping[key];
+        
+        if (dbField) {
+          updateData[dbField] = key === 'steps' || key === 'tags' ? JSON.stringify(value) : value;
+        }
+      }
+      
+      // If no valid fields to update
+      if (Object.keys(updateData).length === 0) {
+        return this.findById(id);
+      }
+      
+      const setClauses = Object.keys(updateData)
+        .map(column => `${column} = ?`)
+        .join(', ');
+      
+      const values = [...Object.values(updateData), id];
+      
+      const query = `UPDATE ${this.tableName} SET ${setClauses} WHERE id = ?`;
+      await this.db.executeSql(query, values);
+      
+      return this.findById(id);
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      
+      modelLogger.error(`Failed to update workout with ID ${id}`, error);
+      throw new DatabaseError('Failed to update workout record', { cause: error });
+    }
+  }
+  
+  /**
+   * Deletes workout record
+   * @param {string} id - Workout identifier
+   * @returns {Promise<boolean>} Success state
+   * @throws {NotFoundError} If workout not found
+   * @throws {DatabaseError} If deletion fails
+   */
+  static async delete(id) {
+    try {
+      await this._initDb();
+      
+      // Check if workout exists
+      await this.findById(id);
+      
+      const query = `DELETE FROM ${this.tableName} WHERE id = ?`;
+      await this.db.executeSql(query, [id]);
+      
+      return true;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      
+      modelLogger.error(`Failed to delete workout with ID ${id}`, error);
+      throw new DatabaseError('Failed to delete workout record', { cause: error });
+    }
+  }
+  
+  /**
+   * Formats database row to workout object
+   * @param {Object} row - Database result row
+   * @returns {Object} Formatted workout object
+   * @private
+   */
+  static _formatWorkoutData(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      type: row.type,
+      description: row.description || null,
+      steps: row.steps ? JSON.parse(row.steps) : [],
+      tags: row.tags ? JSON.parse(row.tags) : [],
+      userId: row.user_id,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+export default Workout;
@@ -1,7 +1,9 @@
 import express from 'express';
-import * as activityController from '../controllers/activityController';
+import multer from 'multer';
+import * as activityController from '../controller/activityController';
 import * as validationMiddleware from '../middleware/validation';
 import * as authMiddleware from '../middleware/auth';
+import { ACTIVITY_FILTER_PARAMS } from '../../utils/activityFilter';
 
 /**
  * Express router defining activity-related API endpoints.
@@ -13,18 +15,42 @@ const router = express.Router();
 // Base path for activity routes
 const BASE_PATH = '';
 
+// Activity files are parsed from memory, never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024, files: 1 }
+});
+
 /**
  * @route   GET /api/v1/activities
- * @desc    Get all activities with optional filtering
+ * @desc    Get all activities filtered like the app's history, coaches pass athleteId
  * @access  Private
  */
 router.get(
   BASE_PATH,
   authMiddleware.authenticate,
-  validationMiddleware.validateQueryParams(['startDate', 'endDate', 'type', 'limit', 'offset']),
+  validationMiddleware.validateQueryParams([
+    ...ACTIVITY_FILTER_PARAMS, 'updatedSince', 'sortBy', 'sortOrder', 'limit', 'offset', 'athleteId'
+  ]),
   activityController.getActivities
 );
 
+/**
+ * @route   GET /api/v1/activities/search
+ * @desc    Full-text search of activity names, notes and tags (q), best matches
+ *   first, narrowed by the history filters; matches are marked in
+ *   search.nameHighlight and search.snippet with \u0002 and \u0003
+ * @access  Private
+ */
+router.get(
+  `${BASE_PATH}/search`,
+  authMiddleware.authenticate,
+  validationMiddleware.validateQueryParams([
+    'q', ...ACTIVITY_FILTER_PARAMS, 'limit', 'offset', 'athleteId'
+  ]),
+  activityController.searchActivities
+);
+
 /**
  * @route   GET /api/v1/activities/:id
  * @desc    Get activity by ID
@@ -49,6 +75,18 @@ router.post(
   activityController.createActivity
 );
 
+/**
+ * @route   POST /api/v1/activities/import
+ * @desc    Import an activity from a GPX, TCX or FIT file (multipart field "file")
+ * @access  Private
+ */
+router.post(
+  `${BASE_PATH}/import`,
+  authMiddleware.authenticate,
+  upload.single('file'),
+  activityController.importActivity
+);
+
 /**
  * @route   PUT /api/v1/activities/:id
  * @desc    Update an existing activity
@@ -76,14 +114,14 @@ router.delete(
 
 /**
  * @route   GET /api/v1/activities/:id/sensor-data
- * @desc    Get sensor data for an activity
+ * @desc    Get sensor data for an activity, downsampled with points or resolution
  * @access  Private
  */
 router.get(
   `${BASE_PATH}/:id/sensor-data`,
   authMiddleware.authenticate,
   validationMiddleware.validateParams(['id']),
-  validationMiddleware.validateQueryParams(['type', 'startTime', 'endTime', 'limit']),
+  validationMiddleware.validateQueryParams(['type', 'startTime', 'endTime', 'limit', 'points', 'resolution']),
   activityController.getSensorData
 );
 
@@ -99,6 +137,42 @@ router.get(
   activityController.getActivityRoute
 );
 
+/**
+ * @route   GET /api/v1/activities/:id/export.gpx
+ * @desc    Download an activity as a GPX file
+ * @access  Private
+ */
+router.get(
+  `${BASE_PATH}/:id/export.gpx`,
+  authMiddleware.authenticate,
+  validationMiddleware.validateParams(['id']),
+  activityController.exportActivityGpx
+);
+
+/**
+ * @route   GET /api/v1/activities/:id/export.tcx
+ * @desc    Download an activity as a TCX file
+ * @access  Private
+ */
+router.get(
+  `${BASE_PATH}/:id/export.tcx`,
+  authMiddleware.authenticate,
+  validationMiddleware.validateParams(['id']),
+  activityController.exportActivityTcx
+);
+
+/**
+ * @route   GET /api/v1/activities/:id/export.fit
+ * @desc    Download an activity as a FIT file
+ * @access  Private
+ */
+router.get(
+  `${BASE_PATH}/:id/export.fit`,
+  authMiddleware.authenticate,
+  validationMiddleware.validateParams(['id']),
+  activityController.exportActivityFit
+);
+
 /**
  * @route   POST /api/v1/activities/:id/sensor-data
  * @desc    Add sensor data to an activity
@@ -112,6 +186,18 @@ router.post(
   activityController.addSensorData
 );
 
+/**
+ * @route   POST /api/v1/activities/:id/route
+ * @desc    Add route points to an activity
+ * @access  Private
+ */
+router.post(
+  `${BASE_PATH}/:id/route`,
+  authMiddleware.authenticate,
+  validationMiddleware.validateParams(['id']),
+  activityController.addActivityRoute
+);
+
 /**
  * @route   GET /api/v1/activities/summary
  * @desc    Get activity summary metrics
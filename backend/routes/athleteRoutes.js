@@ -0,0 +1,49 @@
+import express from 'express';
+import * as coachingController from '../controller/coachingController';
+import * as validationMiddleware from '../middleware/validation';
+import * as authMiddleware from '../middleware/auth';
+
+/**
+ * Express router defining the coach's side of coach/athlete relationships.
+ */
+const router = express.Router();
+
+// Base path for athlete routes
+const BASE_PATH = '';
+
+/**
+ * @route   GET /api/v1/athletes
+ * @desc    Get the coach's athletes with their activity summary
+ * @access  Private
+ */
+router.get(
+  BASE_PATH,
+  authMiddleware.authenticate,
+  validationMiddleware.validateQueryParams(['period']),
+  coachingController.getAthletes
+);
+
+/**
+ * @route   POST /api/v1/athletes
+ * @desc    Invite an athlete by email
+ * @access  Private
+ */
+router.post(
+  BASE_PATH,
+  authMiddleware.authenticate,
+  coachingController.inviteAthlete
+);
+
+/**
+ * @route   DELETE /api/v1/athletes/:id
+ * @desc    Remove an athlete or cancel their invitation
+ * @access  Private
+ */
+router.delete(
+  `${BASE_PATH}/:id`,
+  authMiddleware.authenticate,
+  validationMiddleware.validateParams(['id']),
+  coachingController.removeAthlete
+);
+
+export default router;
@@ -0,0 +1,53 @@
+import express from 'express';
+import * as authController from '../controller/authController';
+
+/**
+ * Express router defining account and session API endpoints.
+ * These routes are public, they hand out the tokens the others require.
+ */
+const router = express.Router();
+
+// Base path for auth routes
+const BASE_PATH = '';
+
+/**
+ * @route   POST /api/v1/auth/register
+ * @desc    Create an account and sign in
+ * @access  Public
+ */
+router.post(
+  `${BASE_PATH}/register`,
+  authController.register
+);
+
+/**
+ * @route   POST /api/v1/auth/login
+ * @desc    Sign in with email and password
+ * @access  Public
+ */
+router.post(
+  `${BASE_PATH}/login`,
+  authController.login
+);
+
+/**
+ * @route   POST /api/v1/auth/refresh
+ * @desc    Exchange a refresh token for a new token pair
+ * @access  Public
+ */
+router.post(
+  `${BASE_PATH}/refresh`,
+  authController.refresh
+);
+
+/**
+ * @route   POST /api/v1/auth/logout
+ * @desc    Revoke a refresh token, works with an expired access token
+ * @access  Public
+ */
+router.post(
+  `${BASE_PATH}/logout`,
+  authController.logout
+);
+
+export default router;
@@ -0,0 +1,49 @@
+import express from 'express';
+import * as coachingController from '../controller/coachingController';
+import * as validationMiddleware from '../middleware/validation';
+import * as authMiddleware from '../middleware/auth';
+
+/**
+ * Express router defining the athlete's side of coach/athlete relationships.
+ */
+const router = express.Router();
+
+// Base path for coach routes
+const BASE_PATH = '';
+
+/**
+ * @route   GET /api/v1/coaches
+ * @desc    Get the athlete's coaches and pending invitations
+ * @access  Private
+ */
+router.get(
+  BASE_PATH,
+  authMiddleware.authenticate,
+  coachingController.getCoaches
+);
+
+/**
+ * @route   POST /api/v1/coaches/:id/accept
+ * @desc    Accept a coach's invitation
+ * @access  Private
+ */
+router.post(
+  `${BASE_PATH}/:id/accept`,
+  authMiddleware.authenticate,
+  validationMiddleware.validateParams(['id']),
+  coachingController.acceptCoach
+);
+
+/**
+ * @route   DELETE /api/v1/coaches/:id
+ * @desc    Leave a coach or decline their invitation
+ * @access  Private
+ */
+router.delete(
+  `${BASE_PATH}/:id`,
+  authMiddleware.authenticate,
+  validationMiddleware.validateParams(['id']),
+  coachingController.removeCoach
+);
+
+export default router;
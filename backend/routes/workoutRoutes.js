@@ -0,0 +1,89 @@
+import express from 'express';
+import * as workoutController from '../controller/workoutController';
+import * as validationMiddleware from '../middleware/validation';
+import * as authMiddleware from '../middleware/auth';
+
+/**
+ * Express router defining workout library API endpoints.
+ * Step trees are validated by the workout service.
+ */
+const router = express.Router();
+
+// Base path for workout routes
+const BASE_PATH = '';
+
+/**
+ * @route   GET /api/v1/workouts
+ * @desc    Get workouts with optional filtering, athletes pass coachId for
+ *   the workouts their coach wrote
+ * @access  Private
+ */
+router.get(
+  BASE_PATH,
+  authMiddleware.authenticate,
+  validationMiddleware.validateQueryParams([
+    'type', 'tag', 'updatedSince', 'sortBy', 'sortOrder', 'limit', 'offset', 'coachId'
+  ]),
+  workoutController.getWorkouts
+);
+
+/**
+ * @route   GET /api/v1/workouts/:id
+ * @desc    Get workout by ID, the owner's or one written by the user's coach
+ * @access  Private
+ */
+router.get(
+  `${BASE_PATH}/:id`,
+  authMiddleware.authenticate,
+  validationMiddleware.validateParams(['id']),
+  workoutController.getWorkoutById
+);
+
+/**
+ * @route   POST /api/v1/workouts
+ * @desc    Create a new workout
+ * @access  Private
+ */
+router.post(
+  BASE_PATH,
+  authMiddleware.authenticate,
+  workoutController.createWorkout
+);
+
+/**
+ * @route   PUT /api/v1/workouts/:id
+ * @desc    Update an existing workout
+ * @access  Private
+ */
+router.put(
+  `${BASE_PATH}/:id`,
+  authMiddleware.authenticate,
+  validationMiddleware.validateParams(['id']),
+  workoutController.updateWorkout
+);
+
+/**
+ * @route   DELETE /api/v1/workouts/:id
+ * @desc    Delete a workout
+ * @access  Private
+ */
+router.delete(
+  `${BASE_PATH}/:id`,
+  authMiddleware.authenticate,
+  validationMiddleware.validateParams(['id']),
+  workoutController.deleteWorkout
+);
+
+/**
+ * @route   POST /api/v1/workouts/:id/duplicate
+ * @desc    Copy a workout
+ * @access  Private
+ */
+router.post(
+  `${BASE_PATH}/:id/duplicate`,
+  authMiddleware.authenticate,
+  validationMiddleware.validateParams(['id']),
+  workoutController.duplicateWorkout
+);
+
+export default router;
@@ -3,7 +3,11 @@ import cors from 'cors';
 import morgan from 'morgan';
 import helmet from 'helmet';
 import dotenv from 'dotenv';
+import authRoutes from './routes/authRoutes';
 import activityRoutes from './routes/activityRoutes';
+import workoutRoutes from './routes/workoutRoutes';
+import athleteRoutes from './routes/athleteRoutes';
+import coachRoutes from './routes/coachRoutes';
 import logger from '../utils/logger';
 import errorHandler from './utils/errorHandler';
 
@@ -57,7 +61,11 @@ function initializeServer() {
   const API_BASE_PATH = `/api/${API_VERSION}`;
   
   // Register routes
+  app.use(`${API_BASE_PATH}/auth`, authRoutes);
   app.use(`${API_BASE_PATH}/activities`, activityRoutes);
+  app.use(`${API_BASE_PATH}/workouts`, workoutRoutes);
+  app.use(`${API_BASE_PATH}/athletes`, athleteRoutes);
+  app.use(`${API_BASE_PATH}/coaches`, coachRoutes);
   
   // Error handling middleware (must be registered last)
   app.use(errorHandler);
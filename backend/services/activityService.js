@@ -7,10 +7,29 @@ import {
   DatabaseError 
 } from '../utils/errorTypes';
 import { validateActivity } from '../../utils/validation';
+import { buildActivityExport } from '../../services/export/exportFormats';
+import { parseActivityFile, summarizeImport } from '../../services/import/importFormats';
+import { downsample } from '../../utils/downsampling';
 
 // Create logger instance for this module
 const serviceLogger = logger.createContextLogger('ActivityService');
 
+// Imports starting this close to an existing activity are duplicates
+const DUPLICATE_WINDOW_MS = 60 * 1000;
+
+// Bounds for downsampled sensor data
+const MAX_SERIES_POINTS = 5000;
+const MIN_RESOLUTION_MS = 1000;
+
+// Longest search query accepted
+const MAX_SEARCH_LENGTH = 200;
+
+// Activity types recorded by the app, followed by the ones kept for older clients
+const VALID_ACTIVITY_TYPES = [
+  'run', 'trail_run', 'treadmill', 'race', 'interval', 'readiness',
+  'running', 'cycling', 'walking', 'hiking', 'swimming', 'other'
+];
+
 /**
  * Service layer for activity business logic.
  * Handles data processing and transformation, business rule implementation,
@@ -22,10 +41,16 @@ const serviceLogger = logger.createContextLogger('ActivityService');
  * @param {Object} filters - Search criteria
  * @param {Object} options - Pagination and sorting
  * @returns {Promise<Array>} Matching activities
+ * @throws {ValidationError} If no userId filter is given
  * @throws {AppError} If retrieval fails
  */
 export async function getActivities(filters = {}, options = {}) {
   try {
+    // Activities are only ever listed for their owner
+    if (!filters.userId) {
+      throw new ValidationError('Missing required filter: userId');
+    }
+    
     // Parse date filters if provided
     if (filters.startDate) {
       filters.startDate = new Date(filters.startDate).getTime();
@@ -35,6 +60,10 @@ export async function getActivities(filters = {}, options = {}) {
       filters.endDate = new Date(filters.endDate).getTime();
     }
     
+    if (filters.updatedSince) {
+      filters.updatedSince = new Date(filters.updatedSince).getTime();
+    }
+    
     // Set default options
     const defaultOptions = {
       limit: 20,
@@ -50,7 +79,10 @@ export async function getActivities(filters = {}, options = {}) {
     };
     
     // Validate sort options
-    const validSortFields = ['startTime', 'endTime', 'distance', 'duration', 'type', 'createdAt'];
+    const validSortFields = [
+      'startTime', 'endTime', 'distance', 'duration', 'elapsedTime', 'timerTime', 'movingTime', 'type', 'createdAt',
+      'updatedAt'
+    ];
     const validSortOrders = ['asc', 'desc'];
     
     if (!validSortFields.includes(mergedOptions.sortBy)) {
@@ -73,20 +105,62 @@ export async function getActivities(filters = {}, options = {}) {
       };
     });
   } catch (error) {
+    // Re-throw ValidationError
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+    
     serviceLogger.error('Error getting activities', error);
     throw new AppError('Failed to retrieve activities', { cause: error });
   }
 }
 
+/**
+ * Searches activity names, notes and tags, best matches first
+ * @param {string} userId - Owner of the activities
+ * @param {string} query - Search input
+ * @param {Object} filters - History filters, see utils/activityFilter
+ * @param {Object} options - Pagination
+ * @returns {Promise<Array>} Matching activities with search rank and highlights
+ * @throws {ValidationError} If the query is empty
+ * @throws {AppError} If the search fails
+ */
+export async function searchActivities(userId, query, filters = {}, options = {}) {
+  try {
+    const text = String(query || '').trim();
+    if (!text) {
+      throw new ValidationError('Search query is required');
+    }
+    
+    if (text.length > MAX_SEARCH_LENGTH) {
+      throw new ValidationError(`Search query must be at most ${MAX_SEARCH_LENGTH} characters`);
+    }
+    
+    return await Activity.search(userId, text, filters, {
+      limit: options.limit || 20,
+      offset: options.offset || 0
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+    
+    serviceLogger.error('Error searching activities', error);
+    throw new AppError('Failed to search activities', { cause: error });
+  }
+}
+
 /**
  * Gets activity by ID
  * @param {string} id - Activity identifier
+ * @param {string} userId - Owner, activities of other users aren't found
+ *   when given
  * @returns {Promise<Object>} Activity data
  * @throws {NotFoundError} If activity not found
  */
-export async function getActivityById(id) {
+export async function getActivityById(id, userId) {
   try {
-    const activity = await Activity.findById(id);
+    const activity = await Activity.findById(id, userId);
     
     if (!activity) {
       throw new NotFoundError(`Activity with ID ${id} not found`);
@@ -174,6 +248,57 @@ export async function updateActivity(id, updates) {
   }
 }
 
+/**
+ * Updates activity by ID unless it was changed after the version the
+ * client edited, so edits made elsewhere are not overwritten
+ * @param {string} id - Activity identifier
+ * @param {Object} updates - Fields to update
+ * @param {number} baseVersion - Version of the activity the client edited
+ * @returns {Promise<Object>} { conflict, activity }, the current activity for conflicts
+ * @throws {NotFoundError} If activity not found
+ * @throws {ValidationError} If updates invalid
+ */
+export async function updateActivityIfUnchanged(id, updates, baseVersion) {
+  try {
+    if (!Number.isInteger(baseVersion) || baseVersion < 1) {
+      throw new ValidationError('baseVersion must be a positive integer');
+    }
+    
+    // Check if activity exists
+    const existingActivity = await Activity.findById(id);
+    
+    if (existingActivity.version !== baseVersion) {
+      serviceLogger.info('Stale activity update rejected', { activityId: id });
+      return { conflict: true, activity: existingActivity };
+    }
+    
+    // Validate update fields
+    const validatedUpdates = validateActivityUpdates(updates);
+    
+    // Set updated timestamp
+    validatedUpdates.updatedAt = Date.now();
+    
+    const updatedActivity = await Activity.update(id, validatedUpdates, { baseVersion });
+    
+    // Changed between the check above and the update
+    if (!updatedActivity) {
+      serviceLogger.info('Stale activity update rejected', { activityId: id });
+      return { conflict: true, activity: await Activity.findById(id) };
+    }
+    
+    serviceLogger.info('Activity updated', { activityId: id });
+    return { conflict: false, activity: updatedActivity };
+  } catch (error) {
+    // Re-throw specific errors
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      throw error;
+    }
+    
+    serviceLogger.error(`Error updating activity with ID: ${id}`, error);
+    throw new AppError(`Failed to update activity with ID ${id}`, { cause: error });
+  }
+}
+
 /**
  * Deletes activity by ID
  * @param {string} id - Activity identifier
@@ -205,12 +330,50 @@ export async function deleteActivity(id) {
   }
 }
 
+/**
+ * Downsamples sensor readings per data type
+ * @param {Array} sensorData - Sensor readings ordered by timestamp
+ * @param {Object} options - { points } for LTTB or { resolution } in ms for min/avg/max buckets
+ * @returns {Array} Downsampled readings ordered by data type and timestamp
+ * @throws {ValidationError} If points or resolution are out of range
+ * @private
+ */
+function resampleSensorData(sensorData, options) {
+  const { points, resolution } = options;
+  
+  if (points !== undefined && !(Number.isInteger(points) && points >= 3 && points <= MAX_SERIES_POINTS)) {
+    throw new ValidationError(`points must be an integer between 3 and ${MAX_SERIES_POINTS}`);
+  }
+  
+  if (resolution !== undefined && !(Number.isInteger(resolution) && resolution >= MIN_RESOLUTION_MS)) {
+    throw new ValidationError(`resolution must be at least ${MIN_RESOLUTION_MS} ms`);
+  }
+  
+  const byType = {};
+  sensorData.forEach(reading => {
+    if (!byType[reading.dataType]) {
+      byType[reading.dataType] = [];
+    }
+    byType[reading.dataType].push(reading);
+  });
+  
+  return Object.keys(byType).flatMap(dataType => {
+    const series = downsample(byType[dataType], { points, resolution });
+    
+    // Buckets are new points, LTTB keeps the original readings
+    return resolution
+      ? series.map(bucket => ({ ...bucket, activityId: byType[dataType][0].activityId, dataType }))
+      : series;
+  });
+}
+
 /**
  * Gets sensor data for activity
  * @param {string} activityId - Activity identifier
- * @param {Object} options - Filter options
+ * @param {Object} options - Filter options, with points or resolution to downsample
  * @returns {Promise<Array>} Sensor readings
  * @throws {NotFoundError} If activity not found
+ * @throws {ValidationError} If the downsampling options are invalid
  */
 export async function getSensorData(activityId, options = {}) {
   try {
@@ -224,10 +387,14 @@ export async function getSensorData(activityId, options = {}) {
     // Get sensor data from the model
     const sensorData = await Activity.getSensorData(activityId, options);
     
+    if (options.points !== undefined || options.resolution !== undefined) {
+      return resampleSensorData(sensorData, options);
+    }
+    
     return sensorData;
   } catch (error) {
-    // Re-throw NotFoundError
-    if (error instanceof NotFoundError) {
+    // Re-throw NotFoundError and ValidationError
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
       throw error;
     }
     
@@ -266,6 +433,39 @@ export async function getActivityRoute(activityId) {
   }
 }
 
+/**
+ * Builds an export file for activity
+ * @param {string} activityId - Activity identifier
+ * @param {string} format - Export format
+ * @returns {Promise<Object>} File content, MIME type and file name
+ * @throws {NotFoundError} If activity not found
+ */
+export async function exportActivity(activityId, format) {
+  try {
+    // Check if activity exists
+    const existingActivity = await Activity.findById(activityId);
+    
+    if (!existingActivity) {
+      throw new NotFoundError(`Activity with ID ${activityId} not found`);
+    }
+    
+    const [routeData, sensorData] = await Promise.all([
+      Activity.getRouteData(activityId),
+      Activity.getSensorData(activityId)
+    ]);
+    
+    return buildActivityExport(format, existingActivity, routeData, sensorData);
+  } catch (error) {
+    // Re-throw NotFoundError
+    if (error instanceof NotFoundError) {
+      throw error;
+    }
+    
+    serviceLogger.error(`Error exporting activity ID: ${activityId}`, error);
+    throw new AppError(`Failed to export activity ID ${activityId}`, { cause: error });
+  }
+}
+
 /**
  * Adds sensor data to activity
  * @param {string} activityId - Activity identifier
@@ -311,6 +511,114 @@ export async function addSensorData(activityId, sensorData) {
   }
 }
 
+/**
+ * Adds route points to activity
+ * @param {string} activityId - Activity identifier
+ * @param {Array} locations - Route points to add
+ * @returns {Promise<Object>} Result with count of added points
+ * @throws {NotFoundError} If activity not found
+ * @throws {ValidationError} If route points invalid
+ */
+export async function addLocations(activityId, locations) {
+  try {
+    // Check if activity exists
+    const existingActivity = await Activity.findById(activityId);
+    
+    if (!existingActivity) {
+      throw new NotFoundError(`Activity with ID ${activityId} not found`);
+    }
+    
+    // Validate each route point
+    const validatedLocations = validateLocations(locations);
+    
+    // Add route points to the database
+    await Activity.addLocations(activityId, validatedLocations);
+    
+    serviceLogger.info('Route points added', { 
+      activityId, 
+      recordCount: validatedLocations.length 
+    });
+    
+    return { count: validatedLocations.length };
+  } catch (error) {
+    // Re-throw specific errors
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      throw error;
+    }
+    
+    serviceLogger.error(`Error adding route points for activity ID: ${activityId}`, error);
+    throw new AppError(`Failed to add route points for activity ID ${activityId}`, { cause: error });
+  }
+}
+
+/**
+ * Imports an activity from a GPX, TCX or FIT file
+ * @param {Object} file - Uploaded file with buffer and originalname
+ * @param {string} userId - Owner of the imported activity
+ * @returns {Promise<Object>} { duplicate, activity }, the existing activity for duplicates
+ * @throws {ValidationError} If the file can't be read
+ */
+export async function importActivity(file, userId) {
+  try {
+    if (!file || !file.buffer) {
+      throw new ValidationError('No activity file uploaded');
+    }
+    
+    let imported;
+    try {
+      imported = parseActivityFile(new Uint8Array(file.buffer), file.originalname);
+    } catch (error) {
+      throw new ValidationError(`Unable to read activity file: ${error.message}`);
+    }
+    
+    const { startTime } = imported.activity;
+    
+    // Report an activity that starts within a minute as a duplicate
+    const [existingActivity] = await Activity.findByFilters({
+      userId,
+      startDate: startTime - DUPLICATE_WINDOW_MS,
+      endDate: startTime + DUPLICATE_WINDOW_MS
+    }, { limit: 1 });
+    
+    if (existingActivity) {
+      serviceLogger.info('Duplicate activity import skipped', { activityId: existingActivity.id });
+      return { duplicate: true, activity: existingActivity };
+    }
+    
+    const summary = summarizeImport(imported);
+    const activity = await createActivity({ ...summary, userId });
+    
+    // Don't leave an activity without its track behind
+    try {
+      await Activity.addLocations(activity.id, imported.locations);
+      await Activity.addSensorData(activity.id, validateSensorData(
+        imported.sensorData.map(sample => ({ ...sample, dataType: toCamelCase(sample.dataType) })),
+        activity.id
+      ));
+    } catch (error) {
+      await Activity.delete(activity.id);
+      throw error;
+    }
+    
+    serviceLogger.info('Activity imported', {
+      activityId: activity.id,
+      format: imported.format,
+      locationCount: imported.locations.length,
+      sensorCount: imported.sensorData.length
+    });
+    
+    return { duplicate: false, activity };
+  } catch (error) {
+    // Re-throw ValidationError
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+    
+    serviceLogger.error('Error importing activity', error);
+    throw new AppError('Failed to import activity', { cause: error });
+  }
+}
+
 /**
  * Gets activity summary metrics
  * @param {Object} options - Filter options
@@ -357,6 +665,16 @@ export async function getActivitySummary(options) {
   }
 }
 
+/**
+ * Checks that tags are a list of strings
+ * @param {*} tags - Tags to check
+ * @returns {boolean} True if valid
+ * @private
+ */
+function isTagList(tags) {
+  return Array.isArray(tags) && tags.every(tag => typeof tag === 'string');
+}
+
 /**
  * Validates activity data
  * @param {Object} data - Activity data to validate
@@ -375,8 +693,7 @@ function validateActivityData(data) {
   }
   
   // Validate activity type
-  const validActivityTypes = ['running', 'cycling', 'walking', 'hiking', 'swimming', 'other'];
-  if (!validActivityTypes.includes(data.type)) {
+  if (!VALID_ACTIVITY_TYPES.includes(data.type)) {
     throw new ValidationError(`Invalid activity type: ${data.type}`);
   }
   
@@ -400,7 +717,10 @@ function validateActivityData(data) {
   }
   
   // Validate numeric fields
-  const numericFields = ['distance', 'duration', 'avgHeartRate', 'avgPower', 'avgPace', 'elevationGain'];
+  const numericFields = [
+    'distance', 'duration', 'elapsedTime', 'timerTime', 'movingTime',
+    'avgHeartRate', 'avgPower', 'avgPace', 'elevationGain'
+  ];
   
   for (const field of numericFields) {
     if (data[field] !== undefined && data[field] !== null) {
@@ -414,13 +734,26 @@ function validateActivityData(data) {
     }
   }
   
-  // Return validated and sanitized data
+  if (data.laps !== undefined && data.laps !== null && !Array.isArray(data.laps)) {
+    throw new ValidationError('laps must be an array');
+  }
+  
+  if (data.tags !== undefined && data.tags !== null && !isTagList(data.tags)) {
+    throw new ValidationError('tags must be an array of strings');
+  }
+  
+  // Return validated and sanitized data, the app chooses ids for the
+  // activities it syncs
   return {
+    id: data.id,
     type: data.type,
     name: data.name || `${data.type.charAt(0).toUpperCase() + data.type.slice(1)} Activity`,
     startTime: new Date(data.startTime).getTime(),
     endTime: data.endTime ? new Date(data.endTime).getTime() : null,
-    duration: data.duration || null,
+    duration: data.duration || data.timerTime || null,
+    elapsedTime: data.elapsedTime || data.duration || null,
+    timerTime: data.timerTime || data.duration || null,
+    movingTime: data.movingTime || data.timerTime || data.duration || null,
     distance: data.distance || null,
     avgHeartRate: data.avgHeartRate || null,
     avgPower: data.avgPower || null,
@@ -428,6 +761,8 @@ function validateActivityData(data) {
     elevationGain: data.elevationGain || null,
     deviceIds: data.deviceIds || null,
     notes: data.notes || null,
+    tags: data.tags || null,
+    laps: data.laps || null,
     userId: data.userId
   };
 }
@@ -445,8 +780,8 @@ function validateActivityUpdates(updates) {
   
   // Check for any invalid fields
   const allowedFields = [
-    'name', 'type', 'startTime', 'endTime', 'duration', 'distance',
-    'avgHeartRate', 'avgPower', 'avgPace', 'elevationGain', 'deviceIds', 'notes'
+    'name', 'type', 'startTime', 'endTime', 'duration', 'elapsedTime', 'timerTime', 'movingTime', 'distance',
+    'avgHeartRate', 'avgPower', 'avgPace', 'elevationGain', 'deviceIds', 'notes', 'tags', 'laps'
   ];
   
   for (const field in updates) {
@@ -457,8 +792,7 @@ function validateActivityUpdates(updates) {
   
   // Validate fields that are present in the updates
   if (updates.type !== undefined) {
-    const validActivityTypes = ['running', 'cycling', 'walking', 'hiking', 'swimming', 'other'];
-    if (!validActivityTypes.includes(updates.type)) {
+    if (!VALID_ACTIVITY_TYPES.includes(updates.type)) {
       throw new ValidationError(`Invalid activity type: ${updates.type}`);
     }
     validatedUpdates.type = updates.type;
@@ -497,7 +831,10 @@ function validateActivityUpdates(updates) {
   }
   
   // Validate numeric fields
-  const numericFields = ['distance', 'duration', 'avgHeartRate', 'avgPower', 'avgPace', 'elevationGain'];
+  const numericFields = [
+    'distance', 'duration', 'elapsedTime', 'timerTime', 'movingTime',
+    'avgHeartRate', 'avgPower', 'avgPace', 'elevationGain'
+  ];
   
   for (const field of numericFields) {
     if (updates[field] !== undefined) {
@@ -529,6 +866,20 @@ function validateActivityUpdates(updates) {
     validatedUpdates.deviceIds = updates.deviceIds;
   }
   
+  if (updates.tags !== undefined) {
+    if (updates.tags !== null && !isTagList(updates.tags)) {
+      throw new ValidationError('tags must be an array of strings');
+    }
+    validatedUpdates.tags = updates.tags;
+  }
+  
+  if (updates.laps !== undefined) {
+    if (updates.laps !== null && !Array.isArray(updates.laps)) {
+      throw new ValidationError('laps must be an array');
+    }
+    validatedUpdates.laps = updates.laps;
+  }
+  
   return validatedUpdates;
 }
 
@@ -548,7 +899,9 @@ function validateSensorData(data, activityId) {
   // Valid sensor data types
   const validDataTypes = [
     'heartRate', 'power', 'cadence', 'pace', 'speed', 
-    'elevation', 'temperature', 'groundContactTime', 'verticalOscillation'
+    'elevation', 'temperature', 'groundContactTime', 'verticalOscillation',
+    'strideLength', 'verticalRatio', 'legSpringStiffness', 'formPower', 'airPower',
+    'energyExpended', 'rrInterval'
   ];
   
   return data.map((item, index) => {
@@ -581,8 +934,9 @@ function validateSensorData(data, activityId) {
       throw new ValidationError(`Value must be a number at index ${index}`);
     }
     
-    // Return validated data
+    // Return validated data, ids sent by the app make uploads repeatable
     return {
+      id: typeof item.id === 'string' ? item.id : undefined,
       activityId,
       timestamp,
       dataType: item.dataType,
@@ -592,6 +946,54 @@ function validateSensorData(data, activityId) {
   });
 }
 
+/**
+ * Validates route points array
+ * @param {Array} data - Route points
+ * @returns {Array} Validated route points
+ * @throws {ValidationError} If validation fails
+ * @private
+ */
+function validateLocations(data) {
+  if (!Array.isArray(data)) {
+    throw new ValidationError('Route points must be an array');
+  }
+  
+  return data.map((item, index) => {
+    const timestamp = Number(item.timestamp);
+    if (!item.timestamp || isNaN(timestamp)) {
+      throw new ValidationError(`Invalid timestamp in route points at index ${index}`);
+    }
+    
+    const { latitude, longitude } = item;
+    if (typeof latitude !== 'number' || latitude < -90 || latitude > 90) {
+      throw new ValidationError(`Invalid latitude at index ${index}`);
+    }
+    
+    if (typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+      throw new ValidationError(`Invalid longitude at index ${index}`);
+    }
+    
+    return {
+      id: typeof item.id === 'string' ? item.id : undefined,
+      timestamp,
+      latitude,
+      longitude,
+      altitude: typeof item.altitude === 'number' ? item.altitude : null,
+      accuracy: typeof item.accuracy === 'number' ? item.accuracy : null
+    };
+  });
+}
+
+/**
+ * Converts an app sensor data type to the backend's naming
+ * @param {string} dataType - snake_case data type
+ * @returns {string} camelCase data type
+ * @private
+ */
+function toCamelCase(dataType) {
+  return dataType.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
 /**
  * Calculates date range based on period
  * @param {string} period - Time period (day, week, month, year, all)
@@ -638,6 +1040,10 @@ function calculateSummaryMetrics(activities) {
       totalActivities: 0,
       totalDistance: 0,
       totalDuration: 0,
+      totalElapsedTime: 0,
+      totalTimerTime: 0,
+      totalMovingTime: 0,
+      avgPace: 0,
       avgHeartRate: 0,
       avgPower: 0,
       totalElevationGain: 0,
@@ -650,6 +1056,10 @@ function calculateSummaryMetrics(activities) {
     totalActivities: activities.length,
     totalDistance: 0,
     totalDuration: 0,
+    totalElapsedTime: 0,
+    totalTimerTime: 0,
+    totalMovingTime: 0,
+    avgPace: 0,
     avgHeartRate: 0,
     avgPower: 0,
     totalElevationGain: 0,
@@ -673,6 +1083,9 @@ function calculateSummaryMetrics(activities) {
     // Sum up metrics
     summary.totalDistance += activity.distance || 0;
     summary.totalDuration += activity.duration || 0;
+    summary.totalElapsedTime += activity.elapsedTime || activity.duration || 0;
+    summary.totalTimerTime += activity.timerTime || activity.duration || 0;
+    summary.totalMovingTime += activity.movingTime || activity.duration || 0;
     summary.totalElevationGain += activity.elevationGain || 0;
     
     // Calculate weighted averages for heart rate and power
@@ -687,7 +1100,10 @@ function calculateSummaryMetrics(activities) {
     }
   });
   
-  // Calculate averages
+  // Calculate averages, pace in min/km over moving time
+  summary.avgPace = summary.totalDistance > 0
+    ? (summary.totalMovingTime / 60) / (summary.totalDistance / 1000)
+    : 0;
   summary.avgHeartRate = heartRateCount > 0 ? Math.round(heartRateSum / heartRateCount) : 0;
   summary.avgPower = powerCount > 0 ? Math.round(powerSum / powerCount) : 0;
   summary.activityTypes = activityTypes;
@@ -697,12 +1113,17 @@ function calculateSummaryMetrics(activities) {
 
 export default {
   getActivities,
+  searchActivities,
   getActivityById,
   createActivity,
   updateActivity,
+  updateActivityIfUnchanged,
   deleteActivity,
   getSensorData,
   getActivityRoute,
+  exportActivity,
   addSensorData,
+  addLocations,
+  importActivity,
   getActivitySummary
 };
\ No newline at end of file
@@ -0,0 +1,130 @@
+import Activity from '../models/Activity';
+import { updateActivityIfUnchanged } from './activityService';
+import { ValidationError } from '../utils/errorTypes';
+
+jest.mock('../database/dbManager', () => ({
+  __esModule: true,
+  default: { getConnection: jest.fn() },
+}), { virtual: true });
+
+jest.mock('../utils/errorTypes', () => {
+  class AppError extends Error {}
+  return {
+    AppError,
+    NotFoundError: class NotFoundError extends AppError {},
+    ValidationError: class ValidationError extends AppError {},
+    DatabaseError: class DatabaseError extends AppError {},
+  };
+}, { virtual: true });
+
+jest.mock('uuid', () => ({ v4: () => 'generated-id' }));
+
+jest.mock('../../utils/logger', () => {
+  const contextLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  return { __esModule: true, default: { createContextLogger: () => contextLogger } };
+});
+
+const UPDATE_PATTERN = /^UPDATE activities SET (.+) WHERE id = \?( AND COALESCE\(version, 1\) = \?)?$/;
+
+/**
+ * In-memory stand-in for the activities table, running the reads and
+ * conditional updates the Activity model issues
+ * @param {Object} row - Stored activity row
+ * @returns {Object} Connection with executeSql, the row in db.row
+ */
+const createDatabase = (row) => {
+  const db = { row: { ...row } };
+  
+  db.executeSql = async (query, values = []) => {
+    if (query.startsWith('SELECT * FROM activities WHERE id = ?')) {
+      const rows = values[0] === db.row.id ? [{ ...db.row }] : [];
+      return [{ rows: { length: rows.length, item: index => rows[index] } }];
+    }
+    
+    const match = query.match(UPDATE_PATTERN);
+    if (!match) {
+      throw new Error(`Unexpected query: ${query}`);
+    }
+    
+    const params = [...values];
+    const changes = {};
+    match[1].split(', ').forEach(clause => {
+      const [column, value] = clause.split(' = ');
+      changes[column] = value === '?' ? params.shift() : (db.row.version || 1) + 1;
+    });
+    
+    const [id, baseVersion] = params;
+    const isCurrent = !match[2] || (db.row.version || 1) === baseVersion;
+    if (id !== db.row.id || !isCurrent) {
+      return [{ rowsAffected: 0 }];
+    }
+    
+    db.row = { ...db.row, ...changes };
+    return [{ rowsAffected: 1 }];
+  };
+  
+  return db;
+};
+
+const storedActivity = {
+  id: 'activity-1',
+  name: 'Morning Run',
+  type: 'run',
+  start_time: Date.UTC(2024, 4, 1, 6, 0, 0),
+  user_id: 'user-1',
+  created_at: Date.UTC(2024, 4, 1, 7, 0, 0),
+  updated_at: Date.UTC(2024, 4, 1, 7, 0, 0),
+  version: 1,
+};
+
+describe('updateActivityIfUnchanged', () => {
+  let db;
+  
+  beforeEach(() => {
+    db = createDatabase(storedActivity);
+    Activity.db = db;
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  it('rejects the second of two updates based on the same version', async () => {
+    const first = await updateActivityIfUnchanged(storedActivity.id, { name: 'Tempo Run' }, 1);
+    const second = await updateActivityIfUnchanged(storedActivity.id, { name: 'Easy Run' }, 1);
+    
+    expect(first).toMatchObject({ conflict: false, activity: { name: 'Tempo Run', version: 2 } });
+    expect(second).toMatchObject({ conflict: true, activity: { name: 'Tempo Run', version: 2 } });
+    expect(db.row.name).toBe('Tempo Run');
+  });
+  
+  it('rejects one of two concurrent updates based on the same version', async () => {
+    const results = await Promise.all([
+      updateActivityIfUnchanged(storedActivity.id, { name: 'Tempo Run' }, 1),
+      updateActivityIfUnchanged(storedActivity.id, { name: 'Easy Run' }, 1),
+    ]);
+    
+    expect(results.map(result => result.conflict).sort()).toEqual([false, true]);
+    expect(db.row.version).toBe(2);
+  });
+  
+  it('does not depend on the clock, updates in the same millisecond are told apart', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(storedActivity.updated_at);
+    
+    const first = await updateActivityIfUnchanged(storedActivity.id, { name: 'Tempo Run' }, 1);
+    const stale = await updateActivityIfUnchanged(storedActivity.id, { name: 'Easy Run' }, 1);
+    const current = await updateActivityIfUnchanged(storedActivity.id, { name: 'Long Run' }, 2);
+    
+    expect(first.conflict).toBe(false);
+    expect(stale.conflict).toBe(true);
+    expect(current).toMatchObject({ conflict: false, activity: { name: 'Long Run', version: 3 } });
+  });
+  
+  it('requires the base version to be a positive integer', async () => {
+    await expect(updateActivityIfUnchanged(storedActivity.id, { name: 'Tempo Run' }, 1.5))
+      .rejects.toBeInstanceOf(ValidationError);
+    await expect(updateActivityIfUnchanged(storedActivity.id, { name: 'Tempo Run' }, 0))
+      .rejects.toBeInstanceOf(ValidationError);
+    expect(db.row.version).toBe(1);
+  });
+});
@@ -0,0 +1,290 @@
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import User from '../models/User';
+import RefreshToken from '../models/RefreshToken';
+import logger from '../../utils/logger';
+import {
+  AppError,
+  NotFoundError,
+  ValidationError
+} from '../utils/errorTypes';
+
+// Create logger instance for this module
+const serviceLogger = logger.createContextLogger('AuthService');
+
+// Access tokens are short-lived JWTs, refresh tokens are random strings kept in the database
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+const REFRESH_TOKEN_BYTES = 48;
+
+// bcrypt cost factor
+const PASSWORD_HASH_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 8;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Service layer for user accounts and sessions.
+ * Issues access and refresh tokens, a refresh token is exchanged for a
+ * new pair on every refresh so each one can only be used once.
+ */
+
+/**
+ * Registers a new account and signs it in
+ * @param {Object} data - { email, password, name }
+ * @returns {Promise<Object>} { duplicate, user, tokens }, duplicate when the
+ *   email is already registered
+ * @throws {ValidationError} If data invalid
+ */
+export async function register(data) {
+  try {
+    const { email, password, name } = validateRegistration(data);
+    
+    const existingUser = await User.findByEmail(email);
+    
+    if (existingUser) {
+      return { duplicate: true };
+    }
+    
+    const passwordHash = await bcrypt.hash(password, PASSWORD_HASH_ROUNDS);
+    const user = await User.create({ email, passwordHash, name });
+    const tokens = await issueTokens(user);
+    
+    serviceLogger.info('User registered', { userId: user.id });
+    
+    return { duplicate: false, user: toPublicUser(user), tokens };
+  } catch (error) {
+    // Re-throw ValidationError
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+    
+    serviceLogger.error('Error registering user', error);
+    throw new AppError('Failed to register user', { cause: error });
+  }
+}
+
+/**
+ * Signs in with email and password
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ * @returns {Promise<Object|null>} { user, tokens }, null if the credentials are wrong
+ * @throws {AppError} If sign in fails
+ */
+export async function login(email, password) {
+  try {
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return null;
+    }
+    
+    const user = await User.findByEmail(normalizeEmail(email));
+    
+    if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+      return null;
+    }
+    
+    const tokens = await issueTokens(user);
+    
+    return { user: toPublicUser(user), tokens };
+  } catch (error) {
+    serviceLogger.error('Error signing in', error);
+    throw new AppError('Failed to sign in', { cause: error });
+  }
+}
+
+/**
+ * Exchanges a refresh token for a new token pair
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<Object|null>} { user, tokens }, null if the token is
+ *   unknown, expired or already used
+ * @throws {AppError} If refresh fails
+ */
+export async function refresh(refreshToken) {
+  try {
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      return null;
+    }
+    
+    const record = await RefreshToken.findByHash(hashToken(refreshToken));
+    
+    if (!record) {
+      return null;
+    }
+    
+    // A used token coming back means it was copied, end every session of the user
+    if (record.revokedAt) {
+      serviceLogger.warn('Revoked refresh token reused', { userId: record.userId });
+      await RefreshToken.revokeAllForUser(record.userId);
+      return null;
+    }
+    
+    if (record.expiresAt <= Date.now()) {
+      return null;
+    }
+    
+    // Lost to a concurrent refresh with the same token
+    if (!(await RefreshToken.revoke(record.id))) {
+      return null;
+    }
+    
+    const user = await User.findById(record.userId);
+    const tokens = await issueTokens(user);
+    
+    return { user: toPublicUser(user), tokens };
+  } catch (error) {
+    // Tokens of deleted accounts are simply invalid
+    if (error instanceof NotFoundError) {
+      return null;
+    }
+    
+    serviceLogger.error('Error refreshing tokens', error);
+    throw new AppError('Failed to refresh tokens', { cause: error });
+  }
+}
+
+/**
+ * Ends the session of a refresh token, unknown tokens are ignored
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<boolean>} Success state
+ * @throws {AppError} If logout fails
+ */
+export async function logout(refreshToken) {
+  try {
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+      return true;
+    }
+    
+    const record = await RefreshToken.findByHash(hashToken(refreshToken));
+    
+    if (record) {
+      await RefreshToken.revoke(record.id);
+    }
+    
+    return true;
+  } catch (error) {
+    serviceLogger.error('Error signing out', error);
+    throw new AppError('Failed to sign out', { cause: error });
+  }
+}
+
+/**
+ * Verifies an access token
+ * @param {string} accessToken - Access token
+ * @returns {Object|null} Authenticated user as { id, email }, null if the
+ *   token is invalid or expired
+ * @throws {AppError} If no signing secret is configured
+ */
+export function verifyAccessToken(accessToken) {
+  const secret = getJwtSecret();
+  
+  try {
+    const payload = jwt.verify(accessToken, secret);
+    return { id: payload.sub, email: payload.email };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Issues an access token and a stored refresh token
+ * @param {Object} user - User record
+ * @returns {Promise<Object>} { accessToken, refreshToken }
+ * @private
+ */
+async function issueTokens(user) {
+  const accessToken = jwt.sign({ email: user.email }, getJwtSecret(), {
+    subject: user.id,
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+  
+  const refreshToken = crypto.randomBytes(REFRESH_TOKEN_BYTES).toString('hex');
+  
+  await RefreshToken.create({
+    userId: user.id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: Date.now() + REFRESH_TOKEN_TTL_MS
+  });
+  
+  return { accessToken, refreshToken };
+}
+
+/**
+ * Gets the secret access tokens are signed with
+ * @returns {string} Signing secret
+ * @throws {AppError} If JWT_SECRET is not set
+ * @private
+ */
+function getJwtSecret() {
+  if (!process.env.JWT_SECRET) {
+    throw new AppError('JWT_SECRET is not configured');
+  }
+  
+  return process.env.JWT_SECRET;
+}
+
+/**
+ * Hashes a refresh token for storage, the tokens are random so no salt is needed
+ * @param {string} token - Refresh token
+ * @returns {string} SHA-256 hex digest
+ * @private
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Normalizes an email address for lookups
+ * @param {string} email - Email address
+ * @returns {string} Trimmed, lower case address
+ * @private
+ */
+function normalizeEmail(email) {
+  return email.trim().toLowerCase();
+}
+
+/**
+ * Removes the password hash from a user record
+ * @param {Object} user - User record
+ * @returns {Object} User without passwordHash
+ * @private
+ */
+function toPublicUser(user) {
+  const { passwordHash, ...publicUser } = user;
+  return publicUser;
+}
+
+/**
+ * Validates registration data
+ * @param {Object} data - Registration data
+ * @returns {Object} Validated data
+ * @throws {ValidationError} If validation fails
+ * @private
+ */
+function validateRegistration(data = {}) {
+  if (typeof data.email !== 'string' || !EMAIL_PATTERN.test(data.email.trim())) {
+    throw new ValidationError('A valid email address is required');
+  }
+  
+  if (typeof data.password !== 'string' || data.password.length < MIN_PASSWORD_LENGTH) {
+    throw new ValidationError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  
+  if (data.name !== undefined && data.name !== null && typeof data.name !== 'string') {
+    throw new ValidationError('Name must be a string');
+  }
+  
+  return {
+    email: normalizeEmail(data.email),
+    password: data.password,
+    name: data.name ? data.name.trim() : null
+  };
+}
+
+export default {
+  register,
+  login,
+  refresh,
+  logout,
+  verifyAccessToken
+};
@@ -0,0 +1,206 @@
+import CoachAthlete, { RELATIONSHIP_STATUS } from '../models/CoachAthlete';
+import User from '../models/User';
+import { getActivitySummary } from './activityService';
+import logger from '../../utils/logger';
+import {
+  AppError,
+  NotFoundError,
+  ValidationError
+} from '../utils/errorTypes';
+
+// Create logger instance for this module
+const serviceLogger = logger.createContextLogger('CoachingService');
+
+// Summary periods the roster can show
+const VALID_PERIODS = ['week', 'month', 'year', 'all'];
+
+/**
+ * Service layer for coach/athlete relationships.
+ * A coach invites an athlete by email and may read the athlete's
+ * activities once the athlete accepts, editing stays with the athlete.
+ */
+
+/**
+ * Invites an athlete to be coached
+ * @param {string} coachId - Inviting coach
+ * @param {string} email - Email address of the athlete's account
+ * @returns {Promise<Object>} { duplicate, relationship }, the existing
+ *   relationship for duplicates
+ * @throws {ValidationError} If the email is missing or the coach's own
+ * @throws {NotFoundError} If no account uses the email
+ */
+export async function inviteAthlete(coachId, email) {
+  try {
+    if (typeof email !== 'string' || !email.trim()) {
+      throw new ValidationError('Missing required field: email');
+    }
+    
+    const athlete = await User.findByEmail(email.trim().toLowerCase());
+    
+    if (!athlete) {
+      throw new NotFoundError(`No account uses the email ${email}`);
+    }
+    
+    if (athlete.id === coachId) {
+      throw new ValidationError('You cannot coach yourself');
+    }
+    
+    const existingRelationship = await CoachAthlete.find(coachId, athlete.id);
+    
+    if (existingRelationship) {
+      return { duplicate: true, relationship: existingRelationship };
+    }
+    
+    const relationship = await CoachAthlete.create(coachId, athlete.id);
+    
+    serviceLogger.info('Athlete invited', { coachId, athleteId: athlete.id });
+    
+    return { duplicate: false, relationship };
+  } catch (error) {
+    // Re-throw specific errors
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      throw error;
+    }
+    
+    serviceLogger.error('Error inviting athlete', error);
+    throw new AppError('Failed to invite athlete', { cause: error });
+  }
+}
+
+/**
+ * Accepts a coach's invitation
+ * @param {string} athleteId - Invited athlete
+ * @param {string} coachId - Inviting coach
+ * @returns {Promise<Object>} Accepted relationship
+ * @throws {NotFoundError} If there is no pending invitation
+ */
+export async function acceptInvitation(athleteId, coachId) {
+  try {
+    const isAccepted = await CoachAthlete.accept(coachId, athleteId);
+    
+    if (!isAccepted) {
+      throw new NotFoundError(`No pending invitation from coach with ID ${coachId}`);
+    }
+    
+    serviceLogger.info('Coach invitation accepted', { coachId, athleteId });
+    
+    return await CoachAthlete.find(coachId, athleteId);
+  } catch (error) {
+    // Re-throw NotFoundError
+    if (error instanceof NotFoundError) {
+      throw error;
+    }
+    
+    serviceLogger.error('Error accepting coach invitation', error);
+    throw new AppError('Failed to accept coach invitation', { cause: error });
+  }
+}
+
+/**
+ * Ends a relationship, used by either side to cancel, decline or leave
+ * @param {string} coachId - Coach identifier
+ * @param {string} athleteId - Athlete identifier
+ * @returns {Promise<boolean>} Success state
+ * @throws {NotFoundError} If the relationship doesn't exist
+ */
+export async function removeRelationship(coachId, athleteId) {
+  try {
+    const isDeleted = await CoachAthlete.delete(coachId, athleteId);
+    
+    if (!isDeleted) {
+      throw new NotFoundError('Coach relationship not found');
+    }
+    
+    serviceLogger.info('Coach relationship removed', { coachId, athleteId });
+    
+    return true;
+  } catch (error) {
+    // Re-throw NotFoundError
+    if (error instanceof NotFoundError) {
+      throw error;
+    }
+    
+    serviceLogger.error('Error removing coach relationship', error);
+    throw new AppError('Failed to remove coach relationship', { cause: error });
+  }
+}
+
+/**
+ * Checks whether a user coaches an athlete, pending invitations don't count
+ * @param {string} coachId - Coach identifier
+ * @param {string} athleteId - Athlete identifier
+ * @returns {Promise<boolean>} True if the athlete accepted the coach
+ */
+export async function isCoachOf(coachId, athleteId) {
+  try {
+    const relationship = await CoachAthlete.find(coachId, athleteId);
+    return !!relationship && relationship.status === RELATIONSHIP_STATUS.ACCEPTED;
+  } catch (error) {
+    serviceLogger.error('Error checking coach relationship', error);
+    throw new AppError('Failed to check coach relationship', { cause: error });
+  }
+}
+
+/**
+ * Gets a coach's athletes with their activity summary
+ * @param {string} coachId - Coach identifier
+ * @param {string} period - Summary period, week, month, year or all
+ * @returns {Promise<Object>} { athletes, invitations }, athletes carry their
+ *   summary, invitations are the ones not accepted yet
+ */
+export async function getRoster(coachId, period = 'week') {
+  try {
+    const summaryPeriod = VALID_PERIODS.includes(period) ? period : 'week';
+    
+    const relationships = await CoachAthlete.findByCoach(coachId);
+    const accepted = relationships.filter(relationship => relationship.status === RELATIONSHIP_STATUS.ACCEPTED);
+    
+    const athletes = await Promise.all(accepted.map(async relationship => ({
+      ...relationship.user,
+      since: relationship.acceptedAt,
+      summary: await getActivitySummary({ period: summaryPeriod, userId: relationship.athleteId })
+    })));
+    
+    const invitations = relationships
+      .filter(relationship => relationship.status === RELATIONSHIP_STATUS.PENDING)
+      .map(relationship => ({ ...relationship.user, invitedAt: relationship.invitedAt }));
+    
+    return { athletes, invitations };
+  } catch (error) {
+    serviceLogger.error(`Error getting roster for coach ID: ${coachId}`, error);
+    throw new AppError('Failed to retrieve athlete roster', { cause: error });
+  }
+}
+
+/**
+ * Gets an athlete's coaches and the invitations waiting for an answer
+ * @param {string} athleteId - Athlete identifier
+ * @returns {Promise<Object>} { coaches, invitations }
+ */
+export async function getCoaches(athleteId) {
+  try {
+    const relationships = await CoachAthlete.findByAthlete(athleteId);
+    
+    const coaches = relationships
+      .filter(relationship => relationship.status === RELATIONSHIP_STATUS.ACCEPTED)
+      .map(relationship => ({ ...relationship.user, since: relationship.acceptedAt }));
+    
+    const invitations = relationships
+      .filter(relationship => relationship.status === RELATIONSHIP_STATUS.PENDING)
+      .map(relationship => ({ ...relationship.user, invitedAt: relationship.invitedAt }));
+    
+    return { coaches, invitations };
+  } catch (error) {
+    serviceLogger.error(`Error getting coaches for athlete ID: ${athleteId}`, error);
+    throw new AppError('Failed to retrieve coaches', { cause: error });
+  }
+}
+
+export default {
+  inviteAthlete,
+  acceptInvitation,
+  removeRelationship,
+  isCoachOf,
+  getRoster,
+  getCoaches
+};
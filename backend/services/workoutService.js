@@ -0,0 +1,253 @@
+import Workout from '../models/Workout';
+import logger from '../../utils/logger';
+import {
+  AppError,
+  NotFoundError,
+  ValidationError
+} from '../utils/errorTypes';
+import { validateWorkout } from '../../services/workout/workoutModel';
+import { ACTIVITY_TYPES } from '../../config/constants';
+
+// Create logger instance for this module
+const serviceLogger = logger.createContextLogger('WorkoutService');
+
+/**
+ * Service layer for the workout library.
+ * Handles step tree validation and persistence,
+ * permission checks live in the controller.
+ */
+
+/**
+ * Gets workouts with filtering options
+ * @param {Object} filters - Search criteria
+ * @param {Object} options - Pagination and sorting
+ * @returns {Promise<Array>} Matching workouts
+ * @throws {AppError} If retrieval fails
+ */
+export async function getWorkouts(filters = {}, options = {}) {
+  try {
+    // Parse update filter if provided
+    if (filters.updatedSince) {
+      filters.updatedSince = new Date(filters.updatedSince).getTime();
+    }
+    
+    // Set default options
+    const defaultOptions = {
+      limit: 50,
+      offset: 0,
+      sortBy: 'updatedAt',
+      sortOrder: 'desc'
+    };
+    
+    const mergedOptions = {
+      ...defaultOptions,
+      ...options
+    };
+    
+    return await Workout.findByFilters(filters, mergedOptions);
+  } catch (error) {
+    serviceLogger.error('Error getting workouts', error);
+    throw new AppError('Failed to retrieve workouts', { cause: error });
+  }
+}
+
+/**
+ * Gets workout by ID
+ * @param {string} id - Workout identifier
+ * @returns {Promise<Object>} Workout data
+ * @throws {NotFoundError} If workout not found
+ */
+export async function getWorkoutById(id) {
+  try {
+    const workout = await Workout.findById(id);
+    
+    if (!workout) {
+      throw new NotFoundError(`Workout with ID ${id} not found`);
+    }
+    
+    return workout;
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      throw error;
+    }
+    
+    serviceLogger.error(`Error getting workout by ID: ${id}`, error);
+    throw new AppError(`Failed to retrieve workout with ID ${id}`, { cause: error });
+  }
+}
+
+/**
+ * Creates new workout
+ * @param {Object} workoutData - Workout information
+ * @returns {Promise<Object>} Created workout
+ * @throws {ValidationError} If data invalid
+ */
+export async function createWorkout(workoutData) {
+  try {
+    const validatedData = validateWorkoutData(workoutData);
+    
+    validatedData.createdAt = Date.now();
+    validatedData.updatedAt = Date.now();
+    
+    const workout = await Workout.create(validatedData);
+    
+    serviceLogger.info('Workout created', { workoutId: workout.id });
+    return workout;
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+    
+    serviceLogger.error('Error creating workout', error);
+    throw new AppError('Failed to create workout', { cause: error });
+  }
+}
+
+/**
+ * Updates workout by ID
+ * @param {string} id - Workout identifier
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated workout
+ * @throws {NotFoundError} If workout not found
+ * @throws {ValidationError} If updates invalid
+ */
+export async function updateWorkout(id, updates) {
+  try {
+    const existingWorkout = await Workout.findById(id);
+    
+    // Validate the result of the update as a whole
+    const validatedData = validateWorkoutData({
+      ...existingWorkout,
+      ...updates
+    });
+    
+    const updatedWorkout = await Workout.update(id, {
+      name: validatedData.name,
+      type: validatedData.type,
+      description: validatedData.description,
+      steps: validatedData.steps,
+      tags: validatedData.tags,
+      updatedAt: Date.now()
+    });
+    
+    serviceLogger.info('Workout updated', { workoutId: id });
+    return updatedWorkout;
+  } catch (error) {
+    if (error instanceof NotFoundError || error instanceof ValidationError) {
+      throw error;
+    }
+    
+    serviceLogger.error(`Error updating workout with ID: ${id}`, error);
+    throw new AppError(`Failed to update workout with ID ${id}`, { cause: error });
+  }
+}
+
+/**
+ * Deletes workout by ID
+ * @param {string} id - Workout identifier
+ * @returns {Promise<boolean>} Success state
+ * @throws {NotFoundError} If workout not found
+ */
+export async function deleteWorkout(id) {
+  try {
+    const result = await Workout.delete(id);
+    
+    serviceLogger.info('Workout deleted', { workoutId: id });
+    return result;
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      throw error;
+    }
+    
+    serviceLogger.error(`Error deleting workout with ID: ${id}`, error);
+    throw new AppError(`Failed to delete workout with ID ${id}`, { cause: error });
+  }
+}
+
+/**
+ * Copies a workout for a user
+ * @param {string} id - Workout identifier
+ * @param {string} userId - Owner of the copy
+ * @param {string} name - Name of the copy
+ * @returns {Promise<Object>} Created copy
+ * @throws {NotFoundError} If workout not found
+ */
+export async function duplicateWorkout(id, userId, name = null) {
+  try {
+    const workout = await Workout.findById(id);
+    
+    const copy = await Workout.create({
+      name: name || `${workout.name} (copy)`,
+      type: workout.type,
+      description: workout.description,
+      steps: workout.steps,
+      tags: workout.tags,
+      userId,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    });
+    
+    serviceLogger.info('Workout duplicated', { workoutId: id, copyId: copy.id });
+    return copy;
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      throw error;
+    }
+    
+    serviceLogger.error(`Error duplicating workout with ID: ${id}`, error);
+    throw new AppError(`Failed to duplicate workout with ID ${id}`, { cause: error });
+  }
+}
+
+/**
+ * Validates workout data
+ * @param {Object} data - Workout data to validate
+ * @returns {Object} Validated data
+ * @throws {ValidationError} If validation fails
+ * @private
+ */
+function validateWorkoutData(data) {
+  // Required fields
+  const requiredFields = ['name', 'type', 'steps', 'userId'];
+  
+  for (const field of requiredFields) {
+    if (!data[field]) {
+      throw new ValidationError(`Missing required field: ${field}`);
+    }
+  }
+  
+  // Sport type must be one the app can record
+  if (!Object.values(ACTIVITY_TYPES).includes(data.type)) {
+    throw new ValidationError(`Invalid workout type: ${data.type}`);
+  }
+  
+  // Step tree uses the same rules as the app
+  const validation = validateWorkout({ steps: data.steps });
+  if (!validation.valid) {
+    throw new ValidationError('Invalid workout steps', { details: validation.errors });
+  }
+  
+  // Tags are short free-form labels
+  const tags = data.tags || [];
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || tag.length === 0)) {
+    throw new ValidationError('Tags must be a list of non-empty strings');
+  }
+  
+  return {
+    name: String(data.name).trim(),
+    type: data.type,
+    description: data.description || null,
+    steps: data.steps,
+    tags: [...new Set(tags.map(tag => tag.trim().toLowerCase()))],
+    userId: data.userId
+  };
+}
+
+export default {
+  getWorkouts,
+  getWorkoutById,
+  createWorkout,
+  updateWorkout,
+  deleteWorkout,
+  duplicateWorkout
+};
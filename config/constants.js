@@ -17,7 +17,7 @@ export const CONSTANTS = {
   
   // Feature flags
   FEATURES: {
-    ENABLE_CLOUD_SYNC: false,
+    ENABLE_CLOUD_SYNC: process.env.ENABLE_CLOUD_SYNC === 'true',
     ENABLE_SOCIAL_SHARING: false,
     ENABLE_ADVANCED_METRICS: true,
   },
@@ -30,7 +30,9 @@ export const API = {
   TIMEOUT_MS: parseInt(process.env.API_TIMEOUT, 10) || 5000,
   RETRY_ATTEMPTS: 3,
   ENDPOINTS: {
+    AUTH: '/auth',
     ACTIVITIES: '/activities',
+    WORKOUTS: '/workouts',
     DEVICES: '/devices',
     SETTINGS: '/settings',
   },
@@ -38,12 +40,18 @@ export const API = {
 
 // Local storage keys
 export const STORAGE_KEYS = {
-  AUTH_TOKEN: '@RaceTracker:authToken',
+  AUTH_TOKEN: 'auth.accessToken',
+  REFRESH_TOKEN: 'auth.refreshToken',
+  AUTH_USER: 'auth.user',
   USER_SETTINGS: '@RaceTracker:userSettings',
   NAVIGATION_STATE: '@RaceTracker:navigationState',
   PAIRED_DEVICES: '@RaceTracker:pairedDevices',
   FIRST_LAUNCH: '@RaceTracker:firstLaunch',
   STORAGE_VERSION: '@RaceTracker:storageVersion',
+  ACTIVITY_CHECKPOINT: 'activity.checkpoint',
+  WORKOUTS_PULLED_AT: 'workouts.pulledAt',
+  ACTIVITIES_PULLED_AT: 'activities.pulledAt',
+  HISTORY_FILTER_PRESETS: 'history.filterPresets',
 };
 
 // Timeout and interval values
@@ -57,6 +65,16 @@ export const TIMEOUT_MS = {
   DATA_REFRESH: parseInt(process.env.DATA_REFRESH_INTERVAL, 10) || 30000,
 };
 
+// Activity sync with the backend
+export const SYNC = {
+  INTERVAL_MS: parseInt(process.env.SYNC_INTERVAL, 10) || 5 * 60 * 1000,
+  DEBOUNCE_MS: 5000,
+  RETRY_BASE_MS: 30 * 1000,
+  RETRY_MAX_MS: 60 * 60 * 1000,
+  UPLOAD_CHUNK_SIZE: 500,
+  PULL_PAGE_SIZE: 50,
+};
+
 // Permission types required by the app
 export const PERMISSIONS = {
   LOCATION: {
@@ -84,6 +102,7 @@ export const ACTIVITY_TYPES = {
   TREADMILL: 'treadmill',
   RACE: 'race',
   INTERVAL: 'interval',
+  READINESS: 'readiness',
   OTHER: 'other',
 };
 
@@ -95,6 +114,14 @@ export const ACTIVITY_STATES = {
   STOPPED: 'stopped',
 };
 
+// Auto-lap trigger modes
+export const AUTO_LAP_MODES = {
+  OFF: 'off',
+  DISTANCE: 'distance', // every N km or mi, following the unit setting
+  TIME: 'time', // every N minutes
+  POSITION: 'position', // passing back through a saved point
+};
+
 // Sensor data types
 export const SENSOR_TYPES = {
   HEART_RATE: 'heart_rate',
@@ -108,8 +135,49 @@ export const SENSOR_TYPES = {
   DISTANCE: 'distance',
   ELEVATION: 'elevation',
   PACE: 'pace',
+  FORM_POWER: 'form_power',
+  LEG_SPRING_STIFFNESS: 'leg_spring_stiffness',
+  ACCELEROMETER: 'accelerometer',
+  GYROSCOPE: 'gyroscope',
+  TEMPERATURE: 'temperature',
+  ENERGY_EXPENDED: 'energy_expended',
+  RR_INTERVAL: 'rr_interval',
+};
+
+// Sensor data sources
+export const SENSOR_SOURCES = {
+  POWER: 'power',         // Stryd and other running power meters
+  FOOT_POD: 'foot_pod',
+  HEART_RATE: 'heart_rate',
+  GPS: 'gps',
+  PHONE: 'phone',         // Accelerometer, gyroscope and barometer
 };
 
+// Source priority per metric, first fresh source wins
+export const SENSOR_SOURCE_PRIORITY = {
+  DEFAULT: [
+    SENSOR_SOURCES.POWER,
+    SENSOR_SOURCES.FOOT_POD,
+    SENSOR_SOURCES.HEART_RATE,
+    SENSOR_SOURCES.GPS,
+    SENSOR_SOURCES.PHONE,
+  ],
+  [SENSOR_TYPES.PACE]: [SENSOR_SOURCES.POWER, SENSOR_SOURCES.FOOT_POD, SENSOR_SOURCES.GPS],
+  [SENSOR_TYPES.SPEED]: [SENSOR_SOURCES.POWER, SENSOR_SOURCES.FOOT_POD, SENSOR_SOURCES.GPS],
+  [SENSOR_TYPES.DISTANCE]: [SENSOR_SOURCES.POWER, SENSOR_SOURCES.FOOT_POD, SENSOR_SOURCES.HEART_RATE],
+  [SENSOR_TYPES.CADENCE]: [
+    SENSOR_SOURCES.POWER,
+    SENSOR_SOURCES.FOOT_POD,
+    SENSOR_SOURCES.HEART_RATE,
+    SENSOR_SOURCES.PHONE,
+  ],
+  [SENSOR_TYPES.STRIDE_LENGTH]: [SENSOR_SOURCES.POWER, SENSOR_SOURCES.FOOT_POD, SENSOR_SOURCES.HEART_RATE],
+  [SENSOR_TYPES.ELEVATION]: [SENSOR_SOURCES.PHONE, SENSOR_SOURCES.GPS],
+};
+
+// Seconds without an update before a source is considered stale for a metric
+export const SENSOR_STALE_TIMEOUT_S = parseInt(process.env.SENSOR_STALE_TIMEOUT_S, 10) || 5;
+
 // Units of measurement
 export const UNITS = {
   DISTANCE: {
@@ -148,10 +216,15 @@ export default {
   API,
   STORAGE_KEYS,
   TIMEOUT_MS,
+  SYNC,
   PERMISSIONS,
   ACTIVITY_TYPES,
   ACTIVITY_STATES,
+  AUTO_LAP_MODES,
   SENSOR_TYPES,
+  SENSOR_SOURCES,
+  SENSOR_SOURCE_PRIORITY,
+  SENSOR_STALE_TIMEOUT_S,
   UNITS,
   PAGINATION,
 };
\ No newline at end of file
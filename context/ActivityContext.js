@@ -2,7 +2,7 @@ import React, { createContext, useReducer, useContext, useEffect } from 'react';
 import { AppState } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { v4 as uuidv4 } from 'uuid';
-import activityManager from '../services/activity/activityManager';
+import activityManager, { ACTIVITY_EVENTS } from '../services/activity/activityManager';
 import activityRecorder from '../services/activity/activityRecorder';
 import activityMetrics from '../services/activity/activityMetrics';
 import { useBle } from './BleContext';
@@ -11,6 +11,8 @@ import { useBle } from './BleContext';
 const initialState = {
   isRecording: false,           // Whether an activity is currently being recorded
   isPaused: false,              // Whether the current activity is paused
+  isAutoPaused: false,          // Whether the athlete stopped and auto-pause kicked in
+  movingTime: 0,                // Elapsed time minus auto-paused time in seconds
   currentActivity: null,        // Current activity being recorded
   currentMetrics: {},           // Current real-time metrics
   activityHistory: [],          // List of past activities
@@ -19,6 +21,7 @@ const initialState = {
   currentLocations: [],         // GPS coordinates collected during current activity
   error: null,                  // Any activity-related errors
   selectedActivityId: null,     // Activity selected for viewing details
+  recoverableActivity: null,    // Activity interrupted by an app kill or OS restart
 };
 
 // Action types for the reducer
@@ -37,6 +40,8 @@ const ACTIVITY_ACTIONS = {
   SET_ERROR: 'SET_ERROR',
   CLEAR_ERROR: 'CLEAR_ERROR',
   RESET_CURRENT_ACTIVITY: 'RESET_CURRENT_ACTIVITY',
+  SET_RECOVERABLE_ACTIVITY: 'SET_RECOVERABLE_ACTIVITY',
+  SET_AUTO_PAUSED: 'SET_AUTO_PAUSED',
 };
 
 // Reducer function for Activity state
@@ -69,6 +74,7 @@ function activityReducer(state, action) {
         ...state,
         isRecording: false,
         isPaused: false,
+        isAutoPaused: false,
       };
     case ACTIVITY_ACTIONS.UPDATE_METRICS:
       return {
@@ -124,11 +130,24 @@ function activityReducer(state, action) {
         currentActivity: null,
         isRecording: false,
         isPaused: false,
+        isAutoPaused: false,
+        movingTime: 0,
         elapsedTime: 0,
         distance: 0,
         currentLocations: [],
         currentMetrics: {},
       };
+    case ACTIVITY_ACTIONS.SET_RECOVERABLE_ACTIVITY:
+      return {
+        ...state,
+        recoverableActivity: action.payload,
+      };
+    case ACTIVITY_ACTIONS.SET_AUTO_PAUSED:
+      return {
+        ...state,
+        isAutoPaused: action.payload.isAutoPaused,
+        movingTime: action.payload.movingTime,
+      };
     default:
       return state;
   }
@@ -162,6 +181,69 @@ export const ActivityProvider = ({ children }) => {
     loadActivityHistory();
   }, []);
 
+  // Pick up an activity left unfinished by a crash
+  useEffect(() => {
+    const handleRecoveryAvailable = (recoverable) => {
+      dispatch({
+        type: ACTIVITY_ACTIONS.SET_RECOVERABLE_ACTIVITY,
+        payload: recoverable,
+      });
+    };
+
+    // Detection may have finished before the provider mounted
+    const recoverable = activityManager.getRecoverableActivity();
+    if (recoverable) {
+      handleRecoveryAvailable(recoverable);
+    }
+
+    activityManager.on(ACTIVITY_EVENTS.RECOVERY_AVAILABLE, handleRecoveryAvailable);
+
+    return () => {
+      activityManager.off(ACTIVITY_EVENTS.RECOVERY_AVAILABLE, handleRecoveryAvailable);
+    };
+  }, []);
+
+  // Show errors raised in the background, such as failed checkpoints
+  useEffect(() => {
+    const handleError = (error) => {
+      dispatch({
+        type: ACTIVITY_ACTIONS.SET_ERROR,
+        payload: error.message,
+      });
+    };
+
+    activityManager.on(ACTIVITY_EVENTS.ERROR, handleError);
+
+    return () => {
+      activityManager.off(ACTIVITY_EVENTS.ERROR, handleError);
+    };
+  }, []);
+
+  // Follow auto-pause while the athlete stops and starts again
+  useEffect(() => {
+    const handleAutoPause = () => {
+      dispatch({
+        type: ACTIVITY_ACTIONS.SET_AUTO_PAUSED,
+        payload: { isAutoPaused: true, movingTime: activityManager.getMovingTime() },
+      });
+    };
+
+    const handleAutoResume = ({ movingTime }) => {
+      dispatch({
+        type: ACTIVITY_ACTIONS.SET_AUTO_PAUSED,
+        payload: { isAutoPaused: false, movingTime },
+      });
+    };
+
+    activityManager.on(ACTIVITY_EVENTS.AUTO_PAUSE, handleAutoPause);
+    activityManager.on(ACTIVITY_EVENTS.AUTO_RESUME, handleAutoResume);
+
+    return () => {
+      activityManager.off(ACTIVITY_EVENTS.AUTO_PAUSE, handleAutoPause);
+      activityManager.off(ACTIVITY_EVENTS.AUTO_RESUME, handleAutoResume);
+    };
+  }, []);
+
   // Handle app state changes to manage recording sessions properly
   useEffect(() => {
     const handleAppStateChange = (nextAppState) => {
@@ -440,6 +522,72 @@ export const ActivityProvider = ({ children }) => {
     }
   };
 
+  // Resume an activity left unfinished by a crash, in paused state
+  const resumeRecoveredActivity = async () => {
+    try {
+      const activity = await activityManager.resumeRecoveredActivity();
+
+      dispatch({
+        type: ACTIVITY_ACTIONS.SET_RECOVERABLE_ACTIVITY,
+        payload: null,
+      });
+
+      dispatch({
+        type: ACTIVITY_ACTIONS.START_RECORDING,
+        payload: activity,
+      });
+
+      dispatch({
+        type: ACTIVITY_ACTIONS.UPDATE_METRICS,
+        payload: activity.metrics || {},
+      });
+
+      dispatch({
+        type: ACTIVITY_ACTIONS.UPDATE_ELAPSED_TIME,
+        payload: activityManager.timerTime,
+      });
+
+      dispatch({
+        type: ACTIVITY_ACTIONS.PAUSE_RECORDING,
+      });
+
+      return activity;
+    } catch (error) {
+      console.error('Error resuming unfinished activity:', error);
+      dispatch({
+        type: ACTIVITY_ACTIONS.SET_ERROR,
+        payload: 'Failed to resume unfinished activity',
+      });
+      return null;
+    }
+  };
+
+  // Save an activity left unfinished by a crash from its recorded data
+  const finalizeRecoveredActivity = async () => {
+    try {
+      const completedActivity = await activityManager.finalizeRecoveredActivity();
+
+      dispatch({
+        type: ACTIVITY_ACTIONS.SET_RECOVERABLE_ACTIVITY,
+        payload: null,
+      });
+
+      dispatch({
+        type: ACTIVITY_ACTIONS.ADD_TO_HISTORY,
+        payload: completedActivity,
+      });
+
+      return completedActivity;
+    } catch (error) {
+      console.error('Error saving unfinished activity:', error);
+      dispatch({
+        type: ACTIVITY_ACTIONS.SET_ERROR,
+        payload: 'Failed to save unfinished activity',
+      });
+      return null;
+    }
+  };
+
   // Clear any activity errors
   const clearError = () => {
     dispatch({ type: ACTIVITY_ACTIONS.CLEAR_ERROR });
@@ -455,6 +603,8 @@ export const ActivityProvider = ({ children }) => {
     discardRecording,
     loadActivityById,
     deleteActivity,
+    resumeRecoveredActivity,
+    finalizeRecoveredActivity,
     clearError,
   };
 
@@ -1,6 +1,9 @@
 import React, { createContext, useReducer, useEffect } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { mmkvStorage } from '../database/cache/mmkvStorage';
+import sensorManager from '../services/sensors/sensorManager';
+import activityManager from '../services/activity/activityManager';
+import { SENSOR_SOURCE_PRIORITY, SENSOR_STALE_TIMEOUT_S, AUTO_LAP_MODES } from '../config/constants';
 
 // Define the initial state for settings
 const initialState = {
@@ -23,6 +26,19 @@ const initialState = {
   recordingInterval: 500, // in milliseconds
   gpsAccuracyLevel: 'high', // 'high', 'medium', 'low'
   autoSaveThreshold: 5, // in minutes
+  sensorSourcePriority: SENSOR_SOURCE_PRIORITY, // ordered sources per metric
+  sensorStaleTimeout: SENSOR_STALE_TIMEOUT_S, // in seconds before failing over
+  
+  // Auto-lap
+  autoLapMode: AUTO_LAP_MODES.DISTANCE, // 'off', 'distance', 'time', 'position'
+  autoLapDistance: 1, // in km or miles based on metricUnits
+  autoLapTime: 5, // in minutes
+  autoLapPosition: null, // { latitude, longitude }, null laps at the start point
+  autoLapRadius: 20, // in meters around the lap point
+  
+  // Auto-pause
+  enableAutoPause: true,
+  autoPauseSpeed: 1.8, // in km/h or mph based on metricUnits, slower counts as stopped
   
   // Alerts and notifications
   heartRateAlerts: false,
@@ -138,6 +154,42 @@ export const SettingsProvider = ({ children }) => {
     }
   }, [state]);
 
+  // Apply sensor source preferences to the sensor pipeline
+  useEffect(() => {
+    sensorManager.configureSources({
+      priority: state.sensorSourcePriority,
+      staleTimeout: state.sensorStaleTimeout,
+    });
+  }, [state.sensorSourcePriority, state.sensorStaleTimeout]);
+
+  // Apply auto-lap preferences to the activity manager
+  useEffect(() => {
+    activityManager.configureAutoLap({
+      mode: state.autoLapMode,
+      distance: state.autoLapDistance,
+      time: state.autoLapTime,
+      position: state.autoLapPosition,
+      radius: state.autoLapRadius,
+      metricUnits: state.metricUnits,
+    });
+  }, [
+    state.autoLapMode,
+    state.autoLapDistance,
+    state.autoLapTime,
+    state.autoLapPosition,
+    state.autoLapRadius,
+    state.metricUnits,
+  ]);
+
+  // Apply auto-pause preferences to the activity manager
+  useEffect(() => {
+    activityManager.configureAutoPause({
+      enabled: state.enableAutoPause,
+      speedThreshold: state.autoPauseSpeed,
+      metricUnits: state.metricUnits,
+    });
+  }, [state.enableAutoPause, state.autoPauseSpeed, state.metricUnits]);
+
   // Define the update function
   const updateSetting = (key, value) => {
     dispatch({
@@ -1,26 +1,52 @@
 import * as SQLite from 'expo-sqlite';
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
 import { Alert } from 'react-native';
-import * as activitySchema from './schemas/activitySchema';
-import * as sensorDataSchema from './schemas/sensorDataSchema';
-import { logger } from '../utils/logger';
+import migrationRunner from './migrationRunner';
+import { MIGRATIONS } from './migrations';
+import logger from '../utils/logger';
+
+const DB_NAME = 'racetracker.db';
+
+// Copy of the database taken before migrations are applied
+const BACKUP_NAME = 'racetracker.backup.db';
 
 class DbManager {
   constructor() {
     this.db = null;
     this.isInitialized = false;
+    this.initPromise = null;
   }
 
   /**
-   * Initialize the database connection
+   * Initialize the database connection, concurrent callers share one run
    * @returns {Promise<void>}
    */
   async init() {
+    if (this.isInitialized) {
+      return;
+    }
+
+    if (!this.initPromise) {
+      this.initPromise = this._init().finally(() => {
+        this.initPromise = null;
+      });
+    }
+
+    return this.initPromise;
+  }
+
+  /**
+   * Open the database and bring its schema up to date
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _init() {
     try {
-      if (this.isInitialized) {
-        return;
+      // Kept open after a failed attempt so a retry reuses the connection
+      if (!this.db) {
+        this.db = SQLite.openDatabase(DB_NAME);
       }
-
-      this.db = SQLite.openDatabase('racetracker.db');
       
       // Run migrations
       await this.migrate();
@@ -29,52 +55,119 @@ class DbManager {
       logger.info('Database initialized successfully');
     } catch (error) {
       logger.error('Failed to initialize database', error);
-      Alert.alert(
-        'Database Error',
-        'Could not initialize the database. Please restart the app.'
-      );
+      this._showRecoveryAlert(error);
       throw error;
     }
   }
 
   /**
-   * Run database migrations
-   * @returns {Promise<void>}
+   * Run pending schema migrations. The database file is copied first so
+   * the data can be recovered if a migration fails.
+   * @param {Object} options - { dryRun } to check the pending migrations
+   *   without changing the database
+   * @returns {Promise<Object>} - { fromVersion, toVersion, applied, dryRun }
    */
-  async migrate() {
-    return new Promise((resolve, reject) => {
-      this.db.transaction(
-        tx => {
-          // Create activities table
-          tx.executeSql(activitySchema.CREATE_ACTIVITIES_TABLE);
-          
-          // Create sensor_data table
-          tx.executeSql(sensorDataSchema.CREATE_SENSOR_DATA_TABLE);
-          
-          // Create locations table
-          tx.executeSql(activitySchema.CREATE_LOCATIONS_TABLE);
-          
-          // Create devices table
-          tx.executeSql(activitySchema.CREATE_DEVICES_TABLE);
-          
-          // Create indexes
-          tx.executeSql(sensorDataSchema.CREATE_INDEX_SENSOR_DATA_ACTIVITY_ID);
-          tx.executeSql(sensorDataSchema.CREATE_INDEX_SENSOR_DATA_TIMESTAMP);
-          tx.executeSql(sensorDataSchema.CREATE_INDEX_SENSOR_DATA_DEVICE_ID);
-          tx.executeSql(activitySchema.CREATE_INDEX_LOCATIONS_ACTIVITY_ID);
-          tx.executeSql(activitySchema.CREATE_INDEX_LOCATIONS_TIMESTAMP);
-          tx.executeSql(activitySchema.CREATE_INDEX_ACTIVITIES_START_TIME);
-        },
-        error => {
-          logger.error('Database migration failed', error);
-          reject(error);
-        },
-        () => {
-          logger.info('Database migration completed successfully');
-          resolve();
-        }
-      );
-    });
+  async migrate(options = {}) {
+    const { pending } = await migrationRunner.getPending(this.db, MIGRATIONS);
+
+    if (pending.length === 0 || options.dryRun) {
+      return migrationRunner.run(this.db, MIGRATIONS, options);
+    }
+
+    const backupUri = await this.backupDatabase();
+
+    try {
+      const report = await migrationRunner.run(this.db, MIGRATIONS);
+      logger.info('Database migration completed successfully', {
+        fromVersion: report.fromVersion,
+        toVersion: report.toVersion
+      });
+      return report;
+    } catch (error) {
+      logger.error('Database migration failed', error);
+      error.backupUri = backupUri;
+      throw error;
+    }
+  }
+
+  /**
+   * Copy the database file next to it
+   * @returns {Promise<string|null>} - Backup file uri, null if there is no database file yet
+   */
+  async backupDatabase() {
+    const databaseUri = this._getFileUri(DB_NAME);
+    const backupUri = this._getFileUri(BACKUP_NAME);
+
+    const info = await FileSystem.getInfoAsync(databaseUri);
+    if (!info.exists) {
+      return null;
+    }
+
+    await FileSystem.deleteAsync(backupUri, { idempotent: true });
+    await FileSystem.copyAsync({ from: databaseUri, to: backupUri });
+
+    logger.info('Database backed up', { backupUri });
+    return backupUri;
+  }
+
+  /**
+   * Share the backup copy so the user can keep their data
+   * @returns {Promise<boolean>} - False if there is no backup or sharing is unavailable
+   */
+  async shareBackup() {
+    const backupUri = this._getFileUri(BACKUP_NAME);
+
+    const info = await FileSystem.getInfoAsync(backupUri);
+    if (!info.exists || !(await Sharing.isAvailableAsync())) {
+      return false;
+    }
+
+    await Sharing.shareAsync(backupUri, { dialogTitle: 'Save database backup' });
+    return true;
+  }
+
+  /**
+   * Tell the user that the database couldn't be opened and offer a retry,
+   * and the backup when a migration failed
+   * @param {Error} error - Initialization error
+   * @private
+   */
+  _showRecoveryAlert(error) {
+    const buttons = [
+      {
+        text: 'Retry',
+        onPress: () => this.init().catch(() => {
+          // Reported by another alert
+        })
+      }
+    ];
+
+    if (error.backupUri) {
+      buttons.unshift({
+        text: 'Save Backup',
+        onPress: () => this.shareBackup().catch(shareError => {
+          logger.error('Failed to share database backup', shareError);
+        })
+      });
+    }
+
+    Alert.alert(
+      'Database Error',
+      error.migration
+        ? 'The database could not be updated. Your activities were backed up before the update started.'
+        : 'Could not initialize the database.',
+      buttons
+    );
+  }
+
+  /**
+   * Get the uri of a file in the SQLite directory
+   * @param {string} name - File name
+   * @returns {string} - File uri
+   * @private
+   */
+  _getFileUri(name) {
+    return `${FileSystem.documentDirectory}SQLite/${name}`;
   }
 
   /**
@@ -138,6 +231,7 @@ class DbManager {
   close() {
     if (this.db) {
       this.db.close();
+      this.db = null;
       this.isInitialized = false;
       logger.info('Database connection closed');
     }
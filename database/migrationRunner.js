@@ -0,0 +1,348 @@
+import logger from '../utils/logger';
+
+// Applied versions, one row per migration
+const CREATE_SCHEMA_VERSION_TABLE = `
+CREATE TABLE IF NOT EXISTS schema_version (
+  version INTEGER PRIMARY KEY,
+  name TEXT,
+  applied_at INTEGER
+);`;
+
+// Fails on purpose so the transaction rolls back, ending a dry run or a
+// migration whose data step failed
+const FORCE_ROLLBACK = 'SELECT * FROM force_rollback';
+
+/**
+ * Normalizes a migration statement
+ * @param {string|Object} statement - SQL or { sql, optional }
+ * @returns {Object} { sql, optional }
+ */
+const toStatement = (statement) => (
+  typeof statement === 'string' ? { sql: statement, optional: false } : statement
+);
+
+/**
+ * Migration Runner - Brings the database schema up to date with numbered
+ * up-migrations. Every migration runs in its own transaction together with
+ * its schema_version row, so a failed migration leaves the database at the
+ * last version that applied.
+ *
+ * Besides statements, a migration may have an up(tx, fail) data step for
+ * changes SQL can't express. It runs after the statements, may queue more
+ * statements from result callbacks, and calls fail(error) to roll back.
+ */
+class MigrationRunner {
+  /**
+   * Checks that migrations are numbered 1, 2, 3... and have statements or a data step
+   * @param {Array} migrations - Migrations as { version, name, statements, up }
+   * @returns {Array<string>} - Problems found, empty when valid
+   */
+  validate(migrations) {
+    const problems = [];
+    
+    migrations.forEach((migration, index) => {
+      const label = `Migration ${index + 1}`;
+      
+      if (migration.version !== index + 1) {
+        problems.push(`${label} has version ${migration.version}, expected ${index + 1}`);
+      }
+      
+      if (!migration.name) {
+        problems.push(`${label} has no name`);
+      }
+      
+      if (migration.up !== undefined && typeof migration.up !== 'function') {
+        problems.push(`${label} has an up step that is not a function`);
+      }
+      
+      const statements = migration.statements || [];
+      if (!Array.isArray(statements) || (statements.length === 0 && !migration.up)) {
+        problems.push(`${label} has no statements`);
+        return;
+      }
+      
+      statements.forEach((statement, statementIndex) => {
+        const { sql } = toStatement(statement) || {};
+        if (typeof sql !== 'string' || !sql.trim()) {
+          problems.push(`${label} statement ${statementIndex + 1} has no SQL`);
+        }
+      });
+    });
+    
+    return problems;
+  }
+  
+  /**
+   * Get the schema version of a database
+   * @param {Object} db - Database connection
+   * @returns {Promise<number>} - Highest applied version, 0 before the first migration
+   */
+  async getVersion(db) {
+    const tables = await this._query(
+      db,
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'"
+    );
+    
+    if (tables.rows.length === 0) {
+      return 0;
+    }
+    
+    const result = await this._query(db, 'SELECT MAX(version) as version FROM schema_version');
+    return result.rows.item(0).version || 0;
+  }
+  
+  /**
+   * Get the migrations a database hasn't applied yet
+   * @param {Object} db - Database connection
+   * @param {Array} migrations - All migrations
+   * @returns {Promise<Object>} - { currentVersion, pending }
+   */
+  async getPending(db, migrations) {
+    const currentVersion = await this.getVersion(db);
+    
+    return {
+      currentVersion,
+      pending: migrations.filter(migration => migration.version > currentVersion),
+    };
+  }
+  
+  /**
+   * Apply pending migrations
+   * @param {Object} db - Database connection
+   * @param {Array} migrations - All migrations
+   * @param {Object} options - { dryRun } to run the pending migrations in a
+   *   transaction that is rolled back, leaving the database unchanged
+   * @returns {Promise<Object>} - { fromVersion, toVersion, applied, dryRun }
+   * @throws {Error} - If the migrations are invalid or one fails, with the
+   *   failed migration in error.migration
+   */
+  async run(db, migrations, options = {}) {
+    const problems = this.validate(migrations);
+    if (problems.length > 0) {
+      const error = new Error(`Invalid migrations: ${problems.join('; ')}`);
+      error.problems = problems;
+      throw error;
+    }
+    
+    const { currentVersion, pending } = await this.getPending(db, migrations);
+    const report = {
+      fromVersion: currentVersion,
+      toVersion: currentVersion,
+      applied: [],
+      dryRun: !!options.dryRun,
+    };
+    
+    if (pending.length === 0) {
+      return report;
+    }
+    
+    if (options.dryRun) {
+      await this._dryRun(db, pending);
+    } else {
+      for (const migration of pending) {
+        await this._apply(db, migration);
+        logger.info(`Applied migration ${migration.version} (${migration.name})`);
+      }
+    }
+    
+    report.toVersion = pending[pending.length - 1].version;
+    report.applied = pending.map(({ version, name }) => ({ version, name }));
+    
+    return report;
+  }
+  
+  /**
+   * Apply one migration in its own transaction
+   * @param {Object} db - Database connection
+   * @param {Object} migration - Migration
+   * @returns {Promise<void>}
+   * @private
+   */
+  _apply(db, migration) {
+    const failure = {};
+    
+    return new Promise((resolve, reject) => {
+      db.transaction(
+        tx => this._queueMigration(this._trackTransaction(tx, () => {}), migration, failure),
+        error => reject(this._toMigrationError(migration, failure, error)),
+        () => resolve()
+      );
+    });
+  }
+  
+  /**
+   * Run migrations in a single transaction and roll it back
+   * @param {Object} db - Database connection
+   * @param {Array} migrations - Pending migrations
+   * @returns {Promise<void>} - Resolves when every statement succeeded
+   * @private
+   */
+  _dryRun(db, migrations) {
+    const failure = {};
+    let isRolledBack = false;
+    
+    return new Promise((resolve, reject) => {
+      db.transaction(
+        tx => {
+          // Roll back once data steps have queued all their statements
+          const tracked = this._trackTransaction(tx, () => {
+            tx.executeSql(FORCE_ROLLBACK, [], null, () => {
+              isRolledBack = true;
+              return true;
+            });
+          });
+          
+          migrations.forEach(migration => this._queueMigration(tracked, migration, failure));
+        },
+        error => {
+          if (isRolledBack && !failure.migration) {
+            resolve();
+            return;
+          }
+          
+          reject(this._toMigrationError(failure.migration || migrations[0], failure, error));
+        },
+        () => reject(new Error('Dry run was not rolled back'))
+      );
+    });
+  }
+  
+  /**
+   * Queue the statements of a migration and its version row
+   * @param {Object} tx - Transaction
+   * @param {Object} migration - Migration
+   * @param {Object} failure - Receives the failing migration and statement
+   * @private
+   */
+  _queueMigration(tx, migration, failure) {
+    tx.executeSql(CREATE_SCHEMA_VERSION_TABLE);
+    
+    (migration.statements || []).map(toStatement).forEach(({ sql, optional }) => {
+      tx.executeSql(sql, [], null, (_, error) => {
+        // Optional statements may fail, e.g. adding a column that exists
+        if (optional) {
+          return false;
+        }
+        
+        if (!failure.migration) {
+          failure.migration = migration;
+          failure.sql = sql;
+          failure.error = error;
+        }
+        return true;
+      });
+    });
+    
+    if (migration.up) {
+      migration.up(tx, error => this._fail(tx, migration, failure, error));
+    }
+    
+    tx.executeSql(
+      'INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)',
+      [migration.version, migration.name, Date.now()]
+    );
+  }
+  
+  /**
+   * Record a failed data step and roll back its transaction
+   * @param {Object} tx - Transaction
+   * @param {Object} migration - Migration
+   * @param {Object} failure - Receives the failing migration
+   * @param {Error} error - Data step error
+   * @private
+   */
+  _fail(tx, migration, failure, error) {
+    if (!failure.migration) {
+      failure.migration = migration;
+      failure.error = error;
+    }
+    
+    tx.executeSql(FORCE_ROLLBACK, [], null, () => true);
+  }
+  
+  /**
+   * Wrap a transaction to find out when all queued statements have run,
+   * including statements queued from result callbacks
+   * @param {Object} tx - Transaction
+   * @param {Function} onIdle - Called once no statement is pending
+   * @returns {Object} - Transaction with the same executeSql
+   * @private
+   */
+  _trackTransaction(tx, onIdle) {
+    let pending = 0;
+    let isIdle = false;
+    
+    const settle = (callback) => (...args) => {
+      const result = callback ? callback(...args) : undefined;
+      
+      // A statement that rolls back ends the transaction
+      if (result === true) {
+        isIdle = true;
+      }
+      
+      pending -= 1;
+      if (pending === 0 && !isIdle) {
+        isIdle = true;
+        onIdle();
+      }
+      return result;
+    };
+    
+    return {
+      executeSql(sql, params = [], onSuccess, onError) {
+        pending += 1;
+        tx.executeSql(sql, params, settle(onSuccess), onError && settle(onError));
+      },
+    };
+  }
+  
+  /**
+   * Describe a failed migration
+   * @param {Object} migration - Migration that failed
+   * @param {Object} failure - Failing statement, if known
+   * @param {Error} error - Transaction error
+   * @returns {Error} - Error with the migration in error.migration
+   * @private
+   */
+  _toMigrationError(migration, failure, error) {
+    const cause = failure.error || error;
+    const migrationError = new Error(
+      `Migration ${migration.version} (${migration.name}) failed: ${cause?.message || 'unknown error'}`
+    );
+    
+    migrationError.migration = { version: migration.version, name: migration.name };
+    migrationError.sql = failure.sql;
+    migrationError.cause = cause;
+    
+    logger.error(migrationError.message, { sql: failure.sql });
+    
+    return migrationError;
+  }
+  
+  /**
+   * Run a single read query
+   * @param {Object} db - Database connection
+   * @param {string} query - SQL query
+   * @returns {Promise<Object>} - Result set
+   * @private
+   */
+  _query(db, query) {
+    return new Promise((resolve, reject) => {
+      db.transaction(tx => {
+        tx.executeSql(
+          query,
+          [],
+          (_, result) => resolve(result),
+          (_, error) => {
+            reject(error);
+            return false;
+          }
+        );
+      });
+    });
+  }
+}
+
+// Create and export singleton instance
+const migrationRunner = new MigrationRunner();
+export default migrationRunner;
@@ -0,0 +1,261 @@
+import migrationRunner from './migrationRunner';
+
+jest.mock('../utils/logger');
+
+/**
+ * Creates a result set as passed to executeSql callbacks
+ * @param {Array} rows - Result rows
+ * @returns {Object} Result set
+ */
+const toResultSet = (rows = []) => ({
+  rows: { length: rows.length, item: index => rows[index] },
+});
+
+/**
+ * In-memory stand-in for an expo-sqlite database. Statements run in the
+ * order they are queued, a failing statement whose error callback doesn't
+ * return false rolls the whole transaction back.
+ * @param {Object} options - { failing } SQL statements that fail
+ * @returns {Object} Database with the applied state in db.state
+ */
+const createDatabase = ({ failing = [] } = {}) => {
+  const db = {
+    state: { hasVersionTable: false, versions: [], executed: [] },
+    transactionCount: 0,
+  };
+  
+  const runStatement = (sql, params) => {
+    const { state } = db;
+    
+    if (sql.includes('force_rollback') || failing.includes(sql)) {
+      throw new Error(`Statement failed: ${sql}`);
+    }
+    if (sql.includes('FROM sqlite_master')) {
+      return toResultSet(state.hasVersionTable ? [{ name: 'schema_version' }] : []);
+    }
+    if (sql.includes('MAX(version)')) {
+      const versions = state.versions.map(row => row.version);
+      return toResultSet([{ version: versions.length > 0 ? Math.max(...versions) : null }]);
+    }
+    if (sql.includes('CREATE TABLE IF NOT EXISTS schema_version')) {
+      state.hasVersionTable = true;
+    } else if (sql.startsWith('INSERT INTO schema_version')) {
+      state.versions.push({ version: params[0], name: params[1] });
+    } else {
+      state.executed.push(sql);
+    }
+    
+    return toResultSet();
+  };
+  
+  db.transaction = (callback, onError, onSuccess) => {
+    db.transactionCount += 1;
+    const snapshot = JSON.parse(JSON.stringify(db.state));
+    const queue = [];
+    const tx = {
+      executeSql: (sql, params = [], success, error) => queue.push({ sql, params, success, error }),
+    };
+    
+    callback(tx);
+    
+    while (queue.length > 0) {
+      const statement = queue.shift();
+      
+      try {
+        const result = runStatement(statement.sql.trim(), statement.params);
+        if (statement.success) {
+          statement.success(tx, result);
+        }
+      } catch (error) {
+        const shouldRollBack = statement.error ? statement.error(tx, error) !== false : true;
+        
+        if (shouldRollBack) {
+          db.state = snapshot;
+          if (onError) {
+            onError(error);
+          }
+          return;
+        }
+      }
+    }
+    
+    if (onSuccess) {
+      onSuccess();
+    }
+  };
+  
+  return db;
+};
+
+const migrations = [
+  { version: 1, name: 'baseline', statements: ['CREATE TABLE activities (id TEXT)'] },
+  { version: 2, name: 'sensor chunks', statements: ['CREATE TABLE sensor_chunks (id TEXT)'] },
+  { version: 3, name: 'activity tags', statements: ['CREATE TABLE tags (id TEXT)'] },
+];
+
+describe('migrationRunner', () => {
+  describe('validate', () => {
+    it('accepts migrations numbered from 1 with statements or a data step', () => {
+      const withDataStep = [...migrations, { version: 4, name: 'data step', up: () => {} }];
+      
+      expect(migrationRunner.validate(withDataStep)).toEqual([]);
+    });
+    
+    it('reports gaps, missing names, empty migrations and bad data steps', () => {
+      const problems = migrationRunner.validate([
+        { version: 1, statements: ['CREATE TABLE a (id TEXT)'] },
+        { version: 3, name: 'gap', statements: ['CREATE TABLE b (id TEXT)'] },
+        { version: 3, name: 'empty', statements: [] },
+        { version: 4, name: 'bad step', statements: ['  '], up: 'not a function' },
+      ]);
+      
+      expect(problems).toEqual([
+        'Migration 1 has no name',
+        'Migration 2 has version 3, expected 2',
+        'Migration 3 has no statements',
+        'Migration 4 has an up step that is not a function',
+        'Migration 4 statement 1 has no SQL',
+      ]);
+    });
+    
+    it('refuses to run invalid migrations without touching the database', async () => {
+      const db = createDatabase();
+      
+      await expect(migrationRunner.run(db, [{ version: 2, name: 'gap', statements: ['SELECT 1'] }]))
+        .rejects.toMatchObject({ problems: ['Migration 1 has version 2, expected 1'] });
+      expect(db.transactionCount).toBe(0);
+    });
+  });
+  
+  describe('run', () => {
+    it('applies every migration in order on a new database', async () => {
+      const db = createDatabase();
+      
+      const report = await migrationRunner.run(db, migrations);
+      
+      expect(report).toEqual({
+        fromVersion: 0,
+        toVersion: 3,
+        applied: migrations.map(({ version, name }) => ({ version, name })),
+        dryRun: false,
+      });
+      expect(db.state.executed).toEqual(migrations.map(migration => migration.statements[0]));
+      expect(db.state.versions.map(row => row.version)).toEqual([1, 2, 3]);
+    });
+    
+    it('only applies migrations newer than the database', async () => {
+      const db = createDatabase();
+      await migrationRunner.run(db, migrations.slice(0, 1));
+      
+      const report = await migrationRunner.run(db, migrations);
+      
+      expect(report.fromVersion).toBe(1);
+      expect(report.applied.map(migration => migration.version)).toEqual([2, 3]);
+      expect(db.state.executed).toEqual(migrations.map(migration => migration.statements[0]));
+    });
+    
+    it('does nothing when the database is up to date', async () => {
+      const db = createDatabase();
+      await migrationRunner.run(db, migrations);
+      
+      const report = await migrationRunner.run(db, migrations);
+      
+      expect(report).toMatchObject({ fromVersion: 3, toVersion: 3, applied: [] });
+      expect(db.state.versions).toHaveLength(3);
+    });
+    
+    it('rolls back a failed migration and keeps the ones before it', async () => {
+      const db = createDatabase({ failing: ['CREATE TABLE tags (id TEXT)'] });
+      const failing = [
+        migrations[0],
+        migrations[1],
+        { ...migrations[2], statements: ['CREATE TABLE tag_names (id TEXT)', 'CREATE TABLE tags (id TEXT)'] },
+      ];
+      
+      await expect(migrationRunner.run(db, failing)).rejects.toMatchObject({
+        migration: { version: 3, name: 'activity tags' },
+        sql: 'CREATE TABLE tags (id TEXT)',
+      });
+      
+      expect(await migrationRunner.getVersion(db)).toBe(2);
+      expect(db.state.executed).not.toContain('CREATE TABLE tag_names (id TEXT)');
+    });
+    
+    it('lets optional statements fail', async () => {
+      const db = createDatabase({ failing: ['ALTER TABLE activities ADD COLUMN tags TEXT'] });
+      const withOptional = [
+        migrations[0],
+        {
+          version: 2,
+          name: 'optional column',
+          statements: [{ sql: 'ALTER TABLE activities ADD COLUMN tags TEXT', optional: true }, 'SELECT 1'],
+        },
+      ];
+      
+      const report = await migrationRunner.run(db, withOptional);
+      
+      expect(report.toVersion).toBe(2);
+      expect(db.state.executed).toContain('SELECT 1');
+    });
+    
+    it('rolls back when a data step fails', async () => {
+      const db = createDatabase();
+      const dataStepError = new Error('Bad row');
+      const withDataStep = [
+        migrations[0],
+        {
+          version: 2,
+          name: 'data step',
+          statements: ['CREATE TABLE copies (id TEXT)'],
+          up: (tx, fail) => {
+            tx.executeSql('SELECT * FROM activities', [], () => fail(dataStepError));
+          },
+        },
+      ];
+      
+      await expect(migrationRunner.run(db, withDataStep)).rejects.toMatchObject({
+        migration: { version: 2, name: 'data step' },
+        cause: dataStepError,
+      });
+      
+      expect(await migrationRunner.getVersion(db)).toBe(1);
+      expect(db.state.executed).not.toContain('CREATE TABLE copies (id TEXT)');
+    });
+  });
+  
+  describe('dry run', () => {
+    it('runs the pending migrations and leaves the database unchanged', async () => {
+      const db = createDatabase();
+      const queued = [];
+      const withDataStep = [
+        ...migrations,
+        {
+          version: 4,
+          name: 'data step',
+          up: tx => {
+            tx.executeSql('SELECT * FROM activities', [], () => {
+              queued.push('UPDATE activities SET id = id');
+              tx.executeSql('UPDATE activities SET id = id');
+            });
+          },
+        },
+      ];
+      
+      const report = await migrationRunner.run(db, withDataStep, { dryRun: true });
+      
+      expect(report).toMatchObject({ fromVersion: 0, toVersion: 4, dryRun: true });
+      expect(report.applied.map(migration => migration.version)).toEqual([1, 2, 3, 4]);
+      expect(queued).toHaveLength(1);
+      expect(db.state).toEqual({ hasVersionTable: false, versions: [], executed: [] });
+    });
+    
+    it('reports the migration that would fail', async () => {
+      const db = createDatabase({ failing: ['CREATE TABLE sensor_chunks (id TEXT)'] });
+      
+      await expect(migrationRunner.run(db, migrations, { dryRun: true })).rejects.toMatchObject({
+        migration: { version: 2, name: 'sensor chunks' },
+      });
+      expect(await migrationRunner.getVersion(db)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+import * as activitySchema from '../schemas/activitySchema';
+import * as sensorDataSchema from '../schemas/sensorDataSchema';
+import * as readinessSchema from '../schemas/readinessSchema';
+import * as workoutSchema from '../schemas/workoutSchema';
+import * as syncSchema from '../schemas/syncSchema';
+
+/**
+ * Baseline schema, everything created before migrations were versioned.
+ * Installs from that time may lack some columns, so adding a column that
+ * already exists is allowed to fail.
+ */
+
+/**
+ * Marks a statement whose error is ignored
+ * @param {string} sql - SQL statement
+ * @returns {Object} Optional statement
+ */
+const optional = (sql) => ({ sql, optional: true });
+
+export default {
+  version: 1,
+  name: 'baseline',
+  statements: [
+    // Tables
+    activitySchema.CREATE_ACTIVITIES_TABLE,
+    sensorDataSchema.CREATE_SENSOR_DATA_TABLE,
+    activitySchema.CREATE_LOCATIONS_TABLE,
+    activitySchema.CREATE_DEVICES_TABLE,
+    readinessSchema.CREATE_READINESS_SCORES_TABLE,
+    workoutSchema.CREATE_WORKOUTS_TABLE,
+    syncSchema.CREATE_SYNC_OUTBOX_TABLE,
+    syncSchema.CREATE_SYNC_CONFLICTS_TABLE,
+
+    // Columns added to existing tables before versioning
+    optional(sensorDataSchema.ADD_SENSOR_DATA_SOURCE_COLUMN),
+    ...activitySchema.ADD_ACTIVITY_TIME_COLUMNS.map(optional),
+    optional(activitySchema.ADD_ACTIVITY_LAPS_COLUMN),
+    ...activitySchema.ADD_ACTIVITY_SYNC_COLUMNS.map(optional),
+
+    // Indexes
+    sensorDataSchema.CREATE_INDEX_SENSOR_DATA_ACTIVITY_ID,
+    sensorDataSchema.CREATE_INDEX_SENSOR_DATA_TIMESTAMP,
+    sensorDataSchema.CREATE_INDEX_SENSOR_DATA_DEVICE_ID,
+    activitySchema.CREATE_INDEX_LOCATIONS_ACTIVITY_ID,
+    activitySchema.CREATE_INDEX_LOCATIONS_TIMESTAMP,
+    activitySchema.CREATE_INDEX_ACTIVITIES_START_TIME,
+    workoutSchema.CREATE_INDEX_WORKOUTS_UPDATED_AT,
+    syncSchema.CREATE_INDEX_SYNC_OUTBOX_ACTIVITY_ID,
+  ],
+};
@@ -0,0 +1,54 @@
+import * as sensorChunkSchema from '../schemas/sensorChunkSchema';
+import { rowToSensorData } from '../schemas/sensorDataSchema';
+
+/**
+ * Moves sensor samples from one row per sample in sensor_data to one
+ * compressed row per minute in sensor_chunks, then drops sensor_data.
+ */
+
+/**
+ * Re-encodes the samples of every activity as chunks
+ * @param {Object} tx - Transaction
+ * @param {Function} fail - Rolls the migration back
+ */
+const moveSamplesToChunks = (tx, fail) => {
+  tx.executeSql('SELECT DISTINCT activity_id FROM sensor_data', [], (_, activities) => {
+    // One activity at a time keeps only its samples in memory
+    for (let i = 0; i < activities.rows.length; i++) {
+      const activityId = activities.rows.item(i).activity_id;
+
+      tx.executeSql(
+        'SELECT * FROM sensor_data WHERE activity_id IS ? ORDER BY timestamp ASC',
+        [activityId],
+        (__, result) => {
+          try {
+            const samples = [];
+            for (let j = 0; j < result.rows.length; j++) {
+              samples.push(rowToSensorData(result.rows.item(j)));
+            }
+
+            sensorChunkSchema.groupIntoChunks(samples).forEach(chunk => {
+              tx.executeSql(sensorChunkSchema.INSERT_SENSOR_CHUNK, sensorChunkSchema.chunkToParams(chunk));
+            });
+          } catch (error) {
+            fail(error);
+          }
+        }
+      );
+    }
+
+    // Runs after every activity has been read
+    tx.executeSql('DROP TABLE sensor_data');
+  });
+};
+
+export default {
+  version: 2,
+  name: 'sensor_chunks',
+  statements: [
+    sensorChunkSchema.CREATE_SENSOR_CHUNKS_TABLE,
+    sensorChunkSchema.CREATE_INDEX_SENSOR_CHUNKS_ACTIVITY,
+    sensorChunkSchema.CREATE_INDEX_SENSOR_CHUNKS_TIME,
+  ],
+  up: moveSamplesToChunks,
+};
@@ -0,0 +1,12 @@
+import * as activitySchema from '../schemas/activitySchema';
+
+/**
+ * Adds tags to activities so history can be filtered by them
+ */
+export default {
+  version: 3,
+  name: 'activity_tags',
+  statements: [
+    activitySchema.ADD_ACTIVITY_TAGS_COLUMN,
+  ],
+};
@@ -0,0 +1,36 @@
+import {
+  CREATE_ACTIVITIES_FTS_TABLE,
+  CREATE_ACTIVITIES_FTS_TRIGGERS,
+  REBUILD_ACTIVITIES_FTS,
+} from '../../utils/activitySearch';
+import logger from '../../utils/logger';
+
+/**
+ * Full-text index over activity names, notes and tags. SQLite builds
+ * without FTS5 skip the index, search then falls back to LIKE.
+ */
+
+/**
+ * Creates the index, and its triggers only once the index exists
+ * @param {Object} tx - Transaction
+ */
+const createSearchIndex = (tx) => {
+  tx.executeSql(
+    CREATE_ACTIVITIES_FTS_TABLE,
+    [],
+    () => {
+      CREATE_ACTIVITIES_FTS_TRIGGERS.forEach(sql => tx.executeSql(sql));
+      tx.executeSql(REBUILD_ACTIVITIES_FTS);
+    },
+    (_, error) => {
+      logger.warn('Full-text search unavailable', { error: error?.message });
+      return false;
+    }
+  );
+};
+
+export default {
+  version: 4,
+  name: 'activity_search',
+  up: createSearchIndex,
+};
@@ -0,0 +1,18 @@
+import * as sensorDataSchema from '../schemas/sensorDataSchema';
+
+/**
+ * Brings sensor_data back for samples sensor_chunks can't encode, like
+ * locations and motion readings stored as JSON. Version 2 dropped the
+ * table, so non-numeric samples recorded before this version are gone.
+ */
+
+export default {
+  version: 5,
+  name: 'sensor_data_raw',
+  statements: [
+    sensorDataSchema.CREATE_SENSOR_DATA_TABLE,
+    sensorDataSchema.CREATE_INDEX_SENSOR_DATA_ACTIVITY_ID,
+    sensorDataSchema.CREATE_INDEX_SENSOR_DATA_TIMESTAMP,
+    sensorDataSchema.CREATE_INDEX_SENSOR_DATA_DEVICE_ID,
+  ],
+};
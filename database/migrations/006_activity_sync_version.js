@@ -0,0 +1,12 @@
+import * as activitySchema from '../schemas/activitySchema';
+
+/**
+ * Keeps the server version of synced activities, updates are based on it
+ */
+export default {
+  version: 6,
+  name: 'activity_sync_version',
+  statements: [
+    activitySchema.ADD_ACTIVITY_SYNCED_VERSION_COLUMN,
+  ],
+};
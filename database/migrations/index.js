@@ -0,0 +1,26 @@
+import baseline from './001_baseline';
+import sensorChunks from './002_sensor_chunks';
+import activityTags from './003_activity_tags';
+import activitySearch from './004_activity_search';
+import sensorDataRaw from './005_sensor_data_raw';
+import activitySyncVersion from './006_activity_sync_version';
+
+/**
+ * Schema migrations, applied in order by the migration runner.
+ *
+ * To change the schema, add a file named after the next version, export
+ * { version, name, statements } and append it here. Data changes SQL can't
+ * express go in an optional up(tx, fail) step. Applied migrations are
+ * never edited, and the CREATE TABLE statements in the schema files stay as
+ * the baseline created them so every install ends up with the same schema.
+ */
+export const MIGRATIONS = [
+  baseline,
+  sensorChunks,
+  activityTags,
+  activitySearch,
+  sensorDataRaw,
+  activitySyncVersion,
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
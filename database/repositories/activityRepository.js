@@ -1,23 +1,67 @@
 import { v4 as uuidv4 } from 'uuid';
 import dbManager from '../dbManager';
 import * as activitySchema from '../schemas/activitySchema';
-import { logger } from '../../utils/logger';
+import { SYNC_OPERATIONS, SYNC_STATUS, getTimeRange } from '../schemas/syncSchema';
+import syncRepository from './syncRepository';
+import { buildActivityFilterQuery, LIST_FORMATS } from '../../utils/activityFilter';
+import { buildActivitySearchQuery } from '../../utils/activitySearch';
+import logger from '../../utils/logger';
 
 /**
  * Activity Repository - Handles database operations for activities
  */
 class ActivityRepository {
+  constructor() {
+    // Whether the full-text index exists, checked on the first search
+    this.hasSearchIndex = null;
+  }
+  
+  /**
+   * Run a write and queue its change for sync in the same transaction
+   * @param {string} query - SQL statement
+   * @param {Array} values - Statement parameters
+   * @param {Object} change - Outbox change, see syncRepository.queueChanges
+   * @param {Object} options - Write options
+   * @param {boolean} options.skipSync - Don't queue the change, used for pulled data
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _writeWithChange(query, values, change, options = {}) {
+    if (options.skipSync) {
+      await dbManager.executeQuery(query, values);
+      return;
+    }
+    
+    await dbManager.executeTransaction(tx => {
+      // A deletion must be queued while the activity still exists
+      if (change.operation === SYNC_OPERATIONS.DELETE_ACTIVITY) {
+        syncRepository.queueChanges(tx, [change]);
+        tx.executeSql(query, values);
+      } else {
+        tx.executeSql(query, values);
+        syncRepository.queueChanges(tx, [change]);
+      }
+    });
+    syncRepository.notifyQueued();
+  }
+  
   /**
    * Create a new activity
    * @param {Object} activity - Activity data
+   * @param {Object} options - Write options
+   * @param {boolean} options.skipSync - Don't queue the activity for sync
    * @returns {Promise<Object>} - Created activity
    */
-  async createActivity(activity) {
+  async createActivity(activity, options = {}) {
     try {
       const newActivity = {
         ...activitySchema.DEFAULT_ACTIVITY,
         ...activity,
         id: activity.id || uuidv4(),
+        sync_status: options.skipSync ? SYNC_STATUS.LOCAL : SYNC_STATUS.PENDING,
+        synced_at: null,
+        synced_version: null,
+        sync_base: null,
         created_at: Date.now(),
         updated_at: Date.now()
       };
@@ -33,7 +77,10 @@ class ActivityRepository {
       const values = Object.values(params);
       
       const query = `INSERT INTO activities (${columns}) VALUES (${placeholders})`;
-      await dbManager.executeQuery(query, values);
+      await this._writeWithChange(query, values, {
+        activityId: newActivity.id,
+        operation: SYNC_OPERATIONS.UPSERT_ACTIVITY
+      }, options);
       
       return newActivity;
     } catch (error) {
@@ -66,7 +113,7 @@ class ActivityRepository {
   
   /**
    * Get all activities with optional filtering and pagination
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options and filter fields, see utils/activityFilter
    * @returns {Promise<Array>} - Array of activities
    */
   async getActivities(options = {}) {
@@ -75,30 +122,13 @@ class ActivityRepository {
         limit = 50,
         offset = 0,
         sortBy = 'start_time',
-        sortOrder = 'DESC',
-        type,
-        startDate,
-        endDate
+        sortOrder = 'DESC'
       } = options;
       
       let query = 'SELECT * FROM activities';
-      const params = [];
-      const conditions = [];
-      
-      if (type) {
-        conditions.push('type = ?');
-        params.push(type);
-      }
-      
-      if (startDate) {
-        conditions.push('start_time >= ?');
-        params.push(startDate);
-      }
-      
-      if (endDate) {
-        conditions.push('start_time <= ?');
-        params.push(endDate);
-      }
+      const { conditions, params } = buildActivityFilterQuery(options, {
+        deviceIdsFormat: LIST_FORMATS.CSV
+      });
       
       if (conditions.length > 0) {
         query += ' WHERE ' + conditions.join(' AND ');
@@ -122,13 +152,76 @@ class ActivityRepository {
     }
   }
   
+  /**
+   * Full-text search over activity names, notes and tags, best matches first
+   * @param {string} query - Search input, the last word matches as a prefix
+   * @param {Object} options - Pagination and filter fields, see utils/activityFilter
+   * @returns {Promise<Array>} - Activities with search_rank, name_highlight
+   *   and search_snippet, highlights marked with SEARCH_HIGHLIGHT
+   */
+  async searchActivities(query, options = {}) {
+    try {
+      const { limit = 20, offset = 0 } = options;
+      
+      // Without FTS5 search falls back to matching names and notes
+      if (!(await this._hasSearchIndex())) {
+        return this.getActivities({ ...options, search: query, limit, offset });
+      }
+      
+      // The other filters narrow the matches down
+      const { conditions, params } = buildActivityFilterQuery({ ...options, search: undefined }, {
+        deviceIdsFormat: LIST_FORMATS.CSV
+      });
+      const search = buildActivitySearchQuery(query, { conditions, params, limit, offset });
+      if (!search) {
+        return [];
+      }
+      
+      const result = await dbManager.executeQuery(search.sql, search.params);
+      const activities = [];
+      
+      for (let i = 0; i < result.rows.length; i++) {
+        const row = result.rows.item(i);
+        activities.push({
+          ...activitySchema.rowToActivity(row),
+          search_rank: row.search_rank,
+          name_highlight: row.name_highlight,
+          search_snippet: row.search_snippet
+        });
+      }
+      
+      return activities;
+    } catch (error) {
+      logger.error('Failed to search activities', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Check whether the full-text index exists, SQLite builds without FTS5 lack it
+   * @returns {Promise<boolean>} - True if searchActivities can use it
+   * @private
+   */
+  async _hasSearchIndex() {
+    if (this.hasSearchIndex === null) {
+      const result = await dbManager.executeQuery(
+        "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'activities_fts'"
+      );
+      this.hasSearchIndex = result.rows.length > 0;
+    }
+    
+    return this.hasSearchIndex;
+  }
+  
   /**
    * Update an activity
    * @param {string} id - Activity id
    * @param {Object} updates - Activity data to update
+   * @param {Object} options - Write options
+   * @param {boolean} options.skipSync - Don't queue the update for sync
    * @returns {Promise<Object>} - Updated activity
    */
-  async updateActivity(id, updates) {
+  async updateActivity(id, updates, options = {}) {
     try {
       const currentActivity = await this.getActivityById(id);
       
@@ -154,7 +247,10 @@ class ActivityRepository {
       const values = [...Object.values(params), id];
       
       const query = `UPDATE activities SET ${setClause} WHERE id = ?`;
-      await dbManager.executeQuery(query, values);
+      await this._writeWithChange(query, values, {
+        activityId: id,
+        operation: SYNC_OPERATIONS.UPSERT_ACTIVITY
+      }, options);
       
       return updatedActivity;
     } catch (error) {
@@ -166,20 +262,52 @@ class ActivityRepository {
   /**
    * Delete an activity
    * @param {string} id - Activity id
+   * @param {Object} options - Write options
+   * @param {boolean} options.skipSync - Don't queue the deletion for sync
    * @returns {Promise<boolean>} - True if deleted
    */
-  async deleteActivity(id) {
+  async deleteActivity(id, options = {}) {
     try {
+      const existing = await this.getActivityById(id);
+      
+      if (!existing) {
+        return false;
+      }
+      
       const query = 'DELETE FROM activities WHERE id = ?';
-      const result = await dbManager.executeQuery(query, [id]);
+      await this._writeWithChange(query, [id], {
+        activityId: id,
+        operation: SYNC_OPERATIONS.DELETE_ACTIVITY
+      }, options);
       
-      return result.rowsAffected > 0;
+      return true;
     } catch (error) {
       logger.error(`Failed to delete activity: ${id}`, error);
       throw error;
     }
   }
   
+  /**
+   * Delete every activity with its route, sensor data and unsent changes
+   * without queueing anything for the server. Used on sign out, so the
+   * next account doesn't sync them as its own.
+   * @returns {Promise<void>}
+   */
+  async deleteAllActivities() {
+    try {
+      await dbManager.executeTransaction(tx => {
+        syncRepository.clearAll(tx);
+        tx.executeSql('DELETE FROM sensor_chunks');
+        tx.executeSql('DELETE FROM sensor_data');
+        tx.executeSql('DELETE FROM locations');
+        tx.executeSql('DELETE FROM activities');
+      });
+    } catch (error) {
+      logger.error('Failed to delete all activities', error);
+      throw error;
+    }
+  }
+  
   /**
    * Get activity statistics
    * @returns {Promise<Object>} - Activity statistics
@@ -233,9 +361,11 @@ class ActivityRepository {
    * Add location data to an activity
    * @param {string} activityId - Activity id
    * @param {Array} locations - Array of location objects
+   * @param {Object} options - Write options
+   * @param {boolean} options.skipSync - Don't queue the locations for sync
    * @returns {Promise<boolean>} - True if successful
    */
-  async addLocations(activityId, locations) {
+  async addLocations(activityId, locations, options = {}) {
     try {
       if (!locations || locations.length === 0) {
         return true;
@@ -266,8 +396,20 @@ class ActivityRepository {
           
           tx.executeSql(baseQuery + placeholders, values);
         }
+        
+        if (!options.skipSync) {
+          syncRepository.queueChanges(tx, [{
+            activityId,
+            operation: SYNC_OPERATIONS.ADD_LOCATIONS,
+            payload: getTimeRange(locations)
+          }]);
+        }
       });
       
+      if (!options.skipSync) {
+        syncRepository.notifyQueued();
+      }
+      
       return true;
     } catch (error) {
       logger.error(`Failed to add locations for activity: ${activityId}`, error);
@@ -0,0 +1,100 @@
+import dbManager from '../dbManager';
+import * as readinessSchema from '../schemas/readinessSchema';
+import logger from '../../utils/logger';
+
+/**
+ * Readiness Repository - Handles database operations for daily readiness scores
+ */
+class ReadinessRepository {
+  /**
+   * Save the readiness result of a day, replacing an earlier test that day
+   * @param {Object} readiness - Readiness data
+   * @returns {Promise<Object>} - Saved readiness
+   */
+  async saveReadiness(readiness) {
+    try {
+      const params = readinessSchema.readinessToParams(readiness);
+      const keys = Object.keys(params);
+      const placeholders = keys.map(() => '?').join(', ');
+      const columns = keys.join(', ');
+      
+      const query = `INSERT OR REPLACE INTO readiness_scores (${columns}) VALUES (${placeholders})`;
+      await dbManager.executeQuery(query, Object.values(params));
+      
+      return params;
+    } catch (error) {
+      logger.error(`Failed to save readiness for ${readiness.date}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the readiness result of a day
+   * @param {string} date - Day as YYYY-MM-DD
+   * @returns {Promise<Object|null>} - Readiness or null if not tested
+   */
+  async getReadinessByDate(date) {
+    try {
+      const query = 'SELECT * FROM readiness_scores WHERE date = ?';
+      const result = await dbManager.executeQuery(query, [date]);
+      
+      if (result.rows.length === 0) {
+        return null;
+      }
+      
+      return readinessSchema.rowToReadiness(result.rows.item(0));
+    } catch (error) {
+      logger.error(`Failed to get readiness for ${date}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the most recent readiness results before a day
+   * @param {string} beforeDate - Exclusive upper bound as YYYY-MM-DD
+   * @param {number} limit - Maximum number of days
+   * @returns {Promise<Array>} - Readiness results, oldest first
+   */
+  async getRecentReadiness(beforeDate, limit = 7) {
+    try {
+      const query = 'SELECT * FROM readiness_scores WHERE date < ? ORDER BY date DESC LIMIT ?';
+      const result = await dbManager.executeQuery(query, [beforeDate, limit]);
+      
+      const readiness = [];
+      for (let i = 0; i < result.rows.length; i++) {
+        readiness.unshift(readinessSchema.rowToReadiness(result.rows.item(i)));
+      }
+      
+      return readiness;
+    } catch (error) {
+      logger.error('Failed to get recent readiness', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the latest readiness results, today included
+   * @param {number} limit - Maximum number of days
+   * @returns {Promise<Array>} - Readiness results, newest first
+   */
+  async getLatestReadiness(limit = 7) {
+    try {
+      const query = 'SELECT * FROM readiness_scores ORDER BY date DESC LIMIT ?';
+      const result = await dbManager.executeQuery(query, [limit]);
+      
+      const readiness = [];
+      for (let i = 0; i < result.rows.length; i++) {
+        readiness.push(readinessSchema.rowToReadiness(result.rows.item(i)));
+      }
+      
+      return readiness;
+    } catch (error) {
+      logger.error('Failed to get latest readiness', error);
+      throw error;
+    }
+  }
+}
+
+// Create and export singleton instance
+const readinessRepository = new ReadinessRepository();
+export default readinessRepository;
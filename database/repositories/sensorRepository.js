@@ -1,7 +1,19 @@
 // database/repositories/sensorRepository.js
 
-import { Database } from '../dbManager';
-import { generateUUID } from '../../utils/formatters';
+import { v4 as uuidv4 } from 'uuid';
+import dbManager from '../dbManager';
+import {
+  INSERT_SENSOR_CHUNK,
+  chunkRowToSensorData,
+  chunkToParams,
+  decodeChunkSamples,
+  groupIntoChunks,
+  isChunkable
+} from '../schemas/sensorChunkSchema';
+import { INSERT_SENSOR_DATA, rowToSensorData } from '../schemas/sensorDataSchema';
+import { SYNC_OPERATIONS, getTimeRange } from '../schemas/syncSchema';
+import { downsample } from '../../utils/downsampling';
+import syncRepository from './syncRepository';
 
 class SensorRepository {
   constructor(database) {
@@ -9,33 +21,146 @@ class SensorRepository {
   }
 
   /**
-   * Saves a batch of sensor data records to the database
+   * Converts chunk and sensor_data query results to sensor data objects
+   * @param {Object} chunkResult - Query result of sensor_chunks
+   * @param {Object} rawResult - Query result of sensor_data
+   * @param {Function} filter - Optional sample filter
+   * @returns {Array} - Array of sensor data records, ordered by timestamp
+   * @private
+   */
+  _toSensorData(chunkResult, rawResult, filter = null) {
+    let rows = [];
+    for (let i = 0; i < chunkResult.rows.length; i++) {
+      rows.push(...chunkRowToSensorData(chunkResult.rows.item(i)));
+    }
+    for (let i = 0; i < rawResult.rows.length; i++) {
+      rows.push(rowToSensorData(rawResult.rows.item(i)));
+    }
+
+    if (filter) {
+      rows = rows.filter(filter);
+    }
+    return rows.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Checks whether a sample is stored as is in sensor_data
+   * @param {Object} data - Sensor data object
+   * @returns {boolean} - True for timestamped values chunks can't encode
+   * @private
+   */
+  _isRaw(data) {
+    return Number.isFinite(data.timestamp) &&
+      data.value !== null && data.value !== undefined &&
+      !isChunkable(data);
+  }
+
+  /**
+   * Queues writing a sample to sensor_data
+   * @param {Object} tx - Transaction
+   * @param {Object} data - Sensor data object
+   * @private
+   */
+  _queueRaw(tx, data) {
+    tx.executeSql(INSERT_SENSOR_DATA, [
+      data.id || uuidv4(),
+      data.activity_id,
+      data.timestamp,
+      data.device_id || null,
+      data.data_type,
+      typeof data.value === 'object' ? JSON.stringify(data.value) : data.value,
+      data.source || null
+    ]);
+  }
+
+  /**
+   * Queues writing a chunk, merged with the samples already stored for the
+   * same activity, data type, device, source and minute
+   * @param {Object} tx - Transaction
+   * @param {Object} chunk - Chunk from groupIntoChunks
+   * @private
+   */
+  _queueChunk(tx, chunk) {
+    const query = `SELECT * FROM sensor_chunks
+      WHERE activity_id = ? AND data_type = ? AND device_id IS ? AND source IS ? AND bucket = ?`;
+    const params = [chunk.activity_id, chunk.data_type, chunk.device_id, chunk.source, chunk.bucket];
+
+    tx.executeSql(query, params, (_, result) => {
+      let samples = chunk.samples;
+      const ids = [];
+
+      for (let i = 0; i < result.rows.length; i++) {
+        const row = result.rows.item(i);
+        samples = samples.concat(decodeChunkSamples(row));
+        ids.push(row.id);
+      }
+
+      if (ids.length > 0) {
+        tx.executeSql(
+          `DELETE FROM sensor_chunks WHERE id IN (${ids.map(() => '?').join(', ')})`,
+          ids
+        );
+      }
+
+      tx.executeSql(INSERT_SENSOR_CHUNK, chunkToParams({ ...chunk, samples }));
+    });
+  }
+
+  /**
+   * Groups saved records into one outbox change per activity
+   * @param {Array} sensorData - Saved sensor data records
+   * @returns {Array} - Outbox changes
+   * @private
+   */
+  _toSyncChanges(sensorData) {
+    const byActivity = {};
+    sensorData.forEach(data => {
+      if (!byActivity[data.activity_id]) {
+        byActivity[data.activity_id] = [];
+      }
+      byActivity[data.activity_id].push(data);
+    });
+
+    return Object.keys(byActivity).map(activityId => ({
+      activityId,
+      operation: SYNC_OPERATIONS.ADD_SENSOR_DATA,
+      payload: getTimeRange(byActivity[activityId])
+    }));
+  }
+
+  /**
+   * Saves a batch of sensor data records to the database. Numeric samples
+   * are stored per minute in compressed chunks, so their ids aren't kept,
+   * other values are stored one row per sample in sensor_data.
    * @param {Array} sensorData - Array of sensor data objects
+   * @param {Object} options - Write options
+   * @param {boolean} options.skipSync - Don't queue the samples for sync, used for pulled data
    * @returns {Promise<boolean>} - Success status
    */
-  async saveBatchSensorData(sensorData) {
+  async saveBatchSensorData(sensorData, options = {}) {
     if (!sensorData || !sensorData.length) {
       return false;
     }
 
+    const chunks = groupIntoChunks(sensorData);
+    const rawData = sensorData.filter(data => this._isRaw(data));
+    if (chunks.length === 0 && rawData.length === 0) {
+      return false;
+    }
+
     try {
-      await this.database.transaction(async (tx) => {
-        const statement = `INSERT INTO sensor_data (
-          id, activity_id, timestamp, device_id, data_type, value
-        ) VALUES (?, ?, ?, ?, ?, ?)`;
-
-        for (const data of sensorData) {
-          const params = [
-            data.id || generateUUID(),
-            data.activity_id,
-            data.timestamp,
-            data.device_id,
-            data.data_type,
-            data.value
-          ];
-          await tx.executeSql(statement, params);
+      await this.database.executeTransaction(tx => {
+        chunks.forEach(chunk => this._queueChunk(tx, chunk));
+        rawData.forEach(data => this._queueRaw(tx, data));
+
+        if (!options.skipSync) {
+          syncRepository.queueChanges(tx, this._toSyncChanges(sensorData));
         }
       });
+
+      if (!options.skipSync) {
+        syncRepository.notifyQueued();
+      }
       return true;
     } catch (error) {
       console.error('Error saving batch sensor data:', error);
@@ -51,24 +176,78 @@ class SensorRepository {
    */
   async getSensorDataByActivity(activityId, dataType = null) {
     try {
-      let query = 'SELECT * FROM sensor_data WHERE activity_id = ?';
+      let condition = 'activity_id = ?';
       const params = [activityId];
 
       if (dataType) {
-        query += ' AND data_type = ?';
+        condition += ' AND data_type = ?';
         params.push(dataType);
       }
 
-      query += ' ORDER BY timestamp ASC';
-
-      const [results] = await this.database.executeSql(query, params);
-      return results.rows.raw();
+      const chunkResults = await this.database.executeQuery(
+        `SELECT * FROM sensor_chunks WHERE ${condition} ORDER BY start_time ASC`,
+        params
+      );
+      const rawResults = await this.database.executeQuery(
+        `SELECT * FROM sensor_data WHERE ${condition} ORDER BY timestamp ASC`,
+        params
+      );
+      return this._toSensorData(chunkResults, rawResults);
     } catch (error) {
       console.error('Error retrieving sensor data:', error);
       return [];
     }
   }
 
+  /**
+   * Retrieves a downsampled series of one data type for charts
+   * @param {string} activityId - The ID of the activity
+   * @param {string} dataType - The sensor data type
+   * @param {Object} options - Downsampling options
+   * @param {number} options.points - Target number of points, 500 by default
+   * @param {number} options.resolution - Bucket size in milliseconds for min/avg/max buckets
+   * @param {string} options.method - DOWNSAMPLING_METHODS value, LTTB by default
+   * @returns {Promise<Array>} - Points as { timestamp, value }, buckets add min, max and count
+   */
+  async getSeries(activityId, dataType, options = {}) {
+    const sensorData = await this.getSensorDataByActivity(activityId, dataType);
+    const points = sensorData.map(({ timestamp, value }) => ({ timestamp, value }));
+
+    return downsample(points, options);
+  }
+
+  /**
+   * Retrieves sensor data of an activity recorded within a time range
+   * @param {string} activityId - The ID of the activity
+   * @param {number} startTime - First timestamp, inclusive
+   * @param {number} endTime - Last timestamp, inclusive
+   * @returns {Promise<Array>} - Array of sensor data records
+   * @throws {Error} - If the query fails, sync must not skip the records
+   */
+  async getSensorDataByTimeRange(activityId, startTime, endTime) {
+    try {
+      const query = `SELECT * FROM sensor_chunks
+        WHERE activity_id = ? AND end_time >= ? AND start_time <= ?
+        ORDER BY start_time ASC`;
+
+      const chunkResults = await this.database.executeQuery(query, [activityId, startTime, endTime]);
+      const rawResults = await this.database.executeQuery(
+        `SELECT * FROM sensor_data
+          WHERE activity_id = ? AND timestamp >= ? AND timestamp <= ?
+          ORDER BY timestamp ASC`,
+        [activityId, startTime, endTime]
+      );
+      return this._toSensorData(
+        chunkResults,
+        rawResults,
+        data => data.timestamp >= startTime && data.timestamp <= endTime
+      );
+    } catch (error) {
+      console.error('Error retrieving sensor data by time range:', error);
+      throw error;
+    }
+  }
+
   /**
    * Retrieves the latest sensor data for each data type
    * @param {string} activityId - The ID of the activity
@@ -77,27 +256,52 @@ class SensorRepository {
   async getLatestSensorData(activityId) {
     try {
       const query = `
-        SELECT sd1.* 
+        SELECT sc1.data_type, sc1.last_value, sc1.end_time
+        FROM sensor_chunks sc1
+        JOIN (
+          SELECT data_type, MAX(end_time) as max_timestamp
+          FROM sensor_chunks
+          WHERE activity_id = ?
+          GROUP BY data_type
+        ) sc2 
+        ON sc1.data_type = sc2.data_type AND sc1.end_time = sc2.max_timestamp
+        WHERE sc1.activity_id = ?
+      `;
+      
+      const rawQuery = `
+        SELECT sd1.data_type, sd1.value, sd1.timestamp
         FROM sensor_data sd1
         JOIN (
           SELECT data_type, MAX(timestamp) as max_timestamp
           FROM sensor_data
           WHERE activity_id = ?
           GROUP BY data_type
-        ) sd2 
+        ) sd2
         ON sd1.data_type = sd2.data_type AND sd1.timestamp = sd2.max_timestamp
         WHERE sd1.activity_id = ?
       `;
       
-      const [results] = await this.database.executeSql(query, [activityId, activityId]);
+      const results = await this.database.executeQuery(query, [activityId, activityId]);
+      const rawResults = await this.database.executeQuery(rawQuery, [activityId, activityId]);
       
-      // Transform into object with data types as keys
+      // Transform into object with data types as keys, the newest sample wins
       const latestData = {};
-      const rows = results.rows.raw();
+      const latestTimes = {};
+      const keepLatest = (dataType, value, timestamp) => {
+        if (latestTimes[dataType] === undefined || timestamp > latestTimes[dataType]) {
+          latestData[dataType] = value;
+          latestTimes[dataType] = timestamp;
+        }
+      };
       
-      rows.forEach(row => {
-        latestData[row.data_type] = row.value;
-      });
+      for (let i = 0; i < results.rows.length; i++) {
+        const row = results.rows.item(i);
+        keepLatest(row.data_type, row.last_value, row.end_time);
+      }
+      for (let i = 0; i < rawResults.rows.length; i++) {
+        const row = rawResults.rows.item(i);
+        keepLatest(row.data_type, row.value, row.timestamp);
+      }
       
       return latestData;
     } catch (error) {
@@ -113,10 +317,10 @@ class SensorRepository {
    */
   async deleteSensorDataByActivity(activityId) {
     try {
-      await this.database.executeSql(
-        'DELETE FROM sensor_data WHERE activity_id = ?',
-        [activityId]
-      );
+      await this.database.executeTransaction(tx => {
+        tx.executeSql('DELETE FROM sensor_chunks WHERE activity_id = ?', [activityId]);
+        tx.executeSql('DELETE FROM sensor_data WHERE activity_id = ?', [activityId]);
+      });
       return true;
     } catch (error) {
       console.error('Error deleting sensor data:', error);
@@ -133,12 +337,12 @@ class SensorRepository {
   async getAverageValue(activityId, dataType) {
     try {
       const query = `
-        SELECT AVG(value) as average
-        FROM sensor_data
+        SELECT SUM(sum_value) / SUM(sample_count) as average
+        FROM sensor_chunks
         WHERE activity_id = ? AND data_type = ?
       `;
       
-      const [results] = await this.database.executeSql(query, [activityId, dataType]);
+      const results = await this.database.executeQuery(query, [activityId, dataType]);
       
       if (results.rows.length > 0) {
         return results.rows.item(0).average;
@@ -159,12 +363,12 @@ class SensorRepository {
   async getMaxValue(activityId, dataType) {
     try {
       const query = `
-        SELECT MAX(value) as maximum
-        FROM sensor_data
+        SELECT MAX(max_value) as maximum
+        FROM sensor_chunks
         WHERE activity_id = ? AND data_type = ?
       `;
       
-      const [results] = await this.database.executeSql(query, [activityId, dataType]);
+      const results = await this.database.executeQuery(query, [activityId, dataType]);
       
       if (results.rows.length > 0) {
         return results.rows.item(0).maximum;
@@ -178,4 +382,4 @@ class SensorRepository {
 }
 
 // Export singleton instance
-export default new SensorRepository(Database);
\ No newline at end of file
+export default new SensorRepository(dbManager);
\ No newline at end of file
@@ -0,0 +1,307 @@
+import { EventEmitter } from 'events';
+import dbManager from '../dbManager';
+import { SYNC_OPERATIONS, SYNC_STATUS, rowToConflict, rowToOutboxEntry } from '../schemas/syncSchema';
+import logger from '../../utils/logger';
+
+/**
+ * Sync Repository - Handles the outbox of local changes and the sync state
+ * of activities. Other repositories queue their changes through queueChanges
+ * inside their own transaction so a change is never stored without its entry.
+ */
+class SyncRepository extends EventEmitter {
+  /**
+   * Queues changes inside a running transaction. Entries are only added for
+   * activities that exist, samples recorded before their activity is saved
+   * are uploaded with the activity.
+   * @param {Object} tx - Transaction
+   * @param {Array} changes - Changes as { activityId, operation, payload }
+   */
+  queueChanges(tx, changes) {
+    const now = Date.now();
+    const insert = `INSERT INTO sync_outbox (activity_id, operation, payload, attempts, next_attempt_at, created_at)
+      SELECT ?, ?, ?, 0, 0, ? WHERE EXISTS (SELECT 1 FROM activities WHERE id = ?`;
+    
+    changes.forEach(({ activityId, operation, payload = null }) => {
+      const values = [activityId, operation, payload ? JSON.stringify(payload) : null, now, activityId];
+      
+      if (operation === SYNC_OPERATIONS.DELETE_ACTIVITY) {
+        // Nothing else needs to reach the server, and an activity that never
+        // got there doesn't need to be deleted from it
+        tx.executeSql('DELETE FROM sync_outbox WHERE activity_id = ?', [activityId]);
+        tx.executeSql(`${insert} AND synced_at IS NOT NULL)`, values);
+        return;
+      }
+      
+      tx.executeSql(`${insert})`, values);
+      tx.executeSql(
+        'UPDATE activities SET sync_status = ? WHERE id = ?',
+        [SYNC_STATUS.PENDING, activityId]
+      );
+    });
+  }
+  
+  /**
+   * Tells listeners that changes were committed to the outbox
+   */
+  notifyQueued() {
+    this.emit('queued');
+  }
+  
+  /**
+   * Drops every outbox entry and conflict inside a running transaction,
+   * used when the activities they belong to are removed
+   * @param {Object} tx - Transaction
+   */
+  clearAll(tx) {
+    tx.executeSql('DELETE FROM sync_outbox');
+    tx.executeSql('DELETE FROM sync_conflicts');
+  }
+  
+  /**
+   * Queues activities that were stored before sync was available
+   * @returns {Promise<number>} - Number of activities queued
+   */
+  async queueLocalActivities() {
+    try {
+      const result = await dbManager.executeQuery(
+        'SELECT id FROM activities WHERE sync_status = ? OR sync_status IS NULL',
+        [SYNC_STATUS.LOCAL]
+      );
+      
+      const changes = [];
+      for (let i = 0; i < result.rows.length; i++) {
+        const activityId = result.rows.item(i).id;
+        changes.push(
+          { activityId, operation: SYNC_OPERATIONS.UPSERT_ACTIVITY },
+          { activityId, operation: SYNC_OPERATIONS.ADD_LOCATIONS },
+          { activityId, operation: SYNC_OPERATIONS.ADD_SENSOR_DATA }
+        );
+      }
+      
+      if (changes.length > 0) {
+        await dbManager.executeTransaction(tx => this.queueChanges(tx, changes));
+      }
+      
+      return result.rows.length;
+    } catch (error) {
+      logger.error('Failed to queue local activities', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get outbox entries that are due for an attempt, oldest first
+   * @param {number} now - Current time
+   * @returns {Promise<Array>} - Outbox entries
+   */
+  async getDueEntries(now = Date.now()) {
+    try {
+      const query = 'SELECT * FROM sync_outbox WHERE next_attempt_at <= ? ORDER BY id ASC';
+      const result = await dbManager.executeQuery(query, [now]);
+      
+      const entries = [];
+      for (let i = 0; i < result.rows.length; i++) {
+        entries.push(rowToOutboxEntry(result.rows.item(i)));
+      }
+      
+      return entries;
+    } catch (error) {
+      logger.error('Failed to get due outbox entries', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Count the entries waiting in the outbox
+   * @returns {Promise<number>} - Number of entries
+   */
+  async getPendingCount() {
+    try {
+      const result = await dbManager.executeQuery('SELECT COUNT(*) as count FROM sync_outbox');
+      return result.rows.item(0).count || 0;
+    } catch (error) {
+      logger.error('Failed to count outbox entries', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Check whether an activity has changes waiting in the outbox
+   * @param {string} activityId - Activity id
+   * @returns {Promise<boolean>} - True if changes are waiting
+   */
+  async hasPendingChanges(activityId) {
+    try {
+      const result = await dbManager.executeQuery(
+        'SELECT 1 FROM sync_outbox WHERE activity_id = ? LIMIT 1',
+        [activityId]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error(`Failed to check outbox for activity: ${activityId}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Remove pushed entries from the outbox
+   * @param {Array<number>} ids - Entry ids
+   * @returns {Promise<void>}
+   */
+  async removeEntries(ids) {
+    if (!ids || ids.length === 0) {
+      return;
+    }
+    
+    try {
+      const placeholders = ids.map(() => '?').join(', ');
+      await dbManager.executeQuery(`DELETE FROM sync_outbox WHERE id IN (${placeholders})`, ids);
+    } catch (error) {
+      logger.error('Failed to remove outbox entries', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Record a failed push and mark the activity as failed
+   * @param {string} activityId - Activity id
+   * @param {Array<number>} ids - Entry ids
+   * @param {string} message - Error message
+   * @param {number} nextAttemptAt - Earliest time for the next attempt
+   * @returns {Promise<void>}
+   */
+  async recordFailure(activityId, ids, message, nextAttemptAt) {
+    try {
+      const placeholders = ids.map(() => '?').join(', ');
+      
+      await dbManager.executeTransaction(tx => {
+        tx.executeSql(
+          `UPDATE sync_outbox SET attempts = attempts + 1, last_error = ?, next_attempt_at = ? WHERE id IN (${placeholders})`,
+          [message, nextAttemptAt, ...ids]
+        );
+        tx.executeSql(
+          'UPDATE activities SET sync_status = ? WHERE id = ?',
+          [SYNC_STATUS.FAILED, activityId]
+        );
+      });
+    } catch (error) {
+      logger.error(`Failed to record sync failure for activity: ${activityId}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Mark an activity as matching the server, it stays pending while
+   * changes made in the meantime wait in the outbox
+   * @param {string} activityId - Activity id
+   * @param {number} syncedAt - Server update time of the activity
+   * @param {Object} base - Editable fields as stored on the server, merged
+   *   against when both sides change them
+   * @param {number} version - Server version of the activity
+   * @returns {Promise<void>}
+   */
+  async markSynced(activityId, syncedAt, base, version) {
+    try {
+      const query = `UPDATE activities SET synced_at = ?, sync_base = ?, synced_version = ?,
+        sync_status = CASE WHEN EXISTS (SELECT 1 FROM sync_outbox WHERE activity_id = ?) THEN ? ELSE ? END
+        WHERE id = ?`;
+      await dbManager.executeQuery(query, [
+        syncedAt,
+        base ? JSON.stringify(base) : null,
+        version || null,
+        activityId,
+        SYNC_STATUS.PENDING,
+        SYNC_STATUS.SYNCED,
+        activityId
+      ]);
+    } catch (error) {
+      logger.error(`Failed to mark activity synced: ${activityId}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Record merged edits so they can be shown to the user
+   * @param {string} activityId - Activity id
+   * @param {Array} conflicts - Conflicts as { field, localValue, remoteValue, resolvedValue, resolution }
+   * @returns {Promise<void>}
+   */
+  async addConflicts(activityId, conflicts) {
+    if (!conflicts || conflicts.length === 0) {
+      return;
+    }
+    
+    try {
+      const now = Date.now();
+      
+      await dbManager.executeTransaction(tx => {
+        conflicts.forEach(conflict => {
+          tx.executeSql(
+            `INSERT INTO sync_conflicts (
+              activity_id, field, local_value, remote_value, resolved_value, resolution, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+              activityId,
+              conflict.field,
+              conflict.localValue,
+              conflict.remoteValue,
+              conflict.resolvedValue,
+              conflict.resolution,
+              now
+            ]
+          );
+        });
+      });
+    } catch (error) {
+      logger.error(`Failed to record sync conflicts for activity: ${activityId}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the recorded conflicts, newest first
+   * @returns {Promise<Array>} - Conflicts with the name of their activity
+   */
+  async getConflicts() {
+    try {
+      const query = `SELECT c.*, a.name as activity_name
+        FROM sync_conflicts c
+        LEFT JOIN activities a ON a.id = c.activity_id
+        ORDER BY c.created_at DESC, c.id DESC`;
+      const result = await dbManager.executeQuery(query);
+      
+      const conflicts = [];
+      for (let i = 0; i < result.rows.length; i++) {
+        conflicts.push(rowToConflict(result.rows.item(i)));
+      }
+      
+      return conflicts;
+    } catch (error) {
+      logger.error('Failed to get sync conflicts', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Remove conflicts the user has seen
+   * @param {Array<number>} ids - Conflict ids
+   * @returns {Promise<void>}
+   */
+  async dismissConflicts(ids) {
+    if (!ids || ids.length === 0) {
+      return;
+    }
+    
+    try {
+      const placeholders = ids.map(() => '?').join(', ');
+      await dbManager.executeQuery(`DELETE FROM sync_conflicts WHERE id IN (${placeholders})`, ids);
+    } catch (error) {
+      logger.error('Failed to dismiss sync conflicts', error);
+      throw error;
+    }
+  }
+}
+
+// Create and export singleton instance
+const syncRepository = new SyncRepository();
+export default syncRepository;
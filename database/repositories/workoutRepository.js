@@ -0,0 +1,255 @@
+import { v4 as uuidv4 } from 'uuid';
+import dbManager from '../dbManager';
+import * as workoutSchema from '../schemas/workoutSchema';
+import logger from '../../utils/logger';
+
+/**
+ * Workout Repository - Handles database operations for the workout library
+ */
+class WorkoutRepository {
+  /**
+   * Create a new workout
+   * @param {Object} workout - Workout data
+   * @returns {Promise<Object>} - Created workout
+   */
+  async createWorkout(workout) {
+    try {
+      const newWorkout = {
+        ...workoutSchema.DEFAULT_WORKOUT,
+        ...workout,
+        id: workout.id || uuidv4(),
+        created_at: Date.now(),
+        updated_at: Date.now()
+      };
+      
+      if (!workoutSchema.validateWorkout(newWorkout)) {
+        throw new Error('Invalid workout data');
+      }
+      
+      const params = workoutSchema.workoutToParams(newWorkout);
+      const keys = Object.keys(params);
+      const placeholders = keys.map(() => '?').join(', ');
+      const columns = keys.join(', ');
+      
+      const query = `INSERT INTO workouts (${columns}) VALUES (${placeholders})`;
+      await dbManager.executeQuery(query, Object.values(params));
+      
+      return newWorkout;
+    } catch (error) {
+      logger.error('Failed to create workout', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get workout by id
+   * @param {string} id - Workout id
+   * @returns {Promise<Object|null>} - Workout or null if not found
+   */
+  async getWorkoutById(id) {
+    try {
+      const query = 'SELECT * FROM workouts WHERE id = ?';
+      const result = await dbManager.executeQuery(query, [id]);
+      
+      if (result.rows.length === 0) {
+        return null;
+      }
+      
+      return workoutSchema.rowToWorkout(result.rows.item(0));
+    } catch (error) {
+      logger.error(`Failed to get workout by id: ${id}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Get workouts with optional filtering and pagination
+   * @param {Object} options - Query options
+   * @returns {Promise<Array>} - Array of workouts
+   */
+  async getWorkouts(options = {}) {
+    try {
+      const {
+        limit = 50,
+        offset = 0,
+        type,
+        tag,
+        search
+      } = options;
+      
+      let query = 'SELECT * FROM workouts';
+      const params = [];
+      const conditions = [];
+      
+      if (type) {
+        conditions.push('type = ?');
+        params.push(type);
+      }
+      
+      // Tags are a JSON array, match the quoted tag
+      if (tag) {
+        conditions.push('tags LIKE ?');
+        params.push(`%${JSON.stringify(tag)}%`);
+      }
+      
+      if (search) {
+        conditions.push('name LIKE ?');
+        params.push(`%${search}%`);
+      }
+      
+      if (conditions.length > 0) {
+        query += ' WHERE ' + conditions.join(' AND ');
+      }
+      
+      query += ' ORDER BY updated_at DESC LIMIT ? OFFSET ?';
+      params.push(limit, offset);
+      
+      const result = await dbManager.executeQuery(query, params);
+      const workouts = [];
+      
+      for (let i = 0; i < result.rows.length; i++) {
+        workouts.push(workoutSchema.rowToWorkout(result.rows.item(i)));
+      }
+      
+      return workouts;
+    } catch (error) {
+      logger.error('Failed to get workouts', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Update a workout
+   * @param {string} id - Workout id
+   * @param {Object} updates - Workout data to update
+   * @returns {Promise<Object>} - Updated workout
+   */
+  async updateWorkout(id, updates) {
+    try {
+      const currentWorkout = await this.getWorkoutById(id);
+      
+      if (!currentWorkout) {
+        throw new Error(`Workout with id ${id} not found`);
+      }
+      
+      const updatedWorkout = {
+        ...currentWorkout,
+        ...updates,
+        id,
+        updated_at: Date.now()
+      };
+      
+      if (!workoutSchema.validateWorkout(updatedWorkout)) {
+        throw new Error('Invalid workout data');
+      }
+      
+      const params = workoutSchema.workoutToParams(updatedWorkout);
+      const setClause = Object.keys(params)
+        .map(key => `${key} = ?`)
+        .join(', ');
+      
+      const query = `UPDATE workouts SET ${setClause} WHERE id = ?`;
+      await dbManager.executeQuery(query, [...Object.values(params), id]);
+      
+      return updatedWorkout;
+    } catch (error) {
+      logger.error(`Failed to update workout: ${id}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Delete a workout
+   * @param {string} id - Workout id
+   * @returns {Promise<boolean>} - True if deleted
+   */
+  async deleteWorkout(id) {
+    try {
+      const query = 'DELETE FROM workouts WHERE id = ?';
+      const result = await dbManager.executeQuery(query, [id]);
+      
+      return result.rowsAffected > 0;
+    } catch (error) {
+      logger.error(`Failed to delete workout: ${id}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Delete the workouts pulled from the server, copies made on this phone stay
+   * @returns {Promise<number>} - Number of workouts deleted
+   */
+  async deletePulledWorkouts() {
+    try {
+      const result = await dbManager.executeQuery('DELETE FROM workouts WHERE synced_at IS NOT NULL');
+      
+      return result.rowsAffected;
+    } catch (error) {
+      logger.error('Failed to delete pulled workouts', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Copy a workout under a new id
+   * @param {string} id - Workout id
+   * @param {string} name - Name of the copy
+   * @returns {Promise<Object>} - Created copy
+   */
+  async duplicateWorkout(id, name = null) {
+    try {
+      const workout = await this.getWorkoutById(id);
+      
+      if (!workout) {
+        throw new Error(`Workout with id ${id} not found`);
+      }
+      
+      return this.createWorkout({
+        ...workout,
+        id: null,
+        name: name || `${workout.name} (copy)`,
+        synced_at: null
+      });
+    } catch (error) {
+      logger.error(`Failed to duplicate workout: ${id}`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Store workouts pulled from the server, replacing local copies
+   * @param {Array} workouts - Workouts in database format
+   * @returns {Promise<number>} - Number of workouts saved
+   */
+  async saveWorkouts(workouts) {
+    try {
+      if (!workouts || workouts.length === 0) {
+        return 0;
+      }
+      
+      const syncedAt = Date.now();
+      
+      await dbManager.executeTransaction(tx => {
+        workouts.forEach(workout => {
+          const params = workoutSchema.workoutToParams({ ...workout, synced_at: syncedAt });
+          const keys = Object.keys(params);
+          const placeholders = keys.map(() => '?').join(', ');
+          
+          tx.executeSql(
+            `INSERT OR REPLACE INTO workouts (${keys.join(', ')}) VALUES (${placeholders})`,
+            Object.values(params)
+          );
+        });
+      });
+      
+      return workouts.length;
+    } catch (error) {
+      logger.error('Failed to save pulled workouts', error);
+      throw error;
+    }
+  }
+}
+
+// Create and export singleton instance
+const workoutRepository = new WorkoutRepository();
+export default workoutRepository;
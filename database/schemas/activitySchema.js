@@ -11,6 +11,9 @@ CREATE TABLE IF NOT EXISTS activities (
   start_time INTEGER,
   end_time INTEGER,
   duration INTEGER,
+  elapsed_time INTEGER,
+  timer_time INTEGER,
+  moving_time INTEGER,
   distance REAL,
   avg_heart_rate REAL,
   avg_power REAL,
@@ -19,10 +22,41 @@ CREATE TABLE IF NOT EXISTS activities (
   tss REAL,
   device_ids TEXT,
   notes TEXT,
+  laps TEXT,
+  sync_status TEXT DEFAULT 'local',
+  synced_at INTEGER,
+  sync_base TEXT,
   created_at INTEGER,
   updated_at INTEGER
 );`;
 
+// Clock columns for databases created before elapsed, timer and moving time
+// were tracked separately. Duration stays equal to timer time.
+export const ADD_ACTIVITY_TIME_COLUMNS = [
+  'ALTER TABLE activities ADD COLUMN elapsed_time INTEGER;',
+  'ALTER TABLE activities ADD COLUMN timer_time INTEGER;',
+  'ALTER TABLE activities ADD COLUMN moving_time INTEGER;',
+];
+
+// Lap list for databases created before laps were stored, JSON encoded
+export const ADD_ACTIVITY_LAPS_COLUMN = 'ALTER TABLE activities ADD COLUMN laps TEXT;';
+
+// Sync state for databases created before activities were synced. Existing
+// activities start out local and are queued once sync is enabled. The sync
+// base holds the server's editable fields as of the last sync, JSON encoded.
+export const ADD_ACTIVITY_SYNC_COLUMNS = [
+  "ALTER TABLE activities ADD COLUMN sync_status TEXT DEFAULT 'local';",
+  'ALTER TABLE activities ADD COLUMN synced_at INTEGER;',
+  'ALTER TABLE activities ADD COLUMN sync_base TEXT;',
+];
+
+// Free-form labels for filtering history, JSON encoded, added by migration 3
+export const ADD_ACTIVITY_TAGS_COLUMN = 'ALTER TABLE activities ADD COLUMN tags TEXT;';
+
+// Server version of the activity as of the last sync, sent with updates so
+// the server rejects them once the activity changed there, added by migration 6
+export const ADD_ACTIVITY_SYNCED_VERSION_COLUMN = 'ALTER TABLE activities ADD COLUMN synced_version INTEGER;';
+
 // Locations Table
 export const CREATE_LOCATIONS_TABLE = `
 CREATE TABLE IF NOT EXISTS locations (
@@ -71,6 +105,9 @@ export const DEFAULT_ACTIVITY = {
   start_time: null,
   end_time: null,
   duration: 0,
+  elapsed_time: 0,
+  timer_time: 0,
+  moving_time: 0,
   distance: 0,
   avg_heart_rate: 0,
   avg_power: 0,
@@ -79,6 +116,12 @@ export const DEFAULT_ACTIVITY = {
   tss: 0,
   device_ids: '',
   notes: '',
+  tags: [],
+  laps: [],
+  sync_status: 'local',
+  synced_at: null,
+  synced_version: null,
+  sync_base: null,
   created_at: null,
   updated_at: null
 };
@@ -122,6 +165,10 @@ export const rowToActivity = (row) => {
     start_time: row.start_time,
     end_time: row.end_time,
     duration: row.duration,
+    // Rows saved before the split only have duration
+    elapsed_time: row.elapsed_time || row.duration,
+    timer_time: row.timer_time || row.duration,
+    moving_time: row.moving_time || row.duration,
     distance: row.distance,
     avg_heart_rate: row.avg_heart_rate,
     avg_power: row.avg_power,
@@ -130,13 +177,20 @@ export const rowToActivity = (row) => {
     tss: row.tss,
     device_ids: row.device_ids ? row.device_ids.split(',') : [],
     notes: row.notes,
+    tags: row.tags ? JSON.parse(row.tags) : [],
+    laps: row.laps ? JSON.parse(row.laps) : [],
+    sync_status: row.sync_status || 'local',
+    synced_at: row.synced_at,
+    synced_version: row.synced_version || null,
+    sync_base: row.sync_base ? JSON.parse(row.sync_base) : null,
     created_at: row.created_at,
     updated_at: row.updated_at
   };
 };
 
 /**
- * Converts an activity object to database parameters
+ * Converts an activity object to database parameters, the sync columns
+ * are only written by the sync repository
  * @param {Object} activity - Activity object
  * @returns {Object} - Database parameters
  */
@@ -148,6 +202,9 @@ export const activityToParams = (activity) => {
     start_time: activity.start_time,
     end_time: activity.end_time,
     duration: activity.duration,
+    elapsed_time: activity.elapsed_time,
+    timer_time: activity.timer_time,
+    moving_time: activity.moving_time,
     distance: activity.distance,
     avg_heart_rate: activity.avg_heart_rate,
     avg_power: activity.avg_power,
@@ -156,6 +213,8 @@ export const activityToParams = (activity) => {
     tss: activity.tss,
     device_ids: Array.isArray(activity.device_ids) ? activity.device_ids.join(',') : activity.device_ids,
     notes: activity.notes,
+    tags: JSON.stringify(activity.tags || []),
+    laps: JSON.stringify(activity.laps || []),
     created_at: activity.created_at || Date.now(),
     updated_at: activity.updated_at || Date.now()
   };
@@ -0,0 +1,68 @@
+/**
+ * SQL schema for readiness_scores table
+ */
+
+// Readiness Scores Table, one row per day
+export const CREATE_READINESS_SCORES_TABLE = `
+CREATE TABLE IF NOT EXISTS readiness_scores (
+  date TEXT PRIMARY KEY,
+  activity_id TEXT,
+  timestamp INTEGER,
+  score INTEGER,
+  rmssd REAL,
+  ln_rmssd REAL,
+  sdnn REAL,
+  pnn50 REAL,
+  mean_heart_rate REAL,
+  artifact_ratio REAL,
+  beat_count INTEGER,
+  created_at INTEGER,
+  FOREIGN KEY (activity_id) REFERENCES activities (id)
+  ON DELETE SET NULL
+);`;
+
+/**
+ * Converts a row from the database to a readiness object
+ * @param {Object} row - Database row
+ * @returns {Object} - Readiness object
+ */
+export const rowToReadiness = (row) => {
+  if (!row) return null;
+
+  return {
+    date: row.date,
+    activity_id: row.activity_id,
+    timestamp: row.timestamp,
+    score: row.score,
+    rmssd: row.rmssd,
+    ln_rmssd: row.ln_rmssd,
+    sdnn: row.sdnn,
+    pnn50: row.pnn50,
+    mean_heart_rate: row.mean_heart_rate,
+    artifact_ratio: row.artifact_ratio,
+    beat_count: row.beat_count,
+    created_at: row.created_at
+  };
+};
+
+/**
+ * Converts a readiness object to database parameters
+ * @param {Object} readiness - Readiness object
+ * @returns {Object} - Database parameters
+ */
+export const readinessToParams = (readiness) => {
+  return {
+    date: readiness.date,
+    activity_id: readiness.activity_id,
+    timestamp: readiness.timestamp,
+    score: readiness.score,
+    rmssd: readiness.rmssd,
+    ln_rmssd: readiness.ln_rmssd,
+    sdnn: readiness.sdnn,
+    pnn50: readiness.pnn50,
+    mean_heart_rate: readiness.mean_heart_rate,
+    artifact_ratio: readiness.artifact_ratio,
+    beat_count: readiness.beat_count,
+    created_at: readiness.created_at || Date.now()
+  };
+};
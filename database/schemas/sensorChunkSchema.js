@@ -0,0 +1,317 @@
+/**
+ * SQL schema for sensor_chunks table
+ *
+ * Numeric sensor samples are stored one row per activity, data type, device,
+ * source and minute. A row holds the sample timestamps and values as delta-encoded
+ * varints in base64, plus aggregates so summaries don't need to decode.
+ */
+
+// Sensor Chunks Table
+export const CREATE_SENSOR_CHUNKS_TABLE = `
+CREATE TABLE IF NOT EXISTS sensor_chunks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  activity_id TEXT,
+  data_type TEXT,
+  device_id TEXT,
+  source TEXT,
+  bucket INTEGER,
+  start_time INTEGER,
+  end_time INTEGER,
+  sample_count INTEGER,
+  value_scale INTEGER,
+  min_value REAL,
+  max_value REAL,
+  sum_value REAL,
+  last_value REAL,
+  time_deltas TEXT,
+  value_deltas TEXT,
+  FOREIGN KEY (activity_id) REFERENCES activities (id)
+  ON DELETE CASCADE
+);`;
+
+// Indexes
+export const CREATE_INDEX_SENSOR_CHUNKS_ACTIVITY = `
+CREATE INDEX IF NOT EXISTS idx_sensor_chunks_activity ON sensor_chunks (activity_id, data_type, bucket);`;
+
+export const CREATE_INDEX_SENSOR_CHUNKS_TIME = `
+CREATE INDEX IF NOT EXISTS idx_sensor_chunks_time ON sensor_chunks (activity_id, start_time);`;
+
+export const INSERT_SENSOR_CHUNK = `INSERT INTO sensor_chunks (
+  activity_id, data_type, device_id, source, bucket, start_time, end_time,
+  sample_count, value_scale, min_value, max_value, sum_value, last_value,
+  time_deltas, value_deltas
+) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+// Time span of one chunk
+export const CHUNK_DURATION_MS = 60000;
+
+// Values are kept to at most this many decimal places
+const MAX_VALUE_SCALE = 6;
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Maps signed integers to unsigned ones so small negatives stay small.
+ * Uses arithmetic instead of bit operations, which overflow past 32 bits.
+ * @param {number} value - Signed integer
+ * @returns {number} - Unsigned integer
+ */
+const zigzag = (value) => (value >= 0 ? value * 2 : -value * 2 - 1);
+
+/**
+ * Reverses zigzag
+ * @param {number} value - Unsigned integer
+ * @returns {number} - Signed integer
+ */
+const unzigzag = (value) => (value % 2 === 0 ? value / 2 : -(value + 1) / 2);
+
+/**
+ * Encodes bytes as base64
+ * @param {Array<number>} bytes - Bytes
+ * @returns {string} - Base64 text
+ */
+const toBase64 = (bytes) => {
+  let text = '';
+
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+
+    text += BASE64_CHARS[(chunk >> 18) & 63];
+    text += BASE64_CHARS[(chunk >> 12) & 63];
+    text += i + 1 < bytes.length ? BASE64_CHARS[(chunk >> 6) & 63] : '=';
+    text += i + 2 < bytes.length ? BASE64_CHARS[chunk & 63] : '=';
+  }
+
+  return text;
+};
+
+/**
+ * Decodes base64 text
+ * @param {string} text - Base64 text
+ * @returns {Array<number>} - Bytes
+ */
+const fromBase64 = (text) => {
+  const bytes = [];
+
+  for (let i = 0; i < text.length; i += 4) {
+    const chunk = (BASE64_CHARS.indexOf(text[i]) << 18)
+      | (BASE64_CHARS.indexOf(text[i + 1]) << 12)
+      | ((BASE64_CHARS.indexOf(text[i + 2]) & 63) << 6)
+      | (BASE64_CHARS.indexOf(text[i + 3]) & 63);
+
+    bytes.push((chunk >> 16) & 255);
+    if (text[i + 2] !== '=') bytes.push((chunk >> 8) & 255);
+    if (text[i + 3] !== '=') bytes.push(chunk & 255);
+  }
+
+  return bytes;
+};
+
+/**
+ * Delta-encodes integers as zigzag varints in base64
+ * @param {Array<number>} integers - Integers
+ * @returns {string} - Encoded text
+ */
+export const encodeDeltas = (integers) => {
+  const bytes = [];
+  let previous = 0;
+
+  integers.forEach(integer => {
+    let value = zigzag(integer - previous);
+    previous = integer;
+
+    while (value >= 128) {
+      bytes.push((value % 128) + 128);
+      value = Math.floor(value / 128);
+    }
+    bytes.push(value);
+  });
+
+  return toBase64(bytes);
+};
+
+/**
+ * Decodes text written by encodeDeltas
+ * @param {string} text - Encoded text
+ * @returns {Array<number>} - Integers
+ */
+export const decodeDeltas = (text) => {
+  const bytes = fromBase64(text || '');
+  const integers = [];
+  let previous = 0;
+  let value = 0;
+  let multiplier = 1;
+
+  bytes.forEach(byte => {
+    value += (byte % 128) * multiplier;
+
+    if (byte < 128) {
+      previous += unzigzag(value);
+      integers.push(previous);
+      value = 0;
+      multiplier = 1;
+    } else {
+      multiplier *= 128;
+    }
+  });
+
+  return integers;
+};
+
+/**
+ * Finds the fewest decimal places that represent all values
+ * @param {Array<number>} values - Sample values
+ * @returns {number} - Decimal places, at most MAX_VALUE_SCALE
+ */
+const getValueScale = (values) => {
+  for (let scale = 0; scale < MAX_VALUE_SCALE; scale++) {
+    const factor = Math.pow(10, scale);
+    const isExact = values.every(value => (
+      Math.abs(value * factor - Math.round(value * factor)) < 1e-6
+    ));
+
+    if (isExact) {
+      return scale;
+    }
+  }
+
+  return MAX_VALUE_SCALE;
+};
+
+/**
+ * Get the chunk bucket of a timestamp
+ * @param {number} timestamp - Sample timestamp
+ * @returns {number} - Bucket number
+ */
+export const getBucket = (timestamp) => Math.floor(timestamp / CHUNK_DURATION_MS);
+
+/**
+ * Get the key identifying the chunk a sample belongs to
+ * @param {Object} sample - Sensor data object
+ * @returns {string} - Chunk key
+ */
+const getChunkKey = (sample) => [
+  sample.activity_id,
+  sample.data_type,
+  sample.device_id || '',
+  sample.source || '',
+  getBucket(sample.timestamp)
+].join('|');
+
+/**
+ * Checks whether a sample can be stored in a chunk, which takes numbers only.
+ * Other values, like locations and motion readings stored as JSON, are kept
+ * in sensor_data.
+ * @param {Object} sample - Sensor data object
+ * @returns {boolean} - True if the timestamp and value are finite numbers
+ */
+export const isChunkable = (sample) => (
+  Number.isFinite(sample.timestamp) && Number.isFinite(sample.value)
+);
+
+/**
+ * Groups sensor data into chunks. Samples that aren't chunkable are skipped.
+ * @param {Array} sensorData - Sensor data objects
+ * @returns {Array} - Chunks as { activity_id, data_type, device_id, source, bucket, samples }
+ */
+export const groupIntoChunks = (sensorData) => {
+  const chunks = {};
+
+  sensorData.forEach(sample => {
+    if (!isChunkable(sample)) {
+      return;
+    }
+
+    const key = getChunkKey(sample);
+    if (!chunks[key]) {
+      chunks[key] = {
+        activity_id: sample.activity_id,
+        data_type: sample.data_type,
+        device_id: sample.device_id || null,
+        source: sample.source || null,
+        bucket: getBucket(sample.timestamp),
+        samples: []
+      };
+    }
+    chunks[key].samples.push({ timestamp: Math.round(sample.timestamp), value: sample.value });
+  });
+
+  return Object.values(chunks);
+};
+
+/**
+ * Encodes a chunk for insertion
+ * @param {Object} chunk - Chunk from groupIntoChunks
+ * @returns {Array} - Parameters for INSERT_SENSOR_CHUNK
+ */
+export const chunkToParams = (chunk) => {
+  const samples = [...chunk.samples].sort((a, b) => a.timestamp - b.timestamp);
+  const values = samples.map(sample => sample.value);
+  const scale = getValueScale(values);
+  const factor = Math.pow(10, scale);
+
+  return [
+    chunk.activity_id,
+    chunk.data_type,
+    chunk.device_id,
+    chunk.source,
+    chunk.bucket,
+    samples[0].timestamp,
+    samples[samples.length - 1].timestamp,
+    samples.length,
+    scale,
+    Math.min(...values),
+    Math.max(...values),
+    values.reduce((sum, value) => sum + value, 0),
+    values[values.length - 1],
+    encodeDeltas(samples.map(sample => sample.timestamp - samples[0].timestamp)),
+    encodeDeltas(values.map(value => Math.round(value * factor)))
+  ];
+};
+
+/**
+ * Decodes the samples of a chunk row
+ * @param {Object} row - Database row
+ * @returns {Array} - Samples as { timestamp, value }
+ */
+export const decodeChunkSamples = (row) => {
+  const offsets = decodeDeltas(row.time_deltas);
+  const values = decodeDeltas(row.value_deltas);
+  const factor = Math.pow(10, row.value_scale || 0);
+
+  return offsets.map((offset, index) => ({
+    timestamp: row.start_time + offset,
+    value: values[index] / factor
+  }));
+};
+
+/**
+ * Converts a chunk row to sensor data objects. Ids are derived from the
+ * sample so they stay the same across reads, which keeps sync uploads
+ * idempotent.
+ * @param {Object} row - Database row
+ * @returns {Array} - Sensor data objects
+ */
+export const chunkRowToSensorData = (row) => {
+  if (!row) return [];
+
+  let previousTimestamp = null;
+  let repeat = 0;
+
+  return decodeChunkSamples(row).map(({ timestamp, value }) => {
+    repeat = timestamp === previousTimestamp ? repeat + 1 : 0;
+    previousTimestamp = timestamp;
+
+    const id = [row.activity_id, row.data_type, row.device_id || '', row.source || '', timestamp].join(':');
+
+    return {
+      id: repeat > 0 ? `${id}:${repeat}` : id,
+      activity_id: row.activity_id,
+      timestamp,
+      device_id: row.device_id,
+      data_type: row.data_type,
+      value,
+      source: row.source
+    };
+  });
+};
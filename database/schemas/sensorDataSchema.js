@@ -1,5 +1,11 @@
 /**
  * SQL schema for sensor_data table
+ *
+ * Numeric samples are stored in sensor_chunks since schema version 2, which
+ * moved the rows there and dropped this table. Version 5 brings it back for
+ * the samples chunks can't encode, like locations and motion readings stored
+ * as JSON. The sensor data object below is the shape the repository reads
+ * and writes for both.
  */
 
 // Sensor Data Table
@@ -11,10 +17,20 @@ CREATE TABLE IF NOT EXISTS sensor_data (
   device_id TEXT,
   data_type TEXT,
   value REAL,
+  source TEXT,
   FOREIGN KEY (activity_id) REFERENCES activities (id)
   ON DELETE CASCADE
 );`;
 
+// Written with OR REPLACE so pulled samples can be stored again
+export const INSERT_SENSOR_DATA = `INSERT OR REPLACE INTO sensor_data (
+  id, activity_id, timestamp, device_id, data_type, value, source
+) VALUES (?, ?, ?, ?, ?, ?, ?)`;
+
+// Source column for databases created before per-metric source tracking
+export const ADD_SENSOR_DATA_SOURCE_COLUMN = `
+ALTER TABLE sensor_data ADD COLUMN source TEXT;`;
+
 // Indexes
 export const CREATE_INDEX_SENSOR_DATA_ACTIVITY_ID = `
 CREATE INDEX IF NOT EXISTS idx_sensor_data_activity_id ON sensor_data (activity_id);`;
@@ -40,7 +56,9 @@ export const SENSOR_DATA_TYPES = {
   VERTICAL_RATIO: 'vertical_ratio',
   LEG_SPRING_STIFFNESS: 'leg_spring_stiffness',
   FORM_POWER: 'form_power',
-  AIR_POWER: 'air_power'
+  AIR_POWER: 'air_power',
+  ENERGY_EXPENDED: 'energy_expended',
+  RR_INTERVAL: 'rr_interval'
 };
 
 /**
@@ -52,7 +70,8 @@ export const DEFAULT_SENSOR_DATA = {
   timestamp: null,
   device_id: null,
   data_type: null,
-  value: 0
+  value: 0,
+  source: null
 };
 
 /**
@@ -94,7 +113,8 @@ export const rowToSensorData = (row) => {
     timestamp: row.timestamp,
     device_id: row.device_id,
     data_type: row.data_type,
-    value: row.value
+    value: row.value,
+    source: row.source
   };
 };
 
@@ -114,14 +134,15 @@ export const createSensorDataBatch = (sensorDataPoints) => {
       point.timestamp,
       point.device_id,
       point.data_type,
-      point.value
+      point.value,
+      point.source || null
     );
     
-    placeholders.push('(?, ?, ?, ?, ?, ?)');
+    placeholders.push('(?, ?, ?, ?, ?, ?, ?)');
   });
   
   return {
-    sql: `INSERT INTO sensor_data (id, activity_id, timestamp, device_id, data_type, value) 
+    sql: `INSERT INTO sensor_data (id, activity_id, timestamp, device_id, data_type, value, source) 
           VALUES ${placeholders.join(', ')}`,
     values
   };
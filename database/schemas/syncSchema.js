@@ -0,0 +1,121 @@
+/**
+ * SQL schema for the sync outbox table
+ */
+
+// Outbox of local changes waiting to be pushed to the backend. Rows are
+// never tied to the activities table so deletions can still be pushed.
+export const CREATE_SYNC_OUTBOX_TABLE = `
+CREATE TABLE IF NOT EXISTS sync_outbox (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  activity_id TEXT,
+  operation TEXT,
+  payload TEXT,
+  attempts INTEGER DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at INTEGER DEFAULT 0,
+  created_at INTEGER
+);`;
+
+// Edits that were made on this device and on the server and had to be
+// merged, kept until the user has seen them
+export const CREATE_SYNC_CONFLICTS_TABLE = `
+CREATE TABLE IF NOT EXISTS sync_conflicts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  activity_id TEXT,
+  field TEXT,
+  local_value TEXT,
+  remote_value TEXT,
+  resolved_value TEXT,
+  resolution TEXT,
+  created_at INTEGER
+);`;
+
+// Indexes
+export const CREATE_INDEX_SYNC_OUTBOX_ACTIVITY_ID = `
+CREATE INDEX IF NOT EXISTS idx_sync_outbox_activity_id ON sync_outbox (activity_id);`;
+
+/**
+ * Changes recorded in the outbox
+ */
+export const SYNC_OPERATIONS = {
+  UPSERT_ACTIVITY: 'upsert_activity',
+  DELETE_ACTIVITY: 'delete_activity',
+  ADD_LOCATIONS: 'add_locations',
+  ADD_SENSOR_DATA: 'add_sensor_data'
+};
+
+/**
+ * Sync state of an activity, stored in activities.sync_status
+ */
+export const SYNC_STATUS = {
+  LOCAL: 'local', // Never queued, recorded before sync was available
+  PENDING: 'pending',
+  SYNCED: 'synced',
+  FAILED: 'failed'
+};
+
+/**
+ * Gets the time range of added records, stored as the payload of
+ * location and sensor data entries
+ * @param {Array} records - Records with a timestamp
+ * @returns {Object} - { from, to } timestamps
+ */
+export const getTimeRange = (records) => {
+  let from = Infinity;
+  let to = -Infinity;
+
+  records.forEach(record => {
+    from = Math.min(from, record.timestamp);
+    to = Math.max(to, record.timestamp);
+  });
+
+  return { from, to };
+};
+
+/**
+ * Converts a row from the database to an outbox entry
+ * @param {Object} row - Database row
+ * @returns {Object} - Outbox entry
+ */
+export const rowToOutboxEntry = (row) => {
+  if (!row) return null;
+
+  let payload = null;
+  try {
+    payload = row.payload ? JSON.parse(row.payload) : null;
+  } catch (error) {
+    payload = null;
+  }
+
+  return {
+    id: row.id,
+    activity_id: row.activity_id,
+    operation: row.operation,
+    payload,
+    attempts: row.attempts || 0,
+    last_error: row.last_error,
+    next_attempt_at: row.next_attempt_at || 0,
+    created_at: row.created_at
+  };
+};
+
+/**
+ * Converts a row from the database to a sync conflict
+ * @param {Object} row - Database row
+ * @returns {Object} - Sync conflict
+ */
+export const rowToConflict = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    activity_id: row.activity_id,
+    activity_name: row.activity_name || null,
+    field: row.field,
+    local_value: row.local_value,
+    remote_value: row.remote_value,
+    resolved_value: row.resolved_value,
+    resolution: row.resolution,
+    created_at: row.created_at
+  };
+};
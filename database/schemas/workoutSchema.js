@@ -0,0 +1,116 @@
+/**
+ * SQL schema for workouts table
+ */
+
+// Workouts Table, steps and tags are stored as JSON
+export const CREATE_WORKOUTS_TABLE = `
+CREATE TABLE IF NOT EXISTS workouts (
+  id TEXT PRIMARY KEY,
+  name TEXT,
+  type TEXT,
+  description TEXT,
+  steps TEXT,
+  tags TEXT,
+  author_id TEXT,
+  synced_at INTEGER,
+  created_at INTEGER,
+  updated_at INTEGER
+);`;
+
+// Indexes
+export const CREATE_INDEX_WORKOUTS_UPDATED_AT = `
+CREATE INDEX IF NOT EXISTS idx_workouts_updated_at ON workouts (updated_at);`;
+
+/**
+ * Default workout object structure
+ */
+export const DEFAULT_WORKOUT = {
+  id: null,
+  name: '',
+  type: 'run',
+  description: '',
+  steps: [],
+  tags: [],
+  author_id: null,
+  synced_at: null,
+  created_at: null,
+  updated_at: null
+};
+
+/**
+ * Validates a workout object
+ * @param {Object} workout - Workout object to validate
+ * @returns {Boolean} - True if valid, false otherwise
+ */
+export const validateWorkout = (workout) => {
+  if (!workout) return false;
+
+  // Required fields
+  if (!workout.id) return false;
+  if (!workout.name) return false;
+  if (!workout.type) return false;
+
+  // Type validation
+  if (!Array.isArray(workout.steps)) return false;
+  if (!Array.isArray(workout.tags)) return false;
+
+  return true;
+};
+
+/**
+ * Parses a JSON column, falling back for empty or corrupt values
+ * @param {string} value - Column value
+ * @param {any} fallback - Value used when parsing fails
+ * @returns {any} - Parsed value
+ */
+const parseJson = (value, fallback) => {
+  if (!value) return fallback;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+/**
+ * Converts a row from the database to a workout object
+ * @param {Object} row - Database row
+ * @returns {Object} - Workout object
+ */
+export const rowToWorkout = (row) => {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    description: row.description,
+    steps: parseJson(row.steps, []),
+    tags: parseJson(row.tags, []),
+    author_id: row.author_id,
+    synced_at: row.synced_at,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+};
+
+/**
+ * Converts a workout object to database parameters
+ * @param {Object} workout - Workout object
+ * @returns {Object} - Database parameters
+ */
+export const workoutToParams = (workout) => {
+  return {
+    id: workout.id,
+    name: workout.name,
+    type: workout.type,
+    description: workout.description,
+    steps: JSON.stringify(workout.steps || []),
+    tags: JSON.stringify(workout.tags || []),
+    author_id: workout.author_id,
+    synced_at: workout.synced_at,
+    created_at: workout.created_at || Date.now(),
+    updated_at: workout.updated_at || Date.now()
+  };
+};
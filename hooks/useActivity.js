@@ -8,7 +8,7 @@ import { ActivityContext } from '../context/ActivityContext';
 import { useBleConnection } from './useBleConnection';
 import { useLocationTracking } from './useLocationTracking';
 import { generateActivitySummary } from '../services/activity/activitySummary';
-import { activityRepository } from '../database/repositories/activityRepository';
+import activityRepository from '../database/repositories/activityRepository';
 import { sensorRepository } from '../database/repositories/sensorRepository';
 import { mmkvStorage } from '../database/cache/mmkvStorage';
 import { generateUUID } from '../utils/formatters';
@@ -366,18 +366,44 @@ const useActivity = () => {
   }, []);
   
   /**
-   * Retrieves all saved activities
+   * Retrieves saved activities
+   * @param {Object} filters - Query options, see activityRepository.getActivities
    * @returns {Promise<Array>} Array of activity data
    */
-  const getAllActivities = useCallback(async () => {
+  const getAllActivities = useCallback(async (filters = {}) => {
     try {
-      return await activityRepository.getAllActivities();
+      return await activityRepository.getActivities(filters);
     } catch (error) {
       console.error('Failed to get activities:', error);
       return [];
     }
   }, []);
   
+  /**
+   * Searches activity names, notes and tags
+   * @param {string} query - Search input
+   * @param {Object} filters - Filters narrowing the results
+   * @returns {Promise<Array>} Matching activities, best matches first
+   */
+  const searchActivities = useCallback(async (query, filters = {}) => {
+    try {
+      return await activityRepository.searchActivities(query, filters);
+    } catch (error) {
+      console.error('Failed to search activities:', error);
+      return [];
+    }
+  }, []);
+  
+  /**
+   * Deletes a saved activity, the deletion is synced like any other change
+   * @param {string} activityId - ID of the activity to delete
+   * @returns {Promise<boolean>} True if deleted
+   * @throws {Error} If the activity can't be deleted
+   */
+  const deleteActivity = useCallback(async (activityId) => {
+    return activityRepository.deleteActivity(activityId);
+  }, []);
+  
   return {
     // State
     isActive,
@@ -395,7 +421,9 @@ const useActivity = () => {
     discardActivity,
     updateActivityWithSensorData,
     getActivityById,
-    getAllActivities
+    getAllActivities,
+    searchActivities,
+    deleteActivity
   };
 };
 
@@ -0,0 +1,124 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// Import activity manager and storage
+import activityManager, { ACTIVITY_EVENTS } from '../services/activity/activityManager';
+import readinessRepository from '../database/repositories/readinessRepository';
+
+// Import logger
+import logger from '../utils/logger';
+
+// Days of readiness results shown with the test
+const HISTORY_DAYS = 14;
+
+/**
+ * Custom hook for running the guided readiness test and reading daily scores
+ *
+ * @returns {Object} Test progress, result, history and controls
+ */
+export const useReadiness = () => {
+  const [session, setSession] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [error, setError] = useState(null);
+
+  /**
+   * Loads the latest daily readiness results
+   * @returns {Promise<Array>} Results, newest first
+   */
+  const loadHistory = useCallback(async () => {
+    try {
+      const latest = await readinessRepository.getLatestReadiness(HISTORY_DAYS);
+      setHistory(latest);
+      return latest;
+    } catch (error) {
+      logger.error('Failed to load readiness history', error);
+      return [];
+    }
+  }, []);
+
+  // Follow the test from start to score
+  useEffect(() => {
+    const handleStarted = (startedSession) => {
+      setSession(startedSession);
+      setProgress(null);
+      setResult(null);
+      setError(null);
+    };
+
+    const handleProgress = (nextProgress) => {
+      setProgress(nextProgress);
+    };
+
+    const handleCompleted = (completed) => {
+      setSession(null);
+      setResult(completed);
+      loadHistory();
+    };
+
+    const handleCancelled = ({ error: cancelError }) => {
+      setSession(null);
+      setProgress(null);
+
+      if (cancelError) {
+        setError(cancelError.message);
+      }
+    };
+
+    activityManager.on(ACTIVITY_EVENTS.READINESS_STARTED, handleStarted);
+    activityManager.on(ACTIVITY_EVENTS.READINESS_PROGRESS, handleProgress);
+    activityManager.on(ACTIVITY_EVENTS.READINESS_COMPLETED, handleCompleted);
+    activityManager.on(ACTIVITY_EVENTS.READINESS_CANCELLED, handleCancelled);
+
+    loadHistory();
+
+    return () => {
+      activityManager.removeListener(ACTIVITY_EVENTS.READINESS_STARTED, handleStarted);
+      activityManager.removeListener(ACTIVITY_EVENTS.READINESS_PROGRESS, handleProgress);
+      activityManager.removeListener(ACTIVITY_EVENTS.READINESS_COMPLETED, handleCompleted);
+      activityManager.removeListener(ACTIVITY_EVENTS.READINESS_CANCELLED, handleCancelled);
+    };
+  }, [loadHistory]);
+
+  /**
+   * Starts the guided readiness test
+   * @returns {Promise<Object|null>} Session information
+   */
+  const startTest = useCallback(async () => {
+    try {
+      setError(null);
+      return await activityManager.startReadinessTest();
+    } catch (error) {
+      logger.error('Failed to start readiness test', error);
+      setError(error.message || 'Failed to start readiness test');
+      return null;
+    }
+  }, []);
+
+  /**
+   * Stops the running test without a score
+   * @returns {Promise<void>} Resolves when cancelled
+   */
+  const cancelTest = useCallback(async () => {
+    try {
+      await activityManager.cancelReadinessTest();
+    } catch (error) {
+      logger.error('Failed to cancel readiness test', error);
+      setError('Failed to cancel readiness test');
+    }
+  }, []);
+
+  return {
+    session,
+    progress,
+    result,
+    history,
+    isRunning: Boolean(session),
+    error,
+    startTest,
+    cancelTest,
+    loadHistory,
+  };
+};
+
+export default useReadiness;
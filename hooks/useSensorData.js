@@ -2,6 +2,7 @@ import { useState, useEffect, useCallback, useRef } from 'react';
 
 // Import sensor manager and types
 import sensorManager, { SENSOR_TYPES, SENSOR_EVENTS } from '../services/sensors/sensorManager';
+import { SENSOR_CONTACT_STATUS } from '../services/ble/bleConstants';
 
 // Import calculation utilities
 import { calculateMovingAverage } from '../utils/calculations';
@@ -29,6 +30,7 @@ export const useSensorData = (options = {}) => {
   const [derivedMetrics, setDerivedMetrics] = useState({});
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [contactStatus, setContactStatus] = useState(SENSOR_CONTACT_STATUS.UNSUPPORTED);
   
   // Reference to track if component is mounted
   const isMounted = useRef(true);
@@ -115,6 +117,19 @@ export const useSensorData = (options = {}) => {
     };
   }, [types, derived]);
   
+  // Follow heart rate strap skin contact
+  useEffect(() => {
+    const handleContactChanged = ({ status }) => {
+      setContactStatus(status);
+    };
+    
+    sensorManager.on(SENSOR_EVENTS.CONTACT_CHANGED, handleContactChanged);
+    
+    return () => {
+      sensorManager.removeListener(SENSOR_EVENTS.CONTACT_CHANGED, handleContactChanged);
+    };
+  }, []);
+  
   /**
    * Gets the latest data for a specific metric
    * @param {string} metricKey - Metric identifier
@@ -224,6 +239,8 @@ export const useSensorData = (options = {}) => {
     derivedMetrics,
     isLoading,
     error,
+    contactStatus,
+    hasContactLoss: contactStatus === SENSOR_CONTACT_STATUS.NOT_DETECTED,
     getMetricValue,
     getMetricAverage,
   };
@@ -44,8 +44,24 @@ export const useSettings = () => {
         return value.charAt(0).toUpperCase() + value.slice(1);
       
       case 'autoSaveThreshold':
+      case 'autoLapTime':
         return `${value} min`;
       
+      case 'autoLapMode':
+        return value.charAt(0).toUpperCase() + value.slice(1);
+      
+      case 'autoLapDistance':
+        return `${value} ${settings.metricUnits ? 'km' : 'mi'}`;
+      
+      case 'autoLapRadius':
+        return `${value} m`;
+      
+      case 'autoPauseSpeed':
+        return `${value} ${settings.metricUnits ? 'km/h' : 'mph'}`;
+      
+      case 'autoLapPosition':
+        return value ? 'Saved point' : 'Start point';
+      
       case 'dataRetentionPeriod':
         if (value === 0) return 'Forever';
         return `${value} days`;
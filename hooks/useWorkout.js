@@ -0,0 +1,99 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// Import activity manager and types
+import activityManager, { ACTIVITY_EVENTS } from '../services/activity/activityManager';
+import { ACTIVITY_TYPES } from '../config/constants';
+
+// Import logger
+import logger from '../utils/logger';
+
+/**
+ * Custom hook for following a structured workout during an activity
+ *
+ * @returns {Object} Live workout status and controls
+ */
+export const useWorkout = () => {
+  const [status, setStatus] = useState(() => activityManager.getWorkoutStatus());
+  const [lastStep, setLastStep] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Follow step changes and per-second updates
+  useEffect(() => {
+    const handleStatus = (nextStatus) => {
+      setStatus(nextStatus);
+    };
+
+    const handleLap = (lap) => {
+      if (lap.workoutStep) {
+        setLastStep(lap.workoutStep);
+      }
+    };
+
+    const handleStopped = () => {
+      setStatus(null);
+      setLastStep(null);
+    };
+
+    activityManager.on(ACTIVITY_EVENTS.WORKOUT_STEP_STARTED, handleStatus);
+    activityManager.on(ACTIVITY_EVENTS.WORKOUT_UPDATED, handleStatus);
+    activityManager.on(ACTIVITY_EVENTS.WORKOUT_COMPLETED, handleStatus);
+    activityManager.on(ACTIVITY_EVENTS.LAP, handleLap);
+    activityManager.on(ACTIVITY_EVENTS.STOPPED, handleStopped);
+
+    return () => {
+      activityManager.removeListener(ACTIVITY_EVENTS.WORKOUT_STEP_STARTED, handleStatus);
+      activityManager.removeListener(ACTIVITY_EVENTS.WORKOUT_UPDATED, handleStatus);
+      activityManager.removeListener(ACTIVITY_EVENTS.WORKOUT_COMPLETED, handleStatus);
+      activityManager.removeListener(ACTIVITY_EVENTS.LAP, handleLap);
+      activityManager.removeListener(ACTIVITY_EVENTS.STOPPED, handleStopped);
+    };
+  }, []);
+
+  /**
+   * Starts an activity that runs the given workout
+   * @param {Object} workout - Workout definition
+   * @returns {Promise<Object|null>} Started activity
+   */
+  const startWorkout = useCallback(async (workout) => {
+    try {
+      setError(null);
+
+      return await activityManager.startActivity({
+        type: ACTIVITY_TYPES.INTERVAL,
+        name: workout.name,
+        workout,
+      });
+    } catch (error) {
+      logger.error('Failed to start workout', error);
+      setError('Failed to start workout');
+      return null;
+    }
+  }, []);
+
+  /**
+   * Ends the current step, required for open steps
+   * @returns {Promise<Object|null>} Lap created for the step
+   */
+  const nextStep = useCallback(async () => {
+    try {
+      return await activityManager.addLap();
+    } catch (error) {
+      logger.error('Failed to advance workout step', error);
+      setError('Failed to advance workout step');
+      return null;
+    }
+  }, []);
+
+  return {
+    status,
+    currentStep: status?.currentStep || null,
+    nextStepPreview: status?.nextStep || null,
+    lastStep,
+    isRunning: Boolean(status && !status.completed),
+    error,
+    startWorkout,
+    nextStep,
+  };
+};
+
+export default useWorkout;
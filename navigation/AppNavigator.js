@@ -11,6 +11,7 @@ import ActivityTrackingScreen from '../app/screens/ActivityTrackingScreen';
 import ActivitySummaryScreen from '../app/screens/ActivitySummaryScreen';
 import HistoryScreen from '../app/screens/HistoryScreen';
 import SettingsScreen from '../app/screens/SettingsScreen';
+import ReadinessScreen from '../app/screens/ReadinessScreen';
 
 // Import routes
 import ROUTES from './routes';
@@ -128,6 +129,10 @@ const MainAppStack = () => {
           headerBackTitle: 'Back',
         }}
       />
+      <Stack.Screen 
+        name={ROUTES.SCREENS.READINESS} 
+        component={ReadinessScreen} 
+      />
     </Stack.Navigator>
   );
 };
@@ -4,16 +4,25 @@ import { v4 as uuidv4 } from 'uuid';
 // Import activity modules
 import ActivityRecorder from './activityRecorder';
 import ActivityMetrics from './activityMetrics';
+import AutoLapDetector from './autoLap';
+import MotionDetector from './motionDetector';
+import WorkoutExecutor, { WORKOUT_EVENTS } from '../workout/workoutExecutor';
+import { validateWorkout } from '../workout/workoutModel';
 
 // Import sensor manager
-import sensorManager from '../sensors/sensorManager';
+import sensorManager, { SENSOR_EVENTS, SENSOR_SOURCES } from '../sensors/sensorManager';
 
-// Import database repository
+// Import database repositories and cache
 import activityRepository from '../../database/repositories/activityRepository';
+import readinessRepository from '../../database/repositories/readinessRepository';
+import sensorRepository from '../../database/repositories/sensorRepository';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 
 // Import utilities and constants
 import logger from '../../utils/logger';
-import { ACTIVITY_TYPES, ACTIVITY_STATES } from '../../config/constants';
+import { analyzeHRV, calculateRollingHRV, calculateReadinessScore, HRV_DEFAULTS } from '../../utils/hrv';
+import { calculateTotalDistance, calculateElevationGain } from './activitySummary';
+import { ACTIVITY_TYPES, ACTIVITY_STATES, SENSOR_TYPES, STORAGE_KEYS } from '../../config/constants';
 
 // Activity events
 export const ACTIVITY_EVENTS = {
@@ -26,6 +35,15 @@ export const ACTIVITY_EVENTS = {
   METRICS_UPDATED: 'metricsUpdated',
   AUTO_PAUSE: 'activityAutoPaused',
   AUTO_RESUME: 'activityAutoResumed',
+  READINESS_STARTED: 'readinessStarted',
+  READINESS_PROGRESS: 'readinessProgress',
+  READINESS_COMPLETED: 'readinessCompleted',
+  READINESS_CANCELLED: 'readinessCancelled',
+  RECOVERY_AVAILABLE: 'activityRecoveryAvailable',
+  RECOVERED: 'activityRecovered',
+  WORKOUT_STEP_STARTED: 'workoutStepStarted',
+  WORKOUT_UPDATED: 'workoutUpdated',
+  WORKOUT_COMPLETED: 'workoutCompleted',
   ERROR: 'activityError',
 };
 
@@ -33,6 +51,35 @@ export const ACTIVITY_EVENTS = {
 const AUTO_PAUSE_THRESHOLD_MS = parseInt(process.env.AUTO_PAUSE_THRESHOLD_MS, 10) || 10000;
 // Timer update frequency in milliseconds
 const TIME_RESOLUTION_MS = parseInt(process.env.TIME_RESOLUTION_MS, 10) || 1000;
+// Checkpoint frequency in milliseconds
+const CHECKPOINT_INTERVAL_MS = parseInt(process.env.CHECKPOINT_INTERVAL_MS, 10) || 15000;
+// Readiness test length in milliseconds
+const READINESS_TEST_DURATION_MS = parseInt(process.env.READINESS_TEST_DURATION_MS, 10) || 120000;
+// Window of the live RMSSD shown during the readiness test
+const READINESS_LIVE_WINDOW_MS = 60000;
+
+/**
+ * Ends any stopped period left open
+ * @param {Array} stoppedPeriods - Periods the athlete was standing still
+ * @param {number} endTime - End for open periods in milliseconds
+ * @returns {Array} Closed periods
+ */
+const closeStoppedPeriods = (stoppedPeriods = [], endTime) => stoppedPeriods.map(period => ({
+  ...period,
+  endTime: period.endTime || endTime,
+}));
+
+/**
+ * Sums the time spent in stopped periods
+ * @param {Array} stoppedPeriods - Periods the athlete was standing still
+ * @param {number} now - End for open periods in milliseconds
+ * @returns {number} Stopped time in seconds
+ */
+const getStoppedSeconds = (stoppedPeriods = [], now = Date.now()) => Math.floor(
+  stoppedPeriods.reduce(
+    (total, period) => total + ((period.endTime || now) - period.startTime), 0
+  ) / 1000
+);
 
 /**
  * Core service for managing running activity lifecycle and coordination
@@ -48,15 +95,33 @@ class ActivityManager extends EventEmitter {
     // Timing
     this.startTime = 0;
     this.pauseTime = 0;
-    this.elapsedTime = 0;
+    this.timerTime = 0; // excludes manual pauses, startTime is shifted on resume
     this.timerInterval = null;
-    this.lastMotionTime = 0;
-    this.autoPauseTimer = null;
+    
+    // Motion detection for moving time and auto-pause, the timer keeps
+    // running while stopped
+    this.motionDetector = new MotionDetector({ stopDelayMs: AUTO_PAUSE_THRESHOLD_MS });
+    this.isStopped = false;
+    this.isAutoPaused = false;
+    
+    // Crash recovery
+    this.checkpointInterval = null;
+    this.checkpointQueue = Promise.resolve();
+    this.recoverableActivity = null;
     
     // Activity recording
     this.recorder = new ActivityRecorder();
     this.metrics = new ActivityMetrics();
     
+    // Auto-lap, configured from settings
+    this.autoLap = new AutoLapDetector();
+    
+    // Structured workout, null for free runs
+    this.workoutExecutor = null;
+    
+    // Readiness test session, null when no test is running
+    this.readinessSession = null;
+    
     // Settings
     this.enableAutoPause = true;
   }
@@ -75,6 +140,9 @@ class ActivityManager extends EventEmitter {
       // Load settings (auto-pause, etc.)
       this._loadSettings();
       
+      // Look for an activity interrupted by an app kill or OS restart
+      await this._detectUnfinishedActivity();
+      
       logger.info('Activity manager initialized');
       
       return true;
@@ -102,6 +170,25 @@ class ActivityManager extends EventEmitter {
         return this.currentActivity;
       }
       
+      if (this.readinessSession) {
+        throw new Error('Readiness test in progress');
+      }
+      
+      if (options.workout) {
+        const validation = validateWorkout(options.workout);
+        if (!validation.valid) {
+          throw new Error(`Invalid workout: ${validation.errors.join(', ')}`);
+        }
+      }
+      
+      // Starting over abandons an unfinished activity, its rows stay orphaned
+      if (this.recoverableActivity) {
+        logger.warn('Discarding unfinished activity', {
+          activityId: this.recoverableActivity.activity.id,
+        });
+        this.recoverableActivity = null;
+      }
+      
       logger.info('Starting new activity');
       
       // Create new activity
@@ -112,7 +199,9 @@ class ActivityManager extends EventEmitter {
       const defaultOptions = {
         type: ACTIVITY_TYPES.RUN,
         name: `Run - ${new Date(timestamp).toLocaleString()}`,
-        autoLap: true,
+        // Workout steps create their own laps
+        autoLap: !options.workout,
+        workout: null,
       };
       
       // Merge default options with provided options
@@ -131,15 +220,24 @@ class ActivityManager extends EventEmitter {
         duration: 0,
         distance: 0,
         laps: [],
+        stoppedPeriods: [],
+        elapsedTime: 0,
+        timerTime: 0,
+        movingTime: 0,
         autoLap: activityOptions.autoLap,
+        workout: activityOptions.workout,
         metrics: {},
       };
       
       // Reset timing
       this.startTime = timestamp;
       this.pauseTime = 0;
-      this.elapsedTime = 0;
-      this.lastMotionTime = timestamp;
+      this.timerTime = 0;
+      this.isStopped = false;
+      this.isAutoPaused = false;
+      
+      // First lap starts with the activity
+      this.autoLap.reset();
       
       // Initialize metrics tracking
       await this.metrics.initialize(activityId);
@@ -156,14 +254,20 @@ class ActivityManager extends EventEmitter {
       // Start timer
       this._startTimer();
       
-      // Start auto-pause detection if enabled
-      if (this.enableAutoPause) {
-        this._startAutoPauseDetection();
-      }
+      // Start periodic checkpoints
+      this._startCheckpointTimer();
+      
+      // Start motion detection for moving time and auto-pause
+      this._startMotionDetection();
       
       // Update activity state
       this._setActivityState(ACTIVITY_STATES.ACTIVE);
       
+      // Begin the first workout step
+      if (activityOptions.workout) {
+        this._startWorkout(activityOptions.workout);
+      }
+      
       // Emit started event
       this.emit(ACTIVITY_EVENTS.STARTED, this.currentActivity);
       
@@ -202,8 +306,8 @@ class ActivityManager extends EventEmitter {
       // Stop timer
       this._stopTimer();
       
-      // Stop auto-pause detection
-      this._stopAutoPauseDetection();
+      // Stop motion detection
+      this._stopMotionDetection();
       
       // Pause recording
       await this.recorder.pause();
@@ -239,7 +343,6 @@ class ActivityManager extends EventEmitter {
       const pauseDuration = Date.now() - this.pauseTime;
       this.startTime += pauseDuration;
       this.pauseTime = 0;
-      this.lastMotionTime = Date.now();
       
       // Resume recording
       await this.recorder.resume();
@@ -247,10 +350,8 @@ class ActivityManager extends EventEmitter {
       // Restart timer
       this._startTimer();
       
-      // Restart auto-pause detection if enabled
-      if (this.enableAutoPause) {
-        this._startAutoPauseDetection();
-      }
+      // Restart motion detection
+      this._startMotionDetection();
       
       // Update activity state
       this._setActivityState(ACTIVITY_STATES.ACTIVE);
@@ -280,25 +381,35 @@ class ActivityManager extends EventEmitter {
       
       logger.info('Stopping activity', { activityId: this.currentActivity.id });
       
-      // Update end time and duration
+      // Update end time and the three clocks, duration is timer time
       this.currentActivity.endTime = Date.now();
-      this.currentActivity.duration = this.elapsedTime;
+      this.updateTimerTime();
+      
+      // Stop motion detection, ending a stopped period at the end time
+      this._stopMotionDetection();
+      
+      const timing = this.getTiming();
+      Object.assign(this.currentActivity, timing, { duration: timing.timerTime });
       
       // Stop timer
       this._stopTimer();
       
-      // Stop auto-pause detection
-      this._stopAutoPauseDetection();
+      // Stop periodic checkpoints
+      this._stopCheckpointTimer();
       
       // Stop recording
       await this.recorder.stop();
       
+      // Stop the workout where it is
+      this._stopWorkout();
+      
       // Finalize metrics
-      const finalMetrics = await this.metrics.finalize();
+      const finalMetrics = await this.metrics.finalize(timing);
       this.currentActivity.metrics = finalMetrics;
       
       // Update activity with final metrics
       this.currentActivity.distance = finalMetrics.distance || 0;
+      this.currentActivity.avgPace = finalMetrics.avgPace || 0;
       this.currentActivity.avgHeartRate = finalMetrics.avgHeartRate || 0;
       this.currentActivity.avgPower = finalMetrics.avgPower || 0;
       this.currentActivity.avgCadence = finalMetrics.avgCadence || 0;
@@ -349,18 +460,34 @@ class ActivityManager extends EventEmitter {
       // Get current metrics
       const metrics = await this.metrics.getMetrics();
       
+      // A lap press during a workout ends the current step
+      let lapOptions = options;
+      if (!options.workoutStep && this.workoutExecutor?.isRunning()) {
+        const workoutStep = this.workoutExecutor.advance({
+          elapsedTime: this.timerTime,
+          distance: metrics.distance || 0,
+        });
+        
+        lapOptions = { name: workoutStep.label, ...options, workoutStep };
+      }
+      
       // Create lap data
       const lap = {
         id: uuidv4(),
         timestamp: Date.now(),
         duration: this.activityState === ACTIVITY_STATES.ACTIVE ? 
-          (Date.now() - this.startTime) : this.elapsedTime,
+          (Date.now() - this.startTime) : this.timerTime,
         distance: metrics.distance || 0,
-        ...options,
+        timerTime: this.timerTime,
+        ...lapOptions,
       };
       
+      // Manual laps restart the auto-lap count as well
+      this.autoLap.startLap({ elapsedTime: lap.timerTime, distance: lap.distance });
+      
       // Add to laps array
       this.currentActivity.laps.push(lap);
+      this._saveCheckpoint();
       
       // Emit lap event
       this.emit(ACTIVITY_EVENTS.LAP, lap);
@@ -377,6 +504,305 @@ class ActivityManager extends EventEmitter {
     }
   }
   
+  /**
+   * Gets the live status of the structured workout
+   * @returns {Object|null} Workout status, null for free runs
+   */
+  getWorkoutStatus() {
+    if (!this.workoutExecutor) {
+      return null;
+    }
+    
+    return this.workoutExecutor.getStatus({
+      elapsedTime: this.timerTime,
+      distance: this.currentActivity?.distance || 0,
+    });
+  }
+  
+  /**
+   * Gets the activity interrupted before it was stopped, if any
+   * @returns {Object|null} Unfinished activity and its timing at the last checkpoint
+   */
+  getRecoverableActivity() {
+    if (!this.recoverableActivity) {
+      return null;
+    }
+    
+    const { activity, state, timerTime, savedAt } = this.recoverableActivity;
+    
+    return { activity, state, timerTime, savedAt };
+  }
+  
+  /**
+   * Resumes the unfinished activity in paused state. Metrics are rebuilt
+   * from the rows persisted before the interruption.
+   * @returns {Promise<Object>} Recovered activity
+   * @throws {Error} If there's nothing to recover or an activity is running
+   */
+  async resumeRecoveredActivity() {
+    try {
+      const checkpoint = this.recoverableActivity;
+      
+      if (!checkpoint) {
+        throw new Error('No unfinished activity to recover');
+      }
+      
+      if (this.activityState !== ACTIVITY_STATES.IDLE || this.readinessSession) {
+        throw new Error('Cannot recover an activity while another one is running');
+      }
+      
+      const { activity } = checkpoint;
+      
+      logger.info('Resuming unfinished activity', { activityId: activity.id });
+      
+      const sensorData = await sensorRepository.getSensorDataByActivity(activity.id);
+      
+      // Restore timing, the time the app was gone counts as paused
+      this.currentActivity = activity;
+      this.startTime = checkpoint.startTime;
+      this.pauseTime = this._getInterruptionTime(checkpoint, sensorData);
+      this.timerTime = Math.floor((this.pauseTime - this.startTime) / 1000);
+      this.recoverableActivity = null;
+      
+      // A stopped period open at the interruption ends there
+      this.currentActivity.stoppedPeriods = closeStoppedPeriods(activity.stoppedPeriods, this.pauseTime);
+      this.isStopped = false;
+      this.isAutoPaused = false;
+      
+      // Rebuild metrics from persisted data
+      await this.metrics.initialize(activity.id);
+      this.currentActivity.metrics = this.metrics.restoreFromRecords(sensorData);
+      
+      // Continue the lap that was running
+      const lastLap = activity.laps[activity.laps.length - 1];
+      this.autoLap.reset();
+      if (lastLap) {
+        this.autoLap.startLap({
+          elapsedTime: lastLap.timerTime || 0,
+          distance: lastLap.distance || 0,
+        });
+      }
+      
+      // Continue recording into the same activity, paused until the user resumes
+      await this.recorder.initialize(activity.id);
+      await sensorManager.startCollection();
+      await this.recorder.start();
+      await this.recorder.pause();
+      
+      // Pick the workout up at the step it was on
+      if (activity.workout) {
+        this._startWorkout(activity.workout, checkpoint.workoutState);
+      }
+      
+      this._startCheckpointTimer();
+      this._setActivityState(ACTIVITY_STATES.PAUSED);
+      
+      this.emit(ACTIVITY_EVENTS.RECOVERED, this.currentActivity);
+      
+      return this.currentActivity;
+    } catch (error) {
+      logger.error('Failed to resume unfinished activity', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Completes the unfinished activity from the rows persisted before the
+   * interruption and saves it
+   * @returns {Promise<Object>} Completed activity data
+   * @throws {Error} If there's nothing to recover
+   */
+  async finalizeRecoveredActivity() {
+    try {
+      const checkpoint = this.recoverableActivity;
+      
+      if (!checkpoint) {
+        throw new Error('No unfinished activity to recover');
+      }
+      
+      const { activity } = checkpoint;
+      
+      logger.info('Finalizing unfinished activity', { activityId: activity.id });
+      
+      const sensorData = await sensorRepository.getSensorDataByActivity(activity.id);
+      const locations = await activityRepository.getLocations(activity.id);
+      
+      // Replay into a separate metrics instance, the live one may be in use
+      const metrics = new ActivityMetrics();
+      metrics.activityId = activity.id;
+      metrics.restoreFromRecords(sensorData);
+      
+      // Checkpoint start time is shifted by manual pauses, the activity's is not
+      const endTime = this._getInterruptionTime(checkpoint, sensorData);
+      const stoppedPeriods = closeStoppedPeriods(activity.stoppedPeriods, endTime);
+      const timerTime = Math.floor((endTime - checkpoint.startTime) / 1000);
+      const timing = {
+        elapsedTime: Math.floor((endTime - activity.startTime) / 1000),
+        timerTime,
+        movingTime: Math.max(0, timerTime - getStoppedSeconds(stoppedPeriods)),
+      };
+      
+      const finalMetrics = await metrics.finalize(timing);
+      
+      const completedActivity = {
+        ...activity,
+        ...timing,
+        endTime,
+        duration: timerTime,
+        stoppedPeriods,
+        avgPace: finalMetrics.avgPace || 0,
+        distance: finalMetrics.distance || calculateTotalDistance(locations),
+        avgHeartRate: finalMetrics.avgHeartRate || 0,
+        avgPower: finalMetrics.avgPower || 0,
+        avgCadence: finalMetrics.avgCadence || 0,
+        elevationGain: finalMetrics.totalAscent || calculateElevationGain(locations),
+        metrics: finalMetrics,
+        recovered: true,
+      };
+      
+      await activityRepository.createActivity({
+        id: completedActivity.id,
+        name: completedActivity.name,
+        type: completedActivity.type,
+        start_time: completedActivity.startTime,
+        end_time: completedActivity.endTime,
+        duration: completedActivity.duration,
+        elapsed_time: completedActivity.elapsedTime,
+        timer_time: completedActivity.timerTime,
+        moving_time: completedActivity.movingTime,
+        distance: completedActivity.distance,
+        avg_heart_rate: completedActivity.avgHeartRate,
+        avg_power: completedActivity.avgPower,
+        avg_pace: completedActivity.avgPace,
+        elevation_gain: completedActivity.elevationGain,
+        tss: finalMetrics.tss || 0,
+        laps: completedActivity.laps,
+      });
+      
+      this.recoverableActivity = null;
+      await this._clearCheckpoint();
+      
+      this.emit(ACTIVITY_EVENTS.STOPPED, completedActivity);
+      
+      logger.info('Unfinished activity finalized', {
+        activityId: completedActivity.id,
+        duration: completedActivity.duration,
+        distance: completedActivity.distance,
+      });
+      
+      return completedActivity;
+    } catch (error) {
+      logger.error('Failed to finalize unfinished activity', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Starts a guided readiness test. The athlete lies still while RR
+   * intervals are recorded from the chest strap, no GPS or auto-pause.
+   * The result is delivered with the READINESS_COMPLETED event.
+   * @param {Object} options - Test options
+   * @param {number} options.duration - Test length in milliseconds
+   * @returns {Promise<Object>} Readiness session information
+   * @throws {Error} If an activity is running or no strap is connected
+   */
+  async startReadinessTest(options = {}) {
+    try {
+      if (this.activityState !== ACTIVITY_STATES.IDLE || this.readinessSession) {
+        throw new Error('Cannot start a readiness test while an activity is running');
+      }
+      
+      if (!sensorManager.getSourceDeviceId(SENSOR_SOURCES.HEART_RATE)) {
+        throw new Error('A heart rate strap is required for the readiness test');
+      }
+      
+      const activityId = uuidv4();
+      const timestamp = Date.now();
+      const duration = options.duration || READINESS_TEST_DURATION_MS;
+      
+      logger.info('Starting readiness test', { activityId, duration });
+      
+      // Persist the session so its RR series has a parent activity
+      await activityRepository.createActivity({
+        id: activityId,
+        name: `Readiness - ${new Date(timestamp).toLocaleDateString()}`,
+        type: ACTIVITY_TYPES.READINESS,
+        start_time: timestamp,
+      });
+      
+      this.readinessSession = {
+        activityId,
+        startTime: timestamp,
+        duration,
+        rrSamples: [],
+        rrListener: null,
+        progressTimer: null,
+        completionTimer: null,
+      };
+      
+      // Keep RR intervals in memory for scoring, the recorder stores them
+      this.readinessSession.rrListener = ({ intervals }) => {
+        this.readinessSession.rrSamples.push(...intervals);
+      };
+      sensorManager.on(SENSOR_EVENTS.RR_INTERVALS, this.readinessSession.rrListener);
+      
+      // Only the strap runs, phone sensors and GPS stay off while lying still
+      await this.recorder.initialize(activityId);
+      await sensorManager.startCollection({ sources: [SENSOR_SOURCES.HEART_RATE] });
+      await this.recorder.start();
+      
+      this.readinessSession.progressTimer = setInterval(() => {
+        this._emitReadinessProgress();
+      }, TIME_RESOLUTION_MS);
+      
+      this.readinessSession.completionTimer = setTimeout(() => {
+        this._completeReadinessTest().catch(error => {
+          logger.error('Failed to complete readiness test', error);
+          this.emit(ACTIVITY_EVENTS.ERROR, error);
+        });
+      }, duration);
+      
+      const session = { activityId, startTime: timestamp, duration };
+      this.emit(ACTIVITY_EVENTS.READINESS_STARTED, session);
+      
+      return session;
+    } catch (error) {
+      logger.error('Failed to start readiness test', error);
+      
+      if (this.readinessSession) {
+        await this._cleanupReadinessTest().catch(cleanupError => {
+          logger.error('Error during cleanup after failed readiness start', cleanupError);
+        });
+      }
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * Cancels a running readiness test without scoring it
+   * @returns {Promise<void>} Resolves when cancelled
+   */
+  async cancelReadinessTest() {
+    try {
+      if (!this.readinessSession) {
+        return;
+      }
+      
+      const { activityId } = this.readinessSession;
+      
+      logger.info('Cancelling readiness test', { activityId });
+      
+      await this._cleanupReadinessTest();
+      await activityRepository.deleteActivity(activityId);
+      
+      this.emit(ACTIVITY_EVENTS.READINESS_CANCELLED, { activityId });
+    } catch (error) {
+      logger.error('Failed to cancel readiness test', error);
+      throw error;
+    }
+  }
+  
   /**
    * Gets the current activity state
    * @returns {Object} Activity state and data
@@ -385,21 +811,22 @@ class ActivityManager extends EventEmitter {
     return {
       state: this.activityState,
       activity: this.currentActivity,
-      elapsedTime: this.elapsedTime,
+      ...this.getTiming(),
+      isAutoPaused: this.isAutoPaused,
     };
   }
   
   /**
-   * Updates elapsed time for the activity
-   * @returns {number} Updated elapsed time in seconds
+   * Updates timer time for the activity
+   * @returns {number} Updated timer time in seconds
    */
-  updateElapsedTime() {
+  updateTimerTime() {
     if (this.activityState === ACTIVITY_STATES.ACTIVE) {
-      // Calculate elapsed time based on start time and current time
-      this.elapsedTime = Math.floor((Date.now() - this.startTime) / 1000);
+      // Start time is shifted by manual pauses, so this leaves them out
+      this.timerTime = Math.floor((Date.now() - this.startTime) / 1000);
     }
     
-    return this.elapsedTime;
+    return this.timerTime;
   }
   
   /**
@@ -438,7 +865,7 @@ class ActivityManager extends EventEmitter {
     
     // Start new timer
     this.timerInterval = setInterval(() => {
-      this.updateElapsedTime();
+      this.updateTimerTime();
       this._updateActivityMetrics();
     }, TIME_RESOLUTION_MS);
   }
@@ -471,16 +898,19 @@ class ActivityManager extends EventEmitter {
       this.currentActivity.metrics = metrics;
       this.currentActivity.distance = metrics.distance || 0;
       
-      // Auto-lap based on distance if enabled
-      if (this.currentActivity.autoLap && metrics.distance) {
-        this._checkAutoLap(metrics.distance);
+      // Auto-lap by distance, time or position if enabled
+      if (this.currentActivity.autoLap) {
+        this._checkAutoLap(metrics);
       }
       
-      // Update last motion time if moving
-      if (metrics.isMoving) {
-        this.lastMotionTime = Date.now();
+      // Advance the structured workout
+      if (this.workoutExecutor) {
+        this._updateWorkout(metrics);
       }
       
+      // Track stops for moving time, auto-pausing if enabled
+      this._updateMotion(metrics);
+      
       // Emit metrics updated event
       this.emit(ACTIVITY_EVENTS.METRICS_UPDATED, metrics);
     } catch (error) {
@@ -489,23 +919,37 @@ class ActivityManager extends EventEmitter {
   }
   
   /**
-   * Checks if auto-lap should be triggered based on distance
-   * @param {number} currentDistance - Current distance in meters
+   * Updates the auto-lap configuration
+   * @param {Object} config - Mode, distance, time, position and radius
+   */
+  configureAutoLap(config) {
+    this.autoLap.configure(config);
+    
+    logger.info('Auto-lap configured', { mode: this.autoLap.config.mode });
+  }
+  
+  /**
+   * Checks if auto-lap should be triggered by the configured mode
+   * @param {Object} metrics - Current activity metrics
    * @private
    */
-  _checkAutoLap(currentDistance) {
-    // Get last lap distance
-    const lastLapDistance = this.currentActivity.laps.length > 0 
-      ? this.currentActivity.laps[this.currentActivity.laps.length - 1].distance
-      : 0;
+  _checkAutoLap(metrics) {
+    const progress = {
+      elapsedTime: this.timerTime,
+      distance: metrics.distance || 0,
+    };
+    
+    const trigger = this.autoLap.check(progress, metrics[SENSOR_TYPES.LOCATION]);
     
-    // Check if we've covered a kilometer since last lap
-    const lapThreshold = 1000; // 1km in meters
-    if (currentDistance - lastLapDistance >= lapThreshold) {
+    if (trigger) {
+      // Start the next lap now so the following tick can't lap twice
+      this.autoLap.startLap(progress);
+      
       // Add automatic lap
       this.addLap({ 
         name: `Lap ${this.currentActivity.laps.length + 1}`,
-        automatic: true 
+        automatic: true,
+        trigger,
       }).catch(error => {
         logger.error('Failed to add auto lap', error);
       });
@@ -513,69 +957,510 @@ class ActivityManager extends EventEmitter {
   }
   
   /**
-   * Starts auto-pause detection
+   * Creates the workout executor and starts or restores its first step
+   * @param {Object} workout - Workout definition
+   * @param {Object} state - Executor state from a checkpoint
    * @private
    */
-  _startAutoPauseDetection() {
-    // Clear any existing timer
-    this._stopAutoPauseDetection();
+  _startWorkout(workout, state = null) {
+    this._stopWorkout();
+    
+    this.workoutExecutor = new WorkoutExecutor(workout);
+    
+    this.workoutExecutor.on(WORKOUT_EVENTS.STEP_STARTED, status => {
+      this.emit(ACTIVITY_EVENTS.WORKOUT_STEP_STARTED, status);
+    });
+    
+    this.workoutExecutor.on(WORKOUT_EVENTS.COMPLETED, status => {
+      this.emit(ACTIVITY_EVENTS.WORKOUT_COMPLETED, status);
+    });
     
-    // Initialize last motion time
-    this.lastMotionTime = Date.now();
+    const progress = {
+      elapsedTime: this.timerTime,
+      distance: this.currentActivity?.distance || 0,
+    };
+    
+    if (state) {
+      this.workoutExecutor.restoreState(state);
+    } else {
+      this.workoutExecutor.start(progress);
+    }
+  }
+  
+  /**
+   * Feeds the latest metrics to the workout and laps completed steps
+   * @param {Object} metrics - Latest activity metrics
+   * @private
+   */
+  _updateWorkout(metrics) {
+    const progress = {
+      elapsedTime: this.timerTime,
+      distance: metrics.distance || 0,
+    };
+    
+    const completedSteps = this.workoutExecutor.update(progress, metrics);
+    
+    completedSteps.forEach(workoutStep => {
+      this.addLap({
+        name: workoutStep.label,
+        automatic: true,
+        workoutStep,
+      }).catch(error => {
+        logger.error('Failed to add workout step lap', error);
+      });
+    });
     
-    // Start auto-pause check interval
-    this.autoPauseTimer = setInterval(() => {
-      this._checkForAutoPause();
-    }, 1000); // Check every second
+    this.emit(ACTIVITY_EVENTS.WORKOUT_UPDATED, this.workoutExecutor.getStatus(progress));
   }
   
   /**
-   * Stops auto-pause detection
+   * Detaches the workout executor
    * @private
    */
-  _stopAutoPauseDetection() {
-    if (this.autoPauseTimer) {
-      clearInterval(this.autoPauseTimer);
-      this.autoPauseTimer = null;
+  _stopWorkout() {
+    if (this.workoutExecutor) {
+      this.workoutExecutor.removeAllListeners();
+      this.workoutExecutor = null;
     }
   }
   
   /**
-   * Checks if activity should be auto-paused due to inactivity
+   * Updates the auto-pause configuration
+   * @param {Object} config - Enabled flag, speed threshold and unit system
+   */
+  configureAutoPause({ enabled, ...config } = {}) {
+    this.motionDetector.configure(config);
+    
+    if (enabled !== undefined && enabled !== this.enableAutoPause) {
+      this.enableAutoPause = enabled;
+      
+      // Apply to an athlete already standing still
+      if (this.activityState === ACTIVITY_STATES.ACTIVE && this.isStopped) {
+        if (enabled) {
+          this._autoPause();
+        } else {
+          this._autoResume();
+        }
+      }
+    }
+    
+    logger.info('Auto-pause configured', {
+      enabled: this.enableAutoPause,
+      speedThreshold: this.motionDetector.config.speedThreshold,
+    });
+  }
+  
+  /**
+   * Gets total wall time since the activity started, pauses included
+   * @returns {number} Elapsed time in seconds
+   */
+  getElapsedTime() {
+    if (!this.currentActivity) {
+      return 0;
+    }
+    
+    const endTime = this.currentActivity.endTime || Date.now();
+    return Math.floor((endTime - this.currentActivity.startTime) / 1000);
+  }
+  
+  /**
+   * Gets timer time minus the periods the athlete stood still
+   * @returns {number} Moving time in seconds
+   */
+  getMovingTime() {
+    if (!this.currentActivity) {
+      return 0;
+    }
+    
+    return Math.max(0, this.timerTime - getStoppedSeconds(this.currentActivity.stoppedPeriods));
+  }
+  
+  /**
+   * Gets the three activity clocks
+   * @returns {Object} Elapsed, timer and moving time in seconds
+   */
+  getTiming() {
+    return {
+      elapsedTime: this.getElapsedTime(),
+      timerTime: this.timerTime,
+      movingTime: this.getMovingTime(),
+    };
+  }
+  
+  /**
+   * Starts motion detection
+   * @private
+   */
+  _startMotionDetection() {
+    // Motion is judged fresh from here on
+    this.motionDetector.reset();
+  }
+  
+  /**
+   * Stops motion detection, ending any open stopped period. A manual
+   * pause or stop takes over from auto-pause.
+   * @private
+   */
+  _stopMotionDetection() {
+    this._closeStoppedPeriod();
+    this.isAutoPaused = false;
+  }
+  
+  /**
+   * Feeds the motion detector, tracks stopped periods and auto-pauses or
+   * auto-resumes on a change
+   * @param {Object} metrics - Current activity metrics
    * @private
    */
-  _checkForAutoPause() {
+  _updateMotion(metrics) {
     try {
-      // Only check if activity is active
-      if (this.activityState !== ACTIVITY_STATES.ACTIVE) {
+      if (!this.motionDetector.update(metrics)) {
         return;
       }
       
-      // Calculate time since last motion
-      const timeSinceMotion = Date.now() - this.lastMotionTime;
+      // The change dates back to when the evidence first appeared
+      const { changedAt } = this.motionDetector;
       
-      // If inactive for threshold duration, auto-pause
-      if (timeSinceMotion >= AUTO_PAUSE_THRESHOLD_MS) {
-        logger.info('Auto-pausing activity due to inactivity', {
-          activityId: this.currentActivity.id,
-          inactiveTime: timeSinceMotion
-        });
+      if (this.motionDetector.isMoving) {
+        this._closeStoppedPeriod(changedAt);
+        this._autoResume(changedAt);
+      } else {
+        this._openStoppedPeriod(changedAt);
         
-        // Pause activity
-        this.pauseActivity().then(() => {
-          // Emit auto-pause event
-          this.emit(ACTIVITY_EVENTS.AUTO_PAUSE, {
-            activityId: this.currentActivity.id,
-            pauseTime: Date.now(),
-            inactiveTime: timeSinceMotion
-          });
-        }).catch(error => {
-          logger.error('Failed to auto-pause activity', error);
-        });
+        if (this.enableAutoPause) {
+          this._autoPause(changedAt);
+        }
       }
     } catch (error) {
-      logger.error('Error in auto-pause detection', error);
+      logger.error('Error in motion detection', error);
+    }
+  }
+  
+  /**
+   * Starts a stopped period, left out of moving time
+   * @param {number} startTime - Time the athlete stopped in milliseconds
+   * @private
+   */
+  _openStoppedPeriod(startTime = Date.now()) {
+    if (this.isStopped) {
+      return;
     }
+    
+    this.isStopped = true;
+    this.currentActivity.stoppedPeriods.push({ startTime, endTime: null });
+  }
+  
+  /**
+   * Ends the open stopped period, if any
+   * @param {number} endTime - Period end in milliseconds
+   * @private
+   */
+  _closeStoppedPeriod(endTime = Date.now()) {
+    if (!this.isStopped) {
+      return;
+    }
+    
+    this.isStopped = false;
+    
+    const stoppedPeriods = this.currentActivity?.stoppedPeriods || [];
+    const period = stoppedPeriods[stoppedPeriods.length - 1];
+    if (period && !period.endTime) {
+      period.endTime = endTime;
+    }
+  }
+  
+  /**
+   * Stops recording while the athlete stands still
+   * @param {number} pauseTime - Time the athlete stopped in milliseconds
+   * @private
+   */
+  _autoPause(pauseTime = Date.now()) {
+    if (this.isAutoPaused) {
+      return;
+    }
+    
+    this.isAutoPaused = true;
+    
+    logger.info('Auto-pausing activity', { activityId: this.currentActivity.id });
+    
+    this.recorder.pause().catch(error => {
+      logger.error('Failed to pause recording on auto-pause', error);
+    });
+    
+    this._saveCheckpoint();
+    
+    this.emit(ACTIVITY_EVENTS.AUTO_PAUSE, {
+      activityId: this.currentActivity.id,
+      pauseTime,
+    });
+  }
+  
+  /**
+   * Resumes recording after an auto-pause
+   * @param {number} resumeTime - Time the athlete moved again in milliseconds
+   * @private
+   */
+  _autoResume(resumeTime = Date.now()) {
+    if (!this.isAutoPaused) {
+      return;
+    }
+    
+    this.isAutoPaused = false;
+    
+    logger.info('Auto-resuming activity', { activityId: this.currentActivity.id });
+    
+    this.recorder.resume().catch(error => {
+      logger.error('Failed to resume recording on auto-resume', error);
+    });
+    
+    this._saveCheckpoint();
+    
+    this.emit(ACTIVITY_EVENTS.AUTO_RESUME, {
+      activityId: this.currentActivity.id,
+      resumeTime,
+      movingTime: this.getMovingTime(),
+    });
+  }
+  
+  /**
+   * Loads the last checkpoint and keeps it for recovery if the activity
+   * was never stopped
+   * @private
+   */
+  async _detectUnfinishedActivity() {
+    try {
+      const stored = await AsyncStorage.getItem(STORAGE_KEYS.ACTIVITY_CHECKPOINT);
+      const checkpoint = stored ? JSON.parse(stored) : null;
+      
+      if (!checkpoint || !checkpoint.activity) {
+        return;
+      }
+      
+      this.recoverableActivity = checkpoint;
+      
+      logger.info('Unfinished activity found', {
+        activityId: checkpoint.activity.id,
+        state: checkpoint.state,
+        savedAt: checkpoint.savedAt,
+      });
+      
+      this.emit(ACTIVITY_EVENTS.RECOVERY_AVAILABLE, this.getRecoverableActivity());
+    } catch (error) {
+      logger.error('Error checking for unfinished activity', error);
+    }
+  }
+  
+  /**
+   * Determines when an interrupted activity stopped progressing
+   * @param {Object} checkpoint - Last checkpoint
+   * @param {Array} sensorData - Persisted sensor data rows
+   * @returns {number} Timestamp in milliseconds
+   * @private
+   */
+  _getInterruptionTime(checkpoint, sensorData) {
+    if (checkpoint.state === ACTIVITY_STATES.PAUSED) {
+      return checkpoint.pauseTime;
+    }
+    
+    // Data may have been flushed after the last periodic checkpoint
+    const lastSample = sensorData.reduce(
+      (latest, row) => Math.max(latest, row.timestamp || 0),
+      0
+    );
+    
+    return Math.max(checkpoint.savedAt, lastSample);
+  }
+  
+  /**
+   * Persists the current activity state so it survives the app being killed.
+   * Writes are queued to keep them in order. AsyncStorage is used because
+   * SecureStore limits values to about 2 KB.
+   * @returns {Promise<void>} Resolves when written
+   * @private
+   */
+  _saveCheckpoint() {
+    // Readiness tests are short and not worth recovering
+    if (!this.currentActivity || this.activityState === ACTIVITY_STATES.IDLE) {
+      return this._clearCheckpoint();
+    }
+    
+    const checkpoint = {
+      activity: this.currentActivity,
+      state: this.activityState,
+      startTime: this.startTime,
+      pauseTime: this.pauseTime,
+      timerTime: this.timerTime,
+      workoutState: this.workoutExecutor ? this.workoutExecutor.getState() : null,
+      savedAt: Date.now(),
+    };
+    
+    this.checkpointQueue = this.checkpointQueue
+      .then(() => AsyncStorage.setItem(STORAGE_KEYS.ACTIVITY_CHECKPOINT, JSON.stringify(checkpoint)))
+      .catch(error => {
+        // Recovery would silently miss this activity, so let the UI know
+        logger.error('Failed to save activity checkpoint', error);
+        this.emit(
+          ACTIVITY_EVENTS.ERROR,
+          new Error('Activity progress could not be saved, it cannot be recovered after a crash')
+        );
+      });
+    
+    return this.checkpointQueue;
+  }
+  
+  /**
+   * Removes the activity checkpoint
+   * @returns {Promise<void>} Resolves when removed
+   * @private
+   */
+  _clearCheckpoint() {
+    this.checkpointQueue = this.checkpointQueue
+      .then(() => AsyncStorage.removeItem(STORAGE_KEYS.ACTIVITY_CHECKPOINT))
+      .catch(error => {
+        logger.error('Failed to clear activity checkpoint', error);
+      });
+    
+    return this.checkpointQueue;
+  }
+  
+  /**
+   * Starts periodic checkpoints
+   * @private
+   */
+  _startCheckpointTimer() {
+    this._stopCheckpointTimer();
+    
+    this.checkpointInterval = setInterval(() => {
+      this.updateTimerTime();
+      this._saveCheckpoint();
+    }, CHECKPOINT_INTERVAL_MS);
+  }
+  
+  /**
+   * Stops periodic checkpoints
+   * @private
+   */
+  _stopCheckpointTimer() {
+    if (this.checkpointInterval) {
+      clearInterval(this.checkpointInterval);
+      this.checkpointInterval = null;
+    }
+  }
+  
+  /**
+   * Emits readiness test progress
+   * @private
+   */
+  _emitReadinessProgress() {
+    if (!this.readinessSession) {
+      return;
+    }
+    
+    const { activityId, startTime, duration, rrSamples } = this.readinessSession;
+    const elapsed = Date.now() - startTime;
+    
+    // Live RMSSD of the latest window once enough beats are in
+    const windows = calculateRollingHRV(rrSamples, { windowMs: READINESS_LIVE_WINDOW_MS });
+    const latest = windows[windows.length - 1];
+    
+    this.emit(ACTIVITY_EVENTS.READINESS_PROGRESS, {
+      activityId,
+      elapsed,
+      remaining: Math.max(0, duration - elapsed),
+      beatCount: rrSamples.length,
+      rmssd: latest ? latest.rmssd : null,
+    });
+  }
+  
+  /**
+   * Scores and stores a finished readiness test
+   * @returns {Promise<Object>} Readiness result
+   * @private
+   */
+  async _completeReadinessTest() {
+    const { activityId, startTime, rrSamples } = this.readinessSession;
+    const endTime = Date.now();
+    
+    await this._cleanupReadinessTest();
+    
+    const hrv = analyzeHRV(rrSamples.map(sample => sample.value));
+    
+    if (hrv.beatCount < HRV_DEFAULTS.MIN_BEATS || hrv.rmssd === null) {
+      const error = new Error('Not enough heartbeats recorded for a readiness score');
+      await activityRepository.deleteActivity(activityId);
+      this.emit(ACTIVITY_EVENTS.READINESS_CANCELLED, { activityId, error });
+      throw error;
+    }
+    
+    // Score against the previous days, a retest replaces today's result
+    const date = this._getLocalDate(startTime);
+    const history = await readinessRepository.getRecentReadiness(date, HRV_DEFAULTS.BASELINE_DAYS);
+    const readiness = calculateReadinessScore(hrv.rmssd, history.map(day => day.rmssd));
+    
+    const result = await readinessRepository.saveReadiness({
+      date,
+      activity_id: activityId,
+      timestamp: startTime,
+      score: readiness.score,
+      rmssd: hrv.rmssd,
+      ln_rmssd: readiness.lnRmssd,
+      sdnn: hrv.sdnn,
+      pnn50: hrv.pnn50,
+      mean_heart_rate: hrv.meanHeartRate,
+      artifact_ratio: hrv.artifactRatio,
+      beat_count: hrv.beatCount,
+    });
+    
+    await activityRepository.updateActivity(activityId, {
+      end_time: endTime,
+      duration: Math.floor((endTime - startTime) / 1000),
+      avg_heart_rate: hrv.meanHeartRate || 0,
+    });
+    
+    logger.info('Readiness test completed', { activityId, score: readiness.score });
+    
+    const completed = { ...result, ...readiness, hrv };
+    this.emit(ACTIVITY_EVENTS.READINESS_COMPLETED, completed);
+    
+    return completed;
+  }
+  
+  /**
+   * Stops timers, recording and sensor collection of the readiness test
+   * @private
+   */
+  async _cleanupReadinessTest() {
+    const session = this.readinessSession;
+    this.readinessSession = null;
+    
+    clearInterval(session.progressTimer);
+    clearTimeout(session.completionTimer);
+    
+    if (session.rrListener) {
+      sensorManager.removeListener(SENSOR_EVENTS.RR_INTERVALS, session.rrListener);
+    }
+    
+    await this.recorder.stop().catch(error => {
+      logger.error('Error stopping recorder after readiness test', error);
+    });
+    
+    await sensorManager.stopCollection().catch(error => {
+      logger.error('Error stopping sensor collection after readiness test', error);
+    });
+  }
+  
+  /**
+   * Formats a timestamp as a local calendar day
+   * @param {number} timestamp - Time in milliseconds
+   * @returns {string} Day as YYYY-MM-DD
+   * @private
+   */
+  _getLocalDate(timestamp) {
+    const date = new Date(timestamp);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    
+    return `${date.getFullYear()}-${month}-${day}`;
   }
   
   /**
@@ -591,9 +1476,12 @@ class ActivityManager extends EventEmitter {
     this.emit(ACTIVITY_EVENTS.STATE_CHANGE, {
       state: this.activityState,
       activity: this.currentActivity,
-      elapsedTime: this.elapsedTime,
+      ...this.getTiming(),
       timestamp: Date.now(),
     });
+    
+    // Checkpoint every transition, idle clears the checkpoint
+    this._saveCheckpoint();
   }
   
   /**
@@ -617,8 +1505,14 @@ class ActivityManager extends EventEmitter {
       // Stop timer
       this._stopTimer();
       
-      // Stop auto-pause detection
-      this._stopAutoPauseDetection();
+      // Stop periodic checkpoints
+      this._stopCheckpointTimer();
+      
+      // Stop motion detection
+      this._stopMotionDetection();
+      
+      // Drop the workout
+      this._stopWorkout();
       
       // Stop recorder if initialized
       if (this.recorder) {
@@ -650,6 +1544,13 @@ class ActivityManager extends EventEmitter {
    */
   async cleanup() {
     try {
+      // Abandon a running readiness test
+      if (this.readinessSession) {
+        await this.cancelReadinessTest().catch(error => {
+          logger.error('Error cancelling readiness test during cleanup', error);
+        });
+      }
+      
       // If there's an active or paused activity, stop it
       if (this.activityState === ACTIVITY_STATES.ACTIVE || 
           this.activityState === ACTIVITY_STATES.PAUSED) {
@@ -145,6 +145,47 @@ class ActivityMetrics {
     }
   }
   
+  /**
+   * Rebuilds metrics from persisted sensor data rows, replaying each
+   * recorded snapshot in order
+   * @param {Array} sensorData - Rows from the sensor_data table
+   * @returns {Object} Rebuilt metrics
+   */
+  restoreFromRecords(sensorData = []) {
+    try {
+      const snapshots = new Map();
+      
+      sensorData.forEach(row => {
+        // Beat series and serialized objects are not part of the snapshots
+        if (row.data_type === SENSOR_TYPES.RR_INTERVAL || typeof row.value !== 'number') {
+          return;
+        }
+        
+        if (!snapshots.has(row.timestamp)) {
+          snapshots.set(row.timestamp, {});
+        }
+        
+        snapshots.get(row.timestamp)[row.data_type] = row.value;
+      });
+      
+      Array.from(snapshots.keys())
+        .sort((a, b) => a - b)
+        .forEach(timestamp => {
+          this._processSensorData(snapshots.get(timestamp));
+        });
+      
+      logger.info('Activity metrics restored from records', {
+        activityId: this.activityId,
+        samples: snapshots.size,
+      });
+      
+      return this._generateMetricsObject();
+    } catch (error) {
+      logger.error('Error restoring metrics from records', error);
+      return this._generateMetricsObject();
+    }
+  }
+  
   /**
    * Processes sensor data updates
    * @param {Object} data - Sensor data
@@ -516,9 +557,13 @@ class ActivityMetrics {
   
   /**
    * Finalizes metrics for completed activity
+   * @param {Object} timing - Activity clocks in seconds
+   * @param {number} timing.elapsedTime - Total wall time, pauses included
+   * @param {number} timing.timerTime - Time excluding manual pauses
+   * @param {number} timing.movingTime - Time excluding stops
    * @returns {Promise<Object>} Complete activity metrics
    */
-  async finalize() {
+  async finalize(timing = {}) {
     try {
       logger.info('Finalizing activity metrics');
       
@@ -527,6 +572,18 @@ class ActivityMetrics {
       
       // Add any additional calculated metrics for final summary
       
+      // Carry the three clocks, averages use moving time so stops don't drag them down
+      const { elapsedTime = 0, timerTime = 0, movingTime = timerTime } = timing;
+      finalMetrics.elapsedTime = elapsedTime;
+      finalMetrics.timerTime = timerTime;
+      finalMetrics.movingTime = movingTime;
+      
+      if (movingTime > 0 && finalMetrics.distance > 0) {
+        // Pace in minutes per kilometer, speed in meters per second
+        finalMetrics.avgPace = (movingTime / 60) / (finalMetrics.distance / 1000);
+        finalMetrics.avgSpeed = finalMetrics.distance / movingTime;
+      }
+      
       // Calculate intensity from heart rate if available
       if (finalMetrics.avgHeartRate && finalMetrics.maxHeartRate) {
         finalMetrics.intensity = finalMetrics.avgHeartRate / finalMetrics.maxHeartRate;
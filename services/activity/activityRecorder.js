@@ -1,5 +1,5 @@
 // Import sensor manager
-import sensorManager from '../sensors/sensorManager';
+import sensorManager, { SENSOR_EVENTS, SENSOR_TYPES } from '../sensors/sensorManager';
 
 // Import database repositories
 import sensorRepository from '../../database/repositories/sensorRepository';
@@ -38,6 +38,9 @@ class ActivityRecorder {
     // Sensor data subscription
     this.sensorSubscription = null;
     
+    // RR interval series listener
+    this.rrIntervalListener = null;
+    
     // Timestamp of last recording
     this.lastRecordingTime = 0;
   }
@@ -103,6 +106,10 @@ class ActivityRecorder {
         mmkvStorage.setObject(`activity_${this.activityId}_latest_data`, data);
       });
       
+      // RR intervals arrive beat by beat, outside the snapshot cadence
+      this.rrIntervalListener = this._recordRrIntervals.bind(this);
+      sensorManager.on(SENSOR_EVENTS.RR_INTERVALS, this.rrIntervalListener);
+      
       // Set recording state
       this.isRecording = true;
       this.isPaused = false;
@@ -210,6 +217,11 @@ class ActivityRecorder {
         this.sensorSubscription = null;
       }
       
+      if (this.rrIntervalListener) {
+        sensorManager.removeListener(SENSOR_EVENTS.RR_INTERVALS, this.rrIntervalListener);
+        this.rrIntervalListener = null;
+      }
+      
       // Flush any remaining buffer data
       await this.flushBuffer();
       
@@ -233,24 +245,31 @@ class ActivityRecorder {
    */
   async _recordDataPoint() {
     try {
-      // Get current sensor data
-      const sensorData = sensorManager.getReadings();
+      // Get current merged snapshot with the source chosen per type
+      const { readings, sources } = sensorManager.getSnapshot();
       
       // Skip if no data
-      if (!sensorData || Object.keys(sensorData).length === 0) {
+      if (!readings || Object.keys(readings).length === 0) {
         return [];
       }
       
       // Get current timestamp
       const timestamp = this._getSynchronizedTimestamp();
       
-      // Create data points for each sensor type
-      const dataPoints = Object.entries(sensorData).map(([type, value]) => ({
-        activityId: this.activityId,
-        timestamp,
-        type,
-        value: typeof value === 'object' ? JSON.stringify(value) : value,
-      }));
+      // Create data points for each sensor type, keeping track of which
+      // source produced the value so failovers are visible afterwards
+      const dataPoints = Object.entries(readings).map(([type, value]) => {
+        const source = sources[type] || null;
+        
+        return {
+          activity_id: this.activityId,
+          timestamp,
+          device_id: sensorManager.getSourceDeviceId(source) || source,
+          data_type: type,
+          value: typeof value === 'object' ? JSON.stringify(value) : value,
+          source,
+        };
+      });
       
       // Add to buffer
       this.dataBuffer.push(...dataPoints);
@@ -270,6 +289,35 @@ class ActivityRecorder {
     }
   }
   
+  /**
+   * Buffers RR intervals as their own sensor data series
+   * @param {Object} event - RR interval event from the sensor manager
+   * @returns {Promise<void>} Resolves when buffered
+   * @private
+   */
+  async _recordRrIntervals({ source, deviceId, intervals }) {
+    try {
+      if (this.isPaused) {
+        return;
+      }
+      
+      this.dataBuffer.push(...intervals.map(interval => ({
+        activity_id: this.activityId,
+        timestamp: interval.timestamp,
+        device_id: deviceId || source,
+        data_type: SENSOR_TYPES.RR_INTERVAL,
+        value: interval.value,
+        source,
+      })));
+      
+      if (this.dataBuffer.length >= this.bufferSize) {
+        await this.flushBuffer();
+      }
+    } catch (error) {
+      logger.error('Error recording RR intervals', error);
+    }
+  }
+  
   /**
    * Flushes buffered data to storage
    * @returns {Promise<boolean>} Success state
@@ -288,7 +336,11 @@ class ActivityRecorder {
       this.dataBuffer = [];
       
       // Store data in database
-      await sensorRepository.addReadings(dataToFlush, true);
+      const saved = await sensorRepository.saveBatchSensorData(dataToFlush);
+      
+      if (!saved) {
+        throw new Error('Sensor data batch was not saved');
+      }
       
       return true;
     } catch (error) {
@@ -4,8 +4,8 @@
  * for post-activity display and analysis.
  */
 
-import { calculatePace, calculateAvgHeartRate, calculateTSS } from '../utils/calculations';
-import { formatDistance, formatDuration } from '../utils/formatters';
+import { calculatePace, calculateTSS, calculateNormalizedPower } from '../../utils/calculations';
+import { formatDistance, formatDuration } from '../../utils/formatters';
 
 /**
  * Processes the complete activity data to generate a comprehensive summary
@@ -19,6 +19,7 @@ const generateActivitySummary = (activityData) => {
 
   const { sensorData, locationData, startTime, endTime } = activityData;
   const duration = endTime - startTime;
+  const durationSeconds = duration / 1000;
   
   // Extract relevant sensor data
   const heartRateData = sensorData.filter(data => data.dataType === 'heart_rate');
@@ -29,12 +30,16 @@ const generateActivitySummary = (activityData) => {
   const distance = calculateTotalDistance(locationData);
   
   // Calculate metrics
-  const avgHeartRate = calculateAvgHeartRate(heartRateData);
+  const avgHeartRate = calculateAverage(heartRateData.map(d => d.value));
   const avgPower = calculateAverage(powerData.map(d => d.value));
   const avgCadence = calculateAverage(cadenceData.map(d => d.value));
-  const avgPace = calculatePace(distance, duration);
+  const avgPace = durationSeconds > 0 ? calculatePace(distance / durationSeconds) / 60 : 0; // min/km
   const elevationGain = calculateElevationGain(locationData);
-  const tss = calculateTSS(powerData, duration);
+  const tss = calculateTSS(
+    calculateNormalizedPower(powerData.map(d => d.value)),
+    durationSeconds,
+    activityData.ftp
+  );
   
   // Create summary object
   const summary = {
@@ -46,7 +51,7 @@ const generateActivitySummary = (activityData) => {
     duration,
     distance,
     formattedDistance: formatDistance(distance),
-    formattedDuration: formatDuration(duration),
+    formattedDuration: formatDuration(durationSeconds),
     avgHeartRate,
     maxHeartRate: heartRateData.length ? Math.max(...heartRateData.map(d => d.value)) : 0,
     avgPower,
@@ -55,6 +60,7 @@ const generateActivitySummary = (activityData) => {
     avgPace,
     elevationGain,
     tss,
+    dataSources: getDataSources(sensorData),
   };
   
   // Add advanced metrics if data is available
@@ -131,6 +137,11 @@ const calculateElevationGain = (locationData) => {
   
   let gain = 0;
   for (let i = 1; i < locationData.length; i++) {
+    // Imported tracks may have points without altitude
+    if (typeof locationData[i].altitude !== 'number' || typeof locationData[i-1].altitude !== 'number') {
+      continue;
+    }
+    
     const elevationDiff = locationData[i].altitude - locationData[i-1].altitude;
     // Only count positive elevation changes (gains)
     if (elevationDiff > 0) {
@@ -164,6 +175,26 @@ const calculateAverageForType = (sensorData, dataType) => {
   return calculateAverage(relevantData.map(d => d.value));
 };
 
+/**
+ * Collects the sources that contributed to each sensor data type
+ * @param {Array} sensorData - Array of sensor data points
+ * @returns {Object} Distinct sources keyed by data type
+ */
+const getDataSources = (sensorData) => {
+  return sensorData.reduce((sources, data) => {
+    if (!data.source) {
+      return sources;
+    }
+    
+    const typeSources = sources[data.dataType] || [];
+    if (!typeSources.includes(data.source)) {
+      sources[data.dataType] = [...typeSources, data.source];
+    }
+    
+    return sources;
+  }, {});
+};
+
 /**
  * Groups activity data by time intervals for charting
  * @param {Array} sensorData - Array of sensor data points
@@ -229,6 +260,7 @@ export {
   generateActivitySummary,
   calculateTotalDistance,
   calculateElevationGain,
+  getDataSources,
   groupDataForCharts,
   calculatePaceDistribution
 };
\ No newline at end of file
@@ -0,0 +1,139 @@
+// Import utilities
+import { calculateDistance, CONVERSION_FACTORS } from '../../utils/calculations';
+import { AUTO_LAP_MODES } from '../../config/constants';
+
+// Default auto-lap configuration
+export const DEFAULT_AUTO_LAP = {
+  mode: AUTO_LAP_MODES.DISTANCE,
+  distance: 1, // in km or mi based on metricUnits
+  time: 5, // in minutes
+  position: null, // { latitude, longitude }, null uses the activity start
+  radius: 20, // in meters around the lap point
+  metricUnits: true,
+};
+
+// Minimum lap length for position laps, guards against GPS jitter near the point
+const MIN_POSITION_LAP_METERS = 100;
+
+/**
+ * Decides when a lap ends based on distance, time or passing a lap point
+ */
+class AutoLapDetector {
+  constructor() {
+    this.config = { ...DEFAULT_AUTO_LAP };
+    this.reset();
+  }
+  
+  /**
+   * Updates the auto-lap configuration
+   * @param {Object} config - Partial configuration
+   */
+  configure(config = {}) {
+    this.config = {
+      ...this.config,
+      ...Object.fromEntries(
+        Object.entries(config).filter(([, value]) => value !== undefined)
+      ),
+    };
+  }
+  
+  /**
+   * Clears per-activity state
+   */
+  reset() {
+    this.lapStart = { elapsedTime: 0, distance: 0 };
+    this.lapPoint = null;
+    this.hasLeftLapPoint = false;
+  }
+  
+  /**
+   * Marks the start of a new lap, manual or automatic
+   * @param {Object} progress - Activity progress
+   * @param {number} progress.elapsedTime - Elapsed activity time in seconds
+   * @param {number} progress.distance - Activity distance in meters
+   */
+  startLap(progress) {
+    this.lapStart = {
+      elapsedTime: progress.elapsedTime,
+      distance: progress.distance,
+    };
+    this.hasLeftLapPoint = false;
+  }
+  
+  /**
+   * Gets the distance covered by a lap in the configured units
+   * @returns {number} Lap distance in meters
+   */
+  getLapDistance() {
+    const factor = this.config.metricUnits
+      ? 1000
+      : CONVERSION_FACTORS.MILES_TO_KM * 1000;
+    
+    return this.config.distance * factor;
+  }
+  
+  /**
+   * Checks whether the current lap should end
+   * @param {Object} progress - Activity progress
+   * @param {Object|null} location - Latest GPS fix
+   * @returns {string|null} Auto-lap mode that triggered, null otherwise
+   */
+  check(progress, location = null) {
+    const { mode } = this.config;
+    
+    if (mode === AUTO_LAP_MODES.DISTANCE) {
+      return progress.distance - this.lapStart.distance >= this.getLapDistance()
+        ? mode
+        : null;
+    }
+    
+    if (mode === AUTO_LAP_MODES.TIME) {
+      return progress.elapsedTime - this.lapStart.elapsedTime >= this.config.time * 60
+        ? mode
+        : null;
+    }
+    
+    if (mode === AUTO_LAP_MODES.POSITION) {
+      return this._checkPosition(progress, location) ? mode : null;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Triggers when the athlete comes back within the radius of the lap
+   * point after having left it
+   * @param {Object} progress - Activity progress
+   * @param {Object|null} location - Latest GPS fix
+   * @returns {boolean} Whether a lap point was passed
+   * @private
+   */
+  _checkPosition(progress, location) {
+    if (!location || !location.latitude || !location.longitude) {
+      return false;
+    }
+    
+    // Loop courses lap at the first fix when no point is saved
+    if (!this.lapPoint) {
+      this.lapPoint = this.config.position || {
+        latitude: location.latitude,
+        longitude: location.longitude,
+      };
+    }
+    
+    const { radius } = this.config;
+    const distanceToPoint = calculateDistance(location, this.lapPoint);
+    
+    // Leaving twice the radius arms the trigger, so lingering near the point doesn't lap
+    if (distanceToPoint > radius * 2) {
+      this.hasLeftLapPoint = true;
+      return false;
+    }
+    
+    return this.hasLeftLapPoint &&
+      distanceToPoint <= radius &&
+      progress.distance - this.lapStart.distance >= MIN_POSITION_LAP_METERS;
+  }
+}
+
+export default AutoLapDetector;
@@ -0,0 +1,89 @@
+// Import storage
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Import configuration
+import { STORAGE_KEYS } from '../../config/constants';
+import { parseActivityFilter } from '../../utils/activityFilter';
+
+// Import logger
+import logger from '../../utils/logger';
+
+/**
+ * Saved history filters, kept on the device
+ */
+class FilterPresets {
+  /**
+   * Get the saved presets
+   * @returns {Promise<Array>} Presets as { id, name, filter, createdAt }, by name
+   */
+  async getPresets() {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.HISTORY_FILTER_PRESETS);
+    const presets = stored ? JSON.parse(stored) : null;
+    
+    return Array.isArray(presets)
+      ? [...presets].sort((a, b) => a.name.localeCompare(b.name))
+      : [];
+  }
+  
+  /**
+   * Save a filter under a name, replacing a preset with the same name
+   * @param {string} name - Preset name
+   * @param {Object} filter - Filter values, see utils/activityFilter
+   * @returns {Promise<Object>} Saved preset
+   * @throws {Error} If the name is empty or the filter is invalid
+   */
+  async savePreset(name, filter) {
+    const presetName = (name || '').trim();
+    if (!presetName) {
+      throw new Error('Preset name is required');
+    }
+    
+    const { filter: parsedFilter, errors } = parseActivityFilter(filter);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+    
+    const presets = await this.getPresets();
+    const existing = presets.find(preset => preset.name.toLowerCase() === presetName.toLowerCase());
+    const preset = {
+      id: existing ? existing.id : `${Date.now()}`,
+      name: presetName,
+      filter: parsedFilter,
+      createdAt: existing ? existing.createdAt : Date.now(),
+    };
+    
+    await this._write([
+      ...presets.filter(other => other.id !== preset.id),
+      preset,
+    ]);
+    
+    logger.info('History filter preset saved', { name: presetName });
+    
+    return preset;
+  }
+  
+  /**
+   * Delete a preset
+   * @param {string} id - Preset id
+   * @returns {Promise<void>}
+   */
+  async deletePreset(id) {
+    const presets = await this.getPresets();
+    
+    await this._write(presets.filter(preset => preset.id !== id));
+  }
+  
+  /**
+   * Store the presets
+   * @param {Array} presets - All presets
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _write(presets) {
+    await AsyncStorage.setItem(STORAGE_KEYS.HISTORY_FILTER_PRESETS, JSON.stringify(presets));
+  }
+}
+
+// Create and export singleton instance
+const filterPresets = new FilterPresets();
+export default filterPresets;
@@ -0,0 +1,186 @@
+// Import utilities
+import { CONVERSION_FACTORS } from '../../utils/calculations';
+import { SENSOR_TYPES } from '../../config/constants';
+
+// Default motion detection configuration
+export const DEFAULT_MOTION_CONFIG = {
+  speedThreshold: 1.8, // in km/h or mph based on metricUnits
+  metricUnits: true,
+  cadenceThreshold: 40, // in steps per minute
+  accelerationThreshold: 0.08, // std deviation of acceleration magnitude in g
+  stopDelayMs: 10000, // stillness needed before pausing
+  resumeDelayMs: 2000, // movement needed before resuming
+};
+
+// A stopped athlete has to fall this far below a threshold, so values
+// hovering around it don't flap between moving and stopped
+const STOP_RATIO = 0.6;
+
+// Accelerometer samples used for the movement variation
+const ACCELERATION_WINDOW = 5;
+
+// Foot pod cadence is the most reliable, phone acceleration the least
+const SOURCE_WEIGHTS = {
+  cadence: 2,
+  speed: 1.5,
+  acceleration: 1,
+};
+
+/**
+ * Decides whether the athlete is moving by fusing GPS speed, foot pod
+ * cadence and phone accelerometer readings
+ */
+class MotionDetector {
+  /**
+   * @param {Object} config - Partial configuration
+   */
+  constructor(config = {}) {
+    this.config = { ...DEFAULT_MOTION_CONFIG, ...config };
+    this.reset();
+  }
+  
+  /**
+   * Updates the detection configuration
+   * @param {Object} config - Partial configuration
+   */
+  configure(config = {}) {
+    this.config = {
+      ...this.config,
+      ...Object.fromEntries(
+        Object.entries(config).filter(([, value]) => value !== undefined)
+      ),
+    };
+  }
+  
+  /**
+   * Starts over assuming the athlete is moving
+   */
+  reset() {
+    this.isMoving = true;
+    this.pendingSince = null;
+    this.changedAt = null;
+    this.accelerationSamples = [];
+    this.lastAccelerationTimestamp = null;
+  }
+  
+  /**
+   * Gets the speed threshold in meters per second
+   * @returns {number} Speed threshold
+   */
+  getSpeedThreshold() {
+    const kmh = this.config.metricUnits
+      ? this.config.speedThreshold
+      : this.config.speedThreshold * CONVERSION_FACTORS.MILES_TO_KM;
+    
+    return kmh / 3.6;
+  }
+  
+  /**
+   * Feeds the latest metrics into the detector
+   * @param {Object} metrics - Current activity metrics
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} Whether the moving state changed
+   */
+  update(metrics, now = Date.now()) {
+    const movingEvidence = this._evaluate(metrics);
+    
+    if (movingEvidence === this.isMoving) {
+      this.pendingSince = null;
+      return false;
+    }
+    
+    if (this.pendingSince === null) {
+      this.pendingSince = now;
+    }
+    
+    const delay = movingEvidence ? this.config.resumeDelayMs : this.config.stopDelayMs;
+    
+    if (now - this.pendingSince < delay) {
+      return false;
+    }
+    
+    // The change happened when the evidence first appeared
+    this.isMoving = movingEvidence;
+    this.changedAt = this.pendingSince;
+    this.pendingSince = null;
+    
+    return true;
+  }
+  
+  /**
+   * Weighs the vote of each available source
+   * @param {Object} metrics - Current activity metrics
+   * @returns {boolean} Whether the sources point to movement
+   * @private
+   */
+  _evaluate(metrics) {
+    const location = metrics[SENSOR_TYPES.LOCATION];
+    const speed = metrics[SENSOR_TYPES.SPEED] !== undefined
+      ? metrics[SENSOR_TYPES.SPEED]
+      : location?.speed;
+    
+    const score =
+      SOURCE_WEIGHTS.speed * this._vote(speed, this.getSpeedThreshold()) +
+      SOURCE_WEIGHTS.cadence * this._vote(metrics[SENSOR_TYPES.CADENCE], this.config.cadenceThreshold) +
+      SOURCE_WEIGHTS.acceleration * this._vote(
+        this._getAccelerationVariation(metrics[SENSOR_TYPES.ACCELEROMETER]),
+        this.config.accelerationThreshold
+      );
+    
+    // No usable data or a tie keeps the current state
+    return score === 0 ? this.isMoving : score > 0;
+  }
+  
+  /**
+   * Votes for moving (1), stopped (-1) or abstains (0)
+   * @param {number|undefined} value - Reading
+   * @param {number} threshold - Value needed to count as moving
+   * @returns {number} Vote
+   * @private
+   */
+  _vote(value, threshold) {
+    // GPS reports -1 when speed is unknown
+    if (value === undefined || value === null || value < 0) {
+      return 0;
+    }
+    
+    const limit = this.isMoving ? threshold * STOP_RATIO : threshold;
+    return value > limit ? 1 : -1;
+  }
+  
+  /**
+   * Tracks how much the acceleration magnitude varies over the last samples
+   * @param {Object|undefined} acceleration - Processed accelerometer reading
+   * @returns {number|undefined} Standard deviation, undefined until enough samples
+   * @private
+   */
+  _getAccelerationVariation(acceleration) {
+    if (!acceleration || acceleration.magnitude === undefined) {
+      return undefined;
+    }
+    
+    // Only count new readings, a stale one would look perfectly still
+    if (acceleration.timestamp !== this.lastAccelerationTimestamp) {
+      this.lastAccelerationTimestamp = acceleration.timestamp;
+      this.accelerationSamples.push(acceleration.magnitude);
+      
+      if (this.accelerationSamples.length > ACCELERATION_WINDOW) {
+        this.accelerationSamples.shift();
+      }
+    }
+    
+    if (this.accelerationSamples.length < ACCELERATION_WINDOW) {
+      return undefined;
+    }
+    
+    const mean = this.accelerationSamples.reduce((sum, value) => sum + value, 0) /
+      this.accelerationSamples.length;
+    const variance = this.accelerationSamples.reduce(
+      (sum, value) => sum + (value - mean) ** 2, 0
+    ) / this.accelerationSamples.length;
+    
+    return Math.sqrt(variance);
+  }
+}
+
+export default MotionDetector;
@@ -0,0 +1,137 @@
+// Import API client and sync
+import apiClient from '../sync/apiClient';
+import syncService from '../sync/syncService';
+
+// Import storage and database repositories
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import activityRepository from '../../database/repositories/activityRepository';
+import workoutRepository from '../../database/repositories/workoutRepository';
+
+// Import configuration
+import { API, STORAGE_KEYS } from '../../config/constants';
+
+// Import logger
+import logger from '../../utils/logger';
+
+/**
+ * Signs the user in and out of the backend. The session tokens are kept
+ * by the API client, which attaches and renews them on every request.
+ */
+class AuthService {
+  /**
+   * Creates an account and signs in
+   * @param {string} email - Email address
+   * @param {string} password - Password, at least 8 characters
+   * @param {string} name - Display name
+   * @returns {Promise<Object>} Signed in user
+   * @throws {Error} With status 409 if the email is taken, 400 if the data is invalid
+   */
+  async register(email, password, name) {
+    try {
+      const session = await apiClient.post(
+        `${API.ENDPOINTS.AUTH}/register`,
+        { email, password, name },
+        { skipAuth: true }
+      );
+      
+      return await this._startSession(session);
+    } catch (error) {
+      logger.error('Failed to register', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Signs in with email and password
+   * @param {string} email - Email address
+   * @param {string} password - Password
+   * @returns {Promise<Object>} Signed in user
+   * @throws {Error} With status 401 if the credentials are wrong
+   */
+  async login(email, password) {
+    try {
+      const session = await apiClient.post(
+        `${API.ENDPOINTS.AUTH}/login`,
+        { email, password },
+        { skipAuth: true }
+      );
+      
+      return await this._startSession(session);
+    } catch (error) {
+      logger.error('Failed to sign in', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Signs out, the local session ends even when the server can't be reached.
+   * The account's activities, their unsent changes and its pulled workouts
+   * are removed from the phone.
+   * @returns {Promise<void>}
+   */
+  async logout() {
+    const refreshToken = await apiClient.getRefreshToken();
+    
+    try {
+      if (refreshToken) {
+        await apiClient.post(`${API.ENDPOINTS.AUTH}/logout`, { refreshToken }, { skipAuth: true });
+      }
+    } catch (error) {
+      logger.warn('Failed to revoke session on the server', { error: error.message });
+    }
+    
+    await apiClient.clearSession();
+    
+    // Waits for a running sync, without a session no new one starts
+    await syncService.syncNow().catch(() => {});
+    
+    // Otherwise the next account would push them as its own
+    await activityRepository.deleteAllActivities();
+    await workoutRepository.deletePulledWorkouts();
+    
+    // The next account pulls its data from the start
+    await AsyncStorage.removeItem(STORAGE_KEYS.ACTIVITIES_PULLED_AT);
+    await AsyncStorage.removeItem(STORAGE_KEYS.WORKOUTS_PULLED_AT);
+    
+    // Shows the emptied outbox
+    syncService.requestSync(0);
+    
+    logger.info('Signed out');
+  }
+  
+  /**
+   * Gets the signed in user
+   * @returns {Promise<Object|null>} User, null when signed out
+   */
+  async getUser() {
+    return apiClient.getUser();
+  }
+  
+  /**
+   * Checks whether a session is stored
+   * @returns {Promise<boolean>} True when signed in
+   */
+  async isSignedIn() {
+    return apiClient.hasSession();
+  }
+  
+  /**
+   * Stores a new session and syncs the account's data
+   * @param {Object} session - { user, accessToken, refreshToken }
+   * @returns {Promise<Object>} Signed in user
+   * @private
+   */
+  async _startSession(session) {
+    await apiClient.setSession(session);
+    
+    logger.info('Signed in', { userId: session.user.id });
+    
+    syncService.requestSync(0);
+    
+    return session.user;
+  }
+}
+
+// Create and export singleton instance
+const authService = new AuthService();
+export default authService;
@@ -0,0 +1,73 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import activityRepository from '../../database/repositories/activityRepository';
+import workoutRepository from '../../database/repositories/workoutRepository';
+import apiClient from '../sync/apiClient';
+import syncService from '../sync/syncService';
+import { STORAGE_KEYS } from '../../config/constants';
+import authService from './authService';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+jest.mock('../../database/repositories/activityRepository', () => ({
+  __esModule: true,
+  default: { deleteAllActivities: jest.fn() },
+}));
+
+jest.mock('../../database/repositories/workoutRepository', () => ({
+  __esModule: true,
+  default: { deletePulledWorkouts: jest.fn() },
+}));
+
+jest.mock('../sync/apiClient', () => ({
+  __esModule: true,
+  default: {
+    post: jest.fn(),
+    getRefreshToken: jest.fn(),
+    clearSession: jest.fn(),
+  },
+}));
+
+jest.mock('../sync/syncService', () => ({
+  __esModule: true,
+  default: { syncNow: jest.fn(), requestSync: jest.fn() },
+}));
+
+jest.mock('../../utils/logger');
+
+describe('authService.logout', () => {
+  let calls;
+  
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+    await AsyncStorage.setItem(STORAGE_KEYS.ACTIVITIES_PULLED_AT, '5000');
+    await AsyncStorage.setItem(STORAGE_KEYS.WORKOUTS_PULLED_AT, '5000');
+    
+    calls = [];
+    apiClient.getRefreshToken.mockResolvedValue('refresh-token');
+    apiClient.post.mockImplementation(async () => calls.push('revoke'));
+    apiClient.clearSession.mockImplementation(async () => calls.push('clearSession'));
+    syncService.syncNow.mockImplementation(async () => calls.push('syncNow'));
+    activityRepository.deleteAllActivities.mockImplementation(async () => calls.push('deleteActivities'));
+    workoutRepository.deletePulledWorkouts.mockImplementation(async () => calls.push('deleteWorkouts'));
+  });
+  
+  it('removes the account\'s activities and outbox once a running sync is done', async () => {
+    await authService.logout();
+    
+    expect(calls).toEqual(['revoke', 'clearSession', 'syncNow', 'deleteActivities', 'deleteWorkouts']);
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.ACTIVITIES_PULLED_AT)).toBeNull();
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.WORKOUTS_PULLED_AT)).toBeNull();
+  });
+  
+  it('removes the local data when the server can\'t be reached', async () => {
+    apiClient.post.mockRejectedValue(new Error('Network request failed'));
+    syncService.syncNow.mockRejectedValue(new Error('Network request failed'));
+    
+    await authService.logout();
+    
+    expect(apiClient.clearSession).toHaveBeenCalled();
+    expect(activityRepository.deleteAllActivities).toHaveBeenCalled();
+  });
+});
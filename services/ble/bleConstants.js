@@ -83,6 +83,13 @@ export const SERVICE_UUIDS = {
     UNKNOWN: 'unknown',
   };
   
+  // Heart rate strap skin contact status
+  export const SENSOR_CONTACT_STATUS = {
+    UNSUPPORTED: 'unsupported',
+    DETECTED: 'detected',
+    NOT_DETECTED: 'not_detected',
+  };
+  
   // Known device profiles
   export const DEVICE_PROFILES = {
     // Garmin HRM Pro+ profile
@@ -189,6 +196,7 @@ export const SERVICE_UUIDS = {
     CHARACTERISTIC_UUIDS,
     BLE_EVENTS,
     DEVICE_TYPES,
+    SENSOR_CONTACT_STATUS,
     DEVICE_PROFILES,
     SCAN_OPTIONS,
     ERROR_CODES,
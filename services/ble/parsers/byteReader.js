@@ -0,0 +1,94 @@
+/**
+ * Helpers for decoding raw BLE characteristic values
+ */
+
+/**
+ * Decodes a base64 characteristic value to bytes
+ * @param {string} base64 - Base64 encoded characteristic value
+ * @returns {Uint8Array} Decoded bytes
+ */
+export const decodeBase64 = (base64) => {
+  const binaryString = atob(base64);
+  const bytes = new Uint8Array(binaryString.length);
+
+  for (let i = 0; i < binaryString.length; i++) {
+    bytes[i] = binaryString.charCodeAt(i);
+  }
+
+  return bytes;
+};
+
+/**
+ * Sequential little-endian reader over characteristic bytes
+ */
+export class ByteReader {
+  /**
+   * @param {string|Uint8Array} data - Base64 characteristic value or raw bytes
+   */
+  constructor(data) {
+    this.bytes = typeof data === 'string' ? decodeBase64(data) : data;
+    this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+    this.offset = 0;
+  }
+
+  /**
+   * Gets the number of unread bytes
+   * @returns {number} Remaining bytes
+   */
+  remaining() {
+    return this.bytes.length - this.offset;
+  }
+
+  /**
+   * Checks whether enough bytes remain for a field
+   * @param {number} length - Field length in bytes
+   * @returns {boolean} Whether the field can be read
+   */
+  hasBytes(length) {
+    return this.remaining() >= length;
+  }
+
+  /**
+   * Skips bytes without reading them
+   * @param {number} length - Number of bytes to skip
+   */
+  skip(length) {
+    this.offset += length;
+  }
+
+  readUint8() {
+    const value = this.view.getUint8(this.offset);
+    this.offset += 1;
+    return value;
+  }
+
+  readUint16() {
+    const value = this.view.getUint16(this.offset, true);
+    this.offset += 2;
+    return value;
+  }
+
+  readInt16() {
+    const value = this.view.getInt16(this.offset, true);
+    this.offset += 2;
+    return value;
+  }
+
+  readUint24() {
+    if (!this.hasBytes(3)) {
+      throw new RangeError('Offset is outside the bounds of the data');
+    }
+
+    const value = this.bytes[this.offset] |
+      (this.bytes[this.offset + 1] << 8) |
+      (this.bytes[this.offset + 2] << 16);
+    this.offset += 3;
+    return value;
+  }
+
+  readUint32() {
+    const value = this.view.getUint32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+}
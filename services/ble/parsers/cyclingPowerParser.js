@@ -0,0 +1,243 @@
+/**
+ * Parsers for the Bluetooth SIG Cycling Power Service (0x1818),
+ * used by Stryd and other CPS compliant running power meters
+ */
+
+import { ByteReader } from './byteReader';
+
+// Cycling Power Measurement (0x2A63) flags
+export const CP_MEASUREMENT_FLAGS = {
+  PEDAL_POWER_BALANCE: 1 << 0,
+  PEDAL_POWER_BALANCE_REFERENCE: 1 << 1,
+  ACCUMULATED_TORQUE: 1 << 2,
+  ACCUMULATED_TORQUE_SOURCE: 1 << 3,
+  WHEEL_REVOLUTION_DATA: 1 << 4,
+  CRANK_REVOLUTION_DATA: 1 << 5,
+  EXTREME_FORCE_MAGNITUDES: 1 << 6,
+  EXTREME_TORQUE_MAGNITUDES: 1 << 7,
+  EXTREME_ANGLES: 1 << 8,
+  TOP_DEAD_SPOT_ANGLE: 1 << 9,
+  BOTTOM_DEAD_SPOT_ANGLE: 1 << 10,
+  ACCUMULATED_ENERGY: 1 << 11,
+  OFFSET_COMPENSATION_INDICATOR: 1 << 12,
+};
+
+// Cycling Power Feature (0x2A65) bits
+export const CP_FEATURE_FLAGS = {
+  PEDAL_POWER_BALANCE: 1 << 0,
+  ACCUMULATED_TORQUE: 1 << 1,
+  WHEEL_REVOLUTION_DATA: 1 << 2,
+  CRANK_REVOLUTION_DATA: 1 << 3,
+  EXTREME_MAGNITUDES: 1 << 4,
+  EXTREME_ANGLES: 1 << 5,
+  DEAD_SPOT_ANGLES: 1 << 6,
+  ACCUMULATED_ENERGY: 1 << 7,
+  OFFSET_COMPENSATION_INDICATOR: 1 << 8,
+  OFFSET_COMPENSATION: 1 << 9,
+  CONTENT_MASKING: 1 << 10,
+  MULTIPLE_SENSOR_LOCATIONS: 1 << 11,
+  CRANK_LENGTH_ADJUSTMENT: 1 << 12,
+  CHAIN_LENGTH_ADJUSTMENT: 1 << 13,
+  CHAIN_WEIGHT_ADJUSTMENT: 1 << 14,
+  SPAN_LENGTH_ADJUSTMENT: 1 << 15,
+  TORQUE_BASED_MEASUREMENT: 1 << 16,
+  INSTANTANEOUS_MEASUREMENT_DIRECTION: 1 << 17,
+  FACTORY_CALIBRATION_DATE: 1 << 18,
+  ENHANCED_OFFSET_COMPENSATION: 1 << 19,
+};
+
+// Resolutions defined by the specification
+const TORQUE_RESOLUTION = 1 / 32; // Nm
+const PEDAL_BALANCE_RESOLUTION = 1 / 2; // percent
+const WHEEL_EVENT_TIME_RESOLUTION = 2048; // ticks per second
+const CRANK_EVENT_TIME_RESOLUTION = 1024; // ticks per second
+
+/**
+ * Parses a Cycling Power Measurement notification. Optional fields are
+ * read in specification order and only when their flag is set.
+ * @param {string|Uint8Array} data - Base64 characteristic value or raw bytes
+ * @returns {Object|null} Parsed measurement, null if the value is truncated
+ */
+export const parseCyclingPowerMeasurement = (data) => {
+  const reader = new ByteReader(data);
+
+  // Flags and instantaneous power are mandatory
+  if (!reader.hasBytes(4)) {
+    return null;
+  }
+
+  const flags = reader.readUint16();
+  const measurement = {
+    flags,
+    instantaneousPower: reader.readInt16(),
+    pedalPowerBalance: null,
+    pedalPowerBalanceReference: null,
+    accumulatedTorque: null,
+    accumulatedTorqueSource: null,
+    wheelRevolutions: null,
+    crankRevolutions: null,
+    extremeForce: null,
+    extremeTorque: null,
+    extremeAngles: null,
+    topDeadSpotAngle: null,
+    bottomDeadSpotAngle: null,
+    accumulatedEnergy: null,
+    offsetCompensationIndicator: Boolean(flags & CP_MEASUREMENT_FLAGS.OFFSET_COMPENSATION_INDICATOR),
+  };
+
+  const has = flag => (flags & flag) !== 0;
+
+  try {
+    if (has(CP_MEASUREMENT_FLAGS.PEDAL_POWER_BALANCE)) {
+      measurement.pedalPowerBalance = reader.readUint8() * PEDAL_BALANCE_RESOLUTION;
+      measurement.pedalPowerBalanceReference = has(CP_MEASUREMENT_FLAGS.PEDAL_POWER_BALANCE_REFERENCE)
+        ? 'left'
+        : 'unknown';
+    }
+
+    if (has(CP_MEASUREMENT_FLAGS.ACCUMULATED_TORQUE)) {
+      measurement.accumulatedTorque = reader.readUint16() * TORQUE_RESOLUTION;
+      measurement.accumulatedTorqueSource = has(CP_MEASUREMENT_FLAGS.ACCUMULATED_TORQUE_SOURCE)
+        ? 'crank'
+        : 'wheel';
+    }
+
+    if (has(CP_MEASUREMENT_FLAGS.WHEEL_REVOLUTION_DATA)) {
+      measurement.wheelRevolutions = {
+        cumulative: reader.readUint32(),
+        lastEventTime: reader.readUint16(), // 1/2048 s
+      };
+    }
+
+    if (has(CP_MEASUREMENT_FLAGS.CRANK_REVOLUTION_DATA)) {
+      measurement.crankRevolutions = {
+        cumulative: reader.readUint16(),
+        lastEventTime: reader.readUint16(), // 1/1024 s
+      };
+    }
+
+    if (has(CP_MEASUREMENT_FLAGS.EXTREME_FORCE_MAGNITUDES)) {
+      measurement.extremeForce = {
+        max: reader.readInt16(), // N
+        min: reader.readInt16(),
+      };
+    }
+
+    if (has(CP_MEASUREMENT_FLAGS.EXTREME_TORQUE_MAGNITUDES)) {
+      measurement.extremeTorque = {
+        max: reader.readInt16() * TORQUE_RESOLUTION,
+        min: reader.readInt16() * TORQUE_RESOLUTION,
+      };
+    }
+
+    if (has(CP_MEASUREMENT_FLAGS.EXTREME_ANGLES)) {
+      // Two 12 bit angles packed into three bytes, maximum first
+      const packed = reader.readUint24();
+      measurement.extremeAngles = {
+        max: packed & 0x0fff,
+        min: (packed >> 12) & 0x0fff,
+      };
+    }
+
+    if (has(CP_MEASUREMENT_FLAGS.TOP_DEAD_SPOT_ANGLE)) {
+      measurement.topDeadSpotAngle = reader.readUint16();
+    }
+
+    if (has(CP_MEASUREMENT_FLAGS.BOTTOM_DEAD_SPOT_ANGLE)) {
+      measurement.bottomDeadSpotAngle = reader.readUint16();
+    }
+
+    if (has(CP_MEASUREMENT_FLAGS.ACCUMULATED_ENERGY)) {
+      measurement.accumulatedEnergy = reader.readUint16(); // kJ
+    }
+  } catch (error) {
+    // Flags announced more fields than the notification carries
+    return null;
+  }
+
+  return measurement;
+};
+
+/**
+ * Parses the Cycling Power Feature characteristic
+ * @param {string|Uint8Array} data - Base64 characteristic value or raw bytes
+ * @returns {Object|null} Supported features, null if the value is truncated
+ */
+export const parseCyclingPowerFeature = (data) => {
+  const reader = new ByteReader(data);
+
+  if (!reader.hasBytes(4)) {
+    return null;
+  }
+
+  const bits = reader.readUint32();
+  const has = flag => (bits & flag) !== 0;
+
+  return {
+    bits,
+    pedalPowerBalance: has(CP_FEATURE_FLAGS.PEDAL_POWER_BALANCE),
+    accumulatedTorque: has(CP_FEATURE_FLAGS.ACCUMULATED_TORQUE),
+    wheelRevolutionData: has(CP_FEATURE_FLAGS.WHEEL_REVOLUTION_DATA),
+    crankRevolutionData: has(CP_FEATURE_FLAGS.CRANK_REVOLUTION_DATA),
+    extremeMagnitudes: has(CP_FEATURE_FLAGS.EXTREME_MAGNITUDES),
+    extremeAngles: has(CP_FEATURE_FLAGS.EXTREME_ANGLES),
+    deadSpotAngles: has(CP_FEATURE_FLAGS.DEAD_SPOT_ANGLES),
+    accumulatedEnergy: has(CP_FEATURE_FLAGS.ACCUMULATED_ENERGY),
+    offsetCompensationIndicator: has(CP_FEATURE_FLAGS.OFFSET_COMPENSATION_INDICATOR),
+    offsetCompensation: has(CP_FEATURE_FLAGS.OFFSET_COMPENSATION),
+    contentMasking: has(CP_FEATURE_FLAGS.CONTENT_MASKING),
+    multipleSensorLocations: has(CP_FEATURE_FLAGS.MULTIPLE_SENSOR_LOCATIONS),
+    crankLengthAdjustment: has(CP_FEATURE_FLAGS.CRANK_LENGTH_ADJUSTMENT),
+    chainLengthAdjustment: has(CP_FEATURE_FLAGS.CHAIN_LENGTH_ADJUSTMENT),
+    chainWeightAdjustment: has(CP_FEATURE_FLAGS.CHAIN_WEIGHT_ADJUSTMENT),
+    spanLengthAdjustment: has(CP_FEATURE_FLAGS.SPAN_LENGTH_ADJUSTMENT),
+    measurementContext: has(CP_FEATURE_FLAGS.TORQUE_BASED_MEASUREMENT) ? 'torque' : 'force',
+    instantaneousMeasurementDirection: has(CP_FEATURE_FLAGS.INSTANTANEOUS_MEASUREMENT_DIRECTION),
+    factoryCalibrationDate: has(CP_FEATURE_FLAGS.FACTORY_CALIBRATION_DATE),
+    enhancedOffsetCompensation: has(CP_FEATURE_FLAGS.ENHANCED_OFFSET_COMPENSATION),
+    distributedSystemSupport: (bits >> 20) & 0x03,
+  };
+};
+
+/**
+ * Calculates crank cadence from two consecutive crank revolution samples,
+ * handling rollover of the uint16 counters
+ * @param {Object} previous - Previous crank revolution data
+ * @param {Object} current - Current crank revolution data
+ * @returns {number|null} Cadence in revolutions per minute, null if no new event
+ */
+export const calculateCrankCadence = (previous, current) => {
+  if (!previous || !current) {
+    return null;
+  }
+
+  const revolutions = (current.cumulative - previous.cumulative + 0x10000) % 0x10000;
+  const ticks = (current.lastEventTime - previous.lastEventTime + 0x10000) % 0x10000;
+
+  if (ticks === 0) {
+    return null;
+  }
+
+  return (revolutions / (ticks / CRANK_EVENT_TIME_RESOLUTION)) * 60;
+};
+
+/**
+ * Calculates wheel revolutions per minute from two consecutive samples
+ * @param {Object} previous - Previous wheel revolution data
+ * @param {Object} current - Current wheel revolution data
+ * @returns {number|null} Wheel revolutions per minute, null if no new event
+ */
+export const calculateWheelRpm = (previous, current) => {
+  if (!previous || !current) {
+    return null;
+  }
+
+  const revolutions = current.cumulative - previous.cumulative;
+  const ticks = (current.lastEventTime - previous.lastEventTime + 0x10000) % 0x10000;
+
+  if (ticks === 0 || revolutions < 0) {
+    return null;
+  }
+
+  return (revolutions / (ticks / WHEEL_EVENT_TIME_RESOLUTION)) * 60;
+};
@@ -0,0 +1,70 @@
+/**
+ * Parser for the Bluetooth SIG Heart Rate Measurement characteristic (0x2A37)
+ */
+
+import { ByteReader } from './byteReader';
+import { SENSOR_CONTACT_STATUS } from '../bleConstants';
+
+// Heart Rate Measurement flags
+export const HR_MEASUREMENT_FLAGS = {
+  VALUE_FORMAT_UINT16: 1 << 0,
+  SENSOR_CONTACT_DETECTED: 1 << 1,
+  SENSOR_CONTACT_SUPPORTED: 1 << 2,
+  ENERGY_EXPENDED: 1 << 3,
+  RR_INTERVALS: 1 << 4,
+};
+
+// RR intervals are reported in 1/1024 second units
+const RR_INTERVAL_RESOLUTION = 1000 / 1024; // ms
+
+/**
+ * Parses a Heart Rate Measurement notification
+ * @param {string|Uint8Array} data - Base64 characteristic value or raw bytes
+ * @returns {Object|null} Parsed measurement, null if the value is truncated
+ */
+export const parseHeartRateMeasurement = (data) => {
+  const reader = new ByteReader(data);
+
+  if (!reader.hasBytes(2)) {
+    return null;
+  }
+
+  const flags = reader.readUint8();
+  const has = flag => (flags & flag) !== 0;
+
+  let contactStatus = SENSOR_CONTACT_STATUS.UNSUPPORTED;
+  if (has(HR_MEASUREMENT_FLAGS.SENSOR_CONTACT_SUPPORTED)) {
+    contactStatus = has(HR_MEASUREMENT_FLAGS.SENSOR_CONTACT_DETECTED)
+      ? SENSOR_CONTACT_STATUS.DETECTED
+      : SENSOR_CONTACT_STATUS.NOT_DETECTED;
+  }
+
+  try {
+    const heartRate = has(HR_MEASUREMENT_FLAGS.VALUE_FORMAT_UINT16)
+      ? reader.readUint16()
+      : reader.readUint8();
+
+    const energyExpended = has(HR_MEASUREMENT_FLAGS.ENERGY_EXPENDED)
+      ? reader.readUint16() // kJ
+      : null;
+
+    // RR intervals fill the rest of the notification, oldest first
+    const rrIntervals = [];
+    if (has(HR_MEASUREMENT_FLAGS.RR_INTERVALS)) {
+      while (reader.hasBytes(2)) {
+        rrIntervals.push(reader.readUint16() * RR_INTERVAL_RESOLUTION);
+      }
+    }
+
+    return {
+      flags,
+      heartRate,
+      contactStatus,
+      energyExpended,
+      rrIntervals,
+    };
+  } catch (error) {
+    // Flags announced more fields than the notification carries
+    return null;
+  }
+};
@@ -0,0 +1,104 @@
+/**
+ * Parsers for the Bluetooth SIG Running Speed and Cadence Service (0x1814),
+ * used by foot pods and chest straps with running dynamics
+ */
+
+import { ByteReader } from './byteReader';
+
+// RSC Measurement (0x2A53) flags
+export const RSC_MEASUREMENT_FLAGS = {
+  STRIDE_LENGTH: 1 << 0,
+  TOTAL_DISTANCE: 1 << 1,
+  RUNNING_STATUS: 1 << 2,
+};
+
+// RSC Feature (0x2A54) bits
+export const RSC_FEATURE_FLAGS = {
+  STRIDE_LENGTH: 1 << 0,
+  TOTAL_DISTANCE: 1 << 1,
+  RUNNING_STATUS: 1 << 2,
+  CALIBRATION_PROCEDURE: 1 << 3,
+  MULTIPLE_SENSOR_LOCATIONS: 1 << 4,
+};
+
+// Resolutions defined by the specification
+const SPEED_RESOLUTION = 1 / 256; // m/s
+const STRIDE_LENGTH_RESOLUTION = 1; // cm
+const TOTAL_DISTANCE_RESOLUTION = 1 / 10; // m
+
+/**
+ * Parses an RSC Measurement notification
+ * @param {string|Uint8Array} data - Base64 characteristic value or raw bytes
+ * @returns {Object|null} Parsed measurement, null if the value is truncated
+ */
+export const parseRscMeasurement = (data) => {
+  const reader = new ByteReader(data);
+
+  // Flags, speed and cadence are mandatory
+  if (!reader.hasBytes(4)) {
+    return null;
+  }
+
+  const flags = reader.readUint8();
+  const measurement = {
+    flags,
+    speed: reader.readUint16() * SPEED_RESOLUTION, // m/s
+    cadence: reader.readUint8(), // steps per minute
+    strideLength: null, // cm
+    totalDistance: null, // m
+    isRunning: (flags & RSC_MEASUREMENT_FLAGS.RUNNING_STATUS) !== 0,
+  };
+
+  try {
+    if (flags & RSC_MEASUREMENT_FLAGS.STRIDE_LENGTH) {
+      measurement.strideLength = reader.readUint16() * STRIDE_LENGTH_RESOLUTION;
+    }
+
+    if (flags & RSC_MEASUREMENT_FLAGS.TOTAL_DISTANCE) {
+      measurement.totalDistance = reader.readUint32() * TOTAL_DISTANCE_RESOLUTION;
+    }
+  } catch (error) {
+    // Flags announced more fields than the notification carries
+    return null;
+  }
+
+  return measurement;
+};
+
+/**
+ * Parses the RSC Feature characteristic
+ * @param {string|Uint8Array} data - Base64 characteristic value or raw bytes
+ * @returns {Object|null} Supported features, null if the value is truncated
+ */
+export const parseRscFeature = (data) => {
+  const reader = new ByteReader(data);
+
+  if (!reader.hasBytes(2)) {
+    return null;
+  }
+
+  const bits = reader.readUint16();
+  const has = flag => (bits & flag) !== 0;
+
+  return {
+    bits,
+    strideLength: has(RSC_FEATURE_FLAGS.STRIDE_LENGTH),
+    totalDistance: has(RSC_FEATURE_FLAGS.TOTAL_DISTANCE),
+    runningStatus: has(RSC_FEATURE_FLAGS.RUNNING_STATUS),
+    calibrationProcedure: has(RSC_FEATURE_FLAGS.CALIBRATION_PROCEDURE),
+    multipleSensorLocations: has(RSC_FEATURE_FLAGS.MULTIPLE_SENSOR_LOCATIONS),
+  };
+};
+
+/**
+ * Converts speed to pace
+ * @param {number} speed - Speed in meters per second
+ * @returns {number} Pace in minutes per kilometer, 0 when standing still
+ */
+export const speedToPace = (speed) => {
+  if (!speed || speed <= 0) {
+    return 0;
+  }
+
+  return (1000 / speed) / 60;
+};
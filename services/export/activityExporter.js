@@ -0,0 +1,88 @@
+// Import file and share APIs
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+
+// Import database repositories
+import activityRepository from '../../database/repositories/activityRepository';
+import sensorRepository from '../../database/repositories/sensorRepository';
+
+// Import export formats
+import { buildActivityExport } from './exportFormats';
+
+// Import logger
+import logger from '../../utils/logger';
+
+/**
+ * Encodes binary file content for the file system API
+ * @param {Uint8Array} bytes - File content
+ * @returns {string} Base64 encoded content
+ */
+const encodeBase64 = (bytes) => {
+  let binaryString = '';
+  
+  for (let i = 0; i < bytes.length; i++) {
+    binaryString += String.fromCharCode(bytes[i]);
+  }
+  
+  return btoa(binaryString);
+};
+
+/**
+ * Writes completed activities to files and hands them to the share sheet
+ */
+class ActivityExporter {
+  /**
+   * Builds an export file for an activity and writes it to the cache directory
+   * @param {Object} activity - Activity record
+   * @param {string} format - Export format
+   * @returns {Promise<Object>} { uri, mimeType, fileName }
+   * @throws {Error} If the activity data can't be read or written
+   */
+  async exportToFile(activity, format) {
+    const [locations, sensorData] = await Promise.all([
+      activityRepository.getLocations(activity.id),
+      sensorRepository.getSensorDataByActivity(activity.id)
+    ]);
+    
+    const { content, mimeType, fileName } = buildActivityExport(format, activity, locations, sensorData);
+    const uri = `${FileSystem.cacheDirectory}${fileName}`;
+    
+    // Text formats are written as is, FIT goes through base64
+    if (typeof content === 'string') {
+      await FileSystem.writeAsStringAsync(uri, content, {
+        encoding: FileSystem.EncodingType.UTF8
+      });
+    } else {
+      await FileSystem.writeAsStringAsync(uri, encodeBase64(content), {
+        encoding: FileSystem.EncodingType.Base64
+      });
+    }
+    
+    logger.info('Activity exported', { activityId: activity.id, format, points: locations.length });
+    return { uri, mimeType, fileName };
+  }
+  
+  /**
+   * Exports an activity and opens the system share sheet for the file
+   * @param {Object} activity - Activity record
+   * @param {string} format - Export format
+   * @returns {Promise<void>}
+   * @throws {Error} If sharing is unavailable or the export fails
+   */
+  async shareActivity(activity, format) {
+    if (!(await Sharing.isAvailableAsync())) {
+      throw new Error('Sharing is not available on this device');
+    }
+    
+    const { uri, mimeType, fileName } = await this.exportToFile(activity, format);
+    
+    await Sharing.shareAsync(uri, {
+      mimeType,
+      dialogTitle: fileName
+    });
+  }
+}
+
+// Create and export singleton instance
+const activityExporter = new ActivityExporter();
+export default activityExporter;
@@ -0,0 +1,64 @@
+/**
+ * Activity export formats
+ * Shared by the app share menu and the backend export endpoints so both
+ * produce the same files.
+ */
+
+import { buildGpx, GPX_MIME_TYPE, GPX_FILE_EXTENSION } from './gpxExporter';
+import { buildTcx, TCX_MIME_TYPE, TCX_FILE_EXTENSION } from './tcxExporter';
+import { buildFit, FIT_MIME_TYPE, FIT_FILE_EXTENSION } from './fitExporter';
+import { getExportFileName } from './trackPoints';
+
+export const EXPORT_FORMATS = {
+  GPX: 'gpx',
+  TCX: 'tcx',
+  FIT: 'fit',
+};
+
+// Builder, MIME type and extension per format, FIT is binary
+const FORMAT_DEFINITIONS = {
+  [EXPORT_FORMATS.GPX]: {
+    build: buildGpx,
+    mimeType: GPX_MIME_TYPE,
+    extension: GPX_FILE_EXTENSION,
+  },
+  [EXPORT_FORMATS.TCX]: {
+    build: buildTcx,
+    mimeType: TCX_MIME_TYPE,
+    extension: TCX_FILE_EXTENSION,
+  },
+  [EXPORT_FORMATS.FIT]: {
+    build: buildFit,
+    mimeType: FIT_MIME_TYPE,
+    extension: FIT_FILE_EXTENSION,
+  },
+};
+
+/**
+ * Checks whether a format can be exported
+ * @param {string} format - Export format
+ * @returns {boolean} True if supported
+ */
+export const isSupportedFormat = (format) => Boolean(FORMAT_DEFINITIONS[format]);
+
+/**
+ * Builds an export file for an activity
+ * @param {string} format - Export format
+ * @param {Object} activity - Activity record
+ * @param {Array} locations - Location rows of the activity
+ * @param {Array} sensorData - Sensor data rows of the activity
+ * @returns {Object} { content, mimeType, fileName }, content is a string or a Uint8Array
+ * @throws {Error} If the format is not supported
+ */
+export const buildActivityExport = (format, activity, locations = [], sensorData = []) => {
+  const definition = FORMAT_DEFINITIONS[format];
+  if (!definition) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+  
+  return {
+    content: definition.build(activity, locations, sensorData),
+    mimeType: definition.mimeType,
+    fileName: getExportFileName(activity, definition.extension),
+  };
+};
@@ -0,0 +1,180 @@
+/**
+ * FIT file encoder
+ * Minimal writer for the Garmin FIT binary format: 14 byte file header,
+ * definition and data messages with normal headers, and the trailing CRC.
+ * Messages are described by plain definitions so callers never deal with
+ * local message numbers or byte layout.
+ */
+
+// Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z)
+export const FIT_EPOCH_OFFSET = 631065600;
+
+const FIT_HEADER_SIZE = 14;
+const FIT_PROTOCOL_VERSION = 0x10; // 1.0, no developer fields
+const FIT_PROFILE_VERSION = 2105; // 21.05
+const DEFINITION_HEADER = 0x40;
+const MAX_LOCAL_MESSAGES = 16;
+
+/**
+ * FIT base types with their size and invalid value
+ */
+export const FIT_BASE_TYPES = {
+  ENUM: { id: 0x00, size: 1, invalid: 0xFF, min: 0, max: 0xFE },
+  SINT8: { id: 0x01, size: 1, invalid: 0x7F, min: -0x7F, max: 0x7E },
+  UINT8: { id: 0x02, size: 1, invalid: 0xFF, min: 0, max: 0xFE },
+  SINT16: { id: 0x83, size: 2, invalid: 0x7FFF, min: -0x7FFF, max: 0x7FFE },
+  UINT16: { id: 0x84, size: 2, invalid: 0xFFFF, min: 0, max: 0xFFFE },
+  SINT32: { id: 0x85, size: 4, invalid: 0x7FFFFFFF, min: -0x7FFFFFFF, max: 0x7FFFFFFE },
+  UINT32: { id: 0x86, size: 4, invalid: 0xFFFFFFFF, min: 0, max: 0xFFFFFFFE },
+  UINT32Z: { id: 0x8C, size: 4, invalid: 0, min: 1, max: 0xFFFFFFFF },
+};
+
+// Nibble table of the FIT CRC-16
+const CRC_TABLE = [
+  0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+  0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400,
+];
+
+/**
+ * Calculates the FIT CRC-16 of a byte range
+ * @param {Uint8Array|Array} bytes - Bytes to check
+ * @param {number} crc - CRC to continue from
+ * @returns {number} CRC value
+ */
+export const calculateFitCrc = (bytes, crc = 0) => {
+  for (let i = 0; i < bytes.length; i++) {
+    const byte = bytes[i];
+    let tmp = CRC_TABLE[crc & 0xF];
+    crc = (crc >> 4) & 0x0FFF;
+    crc = crc ^ tmp ^ CRC_TABLE[byte & 0xF];
+    
+    tmp = CRC_TABLE[crc & 0xF];
+    crc = (crc >> 4) & 0x0FFF;
+    crc = crc ^ tmp ^ CRC_TABLE[(byte >> 4) & 0xF];
+  }
+  
+  return crc;
+};
+
+/**
+ * Converts a Unix timestamp to a FIT date_time
+ * @param {number} timestamp - Milliseconds since the Unix epoch
+ * @returns {number} Seconds since the FIT epoch
+ */
+export const toFitTimestamp = (timestamp) => Math.round(timestamp / 1000) - FIT_EPOCH_OFFSET;
+
+/**
+ * Converts degrees to FIT semicircles
+ * @param {number} degrees - Latitude or longitude
+ * @returns {number} Semicircles
+ */
+export const toSemicircles = (degrees) => Math.round(degrees * (0x80000000 / 180));
+
+/**
+ * Sequential writer of FIT messages
+ */
+export class FitEncoder {
+  constructor() {
+    this.bytes = [];
+    this.localTypes = new Map();
+  }
+  
+  /**
+   * Writes a data message, preceded by its definition the first time the
+   * message definition is used
+   * @param {Object} message - { globalNumber, fields: [{ name, number, type, scale, offset }] }
+   * @param {Object} values - Field values by name, in profile units
+   */
+  writeMessage(message, values) {
+    let localType = this.localTypes.get(message);
+    
+    if (localType === undefined) {
+      localType = this.localTypes.size;
+      if (localType >= MAX_LOCAL_MESSAGES) {
+        throw new Error('Too many FIT message definitions');
+      }
+      
+      this.localTypes.set(message, localType);
+      this._writeDefinition(message, localType);
+    }
+    
+    this.bytes.push(localType);
+    message.fields.forEach(field => {
+      this._writeValue(field.type, this._encodeValue(field, values[field.name]));
+    });
+  }
+  
+  /**
+   * Completes the file with its header and CRC
+   * @returns {Uint8Array} FIT file bytes
+   */
+  finish() {
+    const dataSize = this.bytes.length;
+    const file = new Uint8Array(FIT_HEADER_SIZE + dataSize + 2);
+    const view = new DataView(file.buffer);
+    
+    view.setUint8(0, FIT_HEADER_SIZE);
+    view.setUint8(1, FIT_PROTOCOL_VERSION);
+    view.setUint16(2, FIT_PROFILE_VERSION, true);
+    view.setUint32(4, dataSize, true);
+    file.set([0x2E, 0x46, 0x49, 0x54], 8); // ".FIT"
+    view.setUint16(12, calculateFitCrc(file.subarray(0, 12)), true);
+    
+    file.set(this.bytes, FIT_HEADER_SIZE);
+    view.setUint16(FIT_HEADER_SIZE + dataSize, calculateFitCrc(file.subarray(0, FIT_HEADER_SIZE + dataSize)), true);
+    
+    return file;
+  }
+  
+  /**
+   * Writes a definition message
+   * @param {Object} message - Message definition
+   * @param {number} localType - Local message type
+   * @private
+   */
+  _writeDefinition(message, localType) {
+    this.bytes.push(DEFINITION_HEADER | localType, 0, 0); // reserved, little endian
+    this.bytes.push(message.globalNumber & 0xFF, (message.globalNumber >> 8) & 0xFF);
+    this.bytes.push(message.fields.length);
+    
+    message.fields.forEach(field => {
+      this.bytes.push(field.number, field.type.size, field.type.id);
+    });
+  }
+  
+  /**
+   * Applies scale and offset, missing or out of range values become invalid
+   * @param {Object} field - Field definition
+   * @param {number|null} value - Value in profile units
+   * @returns {number} Stored value
+   * @private
+   */
+  _encodeValue(field, value) {
+    if (value === null || value === undefined || isNaN(value)) {
+      return field.type.invalid;
+    }
+    
+    const stored = Math.round((value + (field.offset || 0)) * (field.scale || 1));
+    
+    if (stored < field.type.min || stored > field.type.max) {
+      return field.type.invalid;
+    }
+    
+    return stored;
+  }
+  
+  /**
+   * Appends a little endian value
+   * @param {Object} type - Base type
+   * @param {number} value - Stored value
+   * @private
+   */
+  _writeValue(type, value) {
+    // Two's complement covers signed types, invalid values included
+    const unsigned = value < 0 ? value + 2 ** (type.size * 8) : value;
+    
+    for (let i = 0; i < type.size; i++) {
+      this.bytes.push(Math.floor(unsigned / 2 ** (i * 8)) & 0xFF);
+    }
+  }
+}
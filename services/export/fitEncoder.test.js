@@ -0,0 +1,107 @@
+import { ACTIVITY_TYPES } from '../../config/constants';
+import { SENSOR_DATA_TYPES } from '../../database/schemas/sensorDataSchema';
+import { calculateFitCrc, toFitTimestamp, toSemicircles } from './fitEncoder';
+import { FIT_MESSAGES, buildFit } from './fitExporter';
+import { buildTrackPoints } from './trackPoints';
+import { decodeFit, isFitFile } from '../import/fitDecoder';
+
+const START_TIME = Date.UTC(2024, 4, 1, 6, 0, 0);
+const SAMPLE_INTERVAL_MS = 10000;
+const SAMPLE_COUNT = 7;
+
+// Field numbers as written by the exporter
+const RECORD = { TIMESTAMP: 253, POSITION_LAT: 0, POSITION_LONG: 1, HEART_RATE: 3, DISTANCE: 5 };
+const LAP = { MESSAGE_INDEX: 254, START_TIME: 2, TOTAL_TIMER_TIME: 8, TOTAL_DISTANCE: 9, LAP_TRIGGER: 24 };
+const SESSION = { START_TIME: 2, SPORT: 5, TOTAL_TIMER_TIME: 8, TOTAL_DISTANCE: 9, NUM_LAPS: 26 };
+
+const locations = Array.from({ length: SAMPLE_COUNT }, (_, index) => ({
+  timestamp: START_TIME + index * SAMPLE_INTERVAL_MS,
+  latitude: 52.37 + index * 0.0005,
+  longitude: 4.89,
+  altitude: 2,
+}));
+
+const sensorData = locations.map((location, index) => ({
+  timestamp: location.timestamp,
+  data_type: SENSOR_DATA_TYPES.HEART_RATE,
+  value: 140 + index,
+}));
+
+const activity = {
+  type: ACTIVITY_TYPES.RUN,
+  start_time: START_TIME,
+  end_time: START_TIME + (SAMPLE_COUNT - 1) * SAMPLE_INTERVAL_MS,
+  duration: 60,
+  distance: 330,
+  laps: [{ timestamp: START_TIME + 30000, timerTime: 30, distance: 165 }],
+};
+
+/**
+ * Gets the decoded messages of one type
+ * @param {Array} messages - Decoded messages
+ * @param {Object} message - Message definition
+ * @returns {Array} Field values of the matching messages
+ */
+const messagesOf = (messages, message) =>
+  messages.filter(decoded => decoded.globalNumber === message.globalNumber).map(decoded => decoded.fields);
+
+describe('FIT encode and decode round trip', () => {
+  const bytes = buildFit(activity, locations, sensorData);
+  const messages = decodeFit(bytes);
+  
+  it('writes a FIT header and valid CRCs', () => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    
+    expect(isFitFile(bytes)).toBe(true);
+    expect(view.getUint16(12, true)).toBe(calculateFitCrc(bytes.subarray(0, 12)));
+    expect(view.getUint16(bytes.length - 2, true)).toBe(calculateFitCrc(bytes.subarray(0, bytes.length - 2)));
+  });
+  
+  it('rejects a file whose data no longer matches the CRC', () => {
+    const corrupted = bytes.slice();
+    corrupted[20] ^= 0xFF;
+    
+    expect(() => decodeFit(corrupted)).toThrow('The FIT file is corrupted');
+  });
+  
+  it('keeps the values of every record', () => {
+    const records = messagesOf(messages, FIT_MESSAGES.RECORD);
+    const points = buildTrackPoints(locations, sensorData);
+    
+    expect(records).toHaveLength(SAMPLE_COUNT);
+    records.forEach((record, index) => {
+      expect(record[RECORD.TIMESTAMP]).toBe(toFitTimestamp(locations[index].timestamp));
+      expect(record[RECORD.POSITION_LAT]).toBe(toSemicircles(locations[index].latitude));
+      expect(record[RECORD.POSITION_LONG]).toBe(toSemicircles(locations[index].longitude));
+      expect(record[RECORD.HEART_RATE]).toBe(sensorData[index].value);
+      expect(record[RECORD.DISTANCE]).toBe(Math.round(points[index].distance * 100));
+    });
+  });
+  
+  it('writes a lap per recorded lap and a closing lap', () => {
+    const laps = messagesOf(messages, FIT_MESSAGES.LAP);
+    
+    expect(laps).toHaveLength(2);
+    expect(laps.map(lap => lap[LAP.MESSAGE_INDEX])).toEqual([0, 1]);
+    expect(laps.map(lap => lap[LAP.START_TIME])).toEqual([
+      toFitTimestamp(START_TIME),
+      toFitTimestamp(activity.laps[0].timestamp),
+    ]);
+    expect(laps.map(lap => lap[LAP.TOTAL_TIMER_TIME])).toEqual([30000, 30000]);
+    expect(laps.map(lap => lap[LAP.TOTAL_DISTANCE])).toEqual([16500, 16500]);
+    
+    // Manual lap press, then the session end
+    expect(laps.map(lap => lap[LAP.LAP_TRIGGER])).toEqual([0, 7]);
+  });
+  
+  it('summarizes the activity in a single session', () => {
+    const sessions = messagesOf(messages, FIT_MESSAGES.SESSION);
+    
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0][SESSION.START_TIME]).toBe(toFitTimestamp(START_TIME));
+    expect(sessions[0][SESSION.SPORT]).toBe(1); // running
+    expect(sessions[0][SESSION.TOTAL_TIMER_TIME]).toBe(60000);
+    expect(sessions[0][SESSION.TOTAL_DISTANCE]).toBe(33000);
+    expect(sessions[0][SESSION.NUM_LAPS]).toBe(2);
+  });
+});
@@ -0,0 +1,315 @@
+/**
+ * FIT exporter
+ * Writes a completed activity as a FIT activity file: file_id, timer
+ * events, one record per track point with running dynamics, a lap per
+ * recorded lap, the session and the activity summary.
+ */
+
+import { ACTIVITY_TYPES, AUTO_LAP_MODES } from '../../config/constants';
+import { WORKOUT_STEP_TYPES } from '../workout/workoutConstants';
+import {
+  FitEncoder,
+  FIT_BASE_TYPES,
+  toFitTimestamp,
+  toSemicircles,
+} from './fitEncoder';
+import {
+  buildTrackPoints,
+  splitLaps,
+  getPointStats,
+  getActivityValue,
+} from './trackPoints';
+
+export const FIT_MIME_TYPE = 'application/vnd.ant.fit';
+export const FIT_FILE_EXTENSION = 'fit';
+
+const { ENUM, UINT8, UINT16, SINT32, UINT32 } = FIT_BASE_TYPES;
+
+// Profile enums used by the messages below
+const FILE_TYPE_ACTIVITY = 4;
+const MANUFACTURER_DEVELOPMENT = 255;
+const EVENT = { TIMER: 0, SESSION: 8, LAP: 9, ACTIVITY: 26 };
+const EVENT_TYPE = { START: 0, STOP: 1, STOP_ALL: 4 };
+const SPORT = { GENERIC: 0, RUNNING: 1 };
+const SUB_SPORT = { GENERIC: 0, TREADMILL: 1, TRAIL: 3 };
+const INTENSITY = { ACTIVE: 0, REST: 1 };
+const LAP_TRIGGER = { MANUAL: 0, TIME: 1, DISTANCE: 2, POSITION_LAP: 4, SESSION_END: 7 };
+
+// How auto-laps were triggered, manual and workout laps are manual
+const LAP_TRIGGERS = {
+  [AUTO_LAP_MODES.DISTANCE]: LAP_TRIGGER.DISTANCE,
+  [AUTO_LAP_MODES.TIME]: LAP_TRIGGER.TIME,
+  [AUTO_LAP_MODES.POSITION]: LAP_TRIGGER.POSITION_LAP,
+};
+
+// Workout steps recorded as rest laps
+const RESTING_STEP_TYPES = [WORKOUT_STEP_TYPES.RECOVERY, WORKOUT_STEP_TYPES.REST];
+
+/**
+ * Field helper for message definitions
+ * @param {string} name - Value name
+ * @param {number} number - Profile field number
+ * @param {Object} type - Base type
+ * @param {number} scale - Profile scale
+ * @param {number} offset - Profile offset
+ * @returns {Object} Field definition
+ */
+const field = (name, number, type, scale = 1, offset = 0) => ({ name, number, type, scale, offset });
+
+// Message definitions, values are passed in profile units (s, m, m/s, ...)
+export const FIT_MESSAGES = {
+  FILE_ID: {
+    globalNumber: 0,
+    fields: [
+      field('type', 0, ENUM),
+      field('manufacturer', 1, UINT16),
+      field('product', 2, UINT16),
+      field('timeCreated', 4, UINT32),
+    ],
+  },
+  EVENT: {
+    globalNumber: 21,
+    fields: [
+      field('timestamp', 253, UINT32),
+      field('event', 0, ENUM),
+      field('eventType', 1, ENUM),
+    ],
+  },
+  RECORD: {
+    globalNumber: 20,
+    fields: [
+      field('timestamp', 253, UINT32),
+      field('positionLat', 0, SINT32),
+      field('positionLong', 1, SINT32),
+      field('altitude', 2, UINT16, 5, 500),
+      field('heartRate', 3, UINT8),
+      field('cadence', 4, UINT8),
+      field('distance', 5, UINT32, 100),
+      field('speed', 6, UINT16, 1000),
+      field('power', 7, UINT16),
+      field('verticalOscillation', 39, UINT16, 10),
+      field('stanceTime', 41, UINT16, 10),
+      field('fractionalCadence', 53, UINT8, 128),
+      field('verticalRatio', 83, UINT16, 100),
+      field('stepLength', 85, UINT16, 10),
+    ],
+  },
+  LAP: {
+    globalNumber: 19,
+    fields: [
+      field('messageIndex', 254, UINT16),
+      field('timestamp', 253, UINT32),
+      field('event', 0, ENUM),
+      field('eventType', 1, ENUM),
+      field('startTime', 2, UINT32),
+      field('totalElapsedTime', 7, UINT32, 1000),
+      field('totalTimerTime', 8, UINT32, 1000),
+      field('totalDistance', 9, UINT32, 100),
+      field('avgSpeed', 13, UINT16, 1000),
+      field('maxSpeed', 14, UINT16, 1000),
+      field('avgHeartRate', 15, UINT8),
+      field('maxHeartRate', 16, UINT8),
+      field('avgCadence', 17, UINT8),
+      field('maxCadence', 18, UINT8),
+      field('avgPower', 19, UINT16),
+      field('maxPower', 20, UINT16),
+      field('intensity', 23, ENUM),
+      field('lapTrigger', 24, ENUM),
+      field('sport', 25, ENUM),
+    ],
+  },
+  SESSION: {
+    globalNumber: 18,
+    fields: [
+      field('messageIndex', 254, UINT16),
+      field('timestamp', 253, UINT32),
+      field('event', 0, ENUM),
+      field('eventType', 1, ENUM),
+      field('startTime', 2, UINT32),
+      field('sport', 5, ENUM),
+      field('subSport', 6, ENUM),
+      field('totalElapsedTime', 7, UINT32, 1000),
+      field('totalTimerTime', 8, UINT32, 1000),
+      field('totalDistance', 9, UINT32, 100),
+      field('avgSpeed', 14, UINT16, 1000),
+      field('maxSpeed', 15, UINT16, 1000),
+      field('avgHeartRate', 16, UINT8),
+      field('maxHeartRate', 17, UINT8),
+      field('avgCadence', 18, UINT8),
+      field('maxCadence', 19, UINT8),
+      field('avgPower', 20, UINT16),
+      field('maxPower', 21, UINT16),
+      field('totalAscent', 22, UINT16),
+      field('firstLapIndex', 25, UINT16),
+      field('numLaps', 26, UINT16),
+      field('totalMovingTime', 59, UINT32, 1000),
+    ],
+  },
+  ACTIVITY: {
+    globalNumber: 34,
+    fields: [
+      field('timestamp', 253, UINT32),
+      field('totalTimerTime', 0, UINT32, 1000),
+      field('numSessions', 1, UINT16),
+      field('type', 2, ENUM),
+      field('event', 3, ENUM),
+      field('eventType', 4, ENUM),
+    ],
+  },
+};
+
+/**
+ * Halves a cadence, FIT counts running cadence in strides per minute
+ * @param {number|null} stepsPerMinute - Cadence in steps per minute
+ * @returns {number|null} Strides per minute
+ */
+const toStrideCadence = (stepsPerMinute) => (stepsPerMinute !== null ? stepsPerMinute / 2 : null);
+
+/**
+ * Summarizes heart rate, speed, cadence and power over points
+ * @param {Array} points - Track points
+ * @returns {Object} Averages and maximums in profile units
+ */
+const summarizePoints = (points) => {
+  const heartRate = getPointStats(points, 'heartRate');
+  const speed = getPointStats(points, 'speed');
+  const cadence = getPointStats(points, 'cadence');
+  const power = getPointStats(points, 'power');
+  
+  return {
+    maxSpeed: speed.max,
+    avgHeartRate: heartRate.avg,
+    maxHeartRate: heartRate.max,
+    avgCadence: toStrideCadence(cadence.avg),
+    maxCadence: toStrideCadence(cadence.max),
+    avgPower: power.avg,
+    maxPower: power.max,
+  };
+};
+
+/**
+ * Writes a record for a track point
+ * @param {FitEncoder} encoder - Encoder
+ * @param {Object} point - Track point
+ */
+const writeRecord = (encoder, point) => {
+  const cadence = toStrideCadence(point.cadence);
+  
+  encoder.writeMessage(FIT_MESSAGES.RECORD, {
+    timestamp: toFitTimestamp(point.timestamp),
+    positionLat: toSemicircles(point.latitude),
+    positionLong: toSemicircles(point.longitude),
+    altitude: point.altitude,
+    heartRate: point.heartRate,
+    cadence: cadence !== null ? Math.floor(cadence) : null,
+    fractionalCadence: cadence !== null ? cadence - Math.floor(cadence) : null,
+    distance: point.distance,
+    speed: point.speed,
+    power: point.power,
+    // Running dynamics are recorded in cm, FIT stores mm
+    verticalOscillation: point.verticalOscillation !== null ? point.verticalOscillation * 10 : null,
+    stanceTime: point.groundContactTime,
+    verticalRatio: point.verticalRatio,
+    stepLength: point.strideLength !== null ? point.strideLength * 10 : null,
+  });
+};
+
+/**
+ * Builds a FIT activity file for an activity
+ * @param {Object} activity - Activity record, laps as recorded by the activity manager
+ * @param {Array} locations - Location rows of the activity
+ * @param {Array} sensorData - Sensor data rows of the activity
+ * @returns {Uint8Array} FIT file bytes
+ */
+export const buildFit = (activity, locations = [], sensorData = []) => {
+  const encoder = new FitEncoder();
+  const points = buildTrackPoints(locations, sensorData);
+  const laps = splitLaps(activity, points);
+  
+  const startTime = laps[0].startTime;
+  const endTime = laps[laps.length - 1].endTime;
+  const timerTime = laps.reduce((total, lap) => total + lap.totalTime, 0);
+  const distance = laps.reduce((total, lap) => total + lap.distance, 0);
+  const elapsedTime = getActivityValue(activity, 'elapsedTime', 'elapsed_time') || (endTime - startTime) / 1000;
+  const movingTime = getActivityValue(activity, 'movingTime', 'moving_time') || timerTime;
+  const sport = activity.type === ACTIVITY_TYPES.OTHER ? SPORT.GENERIC : SPORT.RUNNING;
+  
+  let subSport = SUB_SPORT.GENERIC;
+  if (activity.type === ACTIVITY_TYPES.TREADMILL) subSport = SUB_SPORT.TREADMILL;
+  if (activity.type === ACTIVITY_TYPES.TRAIL_RUN) subSport = SUB_SPORT.TRAIL;
+  
+  encoder.writeMessage(FIT_MESSAGES.FILE_ID, {
+    type: FILE_TYPE_ACTIVITY,
+    manufacturer: MANUFACTURER_DEVELOPMENT,
+    product: 0,
+    timeCreated: toFitTimestamp(startTime),
+  });
+  
+  encoder.writeMessage(FIT_MESSAGES.EVENT, {
+    timestamp: toFitTimestamp(startTime),
+    event: EVENT.TIMER,
+    eventType: EVENT_TYPE.START,
+  });
+  
+  laps.forEach((lap, index) => {
+    lap.points.forEach(point => writeRecord(encoder, point));
+    
+    const isLast = index === laps.length - 1;
+    let lapTrigger = isLast ? LAP_TRIGGER.SESSION_END : LAP_TRIGGER.MANUAL;
+    if (lap.lap?.automatic && LAP_TRIGGERS[lap.lap.trigger] !== undefined) {
+      lapTrigger = LAP_TRIGGERS[lap.lap.trigger];
+    }
+    
+    encoder.writeMessage(FIT_MESSAGES.LAP, {
+      messageIndex: index,
+      timestamp: toFitTimestamp(lap.endTime),
+      event: EVENT.LAP,
+      eventType: EVENT_TYPE.STOP,
+      startTime: toFitTimestamp(lap.startTime),
+      totalElapsedTime: (lap.endTime - lap.startTime) / 1000,
+      totalTimerTime: lap.totalTime,
+      totalDistance: lap.distance,
+      avgSpeed: lap.totalTime > 0 ? lap.distance / lap.totalTime : null,
+      ...summarizePoints(lap.points),
+      intensity: RESTING_STEP_TYPES.includes(lap.lap?.workoutStep?.type) ? INTENSITY.REST : INTENSITY.ACTIVE,
+      lapTrigger,
+      sport,
+    });
+  });
+  
+  encoder.writeMessage(FIT_MESSAGES.EVENT, {
+    timestamp: toFitTimestamp(endTime),
+    event: EVENT.TIMER,
+    eventType: EVENT_TYPE.STOP_ALL,
+  });
+  
+  encoder.writeMessage(FIT_MESSAGES.SESSION, {
+    messageIndex: 0,
+    timestamp: toFitTimestamp(endTime),
+    event: EVENT.SESSION,
+    eventType: EVENT_TYPE.STOP,
+    startTime: toFitTimestamp(startTime),
+    sport,
+    subSport,
+    totalElapsedTime: elapsedTime,
+    totalTimerTime: timerTime,
+    totalDistance: distance,
+    avgSpeed: movingTime > 0 ? distance / movingTime : null,
+    ...summarizePoints(points),
+    totalAscent: getActivityValue(activity, 'elevationGain', 'elevation_gain'),
+    firstLapIndex: 0,
+    numLaps: laps.length,
+    totalMovingTime: movingTime,
+  });
+  
+  encoder.writeMessage(FIT_MESSAGES.ACTIVITY, {
+    timestamp: toFitTimestamp(endTime),
+    totalTimerTime: timerTime,
+    numSessions: 1,
+    type: 0, // manual
+    event: EVENT.ACTIVITY,
+    eventType: EVENT_TYPE.STOP,
+  });
+  
+  return encoder.finish();
+};
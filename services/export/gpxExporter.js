@@ -0,0 +1,91 @@
+/**
+ * GPX 1.1 exporter
+ * Writes a completed activity as a single track. Heart rate and cadence use
+ * the Garmin TrackPointExtension v1 schema, power uses the <power> element
+ * most platforms read alongside it.
+ */
+
+import { CONSTANTS } from '../../config/constants';
+import {
+  buildTrackPoints,
+  escapeXml,
+  toIsoTime,
+  getActivityStartTime,
+} from './trackPoints';
+
+export const GPX_MIME_TYPE = 'application/gpx+xml';
+export const GPX_FILE_EXTENSION = 'gpx';
+
+const GPX_NAMESPACE = 'http://www.topografix.com/GPX/1/1';
+const GPX_SCHEMA = 'http://www.topografix.com/GPX/1/1/gpx.xsd';
+const TPX_NAMESPACE = 'http://www.garmin.com/xmlschemas/TrackPointExtension/v1';
+const TPX_SCHEMA = 'http://www.garmin.com/xmlschemas/TrackPointExtensionv1.xsd';
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+
+/**
+ * Renders the extensions block of a track point
+ * @param {Object} point - Track point
+ * @returns {string} Extensions XML, empty when the point has no sensor values
+ */
+const renderExtensions = (point) => {
+  const tpx = [];
+  if (point.heartRate !== null) tpx.push(`<gpxtpx:hr>${Math.round(point.heartRate)}</gpxtpx:hr>`);
+  // Cadence is recorded in steps per minute, GPX readers expect strides
+  if (point.cadence !== null) tpx.push(`<gpxtpx:cad>${Math.round(point.cadence / 2)}</gpxtpx:cad>`);
+  
+  const parts = [];
+  if (point.power !== null) parts.push(`<power>${Math.round(point.power)}</power>`);
+  if (tpx.length > 0) {
+    parts.push(`<gpxtpx:TrackPointExtension>${tpx.join('')}</gpxtpx:TrackPointExtension>`);
+  }
+  
+  return parts.length > 0 ? `<extensions>${parts.join('')}</extensions>` : '';
+};
+
+/**
+ * Renders a single track point
+ * @param {Object} point - Track point
+ * @returns {string} trkpt XML
+ */
+const renderTrackPoint = (point) => {
+  const elevation = point.altitude !== null ? `<ele>${point.altitude.toFixed(1)}</ele>` : '';
+  
+  return `      <trkpt lat="${point.latitude.toFixed(7)}" lon="${point.longitude.toFixed(7)}">` +
+    `${elevation}<time>${toIsoTime(point.timestamp)}</time>${renderExtensions(point)}</trkpt>`;
+};
+
+/**
+ * Builds a GPX 1.1 document for an activity
+ * @param {Object} activity - Activity record
+ * @param {Array} locations - Location rows of the activity
+ * @param {Array} sensorData - Sensor data rows of the activity
+ * @returns {string} GPX document
+ */
+export const buildGpx = (activity, locations = [], sensorData = []) => {
+  const points = buildTrackPoints(locations, sensorData);
+  const startTime = getActivityStartTime(activity) || points[0]?.timestamp || Date.now();
+  const name = activity.name || 'Activity';
+  
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${escapeXml(CONSTANTS.APP_NAME)}" ` +
+      `xmlns="${GPX_NAMESPACE}" xmlns:gpxtpx="${TPX_NAMESPACE}" xmlns:xsi="${XSI_NAMESPACE}" ` +
+      `xsi:schemaLocation="${GPX_NAMESPACE} ${GPX_SCHEMA} ${TPX_NAMESPACE} ${TPX_SCHEMA}">`,
+    '  <metadata>',
+    `    <name>${escapeXml(name)}</name>`,
+    `    <time>${toIsoTime(startTime)}</time>`,
+    '  </metadata>',
+    '  <trk>',
+    `    <name>${escapeXml(name)}</name>`,
+  ];
+  
+  if (activity.type) {
+    lines.push(`    <type>${escapeXml(activity.type)}</type>`);
+  }
+  
+  lines.push('    <trkseg>');
+  points.forEach(point => lines.push(renderTrackPoint(point)));
+  lines.push('    </trkseg>', '  </trk>', '</gpx>', '');
+  
+  return lines.join('\n');
+};
@@ -0,0 +1,154 @@
+/**
+ * TCX exporter
+ * Writes a completed activity as a Training Center Database v2 file. Each
+ * recorded lap becomes a <Lap> with its own totals, speed, run cadence and
+ * watts use the ActivityExtension v2 schema.
+ */
+
+import { ACTIVITY_TYPES, AUTO_LAP_MODES } from '../../config/constants';
+import { WORKOUT_STEP_TYPES } from '../workout/workoutConstants';
+import {
+  buildTrackPoints,
+  splitLaps,
+  getPointStats,
+  escapeXml,
+  toIsoTime,
+} from './trackPoints';
+
+export const TCX_MIME_TYPE = 'application/vnd.garmin.tcx+xml';
+export const TCX_FILE_EXTENSION = 'tcx';
+
+const TCX_NAMESPACE = 'http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2';
+const TCX_SCHEMA = 'http://www.garmin.com/xmlschemas/TrainingCenterDatabasev2.xsd';
+const AX_NAMESPACE = 'http://www.garmin.com/xmlschemas/ActivityExtension/v2';
+const AX_SCHEMA = 'http://www.garmin.com/xmlschemas/ActivityExtensionv2.xsd';
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+
+// How auto-laps were triggered, manual and workout laps are Manual
+const TRIGGER_METHODS = {
+  [AUTO_LAP_MODES.DISTANCE]: 'Distance',
+  [AUTO_LAP_MODES.TIME]: 'Time',
+  [AUTO_LAP_MODES.POSITION]: 'Location',
+};
+
+// Workout steps recorded as Resting laps
+const RESTING_STEP_TYPES = [WORKOUT_STEP_TYPES.RECOVERY, WORKOUT_STEP_TYPES.REST];
+
+/**
+ * Renders a single trackpoint
+ * @param {Object} point - Track point
+ * @returns {string} Trackpoint XML
+ */
+const renderTrackpoint = (point) => {
+  const parts = [
+    `<Time>${toIsoTime(point.timestamp)}</Time>`,
+    `<Position><LatitudeDegrees>${point.latitude.toFixed(7)}</LatitudeDegrees>` +
+      `<LongitudeDegrees>${point.longitude.toFixed(7)}</LongitudeDegrees></Position>`,
+  ];
+  
+  if (point.altitude !== null) parts.push(`<AltitudeMeters>${point.altitude.toFixed(1)}</AltitudeMeters>`);
+  parts.push(`<DistanceMeters>${point.distance.toFixed(1)}</DistanceMeters>`);
+  if (point.heartRate > 0) parts.push(`<HeartRateBpm><Value>${Math.round(point.heartRate)}</Value></HeartRateBpm>`);
+  
+  // Cadence is recorded in steps per minute, RunCadence counts strides
+  const tpx = [];
+  if (point.speed !== null) tpx.push(`<ns3:Speed>${point.speed.toFixed(3)}</ns3:Speed>`);
+  if (point.cadence !== null) tpx.push(`<ns3:RunCadence>${Math.round(point.cadence / 2)}</ns3:RunCadence>`);
+  if (point.power !== null) tpx.push(`<ns3:Watts>${Math.round(point.power)}</ns3:Watts>`);
+  
+  if (tpx.length > 0) {
+    parts.push(`<Extensions><ns3:TPX>${tpx.join('')}</ns3:TPX></Extensions>`);
+  }
+  
+  return `          <Trackpoint>${parts.join('')}</Trackpoint>`;
+};
+
+/**
+ * Renders a lap with its totals and trackpoints
+ * @param {Object} lap - Lap from splitLaps
+ * @returns {Array} Lap XML lines
+ */
+const renderLap = ({ lap, startTime, totalTime, distance, points }) => {
+  const heartRate = getPointStats(points, 'heartRate');
+  const speed = getPointStats(points, 'speed');
+  const cadence = getPointStats(points, 'cadence');
+  const power = getPointStats(points, 'power');
+  
+  const intensity = RESTING_STEP_TYPES.includes(lap?.workoutStep?.type) ? 'Resting' : 'Active';
+  const trigger = lap?.automatic ? TRIGGER_METHODS[lap.trigger] || 'Manual' : 'Manual';
+  
+  const lines = [
+    `      <Lap StartTime="${toIsoTime(startTime)}">`,
+    `        <TotalTimeSeconds>${totalTime.toFixed(1)}</TotalTimeSeconds>`,
+    `        <DistanceMeters>${distance.toFixed(1)}</DistanceMeters>`,
+  ];
+  
+  if (speed.max !== null) lines.push(`        <MaximumSpeed>${speed.max.toFixed(3)}</MaximumSpeed>`);
+  lines.push('        <Calories>0</Calories>');
+  
+  if (heartRate.avg > 0) {
+    lines.push(`        <AverageHeartRateBpm><Value>${Math.round(heartRate.avg)}</Value></AverageHeartRateBpm>`);
+    lines.push(`        <MaximumHeartRateBpm><Value>${Math.round(heartRate.max)}</Value></MaximumHeartRateBpm>`);
+  }
+  
+  lines.push(`        <Intensity>${intensity}</Intensity>`);
+  lines.push(`        <TriggerMethod>${trigger}</TriggerMethod>`);
+  
+  if (points.length > 0) {
+    lines.push('        <Track>');
+    points.forEach(point => lines.push(renderTrackpoint(point)));
+    lines.push('        </Track>');
+  }
+  
+  if (lap?.name) lines.push(`        <Notes>${escapeXml(lap.name)}</Notes>`);
+  
+  const lx = [];
+  if (totalTime > 0) lx.push(`<ns3:AvgSpeed>${(distance / totalTime).toFixed(3)}</ns3:AvgSpeed>`);
+  if (cadence.avg !== null) {
+    lx.push(`<ns3:AvgRunCadence>${Math.round(cadence.avg / 2)}</ns3:AvgRunCadence>`);
+    lx.push(`<ns3:MaxRunCadence>${Math.round(cadence.max / 2)}</ns3:MaxRunCadence>`);
+  }
+  if (power.avg !== null) {
+    lx.push(`<ns3:AvgWatts>${Math.round(power.avg)}</ns3:AvgWatts>`);
+    lx.push(`<ns3:MaxWatts>${Math.round(power.max)}</ns3:MaxWatts>`);
+  }
+  
+  if (lx.length > 0) {
+    lines.push(`        <Extensions><ns3:LX>${lx.join('')}</ns3:LX></Extensions>`);
+  }
+  
+  lines.push('      </Lap>');
+  return lines;
+};
+
+/**
+ * Builds a TCX document for an activity
+ * @param {Object} activity - Activity record, laps as recorded by the activity manager
+ * @param {Array} locations - Location rows of the activity
+ * @param {Array} sensorData - Sensor data rows of the activity
+ * @returns {string} TCX document
+ */
+export const buildTcx = (activity, locations = [], sensorData = []) => {
+  const points = buildTrackPoints(locations, sensorData);
+  const laps = splitLaps(activity, points);
+  const sport = activity.type === ACTIVITY_TYPES.OTHER ? 'Other' : 'Running';
+  
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<TrainingCenterDatabase xmlns="${TCX_NAMESPACE}" xmlns:ns3="${AX_NAMESPACE}" xmlns:xsi="${XSI_NAMESPACE}" ` +
+      `xsi:schemaLocation="${TCX_NAMESPACE} ${TCX_SCHEMA} ${AX_NAMESPACE} ${AX_SCHEMA}">`,
+    '  <Activities>',
+    `    <Activity Sport="${sport}">`,
+    `      <Id>${toIsoTime(laps[0].startTime)}</Id>`,
+  ];
+  
+  laps.forEach(lap => lines.push(...renderLap(lap)));
+  
+  if (activity.notes) {
+    lines.push(`      <Notes>${escapeXml(activity.notes)}</Notes>`);
+  }
+  
+  lines.push('    </Activity>', '  </Activities>', '</TrainingCenterDatabase>', '');
+  
+  return lines.join('\n');
+};
@@ -0,0 +1,247 @@
+/**
+ * Track point assembly for file exports
+ * Merges recorded locations with sensor samples into one time-ordered list of
+ * points. Accepts rows from the app database (snake_case) and from the
+ * backend models (camelCase).
+ */
+
+import { SENSOR_DATA_TYPES } from '../../database/schemas/sensorDataSchema';
+import { calculateDistance } from '../../utils/calculations';
+
+// Sensor samples older than this are not attached to a location (ms)
+export const SENSOR_MATCH_WINDOW_MS = 5000;
+
+// Sensor channels carried on track points, values keep the recorded units
+const TRACK_CHANNELS = {
+  [SENSOR_DATA_TYPES.HEART_RATE]: 'heartRate', // bpm
+  [SENSOR_DATA_TYPES.CADENCE]: 'cadence', // spm
+  [SENSOR_DATA_TYPES.POWER]: 'power', // watts
+  [SENSOR_DATA_TYPES.GROUND_CONTACT_TIME]: 'groundContactTime', // ms
+  [SENSOR_DATA_TYPES.VERTICAL_OSCILLATION]: 'verticalOscillation', // cm
+  [SENSOR_DATA_TYPES.STRIDE_LENGTH]: 'strideLength', // cm
+  [SENSOR_DATA_TYPES.VERTICAL_RATIO]: 'verticalRatio', // percent
+};
+
+/**
+ * Reads the sensor type of a row in either naming style, the backend
+ * stores camelCase types ('heartRate') and the app snake_case ones
+ * @param {Object} row - Sensor data row
+ * @returns {string} Sensor data type, as in SENSOR_DATA_TYPES
+ */
+const getDataType = (row) =>
+  String(row.data_type || row.dataType || '').replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+
+/**
+ * Groups sensor rows by track channel, sorted by timestamp
+ * @param {Array} sensorData - Sensor data rows
+ * @returns {Object} Samples per channel
+ */
+const groupSensorData = (sensorData = []) => {
+  const channels = {};
+  
+  Object.values(TRACK_CHANNELS).forEach(channel => {
+    channels[channel] = [];
+  });
+  
+  sensorData.forEach(row => {
+    const channel = TRACK_CHANNELS[getDataType(row)];
+    if (channel && typeof row.value === 'number' && !isNaN(row.value)) {
+      channels[channel].push({ timestamp: row.timestamp, value: row.value });
+    }
+  });
+  
+  Object.values(channels).forEach(samples => {
+    samples.sort((a, b) => a.timestamp - b.timestamp);
+  });
+  
+  return channels;
+};
+
+/**
+ * Builds export track points from locations and sensor data.
+ * Each location takes the latest sample of every channel recorded at or
+ * before it, as long as that sample is within the match window. Distance
+ * (meters) and speed (m/s) are derived from the positions.
+ * @param {Array} locations - Location rows
+ * @param {Array} sensorData - Sensor data rows
+ * @param {Object} options - { matchWindowMs }
+ * @returns {Array} Points with time, position, altitude, distance, speed and a value per sensor channel
+ */
+export const buildTrackPoints = (locations = [], sensorData = [], options = {}) => {
+  const matchWindowMs = options.matchWindowMs || SENSOR_MATCH_WINDOW_MS;
+  const channels = groupSensorData(sensorData);
+  const cursors = {};
+  let previous = null;
+  let distance = 0;
+  
+  Object.keys(channels).forEach(channel => {
+    cursors[channel] = -1;
+  });
+  
+  return [...locations]
+    .filter(location => typeof location.latitude === 'number' && typeof location.longitude === 'number')
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(location => {
+      const step = previous ? calculateDistance(previous, location) : 0;
+      const seconds = previous ? (location.timestamp - previous.timestamp) / 1000 : 0;
+      distance += step;
+      previous = location;
+      
+      const point = {
+        timestamp: location.timestamp,
+        latitude: location.latitude,
+        longitude: location.longitude,
+        altitude: typeof location.altitude === 'number' ? location.altitude : null,
+        distance,
+        speed: seconds > 0 ? step / seconds : null,
+      };
+      
+      // Locations are sorted, so each channel cursor only moves forward
+      Object.entries(channels).forEach(([channel, samples]) => {
+        let cursor = cursors[channel];
+        while (cursor + 1 < samples.length && samples[cursor + 1].timestamp <= location.timestamp) {
+          cursor++;
+        }
+        cursors[channel] = cursor;
+        
+        const matched = cursor >= 0 && location.timestamp - samples[cursor].timestamp <= matchWindowMs;
+        point[channel] = matched ? samples[cursor].value : null;
+      });
+      
+      return point;
+    });
+};
+
+/**
+ * Escapes text for use in XML content and attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+export const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Formats a timestamp as an ISO 8601 UTC time
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} ISO time
+ */
+export const toIsoTime = (timestamp) => new Date(timestamp).toISOString();
+
+/**
+ * Reads an activity field in either naming style
+ * @param {Object} activity - Activity record
+ * @param {string} camelKey - Backend field name
+ * @param {string} snakeKey - App database column name
+ * @returns {*} Field value, null when missing
+ */
+export const getActivityValue = (activity = {}, camelKey, snakeKey) => {
+  if (activity[camelKey] !== undefined && activity[camelKey] !== null) {
+    return activity[camelKey];
+  }
+  
+  return activity[snakeKey] !== undefined ? activity[snakeKey] : null;
+};
+
+/**
+ * Reads the start time of an activity in either naming style
+ * @param {Object} activity - Activity record
+ * @returns {number|null} Start time in milliseconds
+ */
+export const getActivityStartTime = (activity = {}) =>
+  getActivityValue(activity, 'startTime', 'start_time') || null;
+
+/**
+ * Calculates average and maximum of a point field
+ * @param {Array} points - Track points
+ * @param {string} field - Point field
+ * @returns {Object} { avg, max }, null values when no point has the field
+ */
+export const getPointStats = (points, field) => {
+  const values = points.map(point => point[field]).filter(value => value !== null);
+  
+  if (values.length === 0) {
+    return { avg: null, max: null };
+  }
+  
+  return {
+    avg: values.reduce((sum, value) => sum + value, 0) / values.length,
+    max: Math.max(...values),
+  };
+};
+
+/**
+ * Splits the activity into laps. Recorded laps carry the cumulative timer
+ * time and distance at the lap press, whatever follows the last one is
+ * closed at the end of the activity.
+ * @param {Object} activity - Activity record
+ * @param {Array} points - Track points
+ * @returns {Array} Laps with the recorded lap, start and end times, totals and points
+ */
+export const splitLaps = (activity, points) => {
+  const startTime = getActivityStartTime(activity) || points[0]?.timestamp || Date.now();
+  const endTime = getActivityValue(activity, 'endTime', 'end_time') ||
+    points[points.length - 1]?.timestamp || startTime;
+  const totalTime = getActivityValue(activity, 'timerTime', 'timer_time') ||
+    getActivityValue(activity, 'duration', 'duration') || (endTime - startTime) / 1000;
+  const totalDistance = getActivityValue(activity, 'distance', 'distance') ||
+    points[points.length - 1]?.distance || 0;
+  
+  const recordedLaps = [...(activity.laps || [])]
+    .filter(lap => lap.timestamp > startTime && lap.timestamp < endTime)
+    .sort((a, b) => a.timestamp - b.timestamp);
+  
+  const laps = [];
+  let lapStart = { timestamp: startTime, timerTime: 0, distance: 0 };
+  
+  recordedLaps.forEach(lap => {
+    laps.push({
+      lap,
+      startTime: lapStart.timestamp,
+      endTime: lap.timestamp,
+      totalTime: (lap.timerTime || 0) - lapStart.timerTime,
+      distance: (lap.distance || 0) - lapStart.distance,
+    });
+    lapStart = { timestamp: lap.timestamp, timerTime: lap.timerTime || 0, distance: lap.distance || 0 };
+  });
+  
+  // Closing lap, skipped when the activity stopped right at a lap press
+  if (laps.length === 0 || endTime - lapStart.timestamp >= 1000) {
+    laps.push({
+      lap: null,
+      startTime: lapStart.timestamp,
+      endTime,
+      totalTime: totalTime - lapStart.timerTime,
+      distance: totalDistance - lapStart.distance,
+    });
+  }
+  
+  return laps.map((lap, index) => ({
+    ...lap,
+    totalTime: Math.max(0, lap.totalTime),
+    distance: Math.max(0, lap.distance),
+    points: points.filter(point =>
+      (index === 0 || point.timestamp >= lap.startTime) &&
+      (index === laps.length - 1 || point.timestamp < lap.endTime)),
+  }));
+};
+
+/**
+ * Builds a file name for an exported activity
+ * @param {Object} activity - Activity record
+ * @param {string} extension - File extension without the dot
+ * @returns {string} File name
+ */
+export const getExportFileName = (activity, extension) => {
+  const startTime = getActivityStartTime(activity);
+  const date = startTime ? toIsoTime(startTime).slice(0, 10) : 'activity';
+  const name = (activity.name || activity.type || 'activity')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  
+  return `${date}-${name || 'activity'}.${extension}`;
+};
@@ -0,0 +1,150 @@
+// Import document picker and file APIs
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+
+// Import database repositories
+import activityRepository from '../../database/repositories/activityRepository';
+import sensorRepository from '../../database/repositories/sensorRepository';
+
+// Import file parsing
+import { decodeBase64 } from '../ble/parsers/byteReader';
+import { isFitFile } from './fitDecoder';
+import {
+  IMPORT_FORMATS,
+  getFormatFromFileName,
+  parseActivityFile,
+  summarizeImport,
+} from './importFormats';
+
+// Import logger
+import logger from '../../utils/logger';
+
+// Imports starting this close to an existing activity are duplicates
+const DUPLICATE_WINDOW_MS = 60 * 1000;
+
+/**
+ * Imports GPX, TCX and FIT files picked from the device into the local database
+ */
+class ActivityImporter {
+  /**
+   * Lets the user pick an activity file and imports it
+   * @returns {Promise<Object|null>} { duplicate, activity }, null when the picker was cancelled
+   * @throws {Error} If the file can't be read or saved
+   */
+  async pickAndImport() {
+    const result = await DocumentPicker.getDocumentAsync({
+      type: '*/*', // FIT, GPX and TCX have no reliable MIME types
+      copyToCacheDirectory: true,
+    });
+    
+    if (result.canceled || !result.assets || result.assets.length === 0) {
+      return null;
+    }
+    
+    const { uri, name } = result.assets[0];
+    return this.importFile(uri, name);
+  }
+  
+  /**
+   * Imports an activity file, an activity starting within a minute of an
+   * existing one is reported as a duplicate instead of being saved again
+   * @param {string} uri - File URI
+   * @param {string} fileName - File name, used to detect the format
+   * @returns {Promise<Object>} { duplicate, activity }, the existing activity for duplicates
+   * @throws {Error} If the file can't be read or saved
+   */
+  async importFile(uri, fileName) {
+    const imported = parseActivityFile(await this._readFile(uri, fileName), fileName);
+    const { startTime } = imported.activity;
+    
+    const [existingActivity] = await activityRepository.getActivities({
+      startDate: startTime - DUPLICATE_WINDOW_MS,
+      endDate: startTime + DUPLICATE_WINDOW_MS,
+      limit: 1,
+    });
+    
+    if (existingActivity) {
+      logger.info('Duplicate activity import skipped', { activityId: existingActivity.id, fileName });
+      return { duplicate: true, activity: existingActivity };
+    }
+    
+    const summary = summarizeImport(imported);
+    const activity = await activityRepository.createActivity({
+      name: summary.name,
+      type: summary.type,
+      start_time: summary.startTime,
+      end_time: summary.endTime,
+      duration: summary.duration,
+      elapsed_time: summary.elapsedTime,
+      timer_time: summary.timerTime,
+      moving_time: summary.movingTime,
+      distance: summary.distance,
+      avg_heart_rate: summary.avgHeartRate || 0,
+      avg_power: summary.avgPower || 0,
+      avg_pace: summary.avgPace || 0,
+      elevation_gain: summary.elevationGain || 0,
+      tss: summary.tss || 0,
+      notes: summary.notes || '',
+      laps: summary.laps,
+    });
+    
+    // Don't leave an activity without its track behind
+    try {
+      await activityRepository.addLocations(activity.id, imported.locations);
+      
+      const saved = imported.sensorData.length === 0 || await sensorRepository.saveBatchSensorData(
+        imported.sensorData.map(sample => ({
+          activity_id: activity.id,
+          timestamp: sample.timestamp,
+          device_id: null,
+          data_type: sample.dataType,
+          value: sample.value,
+        }))
+      );
+      
+      if (!saved) {
+        throw new Error('Failed to save imported sensor data');
+      }
+    } catch (error) {
+      await activityRepository.deleteActivity(activity.id);
+      throw error;
+    }
+    
+    logger.info('Activity imported', {
+      activityId: activity.id,
+      format: imported.format,
+      locations: imported.locations.length,
+      samples: imported.sensorData.length,
+    });
+    
+    return { duplicate: false, activity };
+  }
+  
+  /**
+   * Reads a picked file, FIT files as bytes and XML formats as text
+   * @param {string} uri - File URI
+   * @param {string} fileName - File name
+   * @returns {Promise<string|Uint8Array>} File content
+   * @private
+   */
+  async _readFile(uri, fileName) {
+    const format = getFormatFromFileName(fileName);
+    
+    if (format !== IMPORT_FORMATS.GPX && format !== IMPORT_FORMATS.TCX) {
+      // FIT, or an unknown extension that may still hold a FIT file
+      const bytes = decodeBase64(await FileSystem.readAsStringAsync(uri, {
+        encoding: FileSystem.EncodingType.Base64,
+      }));
+      
+      if (format === IMPORT_FORMATS.FIT || isFitFile(bytes)) {
+        return bytes;
+      }
+    }
+    
+    return FileSystem.readAsStringAsync(uri, { encoding: FileSystem.EncodingType.UTF8 });
+  }
+}
+
+// Create and export singleton instance
+const activityImporter = new ActivityImporter();
+export default activityImporter;
@@ -0,0 +1,157 @@
+/**
+ * FIT file decoder
+ * Reads the data messages of a FIT file into plain objects keyed by field
+ * number. Handles both architectures, compressed timestamp headers and
+ * developer fields (which are skipped). Values are returned as stored,
+ * invalid values become null and scaling is left to the caller.
+ */
+
+import { calculateFitCrc } from '../export/fitEncoder';
+
+const DEFINITION_FLAG = 0x40;
+const DEVELOPER_DATA_FLAG = 0x20;
+const COMPRESSED_HEADER_FLAG = 0x80;
+const TIMESTAMP_FIELD = 253;
+
+// Base types by the low five bits of their id
+const BASE_TYPES = {
+  0x00: { size: 1, invalid: 0xFF, read: 'getUint8' }, // enum
+  0x01: { size: 1, invalid: 0x7F, read: 'getInt8' },
+  0x02: { size: 1, invalid: 0xFF, read: 'getUint8' },
+  0x03: { size: 2, invalid: 0x7FFF, read: 'getInt16' },
+  0x04: { size: 2, invalid: 0xFFFF, read: 'getUint16' },
+  0x05: { size: 4, invalid: 0x7FFFFFFF, read: 'getInt32' },
+  0x06: { size: 4, invalid: 0xFFFFFFFF, read: 'getUint32' },
+  0x08: { size: 4, invalid: null, read: 'getFloat32' },
+  0x09: { size: 8, invalid: null, read: 'getFloat64' },
+  0x0A: { size: 1, invalid: 0, read: 'getUint8' }, // uint8z
+  0x0B: { size: 2, invalid: 0, read: 'getUint16' }, // uint16z
+  0x0C: { size: 4, invalid: 0, read: 'getUint32' }, // uint32z
+  0x0D: { size: 1, invalid: 0xFF, read: 'getUint8' }, // byte
+};
+
+/**
+ * Checks whether bytes start with a FIT file header
+ * @param {Uint8Array} bytes - File content
+ * @returns {boolean} True for a FIT file
+ */
+export const isFitFile = (bytes) =>
+  bytes.length >= 12 && (bytes[0] === 12 || bytes[0] === 14) &&
+  bytes[8] === 0x2E && bytes[9] === 0x46 && bytes[10] === 0x49 && bytes[11] === 0x54;
+
+/**
+ * Reads a single value of a field
+ * @param {DataView} view - File view
+ * @param {number} offset - Value offset
+ * @param {Object} field - { size, baseType }
+ * @param {boolean} littleEndian - Architecture of the message
+ * @returns {number|null} Stored value, null when invalid or not numeric
+ */
+const readFieldValue = (view, offset, field, littleEndian) => {
+  const type = BASE_TYPES[field.baseType & 0x1F];
+  
+  // Strings, arrays and 64 bit values are not needed by the importer
+  if (!type || field.size !== type.size) {
+    return null;
+  }
+  
+  const value = view[type.read](offset, littleEndian);
+  
+  if (type.invalid === null ? !isFinite(value) : value === type.invalid) {
+    return null;
+  }
+  
+  return value;
+};
+
+/**
+ * Decodes the data messages of a FIT file
+ * @param {Uint8Array} bytes - File content
+ * @returns {Array} Messages as { globalNumber, fields: { [fieldNumber]: value } }
+ * @throws {Error} If the file is not FIT, is truncated or fails its CRC
+ */
+export const decodeFit = (bytes) => {
+  if (!isFitFile(bytes)) {
+    throw new Error('Not a FIT file');
+  }
+  
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const headerSize = bytes[0];
+  const dataEnd = headerSize + view.getUint32(4, true);
+  
+  if (dataEnd + 2 > bytes.length) {
+    throw new Error('The FIT file is truncated');
+  }
+  
+  if (view.getUint16(dataEnd, true) !== calculateFitCrc(bytes.subarray(0, dataEnd))) {
+    throw new Error('The FIT file is corrupted');
+  }
+  
+  const definitions = {};
+  const messages = [];
+  let lastTimestamp = null;
+  let offset = headerSize;
+  
+  while (offset < dataEnd) {
+    const header = bytes[offset++];
+    
+    if (!(header & COMPRESSED_HEADER_FLAG) && (header & DEFINITION_FLAG)) {
+      const localType = header & 0x0F;
+      const littleEndian = bytes[offset + 1] === 0;
+      const fieldCount = bytes[offset + 4];
+      const fields = [];
+      
+      const globalNumber = view.getUint16(offset + 2, littleEndian);
+      offset += 5;
+      
+      for (let i = 0; i < fieldCount; i++) {
+        fields.push({ number: bytes[offset], size: bytes[offset + 1], baseType: bytes[offset + 2] });
+        offset += 3;
+      }
+      
+      let developerSize = 0;
+      if (header & DEVELOPER_DATA_FLAG) {
+        const developerCount = bytes[offset++];
+        for (let i = 0; i < developerCount; i++) {
+          developerSize += bytes[offset + 1];
+          offset += 3;
+        }
+      }
+      
+      definitions[localType] = { globalNumber, littleEndian, fields, developerSize };
+      continue;
+    }
+    
+    // Compressed headers carry the local type and a 5 bit time offset
+    const compressed = Boolean(header & COMPRESSED_HEADER_FLAG);
+    const definition = definitions[compressed ? (header >> 5) & 0x03 : header & 0x0F];
+    
+    if (!definition) {
+      throw new Error('The FIT file uses an undefined message type');
+    }
+    
+    const values = {};
+    definition.fields.forEach(field => {
+      values[field.number] = readFieldValue(view, offset, field, definition.littleEndian);
+      offset += field.size;
+    });
+    offset += definition.developerSize;
+    
+    if (compressed && lastTimestamp !== null) {
+      const timeOffset = header & 0x1F;
+      let timestamp = lastTimestamp - (lastTimestamp % 0x20) + timeOffset;
+      if (timeOffset < (lastTimestamp & 0x1F)) {
+        timestamp += 0x20;
+      }
+      values[TIMESTAMP_FIELD] = timestamp;
+    }
+    
+    if (values[TIMESTAMP_FIELD] !== undefined && values[TIMESTAMP_FIELD] !== null) {
+      lastTimestamp = values[TIMESTAMP_FIELD];
+    }
+    
+    messages.push({ globalNumber: definition.globalNumber, fields: values });
+  }
+  
+  return messages;
+};
@@ -0,0 +1,188 @@
+/**
+ * FIT parser
+ * Maps the decoded messages of a FIT activity file to an imported
+ * activity: records become locations and sensor samples, laps become the
+ * recorded lap presses and the session provides the totals.
+ */
+
+import { ACTIVITY_TYPES, AUTO_LAP_MODES } from '../../config/constants';
+import { SENSOR_DATA_TYPES } from '../../database/schemas/sensorDataSchema';
+import { FIT_EPOCH_OFFSET } from '../export/fitEncoder';
+import { decodeFit } from './fitDecoder';
+import { IMPORT_FORMATS, ImportCollector } from './importModel';
+
+const MESSAGE = { SESSION: 18, LAP: 19, RECORD: 20 };
+
+// Field numbers of the messages read below
+const RECORD = {
+  TIMESTAMP: 253,
+  POSITION_LAT: 0,
+  POSITION_LONG: 1,
+  ALTITUDE: 2,
+  HEART_RATE: 3,
+  CADENCE: 4,
+  POWER: 7,
+  VERTICAL_OSCILLATION: 39,
+  STANCE_TIME: 41,
+  FRACTIONAL_CADENCE: 53,
+  ENHANCED_ALTITUDE: 78,
+  VERTICAL_RATIO: 83,
+  STEP_LENGTH: 85,
+};
+const LAP = { TIMESTAMP: 253, TOTAL_TIMER_TIME: 8, TOTAL_DISTANCE: 9, LAP_TRIGGER: 24 };
+const SESSION = {
+  START_TIME: 2,
+  SPORT: 5,
+  SUB_SPORT: 6,
+  TOTAL_ELAPSED_TIME: 7,
+  TOTAL_TIMER_TIME: 8,
+  TOTAL_DISTANCE: 9,
+  TOTAL_ASCENT: 22,
+  TOTAL_MOVING_TIME: 59,
+};
+
+const SPORT_RUNNING = 1;
+const SUB_SPORT = { TREADMILL: 1, TRAIL: 3 };
+
+// FIT lap triggers that correspond to an automatic lap
+const LAP_TRIGGERS = {
+  1: AUTO_LAP_MODES.TIME,
+  2: AUTO_LAP_MODES.DISTANCE,
+  3: AUTO_LAP_MODES.POSITION,
+  4: AUTO_LAP_MODES.POSITION,
+  5: AUTO_LAP_MODES.POSITION,
+  6: AUTO_LAP_MODES.POSITION,
+};
+
+const SEMICIRCLES_TO_DEGREES = 180 / 0x80000000;
+
+/**
+ * Converts a FIT date_time to a Unix timestamp
+ * @param {number|null} fitTime - Seconds since the FIT epoch
+ * @returns {number|null} Milliseconds since the Unix epoch
+ */
+const fromFitTimestamp = (fitTime) => (fitTime !== null ? (fitTime + FIT_EPOCH_OFFSET) * 1000 : null);
+
+/**
+ * Applies a profile scale and offset to a stored value
+ * @param {number|null} value - Stored value
+ * @param {number} scale - Profile scale
+ * @param {number} offset - Profile offset
+ * @returns {number|null} Value in profile units
+ */
+const scaleValue = (value, scale, offset = 0) => (value !== null && value !== undefined ? value / scale - offset : null);
+
+/**
+ * Maps the session sport to an activity type
+ * @param {Object} session - Session fields
+ * @returns {string} Activity type
+ */
+const toActivityType = (session) => {
+  if (session[SESSION.SPORT] !== SPORT_RUNNING) {
+    return session[SESSION.SPORT] === null || session[SESSION.SPORT] === undefined
+      ? ACTIVITY_TYPES.RUN
+      : ACTIVITY_TYPES.OTHER;
+  }
+  
+  if (session[SESSION.SUB_SPORT] === SUB_SPORT.TREADMILL) return ACTIVITY_TYPES.TREADMILL;
+  if (session[SESSION.SUB_SPORT] === SUB_SPORT.TRAIL) return ACTIVITY_TYPES.TRAIL_RUN;
+  return ACTIVITY_TYPES.RUN;
+};
+
+/**
+ * Reads a record message into the collector
+ * @param {ImportCollector} collector - Collector to fill
+ * @param {Object} record - Record fields
+ */
+const readRecord = (collector, record) => {
+  const timestamp = fromFitTimestamp(record[RECORD.TIMESTAMP]);
+  if (!timestamp) {
+    return;
+  }
+  
+  const latitude = record[RECORD.POSITION_LAT];
+  const longitude = record[RECORD.POSITION_LONG];
+  const altitude = record[RECORD.ENHANCED_ALTITUDE] !== null && record[RECORD.ENHANCED_ALTITUDE] !== undefined
+    ? record[RECORD.ENHANCED_ALTITUDE]
+    : record[RECORD.ALTITUDE];
+  
+  if (latitude !== null && latitude !== undefined && longitude !== null && longitude !== undefined) {
+    collector.addLocation(
+      timestamp,
+      latitude * SEMICIRCLES_TO_DEGREES,
+      longitude * SEMICIRCLES_TO_DEGREES,
+      scaleValue(altitude, 5, 500)
+    );
+  }
+  
+  // FIT cadence counts strides, the app records steps
+  let cadence = scaleValue(record[RECORD.CADENCE], 1);
+  if (cadence !== null) {
+    cadence = (cadence + (scaleValue(record[RECORD.FRACTIONAL_CADENCE], 128) || 0)) * 2;
+  }
+  
+  // Running dynamics are stored in mm, the app records cm
+  collector.addSample(timestamp, SENSOR_DATA_TYPES.HEART_RATE, scaleValue(record[RECORD.HEART_RATE], 1));
+  collector.addSample(timestamp, SENSOR_DATA_TYPES.CADENCE, cadence);
+  collector.addSample(timestamp, SENSOR_DATA_TYPES.POWER, scaleValue(record[RECORD.POWER], 1));
+  collector.addSample(timestamp, SENSOR_DATA_TYPES.VERTICAL_OSCILLATION, scaleValue(record[RECORD.VERTICAL_OSCILLATION], 100));
+  collector.addSample(timestamp, SENSOR_DATA_TYPES.GROUND_CONTACT_TIME, scaleValue(record[RECORD.STANCE_TIME], 10));
+  collector.addSample(timestamp, SENSOR_DATA_TYPES.VERTICAL_RATIO, scaleValue(record[RECORD.VERTICAL_RATIO], 100));
+  collector.addSample(timestamp, SENSOR_DATA_TYPES.STRIDE_LENGTH, scaleValue(record[RECORD.STEP_LENGTH], 100));
+};
+
+/**
+ * Parses a FIT activity file
+ * @param {Uint8Array} bytes - FIT file content
+ * @returns {Object} Imported activity, see importModel
+ * @throws {Error} If the file is not FIT or has no timed records
+ */
+export const parseFit = (bytes) => {
+  const messages = decodeFit(bytes);
+  const collector = new ImportCollector();
+  const laps = [];
+  let session = {};
+  let timerTime = 0;
+  let distance = 0;
+  
+  messages.forEach(({ globalNumber, fields }) => {
+    if (globalNumber === MESSAGE.RECORD) {
+      readRecord(collector, fields);
+    } else if (globalNumber === MESSAGE.LAP) {
+      const trigger = LAP_TRIGGERS[fields[LAP.LAP_TRIGGER]];
+      
+      timerTime += scaleValue(fields[LAP.TOTAL_TIMER_TIME], 1000) || 0;
+      distance += scaleValue(fields[LAP.TOTAL_DISTANCE], 100) || 0;
+      
+      laps.push({
+        timestamp: fromFitTimestamp(fields[LAP.TIMESTAMP]),
+        name: `Lap ${laps.length + 1}`,
+        automatic: Boolean(trigger),
+        trigger: trigger || AUTO_LAP_MODES.OFF,
+        timerTime: Math.round(timerTime),
+        distance: Math.round(distance),
+      });
+    } else if (globalNumber === MESSAGE.SESSION && Object.keys(session).length === 0) {
+      session = fields;
+    }
+  });
+  
+  // The last lap closes with the session, the app only stores lap presses
+  laps.pop();
+  
+  const sessionTimerTime = scaleValue(session[SESSION.TOTAL_TIMER_TIME], 1000);
+  const sessionDistance = scaleValue(session[SESSION.TOTAL_DISTANCE], 100);
+  const elapsedTime = scaleValue(session[SESSION.TOTAL_ELAPSED_TIME], 1000);
+  const movingTime = scaleValue(session[SESSION.TOTAL_MOVING_TIME], 1000);
+  
+  return collector.toResult(IMPORT_FORMATS.FIT, {
+    type: toActivityType(session),
+    startTime: fromFitTimestamp(session[SESSION.START_TIME] !== undefined ? session[SESSION.START_TIME] : null),
+    elapsedTime: elapsedTime !== null ? Math.round(elapsedTime) : null,
+    timerTime: sessionTimerTime !== null ? Math.round(sessionTimerTime) : Math.round(timerTime) || null,
+    movingTime: movingTime !== null ? Math.round(movingTime) : null,
+    distance: sessionDistance !== null ? sessionDistance : distance || null,
+    elevationGain: scaleValue(session[SESSION.TOTAL_ASCENT], 1),
+    laps,
+  });
+};
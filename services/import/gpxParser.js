@@ -0,0 +1,61 @@
+/**
+ * GPX parser
+ * Reads the track points of a GPX 1.0/1.1 file, including heart rate and
+ * cadence from the Garmin TrackPointExtension and power from <power>.
+ */
+
+import { SENSOR_DATA_TYPES } from '../../database/schemas/sensorDataSchema';
+import { IMPORT_FORMATS, ImportCollector, toActivityType } from './importModel';
+import {
+  findElement,
+  findElements,
+  getAttribute,
+  getElementNumber,
+  getElementText,
+  parseXmlTime,
+} from './xmlReader';
+
+/**
+ * Parses a GPX document
+ * @param {string} xml - GPX file content
+ * @returns {Object} Imported activity, see importModel
+ * @throws {Error} If the document is not GPX or has no timed points
+ */
+export const parseGpx = (xml) => {
+  const gpx = findElement(xml, 'gpx');
+  if (!gpx) {
+    throw new Error('Not a GPX file');
+  }
+  
+  const collector = new ImportCollector();
+  const track = findElement(gpx.content, 'trk');
+  const source = track ? track.content : gpx.content;
+  
+  findElements(source, 'trkpt').forEach(point => {
+    const timestamp = parseXmlTime(getElementText(point.content, 'time'));
+    if (!timestamp) {
+      return;
+    }
+    
+    collector.addLocation(
+      timestamp,
+      Number(getAttribute(point, 'lat')),
+      Number(getAttribute(point, 'lon')),
+      getElementNumber(point.content, 'ele')
+    );
+    
+    // GPX cadence counts strides, the app records steps
+    const cadence = getElementNumber(point.content, 'cad');
+    collector.addSample(timestamp, SENSOR_DATA_TYPES.HEART_RATE, getElementNumber(point.content, 'hr'));
+    collector.addSample(timestamp, SENSOR_DATA_TYPES.CADENCE, cadence !== null ? cadence * 2 : null);
+    collector.addSample(timestamp, SENSOR_DATA_TYPES.POWER, getElementNumber(point.content, 'power'));
+  });
+  
+  const metadata = findElement(gpx.content, 'metadata');
+  
+  return collector.toResult(IMPORT_FORMATS.GPX, {
+    name: (track && getElementText(track.content, 'name')) ||
+      (metadata && getElementText(metadata.content, 'name')) || null,
+    type: toActivityType(track && getElementText(track.content, 'type')),
+  });
+};
@@ -0,0 +1,109 @@
+/**
+ * Import formats
+ * Detects the format of an activity file and hands it to its parser. Used
+ * by the app's importer and by the backend import endpoint.
+ */
+
+import { generateActivitySummary } from '../activity/activitySummary';
+import { IMPORT_FORMATS } from './importModel';
+import { isFitFile } from './fitDecoder';
+import { parseFit } from './fitParser';
+import { parseGpx } from './gpxParser';
+import { parseTcx } from './tcxParser';
+
+export { IMPORT_FORMATS } from './importModel';
+
+// File extensions accepted by the importer
+export const IMPORT_FILE_EXTENSIONS = {
+  gpx: IMPORT_FORMATS.GPX,
+  tcx: IMPORT_FORMATS.TCX,
+  fit: IMPORT_FORMATS.FIT,
+};
+
+/**
+ * Gets the import format from a file name
+ * @param {string} fileName - File name
+ * @returns {string|null} One of IMPORT_FORMATS, null when not supported
+ */
+export const getFormatFromFileName = (fileName) => {
+  const match = /\.([a-z0-9]+)$/i.exec(fileName || '');
+  return match ? IMPORT_FILE_EXTENSIONS[match[1].toLowerCase()] || null : null;
+};
+
+/**
+ * Detects the format of a file from its content, falling back to its name
+ * @param {string|Uint8Array} content - File content, text or bytes
+ * @param {string} fileName - File name
+ * @returns {string|null} One of IMPORT_FORMATS, null when not recognized
+ */
+export const detectImportFormat = (content, fileName) => {
+  if (typeof content !== 'string' && isFitFile(content)) {
+    return IMPORT_FORMATS.FIT;
+  }
+  
+  const head = typeof content === 'string'
+    ? content.slice(0, 2048)
+    : new TextDecoder('utf-8').decode(content.subarray(0, 2048));
+  if (/<(?:[\w.-]+:)?gpx\b/.test(head)) return IMPORT_FORMATS.GPX;
+  if (/<(?:[\w.-]+:)?TrainingCenterDatabase\b/.test(head)) return IMPORT_FORMATS.TCX;
+  
+  return getFormatFromFileName(fileName);
+};
+
+/**
+ * Parses an activity file
+ * @param {string|Uint8Array} content - File content, FIT files as bytes
+ * @param {string} fileName - File name
+ * @returns {Object} { format, activity, locations, sensorData }
+ * @throws {Error} If the format is not supported or the file can't be read
+ */
+export const parseActivityFile = (content, fileName) => {
+  const format = detectImportFormat(content, fileName);
+  
+  if (format === IMPORT_FORMATS.FIT) {
+    if (typeof content === 'string') {
+      throw new Error('FIT files must be read as binary');
+    }
+    return parseFit(content);
+  }
+  
+  const text = typeof content === 'string' ? content : new TextDecoder('utf-8').decode(content);
+  
+  if (format === IMPORT_FORMATS.GPX) return parseGpx(text);
+  if (format === IMPORT_FORMATS.TCX) return parseTcx(text);
+  
+  throw new Error('Unsupported file format, use GPX, TCX or FIT');
+};
+
+/**
+ * Completes an imported activity with the summary metrics, totals read
+ * from the file take precedence over the ones computed from the track
+ * @param {Object} imported - Result of parseActivityFile
+ * @returns {Object} Activity fields, camelCase, times in seconds
+ */
+export const summarizeImport = ({ format, activity, locations, sensorData }) => {
+  const summary = generateActivitySummary({
+    ...activity,
+    id: `${format}-${activity.startTime}`,
+    locationData: locations,
+    sensorData,
+  });
+  
+  const timerTime = activity.timerTime || activity.elapsedTime;
+  const movingTime = activity.movingTime || timerTime;
+  const distance = activity.distance || summary.distance;
+  
+  return {
+    ...activity,
+    name: activity.name || summary.name,
+    duration: timerTime,
+    timerTime,
+    movingTime,
+    distance,
+    avgHeartRate: Math.round(summary.avgHeartRate) || null,
+    avgPower: Math.round(summary.avgPower) || null,
+    avgPace: distance > 0 && movingTime > 0 ? (movingTime / 60) / (distance / 1000) : null, // min/km
+    elevationGain: activity.elevationGain || Math.round(summary.elevationGain) || null,
+    tss: summary.tss,
+  };
+};
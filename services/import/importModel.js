@@ -0,0 +1,127 @@
+/**
+ * Imported activity model
+ * Every parser returns the same shape: the activity fields found in the
+ * file, its locations and its sensor samples, in the units the app records.
+ */
+
+import { ACTIVITY_TYPES } from '../../config/constants';
+
+export const IMPORT_FORMATS = {
+  GPX: 'gpx',
+  TCX: 'tcx',
+  FIT: 'fit',
+};
+
+// Sport names used by other platforms
+const SPORT_ALIASES = {
+  running: ACTIVITY_TYPES.RUN,
+  run: ACTIVITY_TYPES.RUN,
+  trail_running: ACTIVITY_TYPES.TRAIL_RUN,
+  trail_run: ACTIVITY_TYPES.TRAIL_RUN,
+  treadmill: ACTIVITY_TYPES.TREADMILL,
+  treadmill_running: ACTIVITY_TYPES.TREADMILL,
+  race: ACTIVITY_TYPES.RACE,
+  interval: ACTIVITY_TYPES.INTERVAL,
+};
+
+/**
+ * Maps a sport name from a file to an activity type
+ * @param {string|null} sport - Sport or type text
+ * @returns {string} Activity type
+ */
+export const toActivityType = (sport) => {
+  if (!sport) {
+    return ACTIVITY_TYPES.RUN;
+  }
+  
+  const key = String(sport).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return SPORT_ALIASES[key] || ACTIVITY_TYPES.OTHER;
+};
+
+/**
+ * Collects locations and sensor samples while a file is read
+ */
+export class ImportCollector {
+  constructor() {
+    this.locations = [];
+    this.sensorData = [];
+  }
+  
+  /**
+   * Adds a location, points without a valid position are skipped
+   * @param {number} timestamp - Milliseconds since epoch
+   * @param {number|null} latitude - Degrees
+   * @param {number|null} longitude - Degrees
+   * @param {number|null} altitude - Meters
+   */
+  addLocation(timestamp, latitude, longitude, altitude = null) {
+    if (!timestamp || typeof latitude !== 'number' || typeof longitude !== 'number' ||
+        isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return;
+    }
+    
+    this.locations.push({ timestamp, latitude, longitude, altitude });
+  }
+  
+  /**
+   * Adds a sensor sample, missing values are skipped
+   * @param {number} timestamp - Milliseconds since epoch
+   * @param {string} dataType - Sensor data type, as in SENSOR_DATA_TYPES
+   * @param {number|null} value - Value in the app's units
+   */
+  addSample(timestamp, dataType, value) {
+    if (!timestamp || value === null || value === undefined || isNaN(value)) {
+      return;
+    }
+    
+    this.sensorData.push({ timestamp, dataType, value });
+  }
+  
+  /**
+   * Gets the first and last timestamps seen
+   * @returns {Object} { first, last }, null when nothing was collected
+   */
+  getTimeRange() {
+    let first = null;
+    let last = null;
+    
+    [...this.locations, ...this.sensorData].forEach(({ timestamp }) => {
+      if (first === null || timestamp < first) first = timestamp;
+      if (last === null || timestamp > last) last = timestamp;
+    });
+    
+    return { first, last };
+  }
+  
+  /**
+   * Builds the parser result
+   * @param {string} format - One of IMPORT_FORMATS
+   * @param {Object} activity - Activity fields read from the file
+   * @returns {Object} { format, activity, locations, sensorData }
+   * @throws {Error} If the file holds no timed data
+   */
+  toResult(format, activity) {
+    const { first, last } = this.getTimeRange();
+    const startTime = activity.startTime || first;
+    
+    if (!startTime) {
+      throw new Error('The file contains no timed track data');
+    }
+    
+    const endTime = activity.endTime || last || startTime;
+    
+    return {
+      format,
+      activity: {
+        type: ACTIVITY_TYPES.RUN,
+        laps: [],
+        ...activity,
+        startTime,
+        endTime,
+        elapsedTime: activity.elapsedTime || Math.round((endTime - startTime) / 1000),
+      },
+      locations: this.locations.sort((a, b) => a.timestamp - b.timestamp),
+      sensorData: this.sensorData.sort((a, b) => a.timestamp - b.timestamp),
+    };
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * TCX parser
+ * Reads the first activity of a Training Center database: laps, track
+ * points, heart rate, cadence and the ActivityExtension speed and power.
+ */
+
+import { AUTO_LAP_MODES } from '../../config/constants';
+import { SENSOR_DATA_TYPES } from '../../database/schemas/sensorDataSchema';
+import { IMPORT_FORMATS, ImportCollector, toActivityType } from './importModel';
+import {
+  findElement,
+  findElements,
+  getAttribute,
+  getElementNumber,
+  getElementText,
+  parseXmlTime,
+} from './xmlReader';
+
+// TCX lap trigger methods that correspond to an automatic lap
+const AUTOMATIC_TRIGGERS = {
+  Distance: AUTO_LAP_MODES.DISTANCE,
+  Location: AUTO_LAP_MODES.POSITION,
+  Time: AUTO_LAP_MODES.TIME,
+};
+
+/**
+ * Reads the track points of a lap into the collector
+ * @param {ImportCollector} collector - Collector to fill
+ * @param {string} lapXml - Lap content
+ */
+const readTrackPoints = (collector, lapXml) => {
+  findElements(lapXml, 'Trackpoint').forEach(point => {
+    const timestamp = parseXmlTime(getElementText(point.content, 'Time'));
+    if (!timestamp) {
+      return;
+    }
+    
+    const position = findElement(point.content, 'Position');
+    if (position) {
+      collector.addLocation(
+        timestamp,
+        getElementNumber(position.content, 'LatitudeDegrees'),
+        getElementNumber(position.content, 'LongitudeDegrees'),
+        getElementNumber(point.content, 'AltitudeMeters')
+      );
+    }
+    
+    const heartRate = findElement(point.content, 'HeartRateBpm');
+    collector.addSample(
+      timestamp,
+      SENSOR_DATA_TYPES.HEART_RATE,
+      heartRate ? getElementNumber(heartRate.content, 'Value') : null
+    );
+    
+    // TCX cadence counts strides, the app records steps
+    const cadence = getElementNumber(point.content, 'RunCadence') !== null
+      ? getElementNumber(point.content, 'RunCadence')
+      : getElementNumber(point.content, 'Cadence');
+    collector.addSample(timestamp, SENSOR_DATA_TYPES.CADENCE, cadence !== null ? cadence * 2 : null);
+    collector.addSample(timestamp, SENSOR_DATA_TYPES.POWER, getElementNumber(point.content, 'Watts'));
+  });
+};
+
+/**
+ * Parses a TCX document
+ * @param {string} xml - TCX file content
+ * @returns {Object} Imported activity, see importModel
+ * @throws {Error} If the document has no activity or no timed points
+ */
+export const parseTcx = (xml) => {
+  if (!findElement(xml, 'TrainingCenterDatabase')) {
+    throw new Error('Not a TCX file');
+  }
+  
+  const activity = findElement(xml, 'Activity');
+  if (!activity) {
+    throw new Error('The TCX file contains no activity');
+  }
+  
+  const collector = new ImportCollector();
+  const laps = [];
+  const lapStarts = [];
+  let timerTime = 0;
+  let distance = 0;
+  let hasDistance = false;
+  
+  findElements(activity.content, 'Lap').forEach((lap, index) => {
+    readTrackPoints(collector, lap.content);
+    
+    // Lap totals are read without the track so point values never match
+    const summary = lap.content.replace(/<(?:[\w.-]+:)?Track\b[\s\S]*?<\/(?:[\w.-]+:)?Track\s*>/g, '');
+    const lapTime = getElementNumber(summary, 'TotalTimeSeconds');
+    const lapDistance = getElementNumber(summary, 'DistanceMeters');
+    const trigger = getElementText(summary, 'TriggerMethod');
+    
+    timerTime += lapTime || 0;
+    if (lapDistance !== null) {
+      distance += lapDistance;
+      hasDistance = true;
+    }
+    
+    lapStarts.push(parseXmlTime(getAttribute(lap, 'StartTime')));
+    laps.push({
+      name: getElementText(summary, 'Notes') || `Lap ${index + 1}`,
+      automatic: Boolean(AUTOMATIC_TRIGGERS[trigger]),
+      trigger: AUTOMATIC_TRIGGERS[trigger] || AUTO_LAP_MODES.OFF,
+      timerTime: Math.round(timerTime),
+      distance: Math.round(distance),
+    });
+  });
+  
+  // A lap is pressed when the next one starts, the last lap closes with the activity
+  laps.pop();
+  laps.forEach((lap, index) => {
+    lap.timestamp = lapStarts[index + 1];
+  });
+  
+  const activitySummary = activity.content.replace(/<(?:[\w.-]+:)?Lap\b[\s\S]*?<\/(?:[\w.-]+:)?Lap\s*>/g, '');
+  
+  return collector.toResult(IMPORT_FORMATS.TCX, {
+    notes: getElementText(activitySummary, 'Notes') || null,
+    type: toActivityType(getAttribute(activity, 'Sport')),
+    timerTime: timerTime > 0 ? Math.round(timerTime) : null,
+    distance: hasDistance ? distance : null,
+    laps,
+  });
+};
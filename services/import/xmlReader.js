@@ -0,0 +1,110 @@
+/**
+ * Minimal XML helpers for activity files
+ * GPX and TCX are flat enough to read element by element without a full
+ * parser. Element names match with or without a namespace prefix, so
+ * <hr>, <gpxtpx:hr> and <ns3:hr> are all found by 'hr'.
+ */
+
+const XML_ENTITIES = {
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&apos;': "'",
+  '&amp;': '&',
+};
+
+/**
+ * Builds a pattern matching an element with any namespace prefix
+ * @param {string} name - Local element name
+ * @returns {RegExp} Pattern capturing attributes and content
+ */
+const elementPattern = (name) =>
+  new RegExp(`<(?:[\\w.-]+:)?${name}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</(?:[\\w.-]+:)?${name}\\s*>)`, 'g');
+
+/**
+ * Decodes XML entities in text
+ * @param {string} text - Raw text
+ * @returns {string} Decoded text
+ */
+export const decodeXmlText = (text) => text
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&(lt|gt|quot|apos|amp);/g, entity => XML_ENTITIES[entity])
+  .trim();
+
+/**
+ * Finds all elements with a name
+ * @param {string} xml - XML text to search
+ * @param {string} name - Local element name
+ * @returns {Array} Elements as { attributes, content }
+ */
+export const findElements = (xml, name) => {
+  const elements = [];
+  const pattern = elementPattern(name);
+  let match = pattern.exec(xml);
+  
+  while (match) {
+    elements.push({ attributes: match[1] || '', content: match[2] || '' });
+    match = pattern.exec(xml);
+  }
+  
+  return elements;
+};
+
+/**
+ * Finds the first element with a name
+ * @param {string} xml - XML text to search
+ * @param {string} name - Local element name
+ * @returns {Object|null} Element as { attributes, content }
+ */
+export const findElement = (xml, name) => {
+  const match = elementPattern(name).exec(xml);
+  return match ? { attributes: match[1] || '', content: match[2] || '' } : null;
+};
+
+/**
+ * Reads the text of the first element with a name
+ * @param {string} xml - XML text to search
+ * @param {string} name - Local element name
+ * @returns {string|null} Element text
+ */
+export const getElementText = (xml, name) => {
+  const element = findElement(xml, name);
+  return element ? decodeXmlText(element.content) : null;
+};
+
+/**
+ * Reads the first element with a name as a number
+ * @param {string} xml - XML text to search
+ * @param {string} name - Local element name
+ * @returns {number|null} Element value, null when missing or not numeric
+ */
+export const getElementNumber = (xml, name) => {
+  const text = getElementText(xml, name);
+  const value = text !== null && text !== '' ? Number(text) : NaN;
+  return isNaN(value) ? null : value;
+};
+
+/**
+ * Reads an attribute from an element's attribute text
+ * @param {Object} element - Element from findElements
+ * @param {string} name - Attribute name
+ * @returns {string|null} Attribute value
+ */
+export const getAttribute = (element, name) => {
+  const match = new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`).exec(element.attributes);
+  if (!match) {
+    return null;
+  }
+  
+  return decodeXmlText(match[2] !== undefined ? match[2] : match[3]);
+};
+
+/**
+ * Parses an XML date time
+ * @param {string|null} text - ISO 8601 time
+ * @returns {number|null} Milliseconds since epoch
+ */
+export const parseXmlTime = (text) => {
+  const timestamp = text ? Date.parse(text) : NaN;
+  return isNaN(timestamp) ? null : timestamp;
+};
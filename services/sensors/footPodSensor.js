@@ -0,0 +1,265 @@
+// Import BLE utilities
+import bleManager from '../ble/bleManager';
+import { SERVICE_UUIDS, CHARACTERISTIC_UUIDS } from '../ble/bleConstants';
+import { parseRscMeasurement, parseRscFeature, speedToPace } from '../ble/parsers/rscParser';
+
+// Import sensor types
+import { SENSOR_TYPES } from './sensorManager';
+
+// Import logger
+import logger from '../../utils/logger';
+
+/**
+ * Service for processing Running Speed and Cadence data from foot pods
+ */
+class FootPodSensor {
+  constructor() {
+    // Connected device reference
+    this.device = null;
+
+    // Supported RSC features, null until read
+    this.features = null;
+
+    // Latest readings
+    this.readings = {};
+
+    // Time each reading was last updated
+    this.readingTimestamps = {};
+
+    // Walking or running status reported by the pod
+    this.isRunning = null;
+
+    // Track subscriptions for cleanup
+    this.subscriptions = [];
+
+    // Distance bookkeeping
+    this.cumulativeData = {
+      distance: 0,
+      startTotalDistance: null,
+      lastUpdateTime: 0,
+    };
+  }
+
+  /**
+   * Initializes foot pod connection
+   * @param {Object} device - Connected BLE device
+   * @returns {Promise<boolean>} Success state
+   * @throws {Error} If initialization fails
+   */
+  async initialize(device) {
+    try {
+      logger.info(`Initializing foot pod sensor for device: ${device.id}`);
+
+      this.device = device;
+
+      const hasRscService = device.discoveredServices?.some(
+        service => service.uuid.toLowerCase() === SERVICE_UUIDS.RUNNING_SPEED_CADENCE
+      );
+
+      if (!hasRscService) {
+        throw new Error('Running speed and cadence service not found on device');
+      }
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to initialize foot pod sensor', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Starts data collection from the foot pod
+   * @returns {Promise<boolean>} Success state
+   */
+  async start() {
+    try {
+      if (!this.device) {
+        throw new Error('No foot pod connected');
+      }
+
+      logger.info(`Starting foot pod sensor for device: ${this.device.id}`);
+
+      // Read supported fields before the first notification
+      this.features = await this._readFeatures();
+
+      const subscription = await bleManager.subscribeToCharacteristic(
+        this.device.id,
+        SERVICE_UUIDS.RUNNING_SPEED_CADENCE,
+        CHARACTERISTIC_UUIDS.RSC_MEASUREMENT,
+        this._handleMeasurement.bind(this)
+      );
+
+      this.subscriptions.push(subscription);
+      this.cumulativeData.lastUpdateTime = Date.now();
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to start foot pod sensor', error);
+
+      // Clean up any subscriptions on failure
+      this.stop().catch(stopError => {
+        logger.error('Error stopping foot pod sensor after start failure', stopError);
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Stops data collection and cleans up
+   * @returns {Promise<void>} Resolves when stopped
+   */
+  async stop() {
+    try {
+      logger.info('Stopping foot pod sensor');
+
+      for (const subscription of this.subscriptions) {
+        subscription.remove();
+      }
+
+      this.subscriptions = [];
+    } catch (error) {
+      logger.error('Error stopping foot pod sensor', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets latest readings from the foot pod
+   * @returns {Object} Current sensor readings
+   */
+  getReadings() {
+    return { ...this.readings };
+  }
+
+  /**
+   * Gets the time each reading was last updated
+   * @returns {Object} Timestamps in milliseconds keyed by sensor type
+   */
+  getReadingTimestamps() {
+    return { ...this.readingTimestamps };
+  }
+
+  /**
+   * Gets the RSC features of the connected pod
+   * @returns {Object|null} Supported measurement features
+   */
+  getFeatures() {
+    return this.features ? { ...this.features } : null;
+  }
+
+  /**
+   * Stores a reading along with its update time
+   * @param {string} type - Sensor type
+   * @param {any} value - Reading value
+   * @private
+   */
+  _setReading(type, value) {
+    this.readings[type] = value;
+    this.readingTimestamps[type] = Date.now();
+  }
+
+  /**
+   * Reads the RSC Feature characteristic
+   * @returns {Promise<Object|null>} Supported features, null if unreadable
+   * @private
+   */
+  async _readFeatures() {
+    try {
+      const value = await bleManager.readCharacteristic(
+        this.device.id,
+        SERVICE_UUIDS.RUNNING_SPEED_CADENCE,
+        CHARACTERISTIC_UUIDS.RSC_FEATURE
+      );
+
+      return parseRscFeature(value);
+    } catch (error) {
+      logger.warn('Could not read RSC features', { deviceId: this.device.id });
+      return null;
+    }
+  }
+
+  /**
+   * Processes RSC measurement notifications
+   * @param {string} data - Base64 encoded characteristic value
+   * @returns {Object} Parsed measurement
+   * @private
+   */
+  _handleMeasurement(data) {
+    try {
+      const measurement = parseRscMeasurement(data);
+
+      if (!measurement) {
+        logger.warn('Invalid RSC measurement format');
+        return null;
+      }
+
+      this._setReading(SENSOR_TYPES.SPEED, measurement.speed);
+      this._setReading(SENSOR_TYPES.PACE, speedToPace(measurement.speed));
+      this._setReading(SENSOR_TYPES.CADENCE, measurement.cadence);
+
+      if (measurement.strideLength !== null) {
+        this._setReading(SENSOR_TYPES.STRIDE_LENGTH, measurement.strideLength);
+      }
+
+      // Status bit is only meaningful when the pod supports it
+      if (!this.features || this.features.runningStatus) {
+        this.isRunning = measurement.isRunning;
+      }
+
+      this._updateDistance(measurement);
+
+      return measurement;
+    } catch (error) {
+      logger.error('Error processing RSC measurement', error);
+      return null;
+    }
+  }
+
+  /**
+   * Updates session distance, preferring the pod's total distance
+   * and integrating speed when the pod doesn't report it
+   * @param {Object} measurement - Parsed RSC measurement
+   * @private
+   */
+  _updateDistance(measurement) {
+    const now = Date.now();
+
+    if (measurement.totalDistance !== null) {
+      // Total distance counts since the pod was reset, not since session start
+      if (this.cumulativeData.startTotalDistance === null ||
+          measurement.totalDistance < this.cumulativeData.startTotalDistance) {
+        this.cumulativeData.startTotalDistance = measurement.totalDistance - this.cumulativeData.distance;
+      }
+
+      this.cumulativeData.distance = measurement.totalDistance - this.cumulativeData.startTotalDistance;
+    } else if (this.cumulativeData.lastUpdateTime > 0) {
+      const elapsed = (now - this.cumulativeData.lastUpdateTime) / 1000; // in seconds
+      this.cumulativeData.distance += measurement.speed * elapsed;
+    }
+
+    this.cumulativeData.lastUpdateTime = now;
+
+    // Distance reading in meters
+    this._setReading(SENSOR_TYPES.DISTANCE, this.cumulativeData.distance);
+  }
+
+  /**
+   * Cleans up resources and subscriptions
+   */
+  async cleanup() {
+    await this.stop();
+    this.device = null;
+    this.features = null;
+    this.readings = {};
+    this.readingTimestamps = {};
+    this.isRunning = null;
+    this.cumulativeData = {
+      distance: 0,
+      startTotalDistance: null,
+      lastUpdateTime: 0,
+    };
+  }
+}
+
+export default FootPodSensor;
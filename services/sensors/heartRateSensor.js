@@ -1,10 +1,15 @@
+import { EventEmitter } from 'events';
+
 // Import BLE utilities
 import bleManager from '../ble/bleManager';
 import { 
   SERVICE_UUIDS, 
   CHARACTERISTIC_UUIDS,
-  DEVICE_TYPES
+  DEVICE_TYPES,
+  SENSOR_CONTACT_STATUS
 } from '../ble/bleConstants';
+import { parseRscMeasurement, speedToPace } from '../ble/parsers/rscParser';
+import { parseHeartRateMeasurement } from '../ble/parsers/heartRateParser';
 
 // Import sensor types
 import { SENSOR_TYPES } from './sensorManager';
@@ -12,11 +17,19 @@ import { SENSOR_TYPES } from './sensorManager';
 // Import logger
 import logger from '../../utils/logger';
 
+// Heart rate sensor events
+export const HEART_RATE_EVENTS = {
+  CONTACT_CHANGED: 'heartRateContactChanged',
+  RR_INTERVALS: 'heartRateRrIntervals',
+};
+
 /**
  * Service for processing heart rate sensor data from HRM Pro+ device
  */
-class HeartRateSensor {
+class HeartRateSensor extends EventEmitter {
   constructor() {
+    super();
+    
     // Connected device reference
     this.device = null;
     
@@ -26,6 +39,12 @@ class HeartRateSensor {
     // Latest readings
     this.readings = {};
     
+    // Time each reading was last updated
+    this.readingTimestamps = {};
+    
+    // Skin contact status reported by the strap
+    this.contactStatus = SENSOR_CONTACT_STATUS.UNSUPPORTED;
+    
     // Track subscriptions for cleanup
     this.subscriptions = [];
     
@@ -34,6 +53,7 @@ class HeartRateSensor {
       steps: 0,
       distance: 0,
       lastStepCount: 0,
+      startTotalDistance: null,
     };
   }
   
@@ -136,6 +156,25 @@ class HeartRateSensor {
     return { ...this.readings };
   }
   
+  /**
+   * Gets the time each reading was last updated
+   * @returns {Object} Timestamps in milliseconds keyed by sensor type
+   */
+  getReadingTimestamps() {
+    return { ...this.readingTimestamps };
+  }
+  
+  /**
+   * Stores a reading along with its update time
+   * @param {string} type - Sensor type
+   * @param {any} value - Reading value
+   * @private
+   */
+  _setReading(type, value) {
+    this.readings[type] = value;
+    this.readingTimestamps[type] = Date.now();
+  }
+  
   /**
    * Subscribes to heart rate measurement characteristic
    * @returns {Promise<Object>} Subscription object
@@ -174,9 +213,8 @@ class HeartRateSensor {
    */
   async _subscribeToRunningDynamics() {
     try {
-      // This is a simplified implementation
-      // Real implementation would use the actual Garmin Running Dynamics service
-      // We'll use the Running Speed and Cadence service as an example
+      // HRM Pro straps report running dynamics through the standard
+      // Running Speed and Cadence service
       
       // Check if running dynamics service is available
       const deviceHasService = await this._deviceHasService(SERVICE_UUIDS.RUNNING_SPEED_CADENCE);
@@ -237,110 +275,142 @@ class HeartRateSensor {
     }
   }
   
+  /**
+   * Gets the skin contact status of the strap
+   * @returns {string} Contact status
+   */
+  getContactStatus() {
+    return this.contactStatus;
+  }
+  
   /**
    * Processes heart rate measurement data
-   * @param {ArrayBuffer} data - Raw characteristic value
-   * @returns {Object} Processed heart rate metrics
+   * @param {string} data - Base64 encoded characteristic value
+   * @returns {Object} Parsed heart rate measurement
    * @private
    */
   _handleHeartRateData(data) {
     try {
-      // Parse the heart rate data from raw bytes
-      const heartRate = this._parseHeartRateValue(data);
+      const measurement = parseHeartRateMeasurement(data);
+      
+      if (!measurement) {
+        logger.warn('Invalid heart rate data format');
+        return null;
+      }
+      
+      this._updateContactStatus(measurement.contactStatus);
+      
+      // Values measured without skin contact are noise, let the reading go
+      // stale so another source can take over
+      if (measurement.contactStatus === SENSOR_CONTACT_STATUS.NOT_DETECTED) {
+        return measurement;
+      }
       
-      // Update readings
-      this.readings[SENSOR_TYPES.HEART_RATE] = heartRate;
+      this._setReading(SENSOR_TYPES.HEART_RATE, measurement.heartRate);
       
-      return heartRate;
+      if (measurement.energyExpended !== null) {
+        this._setReading(SENSOR_TYPES.ENERGY_EXPENDED, measurement.energyExpended);
+      }
+      
+      if (measurement.rrIntervals.length > 0) {
+        this._emitRrIntervals(measurement.rrIntervals);
+      }
+      
+      return measurement;
     } catch (error) {
       logger.error('Error processing heart rate data', error);
       return null;
     }
   }
   
+  /**
+   * Tracks skin contact changes and notifies listeners
+   * @param {string} status - Contact status from the latest measurement
+   * @private
+   */
+  _updateContactStatus(status) {
+    if (status === this.contactStatus) {
+      return;
+    }
+    
+    const previousStatus = this.contactStatus;
+    this.contactStatus = status;
+    
+    if (status === SENSOR_CONTACT_STATUS.NOT_DETECTED) {
+      logger.warn('Heart rate strap lost skin contact', { deviceId: this.device?.id });
+    }
+    
+    this.emit(HEART_RATE_EVENTS.CONTACT_CHANGED, { status, previousStatus });
+  }
+  
+  /**
+   * Timestamps RR intervals and notifies listeners. The last interval of a
+   * notification ends at the time it was received, earlier ones are placed
+   * back to back before it.
+   * @param {Array<number>} rrIntervals - Intervals in milliseconds, oldest first
+   * @private
+   */
+  _emitRrIntervals(rrIntervals) {
+    let timestamp = Date.now();
+    const intervals = [];
+    
+    for (let i = rrIntervals.length - 1; i >= 0; i--) {
+      intervals.unshift({ timestamp: Math.round(timestamp), value: rrIntervals[i] });
+      timestamp -= rrIntervals[i];
+    }
+    
+    this.emit(HEART_RATE_EVENTS.RR_INTERVALS, intervals);
+  }
+  
   /**
    * Processes running dynamics data
-   * @param {ArrayBuffer} data - Raw characteristic value
-   * @returns {Object} Processed cadence and step metrics
+   * @param {string} data - Base64 encoded characteristic value
+   * @returns {Object} Processed cadence, stride and distance metrics
    * @private
    */
   _handleRunningDynamicsData(data) {
     try {
       // Parse running dynamics data
-      const { cadence, steps, strideLength } = this._parseRunningDynamicsData(data);
+      const measurement = this._parseRunningDynamicsData(data);
       
-      // Update cadence reading
-      if (cadence !== null && cadence !== undefined) {
-        this.readings[SENSOR_TYPES.CADENCE] = cadence;
+      if (!measurement) {
+        return null;
       }
       
+      const { speed, cadence, strideLength, totalDistance } = measurement;
+      
+      // Update cadence reading
+      this._setReading(SENSOR_TYPES.CADENCE, cadence);
+      
       // Update stride length reading
-      if (strideLength !== null && strideLength !== undefined) {
-        this.readings[SENSOR_TYPES.STRIDE_LENGTH] = strideLength;
+      if (strideLength !== null) {
+        this._setReading(SENSOR_TYPES.STRIDE_LENGTH, strideLength);
       }
       
-      // Update step count and calculate distance
-      if (steps !== null && steps !== undefined) {
-        // Calculate step delta
-        const previousSteps = this.cumulativeData.lastStepCount;
-        const stepDelta = (steps >= previousSteps) ? (steps - previousSteps) : steps;
+      // Update speed and pace
+      this._setReading(SENSOR_TYPES.SPEED, speed);
+      this._setReading(SENSOR_TYPES.PACE, speedToPace(speed));
+      
+      // Update session distance from the strap's total distance
+      if (totalDistance !== null) {
+        if (this.cumulativeData.startTotalDistance === null ||
+            totalDistance < this.cumulativeData.startTotalDistance) {
+          this.cumulativeData.startTotalDistance = totalDistance - this.cumulativeData.distance;
+        }
         
-        // Update cumulative steps
-        this.cumulativeData.steps += stepDelta;
-        this.cumulativeData.lastStepCount = steps;
+        this.cumulativeData.distance = totalDistance - this.cumulativeData.startTotalDistance;
         
-        // Calculate distance from steps and stride length (if available)
-        if (strideLength) {
-          const distanceDelta = (stepDelta * strideLength) / 100; // convert from cm to meters
-          this.cumulativeData.distance += distanceDelta;
-          
-          // Update distance reading (in meters)
-          this.readings[SENSOR_TYPES.DISTANCE] = this.cumulativeData.distance;
-        }
-      }
-      
-      // Calculate pace if we have cadence and stride length
-      if (cadence && strideLength) {
-        const pace = this._calculatePace(cadence, strideLength);
-        this.readings[SENSOR_TYPES.PACE] = pace;
+        // Update distance reading (in meters)
+        this._setReading(SENSOR_TYPES.DISTANCE, this.cumulativeData.distance);
       }
       
-      return { cadence, steps, strideLength };
+      return measurement;
     } catch (error) {
       logger.error('Error processing running dynamics data', error);
       return null;
     }
   }
   
-  /**
-   * Calculates pace from cadence and stride data
-   * @param {number} cadence - Steps per minute
-   * @param {number} strideLength - Stride length in centimeters
-   * @returns {number} Pace in minutes per kilometer
-   * @private
-   */
-  _calculatePace(cadence, strideLength) {
-    try {
-      // Skip calculation if inputs are invalid
-      if (!cadence || !strideLength || cadence <= 0 || strideLength <= 0) {
-        return 0;
-      }
-      
-      // Calculate speed in meters per minute
-      // cadence = steps per minute
-      // strideLength = centimeters per step
-      const speedMpm = (cadence * strideLength) / 100;
-      
-      // Convert to minutes per kilometer
-      const pace = 1000 / speedMpm;
-      
-      return pace;
-    } catch (error) {
-      logger.error('Error calculating pace', error);
-      return 0;
-    }
-  }
-  
   /**
    * Updates accumulated distance based on steps
    * @param {number} steps - New step count
@@ -376,87 +446,20 @@ class HeartRateSensor {
     }
   }
   
-  /**
-   * Parses heart rate value from characteristic data
-   * @param {string} data - Base64 encoded characteristic value
-   * @returns {number} Heart rate in beats per minute
-   * @private
-   */
-  _parseHeartRateValue(data) {
-    try {
-      // Decode the base64 data
-      const bytes = this._decodeBase64(data);
-      
-      // Check if data is available
-      if (!bytes || bytes.length < 2) {
-        logger.warn('Invalid heart rate data format');
-        return 0;
-      }
-      
-      // First byte contains flags
-      const flags = bytes[0];
-      
-      // Check format: bit 0 indicates heart rate format
-      // 0 = uint8, 1 = uint16
-      const isUint16 = (flags & 0x01) === 1;
-      
-      // Extract heart rate value based on format
-      let heartRate;
-      if (isUint16) {
-        // Heart rate is 16-bit uint (bytes 1-2)
-        heartRate = (bytes[2] << 8) + bytes[1];
-      } else {
-        // Heart rate is 8-bit uint (byte 1)
-        heartRate = bytes[1];
-      }
-      
-      return heartRate;
-    } catch (error) {
-      logger.error('Error parsing heart rate data', error);
-      return 0;
-    }
-  }
-  
   /**
    * Parses running dynamics data
-   * @param {string} data - Base64 encoded characteristic value
-   * @returns {Object} Parsed running dynamics data
+   * @param {string} data - Base64 encoded RSC measurement value
+   * @returns {Object|null} Parsed RSC measurement
    * @private
    */
   _parseRunningDynamicsData(data) {
-    try {
-      // This is a simplified implementation
-      // Real implementation would decode according to the specific format of the device
-      
-      // Decode the base64 data
-      const bytes = this._decodeBase64(data);
-      
-      // Check if data is available
-      if (!bytes || bytes.length < 4) {
-        logger.warn('Invalid running dynamics data format');
-        return { cadence: null, steps: null, strideLength: null };
-      }
-      
-      // Simplified parsing - actual HRM Pro data would have a more complex format
-      // This is just an example implementation
-      
-      // Parse cadence (steps per minute)
-      // Assuming cadence is a uint16 at bytes 0-1
-      const cadence = (bytes[1] << 8) + bytes[0];
-      
-      // Parse total steps
-      // Assuming steps is a uint32 at bytes 2-5
-      const steps = (bytes[5] << 24) + (bytes[4] << 16) + (bytes[3] << 8) + bytes[2];
-      
-      // Parse stride length in cm
-      // Assuming stride length is a uint16 at bytes 6-7
-      const strideLength = bytes.length >= 8 ? (bytes[7] << 8) + bytes[6] : 80; // Default to 80cm
-      
-      return { cadence, steps, strideLength };
-    } catch (error) {
-      logger.error('Error parsing running dynamics data', error);
-      return { cadence: null, steps: null, strideLength: null };
+    const measurement = parseRscMeasurement(data);
+    
+    if (!measurement) {
+      logger.warn('Invalid running dynamics data format');
     }
+    
+    return measurement;
   }
   
   /**
@@ -556,10 +559,13 @@ class HeartRateSensor {
     await this.stop();
     this.device = null;
     this.readings = {};
+    this.readingTimestamps = {};
+    this.contactStatus = SENSOR_CONTACT_STATUS.UNSUPPORTED;
     this.cumulativeData = {
       steps: 0,
       distance: 0,
       lastStepCount: 0,
+      startTotalDistance: null,
     };
   }
 }
@@ -42,6 +42,9 @@ class PhoneSensors {
     // Initialize readings
     this.readings = {};
     
+    // Time each reading was last updated
+    this.readingTimestamps = {};
+    
     // Location tracking
     this.locationSubscription = null;
     this.lastLocation = null;
@@ -272,6 +275,33 @@ class PhoneSensors {
     return readings;
   }
   
+  /**
+   * Gets the time each reading was last updated
+   * @returns {Object} Timestamps in milliseconds keyed by sensor type
+   */
+  getReadingTimestamps() {
+    return { ...this.readingTimestamps };
+  }
+  
+  /**
+   * Checks whether elevation comes from the barometer rather than GPS altitude
+   * @returns {boolean} Whether the barometer is active
+   */
+  isBarometerActive() {
+    return this.sensors.barometer.active;
+  }
+  
+  /**
+   * Stores a reading along with its update time
+   * @param {string} type - Sensor type
+   * @param {any} value - Reading value
+   * @private
+   */
+  _setReading(type, value) {
+    this.readings[type] = value;
+    this.readingTimestamps[type] = Date.now();
+  }
+  
   /**
    * Gets the latest location data
    * @returns {Object|null} Latest location or null if not tracking
@@ -333,7 +363,7 @@ class PhoneSensors {
         const processedData = this._processAccelerometerData(data);
         
         // Update readings
-        this.readings[SENSOR_TYPES.ACCELEROMETER] = processedData;
+        this._setReading(SENSOR_TYPES.ACCELEROMETER, processedData);
       });
       
       this.sensors.accelerometer.active = true;
@@ -370,7 +400,7 @@ class PhoneSensors {
         this.sensors.gyroscope.data = data;
         
         // Update readings
-        this.readings[SENSOR_TYPES.GYROSCOPE] = data;
+        this._setReading(SENSOR_TYPES.GYROSCOPE, data);
       });
       
       this.sensors.gyroscope.active = true;
@@ -410,7 +440,7 @@ class PhoneSensors {
         const elevation = this._calculateElevation(data.pressure);
         
         // Update readings
-        this.readings[SENSOR_TYPES.ELEVATION] = elevation;
+        this._setReading(SENSOR_TYPES.ELEVATION, elevation);
       });
       
       this.sensors.barometer.active = true;
@@ -476,23 +506,23 @@ class PhoneSensors {
       };
       
       // Update readings
-      this.readings[SENSOR_TYPES.LOCATION] = locationData;
+      this._setReading(SENSOR_TYPES.LOCATION, locationData);
       
       // If we have speed data, update speed reading
       if (speed !== null && speed !== undefined) {
-        this.readings[SENSOR_TYPES.SPEED] = speed;
+        this._setReading(SENSOR_TYPES.SPEED, speed);
         
         // Calculate pace from speed (if speed is valid)
         if (speed > 0) {
           // Convert m/s to min/km
           const paceSeconds = (1000 / speed); // seconds per kilometer
-          this.readings[SENSOR_TYPES.PACE] = paceSeconds / 60; // minutes per kilometer
+          this._setReading(SENSOR_TYPES.PACE, paceSeconds / 60); // minutes per kilometer
         }
       }
       
       // If we have altitude, we can use it as a backup for barometer
       if (altitude !== null && altitude !== undefined && !this.sensors.barometer.active) {
-        this.readings[SENSOR_TYPES.ELEVATION] = altitude;
+        this._setReading(SENSOR_TYPES.ELEVATION, altitude);
       }
     } catch (error) {
       logger.error('Error processing location update', error);
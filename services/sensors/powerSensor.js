@@ -1,9 +1,17 @@
 import bleManager from '../ble/bleManager';
 import { SERVICE_UUIDS, CHARACTERISTIC_UUIDS } from '../ble/bleConstants';
-import { SENSOR_TYPES } from './sensorTypes';
+import {
+  parseCyclingPowerMeasurement,
+  parseCyclingPowerFeature,
+  calculateCrankCadence,
+} from '../ble/parsers/cyclingPowerParser';
+import { ByteReader } from '../ble/parsers/byteReader';
 import logger from '../../utils/logger';
 import { calculateLegSpringStiffness, calculateTSS } from '../../utils/calculations';
 
+// Running pods report one crank revolution per stride, i.e. two steps
+const STEPS_PER_CRANK_REVOLUTION = 2;
+
 /**
  * Service for processing running power sensor data from Stryd Pod device
  */
@@ -20,11 +28,15 @@ class PowerSensor {
       legSpringStiffness: 0,
       efficiency: 0
     };
+    this.readingTimestamps = {};
     this.subscriptions = [];
+    this.features = null;
+    this.lastMeasurement = null;
     this.cumulativeData = {
       distance: 0,
       steps: 0,
       tss: 0,
+      energy: 0,
       lastUpdateTime: 0
     };
     this.isActive = false;
@@ -72,11 +84,15 @@ class PowerSensor {
         return true; // Already collecting
       }
       
+      // Read supported measurement fields before the first notification
+      this.features = await this._readFeatures();
+      this.lastMeasurement = null;
+      
       // Subscribe to power measurement
       const powerSub = await bleManager.subscribeToCharacteristic(
         this.device.id,
-        SERVICE_UUIDS.RUNNING_POWER,
-        CHARACTERISTIC_UUIDS.POWER_MEASUREMENT,
+        SERVICE_UUIDS.CYCLING_POWER,
+        CHARACTERISTIC_UUIDS.CYCLING_POWER_MEASUREMENT,
         this._handlePowerData.bind(this)
       );
       
@@ -86,8 +102,8 @@ class PowerSensor {
       if (this._hasRunningDynamics()) {
         const dynamicsSub = await bleManager.subscribeToCharacteristic(
           this.device.id,
-          SERVICE_UUIDS.RUNNING_DYNAMICS,
-          CHARACTERISTIC_UUIDS.RUNNING_DYNAMICS_MEASUREMENT,
+          SERVICE_UUIDS.STRYD_SERVICE,
+          CHARACTERISTIC_UUIDS.STRYD_METRICS,
           this._handleRunningDynamicsData.bind(this)
         );
         
@@ -138,6 +154,30 @@ class PowerSensor {
     return { ...this.readings };
   }
 
+  /**
+   * Gets the time each reading field was last updated
+   * @returns {Object} Timestamps in milliseconds keyed by reading field
+   */
+  getReadingTimestamps() {
+    return { ...this.readingTimestamps };
+  }
+
+  /**
+   * Gets the Cycling Power Feature flags of the connected device
+   * @returns {Object|null} Supported measurement features
+   */
+  getFeatures() {
+    return this.features ? { ...this.features } : null;
+  }
+
+  /**
+   * Gets the last parsed Cycling Power Measurement
+   * @returns {Object|null} Full measurement including optional fields
+   */
+  getLastMeasurement() {
+    return this.lastMeasurement;
+  }
+
   /**
    * Gets cumulative metrics for the session
    * @returns {Object} Cumulative metrics (distance, TSS)
@@ -147,32 +187,45 @@ class PowerSensor {
   }
 
   /**
-   * Processes power measurement data
-   * @param {ArrayBuffer} data - Raw characteristic value
+   * Processes Cycling Power Measurement notifications
+   * @param {string} data - Base64 encoded characteristic value
    * @returns {Object} Processed power metrics
    * @private
    */
   _handlePowerData(data) {
     try {
-      // Parse ArrayBuffer to DataView
-      const dataView = new DataView(data);
-      
-      // Extract power (Stryd format - typically first 2 bytes)
-      const power = dataView.getUint16(0, true); // little-endian
+      const measurement = parseCyclingPowerMeasurement(data);
       
-      // Some devices include cadence in the same characteristic
-      let cadence = 0;
-      if (dataView.byteLength >= 4) {
-        cadence = dataView.getUint16(2, true);
+      if (!measurement) {
+        logger.warn('Invalid cycling power measurement format');
+        return this.readings;
       }
       
-      // Update readings
+      // Negative power is only meaningful for trainers
+      const power = Math.max(0, measurement.instantaneousPower);
+      
       this.readings.power = power;
+      this._markUpdated(['power']);
       
-      if (cadence > 0) {
-        this.readings.cadence = cadence;
+      // Cadence comes from crank revolution deltas between notifications
+      if (measurement.crankRevolutions && this._supports('crankRevolutionData')) {
+        const crankCadence = calculateCrankCadence(
+          this.lastMeasurement?.crankRevolutions,
+          measurement.crankRevolutions
+        );
+        
+        if (crankCadence !== null) {
+          this.readings.cadence = Math.round(crankCadence * STEPS_PER_CRANK_REVOLUTION);
+          this._markUpdated(['cadence']);
+        }
       }
       
+      if (measurement.accumulatedEnergy !== null) {
+        this.cumulativeData.energy = measurement.accumulatedEnergy;
+      }
+      
+      this.lastMeasurement = measurement;
+      
       // Update cumulative metrics
       this._updateCumulativeMetrics(power);
       
@@ -183,15 +236,56 @@ class PowerSensor {
     }
   }
 
+  /**
+   * Reads the Cycling Power Feature characteristic
+   * @returns {Promise<Object|null>} Supported features, null if unreadable
+   * @private
+   */
+  async _readFeatures() {
+    try {
+      const value = await bleManager.readCharacteristic(
+        this.device.id,
+        SERVICE_UUIDS.CYCLING_POWER,
+        CHARACTERISTIC_UUIDS.CYCLING_POWER_FEATURE
+      );
+      
+      const features = parseCyclingPowerFeature(value);
+      
+      logger.info('Cycling power features read', { deviceId: this.device.id, features });
+      
+      return features;
+    } catch (error) {
+      // Measurement flags alone are still enough to parse notifications
+      logger.warn('Could not read cycling power features', { deviceId: this.device.id });
+      return null;
+    }
+  }
+
+  /**
+   * Checks whether the device advertises a measurement feature.
+   * Without a readable feature characteristic the measurement flags decide.
+   * @param {string} feature - Feature name from parseCyclingPowerFeature
+   * @returns {boolean} Whether the feature is supported
+   * @private
+   */
+  _supports(feature) {
+    return !this.features || Boolean(this.features[feature]);
+  }
+
   /**
    * Processes running dynamics data
-   * @param {ArrayBuffer} data - Raw characteristic value
+   * @param {string} data - Base64 encoded characteristic value
    * @returns {Object} Processed running form metrics
    * @private
    */
   _handleRunningDynamicsData(data) {
     try {
-      const dataView = new DataView(data);
+      const reader = new ByteReader(data);
+      
+      if (!reader.hasBytes(8)) {
+        logger.warn('Invalid running dynamics data format');
+        return this.readings;
+      }
       
       // Parse according to Stryd data format
       // Format may vary by device model
@@ -202,25 +296,17 @@ class PowerSensor {
       // Byte 4-5: Vertical oscillation in cm (x10)
       // Byte 6-7: Form power in watts
       
-      // Extract values based on the device type
-      let offset = 0;
-      
       // Ground contact time
-      const groundContactTime = dataView.getUint16(offset, true);
-      offset += 2;
+      const groundContactTime = reader.readUint16();
       
       // Stride length
-      const strideLength = dataView.getUint16(offset, true) / 10; // convert to cm
-      offset += 2;
+      const strideLength = reader.readUint16() / 10; // convert to cm
       
       // Vertical oscillation
-      const verticalOscillation = this._calculateVerticalOscillation(
-        dataView.getUint16(offset, true)
-      );
-      offset += 2;
+      const verticalOscillation = this._calculateVerticalOscillation(reader.readUint16());
       
       // Form power
-      const formPower = dataView.getUint16(offset, true);
+      const formPower = reader.readUint16();
       
       // Update readings
       this.readings.groundContactTime = groundContactTime;
@@ -240,6 +326,15 @@ class PowerSensor {
         this.readings.efficiency = this.readings.power / formPower;
       }
       
+      this._markUpdated([
+        'groundContactTime',
+        'strideLength',
+        'verticalOscillation',
+        'formPower',
+        'legSpringStiffness',
+        'efficiency'
+      ]);
+      
       return this.readings;
     } catch (error) {
       logger.error('Error parsing running dynamics data', error);
@@ -247,6 +342,18 @@ class PowerSensor {
     }
   }
 
+  /**
+   * Records the update time of reading fields
+   * @param {Array<string>} fields - Updated reading fields
+   * @private
+   */
+  _markUpdated(fields) {
+    const now = Date.now();
+    fields.forEach(field => {
+      this.readingTimestamps[field] = now;
+    });
+  }
+
   /**
    * Updates cumulative metrics based on power
    * @param {number} power - Current power in watts
@@ -316,17 +423,17 @@ class PowerSensor {
    */
   _identifyDeviceType(device) {
     // Check if device has Stryd-specific services
-    const hasStrydServices = device.services?.some(
-      service => service.uuid === SERVICE_UUIDS.RUNNING_POWER
+    const hasStrydServices = device.discoveredServices?.some(
+      service => service.uuid === SERVICE_UUIDS.STRYD_SERVICE
     );
     
     if (hasStrydServices) {
       return 'STRYD_POD';
     }
     
-    // Check for generic running power service
-    const hasRunningPower = device.services?.some(
-      service => service.uuid === SERVICE_UUIDS.RUNNING_POWER
+    // Check for generic cycling power service (used by running power meters)
+    const hasRunningPower = device.discoveredServices?.some(
+      service => service.uuid === SERVICE_UUIDS.CYCLING_POWER
     );
     
     if (hasRunningPower) {
@@ -342,12 +449,12 @@ class PowerSensor {
    * @private
    */
   _hasRunningDynamics() {
-    if (!this.device || !this.device.services) {
+    if (!this.device || !this.device.discoveredServices) {
       return false;
     }
     
-    return this.device.services.some(
-      service => service.uuid === SERVICE_UUIDS.RUNNING_DYNAMICS
+    return this.device.discoveredServices.some(
+      service => service.uuid === SERVICE_UUIDS.STRYD_SERVICE
     );
   }
 }
@@ -0,0 +1,802 @@
+import { EventEmitter } from 'events';
+
+// Import BLE manager and constants
+import bleManager from '../ble/bleManager';
+import { BLE_EVENTS, DEVICE_TYPES, SERVICE_UUIDS } from '../ble/bleConstants';
+
+// Import sensor services
+import HeartRateSensor, { HEART_RATE_EVENTS } from './heartRateSensor';
+import FootPodSensor from './footPodSensor';
+import powerSensor from './powerSensor';
+import PhoneSensors from './phoneSensors';
+
+// Import utilities and constants
+import logger from '../../utils/logger';
+import {
+  SENSOR_TYPES,
+  SENSOR_SOURCES,
+  SENSOR_SOURCE_PRIORITY,
+  SENSOR_STALE_TIMEOUT_S,
+  TIMEOUT_MS,
+} from '../../config/constants';
+
+// Sensor manager events
+export const SENSOR_EVENTS = {
+  READINGS_UPDATED: 'sensorReadingsUpdated',
+  SENSOR_STARTED: 'sensorStarted',
+  SENSOR_STOPPED: 'sensorStopped',
+  COLLECTION_STARTED: 'sensorCollectionStarted',
+  COLLECTION_STOPPED: 'sensorCollectionStopped',
+  SOURCE_CHANGED: 'sensorSourceChanged',
+  CONTACT_CHANGED: 'sensorContactChanged',
+  RR_INTERVALS: 'sensorRrIntervals',
+  ERROR: 'sensorError',
+};
+
+// Phone readings that come from the GPS receiver
+const GPS_READING_TYPES = [
+  SENSOR_TYPES.LOCATION,
+  SENSOR_TYPES.SPEED,
+  SENSOR_TYPES.PACE,
+];
+
+// Maps power sensor reading fields to sensor types
+const POWER_READING_TYPES = {
+  power: SENSOR_TYPES.POWER,
+  cadence: SENSOR_TYPES.CADENCE,
+  strideLength: SENSOR_TYPES.STRIDE_LENGTH,
+  verticalOscillation: SENSOR_TYPES.VERTICAL_OSCILLATION,
+  groundContactTime: SENSOR_TYPES.GROUND_CONTACT_TIME,
+  formPower: SENSOR_TYPES.FORM_POWER,
+  legSpringStiffness: SENSOR_TYPES.LEG_SPRING_STIFFNESS,
+};
+
+// Snapshot publishing frequency in milliseconds
+const SNAPSHOT_INTERVAL_MS = parseInt(process.env.SENSOR_SNAPSHOT_INTERVAL_MS, 10) || TIMEOUT_MS.SENSOR_UPDATE;
+
+/**
+ * Service that owns all sensor sources and merges their readings
+ * into a single timestamped snapshot keyed by sensor type
+ */
+class SensorManager extends EventEmitter {
+  constructor() {
+    super();
+
+    // Sensor sources by source identifier
+    this.sources = new Map();
+
+    // Connected BLE device ids by source identifier
+    this.sourceDevices = new Map();
+
+    // Phone sensors are always available
+    this.phoneSensors = new PhoneSensors();
+    this.sources.set(SENSOR_SOURCES.PHONE, this._createSource(SENSOR_SOURCES.PHONE, this.phoneSensors));
+
+    // Collection state, collectionSources limits which sources run
+    this.isCollecting = false;
+    this.collectionSources = null;
+    this.consumerCount = 0;
+    this.snapshotInterval = null;
+
+    // Source priority per metric and staleness threshold
+    this.sourcePriority = { ...SENSOR_SOURCE_PRIORITY };
+    this.staleTimeoutMs = SENSOR_STALE_TIMEOUT_S * 1000;
+
+    // Latest merged snapshot
+    this.snapshot = {
+      timestamp: 0,
+      readings: {},
+      sources: {},
+    };
+
+    // BLE event unsubscribe functions
+    this.bleSubscriptions = [];
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initializes the sensor manager and attaches already connected devices
+   * @returns {Promise<boolean>} Success state
+   */
+  async initialize() {
+    try {
+      if (this.isInitialized) {
+        return true;
+      }
+
+      logger.info('Initializing sensor manager');
+
+      // Check phone sensor availability
+      await this.phoneSensors.initialize();
+
+      // Follow BLE device connections
+      this.bleSubscriptions.push(
+        bleManager.addEventListener(BLE_EVENTS.DEVICE_CONNECTED, device => {
+          this._handleDeviceConnected(device).catch(error => {
+            logger.error('Error attaching connected device', error);
+          });
+        }),
+        bleManager.addEventListener(BLE_EVENTS.DEVICE_DISCONNECTED, deviceId => {
+          this._handleDeviceDisconnected(deviceId).catch(error => {
+            logger.error('Error detaching disconnected device', error);
+          });
+        })
+      );
+
+      // Attach devices connected before initialization
+      for (const device of bleManager.getConnectedDevices()) {
+        await this._handleDeviceConnected(device);
+      }
+
+      this.isInitialized = true;
+      logger.info('Sensor manager initialized');
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to initialize sensor manager', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Starts data collection on the attached sources
+   * @param {Object} options - Collection options
+   * @param {Array<string>} options.sources - Only start these sources, all by default.
+   *   A consumer needing every source widens a limited collection.
+   * @returns {Promise<boolean>} Success state
+   */
+  async startCollection(options = {}) {
+    try {
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
+      // Track consumers so one caller stopping doesn't cut off another
+      this.consumerCount++;
+
+      const wasCollecting = this.isCollecting;
+
+      this.collectionSources = options.sources && (!wasCollecting || this.collectionSources)
+        ? [...new Set([...(this.collectionSources || []), ...options.sources])]
+        : null;
+
+      if (!wasCollecting) {
+        logger.info('Starting sensor data collection', { sources: this.collectionSources });
+      }
+
+      this.isCollecting = true;
+
+      // Start every collected source, a failing sensor must not block the others
+      for (const source of this.sources.values()) {
+        if (this._isCollected(source.id)) {
+          await this._startSource(source);
+        }
+      }
+
+      if (wasCollecting) {
+        return true;
+      }
+
+      // Publish merged snapshots
+      this._startSnapshotTimer();
+
+      this.emit(SENSOR_EVENTS.COLLECTION_STARTED);
+
+      return true;
+    } catch (error) {
+      logger.error('Failed to start sensor data collection', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stops data collection once no consumer needs it anymore
+   * @param {Object} options - Stop options
+   * @param {boolean} options.force - Stop regardless of remaining consumers
+   * @returns {Promise<void>} Resolves when stopped
+   */
+  async stopCollection(options = {}) {
+    try {
+      this.consumerCount = options.force ? 0 : Math.max(0, this.consumerCount - 1);
+
+      if (!this.isCollecting || this.consumerCount > 0) {
+        return;
+      }
+
+      logger.info('Stopping sensor data collection');
+
+      this._stopSnapshotTimer();
+
+      for (const source of this.sources.values()) {
+        await this._stopSource(source);
+      }
+
+      this.isCollecting = false;
+      this.collectionSources = null;
+
+      this.emit(SENSOR_EVENTS.COLLECTION_STOPPED);
+    } catch (error) {
+      logger.error('Error stopping sensor data collection', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the latest merged readings
+   * @param {Array} types - Optional sensor types to include
+   * @returns {Object} Readings keyed by sensor type
+   */
+  getReadings(types = null) {
+    const readings = this.isCollecting
+      ? this._mergeReadings().readings
+      : { ...this.snapshot.readings };
+
+    if (!types || !Array.isArray(types)) {
+      return readings;
+    }
+
+    return types.reduce((filtered, type) => {
+      if (readings[type] !== undefined) {
+        filtered[type] = readings[type];
+      }
+      return filtered;
+    }, {});
+  }
+
+  /**
+   * Gets the latest published snapshot
+   * @returns {Object} Snapshot with timestamp, readings and contributing source per type
+   */
+  getSnapshot() {
+    return {
+      timestamp: this.snapshot.timestamp,
+      readings: { ...this.snapshot.readings },
+      sources: { ...this.snapshot.sources },
+    };
+  }
+
+  /**
+   * Gets the BLE device behind a source
+   * @param {string} sourceId - Source identifier
+   * @returns {string|null} Device identifier
+   */
+  getSourceDeviceId(sourceId) {
+    return this.sourceDevices.get(sourceId) || null;
+  }
+
+  /**
+   * Configures source priorities and failover
+   * @param {Object} config - Source configuration
+   * @param {Object} config.priority - Ordered source lists keyed by sensor type, DEFAULT for the rest
+   * @param {number} config.staleTimeout - Seconds without updates before failing over
+   */
+  configureSources({ priority, staleTimeout } = {}) {
+    if (priority) {
+      this.sourcePriority = {
+        ...SENSOR_SOURCE_PRIORITY,
+        ...priority,
+      };
+    }
+
+    if (staleTimeout > 0) {
+      this.staleTimeoutMs = staleTimeout * 1000;
+    }
+
+    logger.info('Sensor source configuration updated', {
+      priority: this.sourcePriority,
+      staleTimeoutMs: this.staleTimeoutMs,
+    });
+  }
+
+  /**
+   * Gets the source priority list for a metric
+   * @param {string} type - Sensor type
+   * @returns {Array<string>} Ordered source identifiers
+   */
+  getSourcePriority(type) {
+    return this.sourcePriority[type] || this.sourcePriority.DEFAULT;
+  }
+
+  /**
+   * Gets the status of every known source
+   * @returns {Array} Source status objects
+   */
+  getSourceStatus() {
+    return Array.from(this.sources.values()).map(source => ({
+      id: source.id,
+      deviceId: source.deviceId,
+      isActive: source.isActive,
+    }));
+  }
+
+  /**
+   * Subscribes to merged sensor readings
+   * @param {Function} listener - Callback receiving readings and snapshot timestamp
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    const handler = snapshot => listener(snapshot.readings, snapshot.timestamp);
+
+    this.on(SENSOR_EVENTS.READINGS_UPDATED, handler);
+
+    return () => {
+      this.removeListener(SENSOR_EVENTS.READINGS_UPDATED, handler);
+    };
+  }
+
+  /**
+   * Attaches a newly connected BLE device to the matching sources
+   * @param {Object} device - Connected device with discovered services
+   * @private
+   */
+  async _handleDeviceConnected(device) {
+    const sourceIds = this._getSourceIdsForDevice(device);
+
+    if (sourceIds.length === 0) {
+      logger.info(`No sensor source for device type: ${device.type}`, { deviceId: device.id });
+      return;
+    }
+
+    for (const sourceId of sourceIds) {
+      // Replace any previous device for this source
+      if (this.sources.has(sourceId)) {
+        await this._detachSource(sourceId);
+      }
+
+      const sensor = this._createSensorForSource(sourceId);
+      await sensor.initialize(device);
+
+      const source = this._createSource(sourceId, sensor, device.id);
+      this.sources.set(sourceId, source);
+      this.sourceDevices.set(sourceId, device.id);
+
+      logger.info(`Sensor source attached: ${sourceId}`, { deviceId: device.id });
+
+      // Join an ongoing collection immediately
+      if (this.isCollecting && this._isCollected(sourceId)) {
+        await this._startSource(source);
+      }
+    }
+  }
+
+  /**
+   * Detaches the source belonging to a disconnected BLE device
+   * @param {string} deviceId - Disconnected device identifier
+   * @private
+   */
+  async _handleDeviceDisconnected(deviceId) {
+    for (const [sourceId, sourceDeviceId] of this.sourceDevices.entries()) {
+      if (sourceDeviceId === deviceId) {
+        await this._detachSource(sourceId);
+        logger.info(`Sensor source detached: ${sourceId}`, { deviceId });
+      }
+    }
+  }
+
+  /**
+   * Stops and removes a BLE backed source
+   * @param {string} sourceId - Source identifier
+   * @private
+   */
+  async _detachSource(sourceId) {
+    const source = this.sources.get(sourceId);
+
+    if (source) {
+      await this._stopSource(source);
+      source.unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    this.sources.delete(sourceId);
+    this.sourceDevices.delete(sourceId);
+  }
+
+  /**
+   * Maps a device to the sources that handle it. Power pods such as Stryd
+   * also expose Running Speed and Cadence, which feeds the foot pod source
+   * with pace, speed and distance the power source doesn't report.
+   * @param {Object} device - Connected device
+   * @returns {Array<string>} Source identifiers
+   * @private
+   */
+  _getSourceIdsForDevice(device) {
+    switch (device.type) {
+      case DEVICE_TYPES.HEART_RATE:
+        return [SENSOR_SOURCES.HEART_RATE];
+      case DEVICE_TYPES.POWER:
+        return this._hasRscService(device)
+          ? [SENSOR_SOURCES.POWER, SENSOR_SOURCES.FOOT_POD]
+          : [SENSOR_SOURCES.POWER];
+      case DEVICE_TYPES.FOOT_POD:
+        return [SENSOR_SOURCES.FOOT_POD];
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Checks whether a device exposes the Running Speed and Cadence service
+   * @param {Object} device - Connected device with discovered services
+   * @returns {boolean} True if the service was discovered
+   * @private
+   */
+  _hasRscService(device) {
+    return Boolean(device.discoveredServices?.some(
+      service => service.uuid.toLowerCase() === SERVICE_UUIDS.RUNNING_SPEED_CADENCE
+    ));
+  }
+
+  /**
+   * Gets the sensor service for a BLE backed source
+   * @param {string} sourceId - Source identifier
+   * @returns {Object} Sensor service
+   * @private
+   */
+  _createSensorForSource(sourceId) {
+    switch (sourceId) {
+      case SENSOR_SOURCES.HEART_RATE:
+        return new HeartRateSensor();
+      case SENSOR_SOURCES.POWER:
+        return powerSensor;
+      case SENSOR_SOURCES.FOOT_POD:
+        return new FootPodSensor();
+      default:
+        throw new Error(`Unsupported sensor source: ${sourceId}`);
+    }
+  }
+
+  /**
+   * Wraps a sensor service with a uniform start/stop/read interface
+   * @param {string} id - Source identifier
+   * @param {Object} sensor - Sensor service
+   * @param {string} deviceId - BLE device identifier, if any
+   * @returns {Object} Source descriptor
+   * @private
+   */
+  _createSource(id, sensor, deviceId = null) {
+    const source = {
+      id,
+      sensor,
+      deviceId,
+      isActive: false,
+      unsubscribers: [],
+    };
+
+    switch (id) {
+      case SENSOR_SOURCES.POWER:
+        source.start = () => sensor.startDataCollection();
+        source.stop = () => sensor.stopDataCollection();
+        source.read = () => this._readPowerSensor(sensor);
+        break;
+      case SENSOR_SOURCES.HEART_RATE:
+        source.start = () => sensor.start();
+        source.stop = () => sensor.stop();
+        source.read = () => this._toEntries(id, sensor.getReadings(), sensor.getReadingTimestamps());
+        source.unsubscribers = this._forwardHeartRateEvents(sensor, deviceId);
+        break;
+      case SENSOR_SOURCES.PHONE:
+        source.start = () => sensor.start();
+        source.stop = () => sensor.stop();
+        source.read = () => this._readPhoneSensors(sensor);
+        break;
+      default:
+        source.start = () => sensor.start();
+        source.stop = () => sensor.stop();
+        source.read = () => this._toEntries(id, sensor.getReadings(), sensor.getReadingTimestamps());
+        break;
+    }
+
+    return source;
+  }
+
+  /**
+   * Re-emits strap contact changes and RR intervals as sensor manager events
+   * @param {Object} sensor - Heart rate sensor service
+   * @param {string} deviceId - BLE device identifier
+   * @returns {Array<Function>} Functions removing the forwarding listeners
+   * @private
+   */
+  _forwardHeartRateEvents(sensor, deviceId) {
+    const handleContactChanged = ({ status, previousStatus }) => {
+      this.emit(SENSOR_EVENTS.CONTACT_CHANGED, {
+        source: SENSOR_SOURCES.HEART_RATE,
+        deviceId,
+        status,
+        previousStatus,
+      });
+    };
+
+    const handleRrIntervals = intervals => {
+      this.emit(SENSOR_EVENTS.RR_INTERVALS, {
+        source: SENSOR_SOURCES.HEART_RATE,
+        deviceId,
+        intervals,
+      });
+    };
+
+    sensor.on(HEART_RATE_EVENTS.CONTACT_CHANGED, handleContactChanged);
+    sensor.on(HEART_RATE_EVENTS.RR_INTERVALS, handleRrIntervals);
+
+    return [
+      () => sensor.removeListener(HEART_RATE_EVENTS.CONTACT_CHANGED, handleContactChanged),
+      () => sensor.removeListener(HEART_RATE_EVENTS.RR_INTERVALS, handleRrIntervals),
+    ];
+  }
+
+  /**
+   * Checks whether the current collection includes a source
+   * @param {string} sourceId - Source identifier
+   * @returns {boolean} True if the source should run
+   * @private
+   */
+  _isCollected(sourceId) {
+    return !this.collectionSources || this.collectionSources.includes(sourceId);
+  }
+
+  /**
+   * Starts a single source
+   * @param {Object} source - Source descriptor
+   * @private
+   */
+  async _startSource(source) {
+    if (source.isActive) {
+      return;
+    }
+
+    try {
+      await source.start();
+      source.isActive = true;
+      this.emit(SENSOR_EVENTS.SENSOR_STARTED, { source: source.id, deviceId: source.deviceId });
+    } catch (error) {
+      logger.error(`Failed to start sensor source: ${source.id}`, error);
+      this.emit(SENSOR_EVENTS.ERROR, { source: source.id, error });
+    }
+  }
+
+  /**
+   * Stops a single source
+   * @param {Object} source - Source descriptor
+   * @private
+   */
+  async _stopSource(source) {
+    if (!source.isActive) {
+      return;
+    }
+
+    try {
+      await source.stop();
+    } catch (error) {
+      logger.error(`Error stopping sensor source: ${source.id}`, error);
+    } finally {
+      source.isActive = false;
+      this.emit(SENSOR_EVENTS.SENSOR_STOPPED, { source: source.id, deviceId: source.deviceId });
+    }
+  }
+
+  /**
+   * Converts readings to entries carrying value, update time and source
+   * @param {string} sourceId - Source identifier
+   * @param {Object} readings - Readings keyed by sensor type
+   * @param {Object} timestamps - Update times keyed by sensor type
+   * @returns {Object} Entries keyed by sensor type
+   * @private
+   */
+  _toEntries(sourceId, readings, timestamps = {}) {
+    return Object.entries(readings).reduce((entries, [type, value]) => {
+      entries[type] = {
+        value,
+        timestamp: timestamps[type] || 0,
+        source: sourceId,
+      };
+      return entries;
+    }, {});
+  }
+
+  /**
+   * Reads power sensor fields as sensor type entries
+   * @param {Object} sensor - Power sensor service
+   * @returns {Object} Entries keyed by sensor type
+   * @private
+   */
+  _readPowerSensor(sensor) {
+    const readings = sensor.getReadings();
+    const timestamps = sensor.getReadingTimestamps();
+
+    return Object.entries(POWER_READING_TYPES).reduce((entries, [field, type]) => {
+      // Fields that were never reported carry no timestamp
+      if (timestamps[field]) {
+        entries[type] = {
+          value: readings[field],
+          timestamp: timestamps[field],
+          source: SENSOR_SOURCES.POWER,
+        };
+      }
+      return entries;
+    }, {});
+  }
+
+  /**
+   * Reads phone sensors, attributing location derived readings to GPS
+   * @param {Object} sensor - Phone sensors service
+   * @returns {Object} Entries keyed by sensor type
+   * @private
+   */
+  _readPhoneSensors(sensor) {
+    const entries = this._toEntries(
+      SENSOR_SOURCES.PHONE,
+      sensor.getReadings(),
+      sensor.getReadingTimestamps()
+    );
+
+    Object.entries(entries).forEach(([type, entry]) => {
+      const fromGps = GPS_READING_TYPES.includes(type) ||
+        (type === SENSOR_TYPES.ELEVATION && !sensor.isBarometerActive());
+
+      if (fromGps) {
+        entry.source = SENSOR_SOURCES.GPS;
+      }
+    });
+
+    return entries;
+  }
+
+  /**
+   * Collects candidate entries from all active sources
+   * @returns {Map} Candidate entries by sensor type, keyed by source
+   * @private
+   */
+  _collectCandidates() {
+    const candidates = new Map();
+
+    for (const source of this.sources.values()) {
+      if (!source.isActive) {
+        continue;
+      }
+
+      let entries;
+      try {
+        entries = source.read() || {};
+      } catch (error) {
+        logger.error(`Error reading sensor source: ${source.id}`, error);
+        continue;
+      }
+
+      Object.entries(entries).forEach(([type, entry]) => {
+        if (entry.value === null || entry.value === undefined) {
+          return;
+        }
+
+        if (!candidates.has(type)) {
+          candidates.set(type, {});
+        }
+
+        candidates.get(type)[entry.source] = entry;
+      });
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Merges readings from all active sources using the per-metric priority.
+   * A source that has not updated a metric within the stale timeout is
+   * skipped so the next source in the list takes over.
+   * @returns {Object} Merged readings and the source chosen per type
+   * @private
+   */
+  _mergeReadings() {
+    const now = Date.now();
+    const readings = {};
+    const sources = {};
+
+    this._collectCandidates().forEach((entriesBySource, type) => {
+      const priority = this.getSourcePriority(type);
+
+      const chosen = priority.find(sourceId => {
+        const entry = entriesBySource[sourceId];
+        return entry && now - entry.timestamp <= this.staleTimeoutMs;
+      });
+
+      if (chosen) {
+        readings[type] = entriesBySource[chosen].value;
+        sources[type] = chosen;
+      }
+    });
+
+    return { readings, sources };
+  }
+
+  /**
+   * Emits source change events for metrics whose source failed over
+   * @param {Object} previousSources - Sources of the previous snapshot
+   * @param {Object} currentSources - Sources of the new snapshot
+   * @private
+   */
+  _detectSourceChanges(previousSources, currentSources) {
+    Object.entries(currentSources).forEach(([type, sourceId]) => {
+      const previous = previousSources[type];
+
+      if (previous && previous !== sourceId) {
+        logger.info(`Sensor source changed for ${type}`, { from: previous, to: sourceId });
+        this.emit(SENSOR_EVENTS.SOURCE_CHANGED, { type, from: previous, to: sourceId });
+      }
+    });
+  }
+
+  /**
+   * Builds and publishes a new snapshot
+   * @private
+   */
+  _publishSnapshot() {
+    try {
+      const { readings, sources } = this._mergeReadings();
+
+      this._detectSourceChanges(this.snapshot.sources, sources);
+
+      this.snapshot = {
+        timestamp: Date.now(),
+        readings,
+        sources,
+      };
+
+      this.emit(SENSOR_EVENTS.READINGS_UPDATED, this.getSnapshot());
+    } catch (error) {
+      logger.error('Error publishing sensor snapshot', error);
+    }
+  }
+
+  /**
+   * Starts the snapshot timer
+   * @private
+   */
+  _startSnapshotTimer() {
+    this._stopSnapshotTimer();
+
+    this.snapshotInterval = setInterval(() => {
+      this._publishSnapshot();
+    }, SNAPSHOT_INTERVAL_MS);
+  }
+
+  /**
+   * Stops the snapshot timer
+   * @private
+   */
+  _stopSnapshotTimer() {
+    if (this.snapshotInterval) {
+      clearInterval(this.snapshotInterval);
+      this.snapshotInterval = null;
+    }
+  }
+
+  /**
+   * Cleans up resources and subscriptions
+   */
+  async cleanup() {
+    try {
+      await this.stopCollection({ force: true });
+
+      for (const sourceId of Array.from(this.sourceDevices.keys())) {
+        await this._detachSource(sourceId);
+      }
+
+      this.bleSubscriptions.forEach(unsubscribe => unsubscribe());
+      this.bleSubscriptions = [];
+
+      this.removeAllListeners();
+      this.isInitialized = false;
+
+      logger.info('Sensor manager cleaned up');
+    } catch (error) {
+      logger.error('Error cleaning up sensor manager', error);
+      throw error;
+    }
+  }
+}
+
+// Create a singleton instance
+const sensorManagerInstance = new SensorManager();
+
+// Export the singleton instance
+export default sensorManagerInstance;
+
+// Named exports for sensor types and sources
+export { SENSOR_TYPES, SENSOR_SOURCES };
@@ -0,0 +1,276 @@
+// Import storage
+import * as SecureStore from 'expo-secure-store';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// Import configuration
+import { API, STORAGE_KEYS } from '../../config/constants';
+
+// Import logger
+import logger from '../../utils/logger';
+
+// First retry delay, doubled for every further attempt
+const RETRY_DELAY_MS = 1000;
+
+/**
+ * Waits before the next attempt
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>} Resolves after the delay
+ */
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Checks whether a failed request may succeed when repeated
+ * @param {Error} error - Request error
+ * @returns {boolean} True for network errors, timeouts, rate limits and server errors
+ */
+const isRetryable = (error) => !error.status || error.status === 429 || error.status >= 500;
+
+/**
+ * JSON client for the backend API. Requests are authenticated with the
+ * stored token and repeated up to API.RETRY_ATTEMPTS times when they fail
+ * for reasons that may go away, errors carry the HTTP status when there is one.
+ * An expired access token is renewed with the refresh token and the request sent again.
+ */
+class ApiClient {
+  constructor() {
+    // Refresh in progress, shared by requests that failed at the same time
+    this.refreshPromise = null;
+  }
+  
+  /**
+   * Sends a GET request
+   * @param {string} path - Path below /api/<version>
+   * @param {Object} query - Query parameters
+   * @returns {Promise<Object>} Response body
+   */
+  async get(path, query = {}) {
+    return this.request('GET', path, { query });
+  }
+  
+  /**
+   * Sends a POST request
+   * @param {string} path - Path below /api/<version>
+   * @param {Object} body - Request body
+   * @param {Object} options - { skipAuth } to send the request without tokens
+   * @returns {Promise<Object>} Response body
+   */
+  async post(path, body, options = {}) {
+    return this.request('POST', path, { ...options, body });
+  }
+  
+  /**
+   * Sends a PUT request
+   * @param {string} path - Path below /api/<version>
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} Response body
+   */
+  async put(path, body) {
+    return this.request('PUT', path, { body });
+  }
+  
+  /**
+   * Sends a DELETE request
+   * @param {string} path - Path below /api/<version>
+   * @returns {Promise<Object>} Response body
+   */
+  async delete(path) {
+    return this.request('DELETE', path);
+  }
+  
+  /**
+   * Sends a request, retrying network errors, rate limits and server errors
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below /api/<version>
+   * @param {Object} options - { query, body, skipAuth }
+   * @returns {Promise<Object>} Response body
+   * @throws {Error} With the HTTP status in error.status when the server answered
+   */
+  async request(method, path, options = {}) {
+    let attempt = 0;
+    let isRefreshed = false;
+    
+    while (true) {
+      try {
+        return await this._send(method, path, options);
+      } catch (error) {
+        if (error.status === 401 && !options.skipAuth && !isRefreshed) {
+          isRefreshed = true;
+          
+          if (await this.refreshSession()) {
+            continue;
+          }
+        }
+        
+        if (attempt >= API.RETRY_ATTEMPTS || !isRetryable(error)) {
+          throw error;
+        }
+        
+        const delay = RETRY_DELAY_MS * 2 ** attempt;
+        attempt += 1;
+        
+        logger.warn(`Retrying ${method} ${path} in ${delay}ms`, { attempt, error: error.message });
+        await wait(delay);
+      }
+    }
+  }
+  
+  /**
+   * Sends a single request
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below /api/<version>
+   * @param {Object} options - { query, body, skipAuth }
+   * @returns {Promise<Object>} Response body
+   * @private
+   */
+  async _send(method, path, { query = {}, body, skipAuth = false } = {}) {
+    const token = skipAuth ? null : await SecureStore.getItemAsync(STORAGE_KEYS.AUTH_TOKEN);
+    
+    const url = new URL(`${API.BASE_URL}/api/${API.VERSION}${path}`);
+    Object.keys(query).forEach(key => {
+      if (query[key] !== undefined && query[key] !== null) {
+        url.searchParams.set(key, query[key]);
+      }
+    });
+    
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), API.TIMEOUT_MS);
+    
+    let response;
+    try {
+      response = await fetch(url.toString(), {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+    } finally {
+      clearTimeout(timeout);
+    }
+    
+    const text = await response.text();
+    let data = {};
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch (error) {
+      data = { error: text };
+    }
+    
+    if (!response.ok) {
+      const error = new Error(data.error || `${method} ${path} failed with status ${response.status}`);
+      error.status = response.status;
+      error.data = data;
+      throw error;
+    }
+    
+    return data;
+  }
+  
+  /**
+   * Stores the tokens and user of a new session. Tokens go to the secure
+   * store, the user is kept in AsyncStorage as it may outgrow the secure
+   * store's 2 KB value limit.
+   * @param {Object} session - { accessToken, refreshToken, user } as returned by the auth API
+   * @returns {Promise<void>}
+   */
+  async setSession({ accessToken, refreshToken, user }) {
+    await SecureStore.setItemAsync(STORAGE_KEYS.AUTH_TOKEN, accessToken);
+    await SecureStore.setItemAsync(STORAGE_KEYS.REFRESH_TOKEN, refreshToken);
+    
+    if (user) {
+      await AsyncStorage.setItem(STORAGE_KEYS.AUTH_USER, JSON.stringify(user));
+    }
+  }
+  
+  /**
+   * Removes the stored session
+   * @returns {Promise<void>}
+   */
+  async clearSession() {
+    await SecureStore.deleteItemAsync(STORAGE_KEYS.AUTH_TOKEN);
+    await SecureStore.deleteItemAsync(STORAGE_KEYS.REFRESH_TOKEN);
+    await AsyncStorage.removeItem(STORAGE_KEYS.AUTH_USER);
+  }
+  
+  /**
+   * Gets the stored refresh token
+   * @returns {Promise<string|null>} Refresh token, null when signed out
+   */
+  async getRefreshToken() {
+    return SecureStore.getItemAsync(STORAGE_KEYS.REFRESH_TOKEN);
+  }
+  
+  /**
+   * Gets the user of the stored session
+   * @returns {Promise<Object|null>} User, null when signed out
+   */
+  async getUser() {
+    if (!(await this.hasSession())) {
+      return null;
+    }
+    
+    const user = await AsyncStorage.getItem(STORAGE_KEYS.AUTH_USER);
+    return user ? JSON.parse(user) : null;
+  }
+  
+  /**
+   * Checks whether a session is stored
+   * @returns {Promise<boolean>} True when signed in
+   */
+  async hasSession() {
+    return Boolean(await this.getRefreshToken());
+  }
+  
+  /**
+   * Exchanges the stored refresh token for new tokens
+   * @returns {Promise<boolean>} True if the session was renewed
+   */
+  async refreshSession() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this._refresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    
+    return this.refreshPromise;
+  }
+  
+  /**
+   * Runs a single refresh
+   * @returns {Promise<boolean>} True if the session was renewed
+   * @private
+   */
+  async _refresh() {
+    const refreshToken = await this.getRefreshToken();
+    
+    if (!refreshToken) {
+      return false;
+    }
+    
+    try {
+      const session = await this._send('POST', `${API.ENDPOINTS.AUTH}/refresh`, {
+        body: { refreshToken },
+        skipAuth: true,
+      });
+      
+      await this.setSession(session);
+      return true;
+    } catch (error) {
+      // A rejected refresh token ends the session, other errors may go away
+      if (error.status === 401) {
+        logger.warn('Session expired, signing out');
+        await this.clearSession();
+      } else {
+        logger.error('Failed to refresh session', error);
+      }
+      
+      return false;
+    }
+  }
+}
+
+// Create and export singleton instance
+const apiClient = new ApiClient();
+export default apiClient;
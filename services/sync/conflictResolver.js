@@ -0,0 +1,91 @@
+/**
+ * Conflict resolver
+ * Merges an activity edited on this device with the version on the server
+ * when both changed since the last sync. Only the fields people edit by hand
+ * are merged, recorded values always come from the device that recorded them.
+ */
+
+// How a field edited on both sides was resolved
+export const CONFLICT_RESOLUTIONS = {
+  LATEST_WINS: 'latest_wins',
+  CONCATENATED: 'concatenated',
+};
+
+// Editable fields and the rule used when both sides changed them
+const MERGE_RULES = {
+  name: CONFLICT_RESOLUTIONS.LATEST_WINS,
+  type: CONFLICT_RESOLUTIONS.LATEST_WINS,
+  notes: CONFLICT_RESOLUTIONS.CONCATENATED,
+};
+
+export const MERGE_FIELDS = Object.keys(MERGE_RULES);
+
+/**
+ * Picks the editable fields of an activity, the sync base stores these
+ * @param {Object} activity - Activity with camelCase fields
+ * @returns {Object} Editable fields
+ */
+export const pickMergeFields = (activity) => MERGE_FIELDS.reduce((fields, field) => ({
+  ...fields,
+  [field]: activity[field] || '',
+}), {});
+
+/**
+ * Joins notes written on both sides, the server's first. Notes that
+ * already contain the other side's text are kept as they are.
+ * @param {string} remoteNotes - Notes on the server
+ * @param {string} localNotes - Notes on this device
+ * @returns {string} Combined notes
+ */
+const concatenateNotes = (remoteNotes, localNotes) => {
+  if (!remoteNotes || localNotes.includes(remoteNotes)) return localNotes;
+  if (!localNotes || remoteNotes.includes(localNotes)) return remoteNotes;
+  return `${remoteNotes}\n\n${localNotes}`;
+};
+
+/**
+ * Merges the editable fields of both versions. A field changed on one side
+ * only takes that side's value, without a base every difference counts as
+ * a change on both sides.
+ * @param {Object|null} base - Editable fields as of the last sync
+ * @param {Object} local - Local fields and updatedAt, the local edit time
+ * @param {Object} remote - Server fields and updatedAt
+ * @returns {Object} { merged, conflicts } with the merged fields and the
+ *   fields that changed on both sides
+ */
+export const mergeActivity = (base, local, remote) => {
+  const merged = {};
+  const conflicts = [];
+
+  MERGE_FIELDS.forEach(field => {
+    const localValue = local[field] || '';
+    const remoteValue = remote[field] || '';
+    const baseValue = base ? base[field] || '' : null;
+
+    if (localValue === remoteValue || remoteValue === baseValue) {
+      merged[field] = localValue;
+      return;
+    }
+
+    if (localValue === baseValue) {
+      merged[field] = remoteValue;
+      return;
+    }
+
+    const resolution = MERGE_RULES[field];
+    const resolvedValue = resolution === CONFLICT_RESOLUTIONS.CONCATENATED
+      ? concatenateNotes(remoteValue, localValue)
+      : (local.updatedAt > remote.updatedAt ? localValue : remoteValue);
+
+    merged[field] = resolvedValue;
+
+    // Notes that contain the other side's text lose nothing when kept
+    const isLossless = resolution === CONFLICT_RESOLUTIONS.CONCATENATED
+      && (resolvedValue === localValue || resolvedValue === remoteValue);
+    if (!isLossless) {
+      conflicts.push({ field, localValue, remoteValue, resolvedValue, resolution });
+    }
+  });
+
+  return { merged, conflicts };
+};
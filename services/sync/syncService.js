@@ -0,0 +1,713 @@
+import { EventEmitter } from 'events';
+
+// Import database repositories and storage
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import activityRepository from '../../database/repositories/activityRepository';
+import sensorRepository from '../../database/repositories/sensorRepository';
+import syncRepository from '../../database/repositories/syncRepository';
+import { SYNC_OPERATIONS } from '../../database/schemas/syncSchema';
+
+// Import API client and conflict resolution
+import apiClient from './apiClient';
+import { mergeActivity, pickMergeFields } from './conflictResolver';
+
+// Import utilities and constants
+import logger from '../../utils/logger';
+import { API, CONSTANTS, STORAGE_KEYS, SYNC } from '../../config/constants';
+
+// Sync events
+export const SYNC_EVENTS = {
+  STATUS_CHANGED: 'syncStatusChanged',
+  ACTIVITY_SYNCED: 'activitySynced',
+  ACTIVITY_FAILED: 'activitySyncFailed',
+  CONFLICT: 'syncConflict',
+  ERROR: 'syncError',
+};
+
+// Sync service states
+export const SYNC_STATES = {
+  DISABLED: 'disabled',
+  IDLE: 'idle',
+  SYNCING: 'syncing',
+  OFFLINE: 'offline',
+};
+
+// Whole activity, used for data queued before sync and for new remote activities
+const FULL_RANGE = { from: 0, to: Number.MAX_SAFE_INTEGER };
+
+/**
+ * Converts a snake_case sensor data type to the API naming
+ * @param {string} dataType - App data type
+ * @returns {string} camelCase data type
+ */
+const toCamelCase = (dataType) => dataType.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+
+/**
+ * Converts an API sensor data type to the app naming
+ * @param {string} dataType - camelCase data type
+ * @returns {string} snake_case data type
+ */
+const toSnakeCase = (dataType) => dataType.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+
+/**
+ * Merges the time ranges of grouped outbox entries, an entry without a
+ * range stands for all records of the activity
+ * @param {Array} entries - Outbox entries
+ * @returns {Object} { from, to } timestamps
+ */
+const mergeRanges = (entries) => entries.reduce((range, entry) => {
+  if (!entry.payload) {
+    return FULL_RANGE;
+  }
+  
+  return {
+    from: Math.min(range.from, entry.payload.from),
+    to: Math.max(range.to, entry.payload.to),
+  };
+}, { from: Infinity, to: -Infinity });
+
+/**
+ * Splits records into upload sized chunks
+ * @param {Array} records - Records to upload
+ * @returns {Array<Array>} Chunks
+ */
+const toChunks = (records) => {
+  const chunks = [];
+  for (let i = 0; i < records.length; i += SYNC.UPLOAD_CHUNK_SIZE) {
+    chunks.push(records.slice(i, i + SYNC.UPLOAD_CHUNK_SIZE));
+  }
+  return chunks;
+};
+
+/**
+ * Keeps local activities in step with the backend. Local changes are read
+ * from the outbox the repositories write to and pushed first, then changes
+ * made on the server since the last pull are stored locally.
+ */
+class SyncService extends EventEmitter {
+  constructor() {
+    super();
+    
+    this.isStarted = false;
+    this.state = CONSTANTS.FEATURES.ENABLE_CLOUD_SYNC ? SYNC_STATES.IDLE : SYNC_STATES.DISABLED;
+    this.lastSyncAt = null;
+    this.lastError = null;
+    this.pendingCount = 0;
+    
+    // Sync in progress, shared by concurrent callers
+    this.syncPromise = null;
+    this.intervalId = null;
+    this.debounceTimer = null;
+    
+    this._handleQueued = this._handleQueued.bind(this);
+  }
+  
+  /**
+   * Starts syncing in the background when cloud sync is enabled
+   * @returns {Promise<void>} Resolves once started
+   */
+  async start() {
+    if (!CONSTANTS.FEATURES.ENABLE_CLOUD_SYNC) {
+      logger.info('Cloud sync is disabled');
+      return;
+    }
+    
+    if (this.isStarted) {
+      return;
+    }
+    
+    try {
+      this.isStarted = true;
+      syncRepository.on('queued', this._handleQueued);
+      
+      const queued = await syncRepository.queueLocalActivities();
+      if (queued > 0) {
+        logger.info('Queued local activities for sync', { count: queued });
+      }
+      
+      this.intervalId = setInterval(() => this.requestSync(0), SYNC.INTERVAL_MS);
+      this.requestSync(0);
+      
+      logger.info('Sync service started');
+    } catch (error) {
+      logger.error('Failed to start sync service', error);
+      this.stop();
+      throw error;
+    }
+  }
+  
+  /**
+   * Stops background syncing, a running sync completes
+   */
+  stop() {
+    syncRepository.removeListener('queued', this._handleQueued);
+    
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    
+    if (this.debounceTimer) {
+      clearTimeout(this.debounceTimer);
+      this.debounceTimer = null;
+    }
+    
+    this.isStarted = false;
+  }
+  
+  /**
+   * Schedules a sync, repeated requests within the delay run one sync
+   * @param {number} delay - Delay in milliseconds
+   */
+  requestSync(delay = SYNC.DEBOUNCE_MS) {
+    if (!this.isStarted) {
+      return;
+    }
+    
+    if (this.debounceTimer) {
+      clearTimeout(this.debounceTimer);
+    }
+    
+    this.debounceTimer = setTimeout(() => {
+      this.debounceTimer = null;
+      this.syncNow().catch(() => {
+        // Logged and reported through SYNC_EVENTS.ERROR
+      });
+    }, delay);
+  }
+  
+  /**
+   * Pushes queued changes and pulls remote ones
+   * @returns {Promise<Object|null>} { pushed, pulled }, null when sync is disabled
+   * @throws {Error} If the server can't be reached
+   */
+  async syncNow() {
+    if (!CONSTANTS.FEATURES.ENABLE_CLOUD_SYNC) {
+      return null;
+    }
+    
+    if (!this.syncPromise) {
+      this.syncPromise = this._sync().finally(() => {
+        this.syncPromise = null;
+      });
+    }
+    
+    return this.syncPromise;
+  }
+  
+  /**
+   * Gets the current sync status
+   * @returns {Object} { state, pendingCount, lastSyncAt, lastError }
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      pendingCount: this.pendingCount,
+      lastSyncAt: this.lastSyncAt,
+      lastError: this.lastError,
+    };
+  }
+  
+  /**
+   * Gets edits that were merged with changes made on the server
+   * @returns {Promise<Array>} Conflicts, newest first
+   */
+  async getConflicts() {
+    return syncRepository.getConflicts();
+  }
+  
+  /**
+   * Forgets merged edits the user has seen
+   * @param {Array<number>} ids - Conflict ids
+   * @returns {Promise<void>} Resolves once removed
+   */
+  async dismissConflicts(ids) {
+    return syncRepository.dismissConflicts(ids);
+  }
+  
+  /**
+   * Subscribes to sync status changes
+   * @param {Function} listener - Status change callback
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToStatusChanges(listener) {
+    this.on(SYNC_EVENTS.STATUS_CHANGED, listener);
+    
+    return () => {
+      this.removeListener(SYNC_EVENTS.STATUS_CHANGED, listener);
+    };
+  }
+  
+  /**
+   * Handles changes committed to the outbox
+   * @private
+   */
+  _handleQueued() {
+    this.requestSync();
+  }
+  
+  /**
+   * Runs a single sync
+   * @returns {Promise<Object>} { pushed, pulled }
+   * @private
+   */
+  async _sync() {
+    // Changes wait in the outbox until someone signs in
+    if (!(await apiClient.hasSession())) {
+      this.pendingCount = await syncRepository.getPendingCount();
+      this._setState(SYNC_STATES.IDLE);
+      return { pushed: 0, pulled: 0 };
+    }
+    
+    this._setState(SYNC_STATES.SYNCING);
+    
+    try {
+      const pushed = await this._push();
+      const pulled = await this._pull();
+      
+      this.lastSyncAt = Date.now();
+      this.lastError = null;
+      this.pendingCount = await syncRepository.getPendingCount();
+      this._setState(SYNC_STATES.IDLE);
+      
+      logger.info('Sync completed', { pushed, pulled, pending: this.pendingCount });
+      
+      return { pushed, pulled };
+    } catch (error) {
+      logger.error('Sync failed', error);
+      
+      this.lastError = error.message;
+      this.pendingCount = await syncRepository.getPendingCount().catch(() => this.pendingCount);
+      this._setState(error.status ? SYNC_STATES.IDLE : SYNC_STATES.OFFLINE);
+      this.emit(SYNC_EVENTS.ERROR, error);
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * Updates the state and notifies listeners
+   * @param {string} state - New state
+   * @private
+   */
+  _setState(state) {
+    this.state = state;
+    this.emit(SYNC_EVENTS.STATUS_CHANGED, this.getStatus());
+  }
+  
+  /**
+   * Pushes the due outbox entries, grouped per activity in queue order
+   * @returns {Promise<number>} Number of activities pushed
+   * @throws {Error} If the server can't be reached
+   * @private
+   */
+  async _push() {
+    const entries = await syncRepository.getDueEntries();
+    const byActivity = new Map();
+    
+    entries.forEach(entry => {
+      if (!byActivity.has(entry.activity_id)) {
+        byActivity.set(entry.activity_id, []);
+      }
+      byActivity.get(entry.activity_id).push(entry);
+    });
+    
+    let pushed = 0;
+    
+    for (const [activityId, activityEntries] of byActivity) {
+      try {
+        await this._pushActivity(activityId, activityEntries);
+        pushed += 1;
+      } catch (error) {
+        // Without a connection or session the remaining activities fail the same way
+        if (!error.status || error.status === 401) {
+          throw error;
+        }
+        
+        logger.error(`Failed to push activity: ${activityId}`, error);
+        
+        const attempts = Math.max(...activityEntries.map(entry => entry.attempts)) + 1;
+        const delay = Math.min(SYNC.RETRY_BASE_MS * 2 ** (attempts - 1), SYNC.RETRY_MAX_MS);
+        
+        await syncRepository.recordFailure(
+          activityId,
+          activityEntries.map(entry => entry.id),
+          error.message,
+          Date.now() + delay
+        );
+        this.emit(SYNC_EVENTS.ACTIVITY_FAILED, { activityId, error });
+      }
+    }
+    
+    return pushed;
+  }
+  
+  /**
+   * Pushes the queued changes of one activity
+   * @param {string} activityId - Activity id
+   * @param {Array} entries - Outbox entries of the activity
+   * @returns {Promise<void>} Resolves once pushed
+   * @private
+   */
+  async _pushActivity(activityId, entries) {
+    const ids = entries.map(entry => entry.id);
+    const ofOperation = operation => entries.filter(entry => entry.operation === operation);
+    const path = `${API.ENDPOINTS.ACTIVITIES}/${activityId}`;
+    
+    if (ofOperation(SYNC_OPERATIONS.DELETE_ACTIVITY).length > 0) {
+      try {
+        await apiClient.delete(path);
+      } catch (error) {
+        // Already gone from the server
+        if (error.status !== 404) {
+          throw error;
+        }
+      }
+      
+      await syncRepository.removeEntries(ids);
+      this.emit(SYNC_EVENTS.ACTIVITY_SYNCED, { activityId, deleted: true });
+      return;
+    }
+    
+    const activity = await activityRepository.getActivityById(activityId);
+    
+    if (!activity) {
+      await syncRepository.removeEntries(ids);
+      return;
+    }
+    
+    let remote = null;
+    let created = false;
+    
+    if (ofOperation(SYNC_OPERATIONS.UPSERT_ACTIVITY).length > 0 || !activity.synced_at) {
+      ({ created, remote } = await this._pushActivityRow(activity));
+    }
+    
+    // A new remote activity gets everything, including samples recorded
+    // before the activity was saved and therefore never queued
+    const locations = ofOperation(SYNC_OPERATIONS.ADD_LOCATIONS);
+    if (created || locations.length > 0) {
+      await this._pushLocations(activityId, created ? FULL_RANGE : mergeRanges(locations));
+    }
+    
+    const sensorData = ofOperation(SYNC_OPERATIONS.ADD_SENSOR_DATA);
+    if (created || sensorData.length > 0) {
+      await this._pushSensorData(activityId, created ? FULL_RANGE : mergeRanges(sensorData));
+    }
+    
+    await syncRepository.removeEntries(ids);
+    await syncRepository.markSynced(
+      activityId,
+      remote ? remote.updatedAt : activity.synced_at,
+      remote ? pickMergeFields(remote) : activity.sync_base,
+      remote ? remote.version : activity.synced_version
+    );
+    
+    this.emit(SYNC_EVENTS.ACTIVITY_SYNCED, { activityId });
+  }
+  
+  /**
+   * Updates the remote activity, creating it when the server doesn't have it.
+   * The update is based on the last synced version, the server rejects it
+   * when the activity was edited there in the meantime.
+   * @param {Object} activity - Local activity
+   * @returns {Promise<Object>} { created, remote } with the activity as stored on the server
+   * @private
+   */
+  async _pushActivityRow(activity) {
+    const body = this._toRemoteActivity(activity);
+    
+    // Activities synced before versions were kept count as the first
+    // version, as they do on the server
+    let baseVersion = activity.synced_version || undefined;
+    if (!baseVersion && activity.synced_at) {
+      baseVersion = 1;
+    }
+    
+    try {
+      const { activity: remote } = await apiClient.put(`${API.ENDPOINTS.ACTIVITIES}/${activity.id}`, {
+        ...body,
+        baseVersion,
+      });
+      return { created: false, remote };
+    } catch (error) {
+      if (error.status === 409) {
+        return { created: false, remote: await this._resolveConflict(activity, error.data.activity) };
+      }
+      
+      if (error.status !== 404) {
+        throw error;
+      }
+    }
+    
+    const { activity: remote } = await apiClient.post(API.ENDPOINTS.ACTIVITIES, { ...body, id: activity.id });
+    return { created: true, remote };
+  }
+  
+  /**
+   * Merges an activity edited here and on the server, stores the result on
+   * both sides and records the fields both sides changed
+   * @param {Object} activity - Local activity
+   * @param {Object} remote - Activity as currently stored on the server
+   * @returns {Promise<Object>} Merged activity as stored on the server
+   * @throws {Error} If the server changed again, the push is retried later
+   * @private
+   */
+  async _resolveConflict(activity, remote) {
+    const { merged, conflicts } = mergeActivity(activity.sync_base, {
+      name: activity.name,
+      type: activity.type,
+      notes: activity.notes,
+      updatedAt: activity.updated_at,
+    }, remote);
+    
+    const body = { ...this._toRemoteActivity(activity), ...merged, baseVersion: remote.version };
+    if (!body.name) {
+      delete body.name;
+    }
+    
+    const { activity: updated } = await apiClient.put(`${API.ENDPOINTS.ACTIVITIES}/${activity.id}`, body);
+    
+    await activityRepository.updateActivity(activity.id, merged, { skipSync: true });
+    await syncRepository.addConflicts(activity.id, conflicts);
+    
+    if (conflicts.length > 0) {
+      logger.info('Merged conflicting activity edits', {
+        activityId: activity.id,
+        fields: conflicts.map(conflict => conflict.field),
+      });
+      this.emit(SYNC_EVENTS.CONFLICT, { activityId: activity.id, conflicts });
+    }
+    
+    return updated;
+  }
+  
+  /**
+   * Uploads the locations of an activity recorded within a time range
+   * @param {string} activityId - Activity id
+   * @param {Object} range - { from, to } timestamps
+   * @returns {Promise<void>} Resolves once uploaded
+   * @private
+   */
+  async _pushLocations(activityId, range) {
+    const locations = (await activityRepository.getLocations(activityId))
+      .filter(location => location.timestamp >= range.from && location.timestamp <= range.to)
+      .map(location => ({
+        id: location.id,
+        timestamp: location.timestamp,
+        latitude: location.latitude,
+        longitude: location.longitude,
+        altitude: location.altitude,
+        accuracy: location.accuracy,
+      }));
+    
+    for (const chunk of toChunks(locations)) {
+      await apiClient.post(`${API.ENDPOINTS.ACTIVITIES}/${activityId}/route`, { locations: chunk });
+    }
+  }
+  
+  /**
+   * Uploads the sensor data of an activity recorded within a time range,
+   * the server ignores samples it already has
+   * @param {string} activityId - Activity id
+   * @param {Object} range - { from, to } timestamps
+   * @returns {Promise<void>} Resolves once uploaded
+   * @private
+   */
+  async _pushSensorData(activityId, range) {
+    const samples = (await sensorRepository.getSensorDataByTimeRange(activityId, range.from, range.to))
+      .filter(sample => typeof sample.value === 'number' && !isNaN(sample.value))
+      .map(sample => ({
+        id: sample.id,
+        timestamp: sample.timestamp,
+        dataType: toCamelCase(sample.data_type),
+        value: sample.value,
+        deviceId: sample.device_id,
+      }));
+    
+    for (const chunk of toChunks(samples)) {
+      await apiClient.post(`${API.ENDPOINTS.ACTIVITIES}/${activityId}/sensor-data`, { data: chunk });
+    }
+  }
+  
+  /**
+   * Pulls activities created or changed on the server since the last pull
+   * @returns {Promise<number>} Number of activities stored locally
+   * @throws {Error} If the server can't be reached
+   * @private
+   */
+  async _pull() {
+    const pulledAt = Number(await AsyncStorage.getItem(STORAGE_KEYS.ACTIVITIES_PULLED_AT)) || null;
+    let serverTime = null;
+    let offset = 0;
+    let pulled = 0;
+    
+    while (true) {
+      const response = await apiClient.get(API.ENDPOINTS.ACTIVITIES, {
+        updatedSince: pulledAt,
+        sortBy: 'updatedAt',
+        sortOrder: 'asc',
+        limit: SYNC.PULL_PAGE_SIZE,
+        offset,
+      });
+      const activities = response.activities || [];
+      
+      // Changes made while paging are picked up by the next pull
+      if (!serverTime) {
+        serverTime = response.serverTime;
+      }
+      
+      for (const remote of activities) {
+        if (await this._applyRemoteActivity(remote)) {
+          pulled += 1;
+        }
+      }
+      
+      if (activities.length < SYNC.PULL_PAGE_SIZE) {
+        break;
+      }
+      offset += activities.length;
+    }
+    
+    // Server clock avoids missing changes made while this device's clock is off
+    await AsyncStorage.setItem(STORAGE_KEYS.ACTIVITIES_PULLED_AT, String(serverTime || Date.now()));
+    
+    return pulled;
+  }
+  
+  /**
+   * Stores a remote activity locally unless the local copy is current or
+   * has changes of its own waiting to be pushed
+   * @param {Object} remote - Activity as returned by the API
+   * @returns {Promise<boolean>} True if stored
+   * @private
+   */
+  async _applyRemoteActivity(remote) {
+    const local = await activityRepository.getActivityById(remote.id);
+    
+    if (local) {
+      if (local.synced_at && local.synced_at >= remote.updatedAt) {
+        return false;
+      }
+      
+      if (await syncRepository.hasPendingChanges(remote.id)) {
+        return false;
+      }
+      
+      await activityRepository.updateActivity(remote.id, this._toLocalActivity(remote), { skipSync: true });
+    } else {
+      await activityRepository.createActivity(this._toLocalActivity(remote), { skipSync: true });
+      
+      // Don't keep an activity without its track, the next pull retries it
+      try {
+        await this._pullActivityData(remote.id);
+      } catch (error) {
+        await activityRepository.deleteActivity(remote.id, { skipSync: true });
+        throw error;
+      }
+    }
+    
+    await syncRepository.markSynced(remote.id, remote.updatedAt, pickMergeFields(remote), remote.version);
+    this.emit(SYNC_EVENTS.ACTIVITY_SYNCED, { activityId: remote.id, pulled: true });
+    
+    return true;
+  }
+  
+  /**
+   * Downloads the route and sensor data of a remote activity
+   * @param {string} activityId - Activity id
+   * @returns {Promise<void>} Resolves once stored
+   * @private
+   */
+  async _pullActivityData(activityId) {
+    const path = `${API.ENDPOINTS.ACTIVITIES}/${activityId}`;
+    const { routeData = [] } = await apiClient.get(`${path}/route`);
+    const { sensorData = [] } = await apiClient.get(`${path}/sensor-data`);
+    
+    await activityRepository.addLocations(activityId, routeData, { skipSync: true });
+    
+    const saved = sensorData.length === 0 || await sensorRepository.saveBatchSensorData(
+      sensorData.map(sample => ({
+        id: sample.id,
+        activity_id: activityId,
+        timestamp: sample.timestamp,
+        device_id: sample.deviceId,
+        data_type: toSnakeCase(sample.dataType),
+        value: sample.value,
+      })),
+      { skipSync: true }
+    );
+    
+    if (!saved) {
+      throw new Error(`Failed to save pulled sensor data for activity: ${activityId}`);
+    }
+  }
+  
+  /**
+   * Maps a local activity to the API format
+   * @param {Object} activity - Activity in database format
+   * @returns {Object} Activity fields accepted by the API
+   * @private
+   */
+  _toRemoteActivity(activity) {
+    const remote = {
+      type: activity.type,
+      startTime: activity.start_time,
+      // The API rejects an end that isn't after the start
+      endTime: activity.end_time > activity.start_time ? activity.end_time : null,
+      duration: activity.duration,
+      elapsedTime: activity.elapsed_time,
+      timerTime: activity.timer_time,
+      movingTime: activity.moving_time,
+      distance: activity.distance,
+      avgHeartRate: activity.avg_heart_rate,
+      avgPower: activity.avg_power,
+      avgPace: activity.avg_pace,
+      elevationGain: activity.elevation_gain,
+      deviceIds: activity.device_ids,
+      notes: activity.notes,
+      tags: activity.tags,
+      laps: activity.laps,
+    };
+    
+    // Unnamed activities keep their server name
+    if (activity.name) {
+      remote.name = activity.name;
+    }
+    
+    return remote;
+  }
+  
+  /**
+   * Maps an activity from the API to the local table format
+   * @param {Object} remote - Activity as returned by the API
+   * @returns {Object} Activity in database format
+   * @private
+   */
+  _toLocalActivity(remote) {
+    return {
+      id: remote.id,
+      name: remote.name,
+      type: remote.type,
+      start_time: remote.startTime,
+      end_time: remote.endTime,
+      duration: remote.duration || 0,
+      elapsed_time: remote.elapsedTime,
+      timer_time: remote.timerTime,
+      moving_time: remote.movingTime,
+      distance: remote.distance || 0,
+      avg_heart_rate: remote.avgHeartRate || 0,
+      avg_power: remote.avgPower || 0,
+      avg_pace: remote.avgPace || 0,
+      elevation_gain: remote.elevationGain || 0,
+      device_ids: remote.deviceIds || [],
+      notes: remote.notes || '',
+      tags: remote.tags || [],
+      laps: remote.laps || [],
+    };
+  }
+}
+
+// Create and export singleton instance
+const syncService = new SyncService();
+export default syncService;
@@ -0,0 +1,168 @@
+import activityRepository from '../../database/repositories/activityRepository';
+import syncRepository from '../../database/repositories/syncRepository';
+import { SYNC_OPERATIONS } from '../../database/schemas/syncSchema';
+import authService from '../auth/authService';
+import apiClient from './apiClient';
+import syncService from './syncService';
+import { API, CONSTANTS } from '../../config/constants';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+jest.mock('../../database/repositories/activityRepository', () => ({
+  __esModule: true,
+  default: {
+    getActivityById: jest.fn(),
+    getLocations: jest.fn(async () => []),
+  },
+}));
+
+jest.mock('../../database/repositories/sensorRepository', () => ({
+  __esModule: true,
+  default: { getSensorDataByTimeRange: jest.fn(async () => []) },
+}));
+
+jest.mock('../../database/repositories/workoutRepository', () => ({
+  __esModule: true,
+  default: {},
+}));
+
+jest.mock('../../database/repositories/syncRepository', () => {
+  const { EventEmitter } = require('events');
+  const repository = new EventEmitter();
+  
+  return {
+    __esModule: true,
+    default: Object.assign(repository, {
+      queueLocalActivities: jest.fn(async () => 0),
+      getDueEntries: jest.fn(),
+      getPendingCount: jest.fn(async () => 0),
+      removeEntries: jest.fn(),
+      markSynced: jest.fn(),
+    }),
+  };
+});
+
+jest.mock('./apiClient', () => ({
+  __esModule: true,
+  default: {
+    get: jest.fn(),
+    post: jest.fn(),
+    put: jest.fn(),
+    delete: jest.fn(),
+    hasSession: jest.fn(),
+    setSession: jest.fn(),
+  },
+}));
+
+jest.mock('../../utils/logger');
+
+const localActivity = {
+  id: 'activity-1',
+  name: 'Morning Run',
+  type: 'run',
+  start_time: 1000,
+  end_time: 61000,
+  duration: 60,
+  distance: 200,
+  synced_at: null,
+  synced_version: null,
+};
+
+const remoteActivity = {
+  id: 'activity-1',
+  name: 'Morning Run',
+  type: 'run',
+  notes: null,
+  updatedAt: 9000,
+  version: 1,
+};
+
+const session = {
+  user: { id: 'user-1', email: 'runner@example.com', name: 'Runner' },
+  accessToken: 'access-token',
+  refreshToken: 'refresh-token',
+};
+
+/**
+ * Waits for the sync scheduled by requestSync(0) to finish
+ * @returns {Promise<void>}
+ */
+const waitForSync = async () => {
+  await new Promise(resolve => setTimeout(resolve, 0));
+  await syncService.syncPromise;
+};
+
+describe('syncService', () => {
+  const cloudSyncEnabled = CONSTANTS.FEATURES.ENABLE_CLOUD_SYNC;
+  let storedSession;
+  
+  beforeAll(() => {
+    CONSTANTS.FEATURES.ENABLE_CLOUD_SYNC = true;
+  });
+  
+  afterAll(() => {
+    CONSTANTS.FEATURES.ENABLE_CLOUD_SYNC = cloudSyncEnabled;
+  });
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    
+    storedSession = null;
+    apiClient.hasSession.mockImplementation(async () => storedSession !== null);
+    apiClient.setSession.mockImplementation(async newSession => {
+      storedSession = newSession;
+    });
+    
+    // The activity was recorded while signed out and never reached the server
+    syncRepository.getDueEntries.mockResolvedValue([
+      { id: 1, activity_id: 'activity-1', operation: SYNC_OPERATIONS.UPSERT_ACTIVITY, payload: null, attempts: 0 },
+    ]);
+    activityRepository.getActivityById.mockResolvedValue(localActivity);
+    
+    apiClient.put.mockRejectedValue(Object.assign(new Error('Activity not found'), { status: 404 }));
+    apiClient.post.mockImplementation(async path => (
+      path === `${API.ENDPOINTS.AUTH}/login` ? session : { activity: remoteActivity }
+    ));
+    apiClient.get.mockResolvedValue({ activities: [], serverTime: 10000 });
+  });
+  
+  afterEach(() => {
+    syncService.stop();
+  });
+  
+  it('keeps the outbox while signed out', async () => {
+    await syncService.start();
+    await waitForSync();
+    
+    expect(syncRepository.getDueEntries).not.toHaveBeenCalled();
+    expect(apiClient.post).not.toHaveBeenCalled();
+  });
+  
+  it('pushes the outbox once signed in', async () => {
+    await syncService.start();
+    await waitForSync();
+    
+    const user = await authService.login('runner@example.com', 'secret-password');
+    await waitForSync();
+    
+    expect(user).toEqual(session.user);
+    expect(apiClient.post).toHaveBeenCalledWith(
+      `${API.ENDPOINTS.AUTH}/login`,
+      { email: 'runner@example.com', password: 'secret-password' },
+      { skipAuth: true }
+    );
+    expect(apiClient.post).toHaveBeenCalledWith(
+      API.ENDPOINTS.ACTIVITIES,
+      expect.objectContaining({ id: 'activity-1', name: 'Morning Run', startTime: 1000 })
+    );
+    expect(syncRepository.removeEntries).toHaveBeenCalledWith([1]);
+    expect(syncRepository.markSynced).toHaveBeenCalledWith(
+      'activity-1',
+      remoteActivity.updatedAt,
+      expect.any(Object),
+      remoteActivity.version
+    );
+    expect(syncService.getStatus().lastError).toBeNull();
+  });
+});
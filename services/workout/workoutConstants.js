@@ -0,0 +1,37 @@
+/**
+ * Structured workout constants
+ * Kept apart from the workout model so exporters and screens can use them
+ * without pulling in the model's dependencies.
+ */
+
+// Step intent, used for naming and lap labels
+export const WORKOUT_STEP_TYPES = {
+  WARMUP: 'warmup',
+  WORK: 'work',
+  RECOVERY: 'recovery',
+  REST: 'rest',
+  COOLDOWN: 'cooldown',
+};
+
+// How a step ends
+export const WORKOUT_DURATION_TYPES = {
+  TIME: 'time', // seconds
+  DISTANCE: 'distance', // meters
+  OPEN: 'open', // until lap is pressed
+};
+
+// What a step asks the athlete to hold
+export const WORKOUT_TARGET_TYPES = {
+  NONE: 'none',
+  PACE: 'pace', // min/km, min is the faster bound
+  POWER: 'power', // watts or power zone
+  HEART_RATE: 'heart_rate', // bpm or heart rate zone
+};
+
+// Live compliance with the step target
+export const TARGET_STATUS = {
+  NONE: 'none',
+  TOO_EASY: 'too_easy',
+  ON_TARGET: 'on_target',
+  TOO_HARD: 'too_hard',
+};
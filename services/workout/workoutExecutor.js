@@ -0,0 +1,331 @@
+import { EventEmitter } from 'events';
+
+// Import workout model
+import {
+  WORKOUT_DURATION_TYPES,
+  WORKOUT_TARGET_TYPES,
+  TARGET_STATUS,
+  flattenWorkout,
+  resolveTargetRange,
+  evaluateTarget,
+  getStepLabel,
+} from './workoutModel';
+
+// Import sensor types
+import { SENSOR_TYPES } from '../../config/constants';
+
+// Import logger
+import logger from '../../utils/logger';
+
+// Workout events
+export const WORKOUT_EVENTS = {
+  STEP_STARTED: 'workoutStepStarted',
+  STEP_COMPLETED: 'workoutStepCompleted',
+  COMPLETED: 'workoutCompleted',
+};
+
+// Live metric compared against each target type
+const TARGET_METRICS = {
+  [WORKOUT_TARGET_TYPES.PACE]: SENSOR_TYPES.PACE,
+  [WORKOUT_TARGET_TYPES.POWER]: SENSOR_TYPES.POWER,
+  [WORKOUT_TARGET_TYPES.HEART_RATE]: SENSOR_TYPES.HEART_RATE,
+};
+
+/**
+ * Runs a structured workout against activity progress, advancing steps
+ * when their duration or distance is reached and tracking how long the
+ * athlete holds each step target
+ */
+class WorkoutExecutor extends EventEmitter {
+  /**
+   * @param {Object} workout - Workout definition
+   * @param {Object} options - Executor options
+   * @param {Object} options.athlete - Athlete thresholds for zone targets
+   */
+  constructor(workout, options = {}) {
+    super();
+
+    this.workout = workout;
+    this.athlete = options.athlete || {};
+    this.steps = flattenWorkout(workout);
+
+    // Execution state
+    this.stepIndex = -1;
+    this.completed = false;
+    this.step = null;
+  }
+
+  /**
+   * Starts the first step
+   * @param {Object} progress - Activity progress
+   * @param {number} progress.elapsedTime - Elapsed activity time in seconds
+   * @param {number} progress.distance - Activity distance in meters
+   * @returns {Object} Workout status
+   */
+  start(progress) {
+    logger.info('Starting workout', {
+      workoutId: this.workout.id,
+      steps: this.steps.length,
+    });
+
+    this.completed = false;
+    this._startStep(0, progress);
+
+    return this.getStatus(progress);
+  }
+
+  /**
+   * Advances the workout with the latest progress and metrics
+   * @param {Object} progress - Activity progress
+   * @param {Object} metrics - Live activity metrics
+   * @returns {Array<Object>} Summaries of steps completed by this update
+   */
+  update(progress, metrics = {}) {
+    if (!this.step || this.completed) {
+      return [];
+    }
+
+    this._trackCompliance(progress, metrics);
+
+    const completedSteps = [];
+
+    // A single update can only end the current step, the next one starts at its end
+    if (this._isStepDone(progress)) {
+      completedSteps.push(this._completeStep(progress, false));
+    }
+
+    return completedSteps;
+  }
+
+  /**
+   * Ends the current step early, used for lap presses on open steps
+   * and to skip timed steps
+   * @param {Object} progress - Activity progress
+   * @returns {Object|null} Summary of the completed step
+   */
+  advance(progress) {
+    if (!this.step || this.completed) {
+      return null;
+    }
+
+    return this._completeStep(progress, true);
+  }
+
+  /**
+   * Checks whether steps remain
+   * @returns {boolean} Whether the workout is running
+   */
+  isRunning() {
+    return Boolean(this.step) && !this.completed;
+  }
+
+  /**
+   * Gets the live workout status
+   * @param {Object} progress - Activity progress
+   * @returns {Object} Current step, what remains of it and target compliance
+   */
+  getStatus(progress = null) {
+    if (!this.step) {
+      return {
+        workoutId: this.workout.id,
+        name: this.workout.name,
+        completed: this.completed,
+        stepIndex: this.stepIndex,
+        stepCount: this.steps.length,
+        currentStep: null,
+        nextStep: null,
+      };
+    }
+
+    const { definition, startTime, startDistance, targetRange, status, timeInTarget, timeMeasured } = this.step;
+    const stepTime = progress ? progress.elapsedTime - startTime : 0;
+    const stepDistance = progress ? progress.distance - startDistance : 0;
+
+    let remainingTime = null;
+    let remainingDistance = null;
+    if (definition.duration.type === WORKOUT_DURATION_TYPES.TIME) {
+      remainingTime = Math.max(0, definition.duration.value - stepTime);
+    } else if (definition.duration.type === WORKOUT_DURATION_TYPES.DISTANCE) {
+      remainingDistance = Math.max(0, definition.duration.value - stepDistance);
+    }
+
+    const nextStep = this.steps[this.stepIndex + 1] || null;
+
+    return {
+      workoutId: this.workout.id,
+      name: this.workout.name,
+      completed: this.completed,
+      stepIndex: this.stepIndex,
+      stepCount: this.steps.length,
+      currentStep: {
+        ...definition,
+        label: getStepLabel(definition),
+        elapsedTime: stepTime,
+        distance: stepDistance,
+        remainingTime,
+        remainingDistance,
+        targetRange,
+        targetStatus: status,
+        compliance: timeMeasured > 0 ? timeInTarget / timeMeasured : null,
+      },
+      nextStep: nextStep ? { ...nextStep, label: getStepLabel(nextStep) } : null,
+    };
+  }
+
+  /**
+   * Gets the execution state for checkpoints
+   * @returns {Object} Serializable state
+   */
+  getState() {
+    return {
+      stepIndex: this.stepIndex,
+      completed: this.completed,
+      step: this.step ? {
+        startTime: this.step.startTime,
+        startDistance: this.step.startDistance,
+        lastElapsedTime: this.step.lastElapsedTime,
+        timeInTarget: this.step.timeInTarget,
+        timeMeasured: this.step.timeMeasured,
+      } : null,
+    };
+  }
+
+  /**
+   * Restores execution state from a checkpoint
+   * @param {Object} state - State from getState
+   */
+  restoreState(state) {
+    this.stepIndex = state.stepIndex;
+    this.completed = state.completed;
+    this.step = null;
+
+    const definition = this.steps[state.stepIndex];
+    if (definition && state.step && !state.completed) {
+      this.step = {
+        ...this._createStepState(definition, { elapsedTime: 0, distance: 0 }),
+        ...state.step,
+      };
+    }
+  }
+
+  /**
+   * Starts the step at an index, or completes the workout past the last step
+   * @param {number} index - Step index
+   * @param {Object} progress - Activity progress
+   * @private
+   */
+  _startStep(index, progress) {
+    this.stepIndex = index;
+
+    if (index >= this.steps.length) {
+      this.step = null;
+      this.completed = true;
+
+      logger.info('Workout completed', { workoutId: this.workout.id });
+      this.emit(WORKOUT_EVENTS.COMPLETED, this.getStatus(progress));
+      return;
+    }
+
+    this.step = this._createStepState(this.steps[index], progress);
+
+    this.emit(WORKOUT_EVENTS.STEP_STARTED, this.getStatus(progress));
+  }
+
+  /**
+   * Creates the bookkeeping for a running step
+   * @param {Object} definition - Executable step
+   * @param {Object} progress - Activity progress at step start
+   * @returns {Object} Step state
+   * @private
+   */
+  _createStepState(definition, progress) {
+    return {
+      definition,
+      startTime: progress.elapsedTime,
+      startDistance: progress.distance,
+      lastElapsedTime: progress.elapsedTime,
+      targetRange: resolveTargetRange(definition.target, this.athlete),
+      status: TARGET_STATUS.NONE,
+      timeInTarget: 0,
+      timeMeasured: 0,
+    };
+  }
+
+  /**
+   * Accumulates time spent on, above and below the step target
+   * @param {Object} progress - Activity progress
+   * @param {Object} metrics - Live activity metrics
+   * @private
+   */
+  _trackCompliance(progress, metrics) {
+    const step = this.step;
+    const delta = Math.max(0, progress.elapsedTime - step.lastElapsedTime);
+    step.lastElapsedTime = progress.elapsedTime;
+
+    const targetType = step.definition.target?.type;
+    const metricKey = TARGET_METRICS[targetType];
+    step.status = metricKey
+      ? evaluateTarget(targetType, step.targetRange, metrics[metricKey])
+      : TARGET_STATUS.NONE;
+
+    // Time without a live value doesn't count either way
+    if (step.status !== TARGET_STATUS.NONE) {
+      step.timeMeasured += delta;
+      if (step.status === TARGET_STATUS.ON_TARGET) {
+        step.timeInTarget += delta;
+      }
+    }
+  }
+
+  /**
+   * Checks whether the current step reached its duration or distance
+   * @param {Object} progress - Activity progress
+   * @returns {boolean} Whether the step is done
+   * @private
+   */
+  _isStepDone(progress) {
+    const { definition, startTime, startDistance } = this.step;
+    const { type, value } = definition.duration;
+
+    if (type === WORKOUT_DURATION_TYPES.TIME) {
+      return progress.elapsedTime - startTime >= value;
+    }
+
+    if (type === WORKOUT_DURATION_TYPES.DISTANCE) {
+      return progress.distance - startDistance >= value;
+    }
+
+    return false;
+  }
+
+  /**
+   * Completes the current step and starts the next one
+   * @param {Object} progress - Activity progress
+   * @param {boolean} manual - Whether the athlete ended the step
+   * @returns {Object} Step summary
+   * @private
+   */
+  _completeStep(progress, manual) {
+    const { definition, startTime, startDistance, targetRange, timeInTarget, timeMeasured } = this.step;
+
+    const summary = {
+      index: definition.index,
+      type: definition.type,
+      label: getStepLabel(definition),
+      duration: progress.elapsedTime - startTime,
+      distance: progress.distance - startDistance,
+      target: definition.target,
+      targetRange,
+      compliance: timeMeasured > 0 ? timeInTarget / timeMeasured : null,
+      manual,
+    };
+
+    this.emit(WORKOUT_EVENTS.STEP_COMPLETED, summary);
+
+    this._startStep(this.stepIndex + 1, progress);
+
+    return summary;
+  }
+}
+
+export default WorkoutExecutor;
@@ -0,0 +1,110 @@
+// Import database repository and storage
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import workoutRepository from '../../database/repositories/workoutRepository';
+
+// Import API client
+import apiClient from '../sync/apiClient';
+
+// Import configuration
+import { API, STORAGE_KEYS, SYNC } from '../../config/constants';
+
+// Import logger
+import logger from '../../utils/logger';
+
+/**
+ * Keeps the local workout library in step with workouts authored on the server
+ */
+class WorkoutLibrary {
+  constructor() {
+    // Pull in progress, shared by concurrent callers
+    this.pullPromise = null;
+  }
+  
+  /**
+   * Pulls workouts created or changed on the server since the last pull
+   * @returns {Promise<number>} Number of workouts stored locally
+   * @throws {Error} If the server can't be reached
+   */
+  async pullWorkouts() {
+    if (!this.pullPromise) {
+      this.pullPromise = this._pull().finally(() => {
+        this.pullPromise = null;
+      });
+    }
+    
+    return this.pullPromise;
+  }
+  
+  /**
+   * Runs a single pull
+   * @returns {Promise<number>} Number of workouts stored locally
+   * @private
+   */
+  async _pull() {
+    try {
+      const pulledAt = Number(await AsyncStorage.getItem(STORAGE_KEYS.WORKOUTS_PULLED_AT)) || null;
+      let serverTime = null;
+      let offset = 0;
+      let saved = 0;
+      
+      while (true) {
+        const response = await apiClient.get(API.ENDPOINTS.WORKOUTS, {
+          updatedSince: pulledAt || undefined,
+          sortBy: 'updatedAt',
+          sortOrder: 'asc',
+          limit: SYNC.PULL_PAGE_SIZE,
+          offset,
+        });
+        const workouts = response.workouts || [];
+        
+        // Changes made while paging are picked up by the next pull
+        if (!serverTime) {
+          serverTime = response.serverTime;
+        }
+        
+        saved += await workoutRepository.saveWorkouts(
+          workouts.map(workout => this._toLocalWorkout(workout))
+        );
+        
+        if (workouts.length < SYNC.PULL_PAGE_SIZE) {
+          break;
+        }
+        offset += workouts.length;
+      }
+      
+      // Server clock avoids missing changes made while this device's clock is off
+      await AsyncStorage.setItem(STORAGE_KEYS.WORKOUTS_PULLED_AT, String(serverTime || Date.now()));
+      
+      logger.info('Workouts pulled', { count: saved });
+      
+      return saved;
+    } catch (error) {
+      logger.error('Failed to pull workouts', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Maps a workout from the API to the local table format
+   * @param {Object} workout - Workout as returned by the API
+   * @returns {Object} Workout in database format
+   * @private
+   */
+  _toLocalWorkout(workout) {
+    return {
+      id: workout.id,
+      name: workout.name,
+      type: workout.type,
+      description: workout.description,
+      steps: workout.steps,
+      tags: workout.tags,
+      author_id: workout.userId,
+      created_at: workout.createdAt,
+      updated_at: workout.updatedAt,
+    };
+  }
+}
+
+// Create and export singleton instance
+const workoutLibrary = new WorkoutLibrary();
+export default workoutLibrary;
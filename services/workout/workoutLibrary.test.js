@@ -0,0 +1,77 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import workoutRepository from '../../database/repositories/workoutRepository';
+import apiClient from '../sync/apiClient';
+import { API, STORAGE_KEYS, SYNC } from '../../config/constants';
+import workoutLibrary from './workoutLibrary';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock'));
+
+jest.mock('../../database/repositories/workoutRepository', () => ({
+  __esModule: true,
+  default: { saveWorkouts: jest.fn(async workouts => workouts.length) },
+}));
+
+jest.mock('../sync/apiClient', () => ({
+  __esModule: true,
+  default: { get: jest.fn() },
+}));
+
+jest.mock('../../utils/logger');
+
+/**
+ * Creates workouts as returned by the API
+ * @param {number} count - Number of workouts
+ * @param {number} first - Index of the first workout
+ * @returns {Array} Workouts
+ */
+const remoteWorkouts = (count, first = 0) => Array.from({ length: count }, (_, index) => ({
+  id: `workout-${first + index}`,
+  name: `Intervals ${first + index}`,
+  type: 'run',
+  steps: [],
+  tags: [],
+  userId: 'coach-1',
+  createdAt: 1000,
+  updatedAt: 2000 + first + index,
+}));
+
+describe('workoutLibrary.pullWorkouts', () => {
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+  });
+  
+  it('pages through the changed workouts and keeps the server time of the first page', async () => {
+    await AsyncStorage.setItem(STORAGE_KEYS.WORKOUTS_PULLED_AT, '1500');
+    apiClient.get
+      .mockResolvedValueOnce({ workouts: remoteWorkouts(SYNC.PULL_PAGE_SIZE), serverTime: 5000 })
+      .mockResolvedValueOnce({ workouts: remoteWorkouts(3, SYNC.PULL_PAGE_SIZE), serverTime: 6000 });
+    
+    const saved = await workoutLibrary.pullWorkouts();
+    
+    expect(saved).toBe(SYNC.PULL_PAGE_SIZE + 3);
+    expect(apiClient.get.mock.calls).toEqual([0, SYNC.PULL_PAGE_SIZE].map(offset => [API.ENDPOINTS.WORKOUTS, {
+      updatedSince: 1500,
+      sortBy: 'updatedAt',
+      sortOrder: 'asc',
+      limit: SYNC.PULL_PAGE_SIZE,
+      offset,
+    }]));
+    expect(workoutRepository.saveWorkouts.mock.calls[1][0][0]).toMatchObject({
+      id: `workout-${SYNC.PULL_PAGE_SIZE}`,
+      author_id: 'coach-1',
+    });
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.WORKOUTS_PULLED_AT)).toBe('5000');
+  });
+  
+  it('keeps the cursor when a page fails', async () => {
+    await AsyncStorage.setItem(STORAGE_KEYS.WORKOUTS_PULLED_AT, '1500');
+    apiClient.get
+      .mockResolvedValueOnce({ workouts: remoteWorkouts(SYNC.PULL_PAGE_SIZE), serverTime: 5000 })
+      .mockRejectedValueOnce(new Error('Network request failed'));
+    
+    await expect(workoutLibrary.pullWorkouts()).rejects.toThrow('Network request failed');
+    expect(await AsyncStorage.getItem(STORAGE_KEYS.WORKOUTS_PULLED_AT)).toBe('1500');
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * Structured workout model
+ * Workouts are a list of steps, optionally grouped into repeats. Each step
+ * ends after a duration, a distance or when the athlete presses lap, and may
+ * carry a pace, power or heart rate target.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+import { calculatePowerZones, calculateHeartRateZones } from '../../utils/calculations';
+import {
+  WORKOUT_STEP_TYPES,
+  WORKOUT_DURATION_TYPES,
+  WORKOUT_TARGET_TYPES,
+  TARGET_STATUS,
+} from './workoutConstants';
+
+export { WORKOUT_STEP_TYPES, WORKOUT_DURATION_TYPES, WORKOUT_TARGET_TYPES, TARGET_STATUS };
+
+// Athlete defaults used to resolve zone targets
+const ATHLETE_FTP = parseInt(process.env.ATHLETE_FTP, 10) || 250;
+const ATHLETE_MAX_HR = parseInt(process.env.ATHLETE_MAX_HR, 10) || 190;
+
+/**
+ * Creates a workout step
+ * @param {Object} options - Step definition
+ * @param {string} options.type - One of WORKOUT_STEP_TYPES
+ * @param {Object} options.duration - Duration type and value
+ * @param {Object} options.target - Target type with min/max or zone
+ * @returns {Object} Workout step
+ */
+export function createStep(options = {}) {
+  const {
+    type = WORKOUT_STEP_TYPES.WORK,
+    name = null,
+    duration = { type: WORKOUT_DURATION_TYPES.OPEN, value: null },
+    target = { type: WORKOUT_TARGET_TYPES.NONE },
+    notes = null,
+  } = options;
+
+  return { type, name, duration, target, notes };
+}
+
+/**
+ * Creates a repeat block
+ * @param {number} count - Number of repetitions
+ * @param {Array<Object>} steps - Steps repeated in order
+ * @returns {Object} Repeat block
+ */
+export function createRepeat(count, steps) {
+  return { repeat: count, steps };
+}
+
+/**
+ * Creates a workout
+ * @param {Object} options - Workout definition
+ * @returns {Object} Workout
+ */
+export function createWorkout(options = {}) {
+  const {
+    id = uuidv4(),
+    name = 'Workout',
+    description = null,
+    steps = [],
+  } = options;
+
+  return { id, name, description, steps };
+}
+
+/**
+ * Checks whether a workout entry is a repeat block
+ * @param {Object} entry - Step or repeat block
+ * @returns {boolean} Whether the entry repeats nested steps
+ */
+export function isRepeat(entry) {
+  return Boolean(entry) && Array.isArray(entry.steps);
+}
+
+/**
+ * Validates a single step
+ * @param {Object} step - Workout step
+ * @param {string} path - Position used in error messages
+ * @returns {Array<string>} Validation errors
+ */
+function validateStep(step, path) {
+  const errors = [];
+
+  if (!Object.values(WORKOUT_STEP_TYPES).includes(step.type)) {
+    errors.push(`${path}: unknown step type "${step.type}"`);
+  }
+
+  const duration = step.duration || {};
+  if (!Object.values(WORKOUT_DURATION_TYPES).includes(duration.type)) {
+    errors.push(`${path}: unknown duration type "${duration.type}"`);
+  } else if (duration.type !== WORKOUT_DURATION_TYPES.OPEN &&
+      !(typeof duration.value === 'number' && duration.value > 0)) {
+    errors.push(`${path}: duration must be a positive number`);
+  }
+
+  const target = step.target || { type: WORKOUT_TARGET_TYPES.NONE };
+  if (!Object.values(WORKOUT_TARGET_TYPES).includes(target.type)) {
+    errors.push(`${path}: unknown target type "${target.type}"`);
+  } else if (target.type !== WORKOUT_TARGET_TYPES.NONE) {
+    const hasZone = target.type !== WORKOUT_TARGET_TYPES.PACE && Number.isInteger(target.zone);
+    const hasRange = typeof target.min === 'number' && typeof target.max === 'number' &&
+      target.min <= target.max;
+
+    if (!hasZone && !hasRange) {
+      errors.push(`${path}: target needs a zone or a min/max range`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates a workout definition
+ * @param {Object} workout - Workout
+ * @returns {Object} Validation result with errors
+ */
+export function validateWorkout(workout) {
+  const result = {
+    valid: true,
+    errors: [],
+  };
+
+  if (!workout || !Array.isArray(workout.steps) || workout.steps.length === 0) {
+    result.valid = false;
+    result.errors.push('Workout needs at least one step');
+    return result;
+  }
+
+  workout.steps.forEach((entry, index) => {
+    const path = `steps[${index}]`;
+
+    if (isRepeat(entry)) {
+      if (!Number.isInteger(entry.repeat) || entry.repeat < 1) {
+        result.errors.push(`${path}: repeat count must be a positive integer`);
+      }
+      if (entry.steps.length === 0) {
+        result.errors.push(`${path}: repeat needs at least one step`);
+      }
+      entry.steps.forEach((step, stepIndex) => {
+        if (isRepeat(step)) {
+          result.errors.push(`${path}.steps[${stepIndex}]: nested repeats are not supported`);
+        } else {
+          result.errors.push(...validateStep(step, `${path}.steps[${stepIndex}]`));
+        }
+      });
+    } else {
+      result.errors.push(...validateStep(entry, path));
+    }
+  });
+
+  result.valid = result.errors.length === 0;
+
+  return result;
+}
+
+/**
+ * Expands repeats into the linear sequence of steps the executor runs
+ * @param {Object} workout - Workout
+ * @returns {Array<Object>} Executable steps with their position in the workout
+ */
+export function flattenWorkout(workout) {
+  const steps = [];
+
+  (workout?.steps || []).forEach((entry, entryIndex) => {
+    if (isRepeat(entry)) {
+      for (let iteration = 0; iteration < entry.repeat; iteration++) {
+        entry.steps.forEach(step => {
+          steps.push({
+            ...createStep(step),
+            entryIndex,
+            iteration: iteration + 1,
+            repeatCount: entry.repeat,
+          });
+        });
+      }
+    } else {
+      steps.push({
+        ...createStep(entry),
+        entryIndex,
+        iteration: null,
+        repeatCount: null,
+      });
+    }
+  });
+
+  return steps.map((step, index) => ({ ...step, index }));
+}
+
+/**
+ * Resolves a step target to a numeric range for the live metric
+ * @param {Object} target - Step target
+ * @param {Object} athlete - Athlete thresholds
+ * @param {number} athlete.ftp - Functional threshold power in watts
+ * @param {number} athlete.maxHeartRate - Maximum heart rate in bpm
+ * @returns {Object|null} Range with min and max, null without a target
+ */
+export function resolveTargetRange(target, athlete = {}) {
+  if (!target || target.type === WORKOUT_TARGET_TYPES.NONE) {
+    return null;
+  }
+
+  if (typeof target.min === 'number' && typeof target.max === 'number') {
+    return { min: target.min, max: target.max };
+  }
+
+  if (!Number.isInteger(target.zone)) {
+    return null;
+  }
+
+  let zones = [];
+  if (target.type === WORKOUT_TARGET_TYPES.POWER) {
+    zones = calculatePowerZones(athlete.ftp || ATHLETE_FTP);
+  } else if (target.type === WORKOUT_TARGET_TYPES.HEART_RATE) {
+    zones = calculateHeartRateZones(athlete.maxHeartRate || ATHLETE_MAX_HR);
+  }
+
+  const zone = zones.find(candidate => candidate.zone === target.zone);
+
+  return zone ? { min: zone.lower, max: zone.upper } : null;
+}
+
+/**
+ * Compares a live value against a target range
+ * @param {string} targetType - One of WORKOUT_TARGET_TYPES
+ * @param {Object|null} range - Range from resolveTargetRange
+ * @param {number} value - Live pace, power or heart rate
+ * @returns {string} One of TARGET_STATUS
+ */
+export function evaluateTarget(targetType, range, value) {
+  if (!range || typeof value !== 'number' || value <= 0) {
+    return TARGET_STATUS.NONE;
+  }
+
+  // Pace runs the other way, a larger number is slower
+  const isPace = targetType === WORKOUT_TARGET_TYPES.PACE;
+
+  if (value < range.min) {
+    return isPace ? TARGET_STATUS.TOO_HARD : TARGET_STATUS.TOO_EASY;
+  }
+
+  if (value > range.max) {
+    return isPace ? TARGET_STATUS.TOO_EASY : TARGET_STATUS.TOO_HARD;
+  }
+
+  return TARGET_STATUS.ON_TARGET;
+}
+
+/**
+ * Builds a readable step label, e.g. "Work 3/6"
+ * @param {Object} step - Executable step from flattenWorkout
+ * @returns {string} Step label
+ */
+export function getStepLabel(step) {
+  const base = step.name || step.type.charAt(0).toUpperCase() + step.type.slice(1);
+
+  return step.repeatCount ? `${base} ${step.iteration}/${step.repeatCount}` : base;
+}
@@ -0,0 +1,212 @@
+/**
+ * Activity history filters
+ * One filter model for the history screen and the activities API, parsed
+ * from query parameters and translated into parameterized SQL conditions
+ * on the activities table
+ */
+
+// Query parameters understood by parseActivityFilter
+export const ACTIVITY_FILTER_PARAMS = [
+  'startDate', 'endDate', 'withinDays', 'type', 'minDistance', 'maxDistance',
+  'minDuration', 'maxDuration', 'hasHeartRate', 'hasPower', 'deviceId', 'tag', 'search',
+];
+
+// How device ids are stored, the app joins them with commas, the API as JSON
+export const LIST_FORMATS = {
+  CSV: 'csv',
+  JSON: 'json',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_FIELDS = ['startDate', 'endDate'];
+const NUMBER_FIELDS = ['withinDays', 'minDistance', 'maxDistance', 'minDuration', 'maxDuration'];
+const BOOLEAN_FIELDS = ['hasHeartRate', 'hasPower'];
+const TEXT_FIELDS = ['type', 'deviceId', 'tag', 'search'];
+
+/**
+ * Checks whether a filter value is unset
+ * @param {*} value - Filter value
+ * @returns {boolean} True if unset
+ */
+const isUnset = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Reads a date given as a timestamp or date string
+ * @param {*} value - Timestamp, numeric string or date string
+ * @returns {number} Timestamp, NaN if invalid
+ */
+const toTimestamp = (value) => {
+  if (typeof value === 'number') return value;
+  if (/^\d+$/.test(String(value))) return Number(value);
+  return new Date(value).getTime();
+};
+
+/**
+ * Reads a boolean given as a boolean or string
+ * @param {*} value - true, false, 'true', 'false', '1' or '0'
+ * @returns {boolean|null} Boolean, null if invalid
+ */
+const toBoolean = (value) => {
+  if (value === true || value === 'true' || value === '1') return true;
+  if (value === false || value === 'false' || value === '0') return false;
+  return null;
+};
+
+/**
+ * Escapes LIKE wildcards in a search term
+ * @param {string} term - Search term
+ * @returns {string} Escaped term
+ */
+const escapeLike = (term) => term.replace(/[\\%_]/g, match => `\\${match}`);
+
+/**
+ * Parses a filter from query parameters or form values. Unset values are
+ * dropped, so the result only has the filters in use.
+ * @param {Object} params - Filter values, strings or typed
+ * @returns {Object} { filter, errors }
+ */
+export function parseActivityFilter(params = {}) {
+  const filter = {};
+  const errors = [];
+
+  DATE_FIELDS.forEach(field => {
+    if (isUnset(params[field])) return;
+
+    const timestamp = toTimestamp(params[field]);
+    if (isNaN(timestamp)) {
+      errors.push(`${field} must be a date or timestamp`);
+    } else {
+      filter[field] = timestamp;
+    }
+  });
+
+  NUMBER_FIELDS.forEach(field => {
+    if (isUnset(params[field])) return;
+
+    const number = Number(params[field]);
+    if (isNaN(number) || number < 0) {
+      errors.push(`${field} must be a positive number`);
+    } else {
+      filter[field] = number;
+    }
+  });
+
+  BOOLEAN_FIELDS.forEach(field => {
+    if (isUnset(params[field])) return;
+
+    const flag = toBoolean(params[field]);
+    if (flag === null) {
+      errors.push(`${field} must be true or false`);
+    } else {
+      filter[field] = flag;
+    }
+  });
+
+  TEXT_FIELDS.forEach(field => {
+    if (isUnset(params[field])) return;
+
+    const text = String(params[field]).trim();
+    if (text) {
+      filter[field] = text;
+    }
+  });
+
+  return { filter, errors };
+}
+
+/**
+ * Counts the filters in use, for showing on a filter button
+ * @param {Object} filter - Parsed filter
+ * @returns {number} Number of filters set
+ */
+export function countActiveFilters(filter = {}) {
+  return ACTIVITY_FILTER_PARAMS.filter(field => !isUnset(filter[field])).length;
+}
+
+/**
+ * Translates a parsed filter into SQL conditions on the activities table
+ * @param {Object} filter - Parsed filter
+ * @param {Object} options - Query options
+ * @param {string} options.deviceIdsFormat - LIST_FORMATS value for device_ids, JSON by default
+ * @returns {Object} { conditions, params } to join with AND
+ */
+export function buildActivityFilterQuery(filter = {}, options = {}) {
+  const { deviceIdsFormat = LIST_FORMATS.JSON } = options;
+  const conditions = [];
+  const params = [];
+
+  if (filter.type) {
+    conditions.push('type = ?');
+    params.push(filter.type);
+  }
+
+  if (!isUnset(filter.startDate)) {
+    conditions.push('start_time >= ?');
+    params.push(filter.startDate);
+  }
+
+  if (!isUnset(filter.endDate)) {
+    conditions.push('start_time <= ?');
+    params.push(filter.endDate);
+  }
+
+  // Relative range, so saved filters keep showing recent activities
+  if (!isUnset(filter.withinDays)) {
+    conditions.push('start_time >= ?');
+    params.push(Date.now() - filter.withinDays * DAY_MS);
+  }
+
+  if (!isUnset(filter.minDistance)) {
+    conditions.push('distance >= ?');
+    params.push(filter.minDistance);
+  }
+
+  if (!isUnset(filter.maxDistance)) {
+    conditions.push('distance <= ?');
+    params.push(filter.maxDistance);
+  }
+
+  if (!isUnset(filter.minDuration)) {
+    conditions.push('duration >= ?');
+    params.push(filter.minDuration);
+  }
+
+  if (!isUnset(filter.maxDuration)) {
+    conditions.push('duration <= ?');
+    params.push(filter.maxDuration);
+  }
+
+  // Averages are only stored when the sensor recorded data
+  if (filter.hasHeartRate !== undefined) {
+    conditions.push(filter.hasHeartRate ? 'avg_heart_rate > 0' : 'COALESCE(avg_heart_rate, 0) = 0');
+  }
+
+  if (filter.hasPower !== undefined) {
+    conditions.push(filter.hasPower ? 'avg_power > 0' : 'COALESCE(avg_power, 0) = 0');
+  }
+
+  if (filter.deviceId) {
+    if (deviceIdsFormat === LIST_FORMATS.CSV) {
+      conditions.push("(',' || device_ids || ',') LIKE ? ESCAPE '\\'");
+      params.push(`%,${escapeLike(filter.deviceId)},%`);
+    } else {
+      conditions.push("device_ids LIKE ? ESCAPE '\\'");
+      params.push(`%${escapeLike(JSON.stringify(filter.deviceId))}%`);
+    }
+  }
+
+  // Tags are a JSON array, match the quoted tag
+  if (filter.tag) {
+    conditions.push("tags LIKE ? ESCAPE '\\'");
+    params.push(`%${escapeLike(JSON.stringify(filter.tag))}%`);
+  }
+
+  if (filter.search) {
+    const term = `%${escapeLike(filter.search)}%`;
+    conditions.push("(name LIKE ? ESCAPE '\\' OR notes LIKE ? ESCAPE '\\')");
+    params.push(term, term);
+  }
+
+  return { conditions, params };
+}
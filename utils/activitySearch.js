@@ -0,0 +1,134 @@
+/**
+ * Activity full-text search
+ * SQLite FTS5 index over activity names, notes and tags, kept in sync with
+ * the activities table by triggers, and the ranked search query on it.
+ * Shared by the app database and the API.
+ */
+
+// Marks matched terms in highlights and snippets
+export const SEARCH_HIGHLIGHT = {
+  START: '\u0002',
+  END: '\u0003',
+};
+
+// Index reading the activities table, columns in bm25 weight order below
+export const CREATE_ACTIVITIES_FTS_TABLE = `
+CREATE VIRTUAL TABLE IF NOT EXISTS activities_fts USING fts5(
+  name,
+  notes,
+  tags,
+  content='activities',
+  content_rowid='rowid',
+  tokenize='porter unicode61'
+);`;
+
+// Keep the index in step with inserts, deletes and edits
+export const CREATE_ACTIVITIES_FTS_TRIGGERS = [
+  `CREATE TRIGGER IF NOT EXISTS activities_fts_insert AFTER INSERT ON activities BEGIN
+    INSERT INTO activities_fts (rowid, name, notes, tags)
+    VALUES (new.rowid, new.name, new.notes, new.tags);
+  END;`,
+  `CREATE TRIGGER IF NOT EXISTS activities_fts_delete AFTER DELETE ON activities BEGIN
+    INSERT INTO activities_fts (activities_fts, rowid, name, notes, tags)
+    VALUES ('delete', old.rowid, old.name, old.notes, old.tags);
+  END;`,
+  `CREATE TRIGGER IF NOT EXISTS activities_fts_update AFTER UPDATE OF name, notes, tags ON activities BEGIN
+    INSERT INTO activities_fts (activities_fts, rowid, name, notes, tags)
+    VALUES ('delete', old.rowid, old.name, old.notes, old.tags);
+    INSERT INTO activities_fts (rowid, name, notes, tags)
+    VALUES (new.rowid, new.name, new.notes, new.tags);
+  END;`,
+];
+
+// Indexes the activities stored before the index existed
+export const REBUILD_ACTIVITIES_FTS = "INSERT INTO activities_fts (activities_fts) VALUES ('rebuild');";
+
+// Name matches rank above tag matches, tag matches above notes
+const RANK_WEIGHTS = '10.0, 1.0, 5.0';
+
+// Words around a match in snippets
+const SNIPPET_TOKENS = 12;
+
+/**
+ * Turns user input into an FTS5 query matching all words, the last one as
+ * a prefix so results show up while typing. Words are quoted, so FTS5
+ * operators in the input are searched for as text.
+ * @param {string} text - Search input
+ * @returns {string} FTS5 query, empty if there is nothing to search
+ */
+export function toFtsQuery(text) {
+  const words = String(text || '')
+    .split(/\s+/)
+    .map(word => word.replace(/"/g, ''))
+    .filter(Boolean);
+
+  return words
+    .map((word, index) => `"${word}"${index === words.length - 1 ? '*' : ''}`)
+    .join(' ');
+}
+
+/**
+ * Builds the ranked search query. Rows are activity rows with search_rank
+ * (lower is better), name_highlight and search_snippet added.
+ * @param {string} text - Search input
+ * @param {Object} options - Query options
+ * @param {Array<string>} options.conditions - Extra conditions on activity columns
+ * @param {Array} options.params - Parameters of the extra conditions
+ * @param {number} options.limit - Maximum results
+ * @param {number} options.offset - Results to skip
+ * @returns {Object|null} { sql, params }, null if there is nothing to search
+ */
+export function buildActivitySearchQuery(text, options = {}) {
+  const { conditions = [], params = [], limit = 20, offset = 0 } = options;
+  const match = toFtsQuery(text);
+
+  if (!match) {
+    return null;
+  }
+
+  // Filtered outside the match, activity and index share column names
+  const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+  return {
+    sql: `SELECT * FROM (
+        SELECT a.*,
+          bm25(activities_fts, ${RANK_WEIGHTS}) AS search_rank,
+          highlight(activities_fts, 0, ?, ?) AS name_highlight,
+          snippet(activities_fts, -1, ?, ?, '…', ${SNIPPET_TOKENS}) AS search_snippet
+        FROM activities_fts
+        JOIN activities a ON a.rowid = activities_fts.rowid
+        WHERE activities_fts MATCH ?
+      )${where}
+      ORDER BY search_rank
+      LIMIT ? OFFSET ?`,
+    params: [
+      SEARCH_HIGHLIGHT.START, SEARCH_HIGHLIGHT.END,
+      SEARCH_HIGHLIGHT.START, SEARCH_HIGHLIGHT.END,
+      match,
+      ...params,
+      limit, offset,
+    ],
+  };
+}
+
+/**
+ * Splits highlighted text into plain and matched parts for display
+ * @param {string} text - Highlight or snippet
+ * @returns {Array<Object>} Parts as { text, highlighted }
+ */
+export function splitHighlights(text) {
+  const parts = [];
+
+  String(text || '').split(SEARCH_HIGHLIGHT.START).forEach((part, index) => {
+    const [matched, rest] = index === 0 ? [null, part] : part.split(SEARCH_HIGHLIGHT.END);
+
+    if (matched) {
+      parts.push({ text: matched, highlighted: true });
+    }
+    if (rest) {
+      parts.push({ text: rest, highlighted: false });
+    }
+  });
+
+  return parts;
+}
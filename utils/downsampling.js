@@ -0,0 +1,168 @@
+/**
+ * Time series downsampling
+ * Reduces long sensor series to a size charts can draw, either as
+ * fixed-interval buckets with min/avg/max or with Largest-Triangle-Three-
+ * Buckets, which keeps the points that shape the line.
+ */
+
+export const DOWNSAMPLING_METHODS = {
+  LTTB: 'lttb',
+  BUCKETS: 'buckets',
+};
+
+export const DOWNSAMPLING_DEFAULTS = {
+  POINTS: 500,
+  METHOD: DOWNSAMPLING_METHODS.LTTB,
+};
+
+/**
+ * Reads the value of a point
+ * @param {Object} point - Point with a value property
+ * @returns {number} Value
+ */
+const defaultGetValue = (point) => point.value;
+
+/**
+ * Groups points into fixed-interval buckets starting at the first point
+ * @param {Array<Object>} points - Points with timestamp and value, ordered by timestamp
+ * @param {number} resolution - Bucket size in milliseconds
+ * @param {Function} getValue - Reads the value of a point
+ * @returns {Array<Object>} Buckets as { timestamp, value, min, max, count },
+ *   value being the average and timestamp the start of the bucket
+ */
+export function bucketize(points, resolution, getValue = defaultGetValue) {
+  if (!Array.isArray(points) || points.length === 0 || !(resolution > 0)) {
+    return [];
+  }
+
+  const start = points[0].timestamp;
+  const buckets = [];
+  let current = null;
+
+  points.forEach(point => {
+    const value = getValue(point);
+    if (!Number.isFinite(value)) {
+      return;
+    }
+
+    const timestamp = start + Math.floor((point.timestamp - start) / resolution) * resolution;
+
+    if (!current || current.timestamp !== timestamp) {
+      current = { timestamp, sum: 0, min: value, max: value, count: 0 };
+      buckets.push(current);
+    }
+
+    current.sum += value;
+    current.min = Math.min(current.min, value);
+    current.max = Math.max(current.max, value);
+    current.count++;
+  });
+
+  return buckets.map(({ timestamp, sum, min, max, count }) => ({
+    timestamp,
+    value: sum / count,
+    min,
+    max,
+    count,
+  }));
+}
+
+/**
+ * Largest-Triangle-Three-Buckets. Keeps the first and last point and, from
+ * every bucket in between, the point forming the largest triangle with the
+ * point kept before it and the average of the next bucket.
+ * @param {Array<Object>} points - Points with timestamp and value, ordered by timestamp
+ * @param {number} threshold - Number of points to keep
+ * @param {Function} getValue - Reads the value of a point
+ * @returns {Array<Object>} Selected points, unchanged
+ */
+export function lttb(points, threshold, getValue = defaultGetValue) {
+  if (!Array.isArray(points)) {
+    return [];
+  }
+
+  if (threshold >= points.length || threshold < 3) {
+    return points;
+  }
+
+  const sampled = [points[0]];
+  const bucketSize = (points.length - 2) / (threshold - 2);
+  let previous = 0;
+
+  for (let i = 0; i < threshold - 2; i++) {
+    // Average of the next bucket, the last point for the final bucket
+    const nextStart = Math.floor((i + 1) * bucketSize) + 1;
+    const nextEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, points.length);
+    let avgTime = 0;
+    let avgValue = 0;
+
+    for (let j = nextStart; j < nextEnd; j++) {
+      avgTime += points[j].timestamp;
+      avgValue += getValue(points[j]) || 0;
+    }
+    avgTime /= nextEnd - nextStart;
+    avgValue /= nextEnd - nextStart;
+
+    // Point of the current bucket with the largest triangle
+    const start = Math.floor(i * bucketSize) + 1;
+    const end = Math.floor((i + 1) * bucketSize) + 1;
+    const previousTime = points[previous].timestamp;
+    const previousValue = getValue(points[previous]) || 0;
+    let maxArea = -1;
+    let selected = start;
+
+    for (let j = start; j < end; j++) {
+      const area = Math.abs(
+        (previousTime - avgTime) * ((getValue(points[j]) || 0) - previousValue)
+        - (previousTime - points[j].timestamp) * (avgValue - previousValue)
+      );
+
+      if (area > maxArea) {
+        maxArea = area;
+        selected = j;
+      }
+    }
+
+    sampled.push(points[selected]);
+    previous = selected;
+  }
+
+  sampled.push(points[points.length - 1]);
+  return sampled;
+}
+
+/**
+ * Downsamples a series
+ * @param {Array<Object>} points - Points with timestamp and value, ordered by timestamp
+ * @param {Object} options - Downsampling options
+ * @param {number} options.points - Target number of points
+ * @param {number} options.resolution - Bucket size in milliseconds, implies buckets
+ * @param {string} options.method - DOWNSAMPLING_METHODS value, LTTB by default
+ * @returns {Array<Object>} Downsampled series, buckets carry min, max and count
+ */
+export function downsample(points, options = {}) {
+  const {
+    points: target = DOWNSAMPLING_DEFAULTS.POINTS,
+    resolution,
+    method = DOWNSAMPLING_DEFAULTS.METHOD,
+  } = options;
+
+  if (!Array.isArray(points) || points.length === 0) {
+    return [];
+  }
+
+  if (resolution) {
+    return bucketize(points, resolution);
+  }
+
+  if (method === DOWNSAMPLING_METHODS.BUCKETS) {
+    if (points.length <= target) {
+      return bucketize(points, 1);
+    }
+
+    const span = points[points.length - 1].timestamp - points[0].timestamp;
+    return bucketize(points, Math.max(1, Math.ceil((span + 1) / target)));
+  }
+
+  return lttb(points, target);
+}
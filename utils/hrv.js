@@ -0,0 +1,330 @@
+/**
+ * Heart rate variability analysis
+ * Time domain metrics, artifact correction, DFA alpha1 and readiness
+ * scoring from beat-to-beat RR intervals in milliseconds
+ */
+
+// Analysis defaults
+export const HRV_DEFAULTS = {
+  MIN_RR_MS: 300, // 200 bpm
+  MAX_RR_MS: 2000, // 30 bpm
+  ARTIFACT_THRESHOLD: 0.2, // Relative deviation from the local median
+  MEDIAN_WINDOW: 11, // Beats used for the local median
+  WINDOW_MS: 120000, // Rolling window length
+  STEP_MS: 5000, // Rolling window step
+  DFA_MIN_BOX: 4,
+  DFA_MAX_BOX: 16,
+  MIN_BEATS: 30, // Minimum beats for a meaningful window
+  BASELINE_DAYS: 7,
+};
+
+/**
+ * Calculates the median of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number} Median value
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+}
+
+/**
+ * Corrects ectopic beats and missed or extra detections. Intervals outside
+ * the physiological range or deviating too far from the local median are
+ * replaced by that median.
+ * @param {Array<number>} rrIntervals - RR intervals in milliseconds
+ * @param {Object} options - Correction options
+ * @returns {Object} Corrected intervals and artifact statistics
+ */
+export function correctArtifacts(rrIntervals, options = {}) {
+  const {
+    threshold = HRV_DEFAULTS.ARTIFACT_THRESHOLD,
+    medianWindow = HRV_DEFAULTS.MEDIAN_WINDOW,
+    minRr = HRV_DEFAULTS.MIN_RR_MS,
+    maxRr = HRV_DEFAULTS.MAX_RR_MS,
+  } = options;
+
+  if (!Array.isArray(rrIntervals) || rrIntervals.length === 0) {
+    return { intervals: [], artifactCount: 0, artifactRatio: 0 };
+  }
+
+  // Local medians are taken from plausible beats only
+  const plausible = rrIntervals.filter(rr => rr >= minRr && rr <= maxRr);
+  if (plausible.length === 0) {
+    return { intervals: [], artifactCount: rrIntervals.length, artifactRatio: 1 };
+  }
+
+  const halfWindow = Math.floor(medianWindow / 2);
+  let artifactCount = 0;
+
+  const intervals = rrIntervals.map((rr, index) => {
+    const neighbours = rrIntervals
+      .slice(Math.max(0, index - halfWindow), index + halfWindow + 1)
+      .filter(value => value >= minRr && value <= maxRr);
+    const localMedian = neighbours.length > 0 ? median(neighbours) : median(plausible);
+
+    const outOfRange = rr < minRr || rr > maxRr;
+    const deviates = Math.abs(rr - localMedian) > threshold * localMedian;
+
+    if (outOfRange || deviates) {
+      artifactCount++;
+      return localMedian;
+    }
+
+    return rr;
+  });
+
+  return {
+    intervals,
+    artifactCount,
+    artifactRatio: artifactCount / rrIntervals.length,
+  };
+}
+
+/**
+ * Calculates the root mean square of successive differences
+ * @param {Array<number>} rrIntervals - RR intervals in milliseconds
+ * @returns {number|null} RMSSD in milliseconds
+ */
+export function calculateRMSSD(rrIntervals) {
+  if (!Array.isArray(rrIntervals) || rrIntervals.length < 2) {
+    return null;
+  }
+
+  let sumSquares = 0;
+  for (let i = 1; i < rrIntervals.length; i++) {
+    const diff = rrIntervals[i] - rrIntervals[i - 1];
+    sumSquares += diff * diff;
+  }
+
+  return Math.sqrt(sumSquares / (rrIntervals.length - 1));
+}
+
+/**
+ * Calculates the standard deviation of NN intervals
+ * @param {Array<number>} rrIntervals - RR intervals in milliseconds
+ * @returns {number|null} SDNN in milliseconds
+ */
+export function calculateSDNN(rrIntervals) {
+  if (!Array.isArray(rrIntervals) || rrIntervals.length < 2) {
+    return null;
+  }
+
+  const mean = rrIntervals.reduce((sum, rr) => sum + rr, 0) / rrIntervals.length;
+  const variance = rrIntervals.reduce((sum, rr) => sum + (rr - mean) ** 2, 0) /
+    (rrIntervals.length - 1);
+
+  return Math.sqrt(variance);
+}
+
+/**
+ * Calculates the share of successive differences above 50 ms
+ * @param {Array<number>} rrIntervals - RR intervals in milliseconds
+ * @returns {number|null} pNN50 in percent
+ */
+export function calculatePNN50(rrIntervals) {
+  if (!Array.isArray(rrIntervals) || rrIntervals.length < 2) {
+    return null;
+  }
+
+  let count = 0;
+  for (let i = 1; i < rrIntervals.length; i++) {
+    if (Math.abs(rrIntervals[i] - rrIntervals[i - 1]) > 50) {
+      count++;
+    }
+  }
+
+  return (count / (rrIntervals.length - 1)) * 100;
+}
+
+/**
+ * Calculates the short term scaling exponent of detrended fluctuation
+ * analysis. Values near 1 indicate low intensity, near 0.75 the aerobic
+ * threshold and near 0.5 the anaerobic threshold.
+ * @param {Array<number>} rrIntervals - RR intervals in milliseconds
+ * @param {number} minBox - Smallest box size in beats
+ * @param {number} maxBox - Largest box size in beats
+ * @returns {number|null} DFA alpha1
+ */
+export function calculateDFAAlpha1(
+  rrIntervals,
+  minBox = HRV_DEFAULTS.DFA_MIN_BOX,
+  maxBox = HRV_DEFAULTS.DFA_MAX_BOX
+) {
+  if (!Array.isArray(rrIntervals) || rrIntervals.length < maxBox * 2) {
+    return null;
+  }
+
+  // Integrate the mean-centred series
+  const mean = rrIntervals.reduce((sum, rr) => sum + rr, 0) / rrIntervals.length;
+  const profile = [];
+  let cumulative = 0;
+  rrIntervals.forEach(rr => {
+    cumulative += rr - mean;
+    profile.push(cumulative);
+  });
+
+  const logBoxes = [];
+  const logFluctuations = [];
+
+  for (let box = minBox; box <= maxBox; box++) {
+    const boxCount = Math.floor(profile.length / box);
+    let sumSquares = 0;
+
+    for (let b = 0; b < boxCount; b++) {
+      const segment = profile.slice(b * box, (b + 1) * box);
+
+      // Least squares line through the segment
+      const xMean = (box - 1) / 2;
+      const yMean = segment.reduce((sum, y) => sum + y, 0) / box;
+      let covariance = 0;
+      let varianceX = 0;
+      segment.forEach((y, x) => {
+        covariance += (x - xMean) * (y - yMean);
+        varianceX += (x - xMean) ** 2;
+      });
+      const slope = covariance / varianceX;
+
+      segment.forEach((y, x) => {
+        const trend = yMean + slope * (x - xMean);
+        sumSquares += (y - trend) ** 2;
+      });
+    }
+
+    const fluctuation = Math.sqrt(sumSquares / (boxCount * box));
+    if (fluctuation > 0) {
+      logBoxes.push(Math.log10(box));
+      logFluctuations.push(Math.log10(fluctuation));
+    }
+  }
+
+  if (logBoxes.length < 2) {
+    return null;
+  }
+
+  // Alpha1 is the slope of log F(n) against log n
+  const xMean = logBoxes.reduce((sum, x) => sum + x, 0) / logBoxes.length;
+  const yMean = logFluctuations.reduce((sum, y) => sum + y, 0) / logFluctuations.length;
+  let covariance = 0;
+  let varianceX = 0;
+  logBoxes.forEach((x, i) => {
+    covariance += (x - xMean) * (logFluctuations[i] - yMean);
+    varianceX += (x - xMean) ** 2;
+  });
+
+  return covariance / varianceX;
+}
+
+/**
+ * Runs the full HRV analysis over a set of RR intervals
+ * @param {Array<number>} rrIntervals - RR intervals in milliseconds
+ * @param {Object} options - Artifact correction options
+ * @returns {Object} HRV metrics
+ */
+export function analyzeHRV(rrIntervals, options = {}) {
+  const { intervals, artifactCount, artifactRatio } = correctArtifacts(rrIntervals, options);
+  const meanRr = intervals.length > 0
+    ? intervals.reduce((sum, rr) => sum + rr, 0) / intervals.length
+    : null;
+
+  return {
+    beatCount: intervals.length,
+    artifactCount,
+    artifactRatio,
+    meanRr,
+    meanHeartRate: meanRr ? 60000 / meanRr : null,
+    rmssd: calculateRMSSD(intervals),
+    sdnn: calculateSDNN(intervals),
+    pnn50: calculatePNN50(intervals),
+    dfaAlpha1: calculateDFAAlpha1(intervals),
+  };
+}
+
+/**
+ * Calculates HRV metrics over rolling time windows
+ * @param {Array<Object>} samples - RR samples with timestamp and value in milliseconds
+ * @param {Object} options - Window options
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.stepMs - Distance between window ends in milliseconds
+ * @returns {Array<Object>} HRV metrics per window, keyed by window end time
+ */
+export function calculateRollingHRV(samples, options = {}) {
+  const {
+    windowMs = HRV_DEFAULTS.WINDOW_MS,
+    stepMs = HRV_DEFAULTS.STEP_MS,
+    minBeats = HRV_DEFAULTS.MIN_BEATS,
+  } = options;
+
+  if (!Array.isArray(samples) || samples.length === 0) {
+    return [];
+  }
+
+  const sorted = [...samples].sort((a, b) => a.timestamp - b.timestamp);
+  const firstTime = sorted[0].timestamp;
+  const lastTime = sorted[sorted.length - 1].timestamp;
+  const windows = [];
+
+  let start = 0;
+  let end = 0;
+
+  for (let windowEnd = firstTime + windowMs; windowEnd <= lastTime + stepMs; windowEnd += stepMs) {
+    const windowStart = windowEnd - windowMs;
+
+    while (end < sorted.length && sorted[end].timestamp <= windowEnd) {
+      end++;
+    }
+    while (start < end && sorted[start].timestamp <= windowStart) {
+      start++;
+    }
+
+    if (end - start < minBeats) {
+      continue;
+    }
+
+    windows.push({
+      timestamp: Math.min(windowEnd, lastTime),
+      ...analyzeHRV(sorted.slice(start, end).map(sample => sample.value), options),
+    });
+  }
+
+  return windows;
+}
+
+/**
+ * Scores readiness from today's RMSSD against the personal baseline using
+ * the natural log of RMSSD, which is closer to normally distributed
+ * @param {number} rmssd - Today's RMSSD in milliseconds
+ * @param {Array<number>} baselineRmssd - RMSSD of previous days, most recent last
+ * @returns {Object} Score from 0 to 100 and the deviation from baseline
+ */
+export function calculateReadinessScore(rmssd, baselineRmssd = []) {
+  if (!rmssd || rmssd <= 0) {
+    return { score: null, lnRmssd: null, baseline: null, deviation: null };
+  }
+
+  const lnRmssd = Math.log(rmssd);
+  const recent = baselineRmssd
+    .filter(value => value > 0)
+    .slice(-HRV_DEFAULTS.BASELINE_DAYS)
+    .map(value => Math.log(value));
+
+  // Without history only the absolute value is known, so stay neutral
+  if (recent.length < 3) {
+    return { score: 50, lnRmssd, baseline: null, deviation: null };
+  }
+
+  const baseline = recent.reduce((sum, value) => sum + value, 0) / recent.length;
+  const sd = Math.sqrt(
+    recent.reduce((sum, value) => sum + (value - baseline) ** 2, 0) / (recent.length - 1)
+  ) || 0.05;
+
+  // One standard deviation maps to 25 points around the neutral 50
+  const deviation = (lnRmssd - baseline) / sd;
+  const score = Math.round(Math.max(0, Math.min(100, 50 + deviation * 25)));
+
+  return { score, lnRmssd, baseline, deviation };
+}